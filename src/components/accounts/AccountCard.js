@@ -2,28 +2,12 @@ import React from 'react';
 import { StyleSheet } from 'react-native';
 import { Card, Text, useTheme } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { formatMoney } from '../../utils/money';
+import { getAccountTypeIcon } from '../../utils/accounts';
 
 const AccountCard = ({ account, onPress }) => {
   const theme = useTheme();
   
-  // Determine icon based on account type
-  const getAccountTypeIcon = (type) => {
-    switch (type?.toLowerCase()) {
-      case 'checking':
-        return 'bank';
-      case 'savings':
-        return 'piggy-bank';
-      case 'credit':
-        return 'credit-card';
-      case 'cash':
-        return 'cash';
-      case 'investment':
-        return 'chart-line';
-      default:
-        return 'wallet';
-    }
-  };
-  
   return (
     <Card style={styles.card} onPress={onPress}>
       <Card.Content style={styles.content}>
@@ -35,7 +19,7 @@ const AccountCard = ({ account, onPress }) => {
         />
         <Text style={styles.accountName}>{account.name}</Text>
         <Text style={styles.accountBalance}>
-          ${account.currentBalance.toFixed(2)}
+          {formatMoney(account.currentBalance, { currency: account.currency })}
         </Text>
       </Card.Content>
     </Card>
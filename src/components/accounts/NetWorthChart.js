@@ -0,0 +1,90 @@
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text, useTheme } from 'react-native-paper';
+import { format, parseISO } from 'date-fns';
+
+const CHART_HEIGHT = 160;
+
+// Bar chart of net worth by month. Bars grow up from the zero line for a positive
+// net worth and down from it for a negative one; tapping a bar selects its month.
+const NetWorthChart = ({ history, selectedMonth, onSelectMonth }) => {
+  const theme = useTheme();
+  const highest = Math.max(0, ...history.map(entry => entry.netWorth));
+  const lowest = Math.min(0, ...history.map(entry => entry.netWorth));
+  const range = highest - lowest || 1;
+  const zeroLine = (highest / range) * CHART_HEIGHT;
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.bars, { height: CHART_HEIGHT }]}>
+        <View style={[styles.zeroLine, { top: zeroLine }]} />
+        {history.map(entry => {
+          const height = Math.max(1, (Math.abs(entry.netWorth) / range) * CHART_HEIGHT);
+          const isSelected = entry.month === selectedMonth;
+          const color = entry.netWorth < 0 ? theme.colors.error : theme.colors.primary;
+          return (
+            <TouchableOpacity key={entry.month} style={styles.column} onPress={() => onSelectMonth(entry.month)}>
+              <View
+                style={[
+                  styles.bar,
+                  entry.netWorth < 0 ? { top: zeroLine } : { top: zeroLine - height },
+                  { height, backgroundColor: color, opacity: isSelected ? 1 : 0.45 },
+                ]}
+              />
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <View style={styles.labels}>
+        {history.map(entry => (
+          <Text
+            key={entry.month}
+            style={[styles.label, entry.month === selectedMonth && { color: theme.colors.primary, fontWeight: 'bold' }]}
+            numberOfLines={1}
+          >
+            {format(parseISO(`${entry.month}-01`), history.length > 12 ? 'MMMMM' : 'MMM')}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 8,
+  },
+  bars: {
+    flexDirection: 'row',
+  },
+  zeroLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 1,
+    backgroundColor: '#bdbdbd',
+  },
+  column: {
+    flex: 1,
+    height: '100%',
+    marginHorizontal: 2,
+  },
+  bar: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    borderRadius: 2,
+  },
+  labels: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  label: {
+    flex: 1,
+    fontSize: 10,
+    textAlign: 'center',
+    color: '#757575',
+  },
+});
+
+export default NetWorthChart;
@@ -1,7 +1,10 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { View, StyleSheet, TouchableOpacity, Dimensions, Animated, Keyboard } from 'react-native';
+import { View, StyleSheet, TouchableOpacity, Dimensions, Animated, Keyboard, ScrollView } from 'react-native';
 import { Surface, Text, IconButton, Button, Divider, Chip } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { getCurrency, formatMoneyInput } from '../../utils/money';
+import { getAutoAssignAmounts } from '../../services/autoAssign';
+import { AUTO_ASSIGN_METHODS } from '../../utils/autoAssign';
 
 const { width, height } = Dimensions.get('window');
 // Keep consistent height but ensure it's not too tall on small devices
@@ -10,13 +13,17 @@ const MODAL_HEIGHT = Math.min(height * 0.35, 280);
 const BudgetAllocationModal = ({
   visible,
   category,
+  month,
   currentAmount,
+  currency,
   onChangeAmount,
   onClose,
   onSave,
   onAutoAssign,
   onEditCategory,
 }) => {
+  const { symbol } = getCurrency(currency);
+  
   // Animation values
   const slideAnim = useRef(new Animated.Value(MODAL_HEIGHT)).current;
   const modalOpacity = useRef(new Animated.Value(0)).current;
@@ -26,11 +33,8 @@ const BudgetAllocationModal = ({
   const [activeTab, setActiveTab] = useState('assign'); // 'assign', 'auto', 'edit'
   
   // Auto assign amounts
-  const [autoAssignAmounts, setAutoAssignAmounts] = useState({
-    previous: '0.00',
-    spent: '0.00',
-    average: '0.00'
-  });
+  // Amount keyed by auto-assign option, null until loaded
+  const [autoAssignAmounts, setAutoAssignAmounts] = useState(null);
   
   // Update local amount when props change
   useEffect(() => {
@@ -58,9 +62,6 @@ const BudgetAllocationModal = ({
       
       // Reset to assign tab when opening
       setActiveTab('assign');
-      
-      // Fetch auto-assign amounts when modal is opened
-      fetchAutoAssignAmounts();
     } else {
       // Animate both slide down and fade out
       Animated.parallel([
@@ -78,17 +79,21 @@ const BudgetAllocationModal = ({
     }
   }, [visible, slideAnim, modalOpacity]);
 
-  // Fetch the auto-assign amounts
+  // Fetch the auto-assign amounts when the modal opens or switches category
+  useEffect(() => {
+    if (visible && category) {
+      fetchAutoAssignAmounts();
+    }
+  }, [visible, category, month]);
+
+  // Fetch the auto-assign amounts from the shared auto-assign service
   const fetchAutoAssignAmounts = async () => {
-    // Simulate fetching amounts
-    // In a real scenario, you would call your existing auto-assign functions
-    setTimeout(() => {
-      setAutoAssignAmounts({
-        previous: '25.00', // Example amount
-        spent: '18.75',    // Example amount
-        average: '22.50'   // Example amount
-      });
-    }, 300);
+    setAutoAssignAmounts(null);
+    try {
+      setAutoAssignAmounts(await getAutoAssignAmounts(category.id, month));
+    } catch (error) {
+      console.error('Error fetching auto-assign amounts:', error);
+    }
   };
 
   const handleNumPress = (num) => {
@@ -227,40 +232,27 @@ const BudgetAllocationModal = ({
   );
   
   const renderAutoOptions = () => (
-    <View style={styles.autoOptionsContainer}>
-      <TouchableOpacity 
-        style={styles.autoOptionButton}
-        onPress={() => {
-          onChangeAmount(autoAssignAmounts.previous);
-          onAutoAssign('previous');
-        }}
-      >
-        <Text style={styles.autoOptionLabel}>Same as Last Month</Text>
-        <Text style={styles.autoOptionAmount}>${autoAssignAmounts.previous}</Text>
-      </TouchableOpacity>
-      
-      <TouchableOpacity 
-        style={styles.autoOptionButton}
-        onPress={() => {
-          onChangeAmount(autoAssignAmounts.spent);
-          onAutoAssign('spent');
-        }}
-      >
-        <Text style={styles.autoOptionLabel}>Same as Spent Last Month</Text>
-        <Text style={styles.autoOptionAmount}>${autoAssignAmounts.spent}</Text>
-      </TouchableOpacity>
-      
-      <TouchableOpacity 
-        style={styles.autoOptionButton}
-        onPress={() => {
-          onChangeAmount(autoAssignAmounts.average);
-          onAutoAssign('average');
-        }}
-      >
-        <Text style={styles.autoOptionLabel}>Average Spent</Text>
-        <Text style={styles.autoOptionAmount}>${autoAssignAmounts.average}</Text>
-      </TouchableOpacity>
-    </View>
+    <ScrollView style={styles.autoOptionsContainer}>
+      {/* The goal option only applies to categories with a goal */}
+      {autoAssignAmounts && AUTO_ASSIGN_METHODS
+        .filter(method => autoAssignAmounts[method.key] !== null)
+        .map(method => {
+          const optionAmount = formatMoneyInput(autoAssignAmounts[method.key], currency);
+          return (
+            <TouchableOpacity 
+              key={method.key}
+              style={styles.autoOptionButton}
+              onPress={() => {
+                onChangeAmount(optionAmount);
+                onAutoAssign(method.key);
+              }}
+            >
+              <Text style={styles.autoOptionLabel}>{method.label}</Text>
+              <Text style={styles.autoOptionAmount}>{symbol}{optionAmount}</Text>
+            </TouchableOpacity>
+          );
+        })}
+    </ScrollView>
   );
   
   const renderEditOptions = () => (
@@ -305,7 +297,7 @@ const BudgetAllocationModal = ({
       {/* Show only the amount, not the category name */}
       <View style={styles.amountHeader}>
         <Text style={styles.amountDisplay}>
-          ${currentAmount}
+          {symbol}{currentAmount}
         </Text>
       </View>
       
@@ -441,7 +433,6 @@ const styles = StyleSheet.create({
   // Auto options
   autoOptionsContainer: {
     flex: 1,
-    justifyContent: 'center',
   },
   autoOptionButton: {
     backgroundColor: '#f5f5f5',
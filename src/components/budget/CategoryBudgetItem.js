@@ -2,23 +2,24 @@ import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, TouchableOpacity } from 'react-native';
 import { Surface, Text, IconButton, TextInput, Button } from 'react-native-paper';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { formatMoney, formatMoneyInput, parseMoney } from '../../utils/money';
 
 const CategoryBudgetItem = ({ category, assigned, available, onAssign, onPress }) => {
   const [isEditing, setIsEditing] = useState(false);
-  const [assignedAmount, setAssignedAmount] = useState(assigned.toString());
+  const [assignedAmount, setAssignedAmount] = useState(formatMoneyInput(assigned));
   
   useEffect(() => {
     // Update assignedAmount when assigned prop changes
-    setAssignedAmount(assigned.toString());
+    setAssignedAmount(formatMoneyInput(assigned));
   }, [assigned]);
 
   const handleCancel = () => {
-    setAssignedAmount(assigned.toString());
+    setAssignedAmount(formatMoneyInput(assigned));
     setIsEditing(false);
   };
 
   const handleSave = () => {
-    const amount = parseFloat(assignedAmount);
+    const amount = parseMoney(assignedAmount);
     if (!isNaN(amount)) {
       onAssign(category.id, amount);
     }
@@ -99,7 +100,7 @@ const CategoryBudgetItem = ({ category, assigned, available, onAssign, onPress }
             <>
               <View style={styles.amountContainer}>
                 <Text style={styles.amountLabel}>Assigned</Text>
-                <Text style={styles.amount}>${assigned.toFixed(2)}</Text>
+                <Text style={styles.amount}>{formatMoney(assigned)}</Text>
               </View>
               
               <View style={styles.amountContainer}>
@@ -110,7 +111,7 @@ const CategoryBudgetItem = ({ category, assigned, available, onAssign, onPress }
                     { color: getAvailableColor() }
                   ]}
                 >
-                  ${available.toFixed(2)}
+                  {formatMoney(available)}
                 </Text>
               </View>
             </>
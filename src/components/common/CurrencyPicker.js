@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Text, List, Dialog, Portal, RadioButton, Button } from 'react-native-paper';
+import { CURRENCIES, getCurrency } from '../../utils/money';
+
+const CurrencyPicker = ({ label, value, onChange, disabled = false }) => {
+  const [isDialogVisible, setIsDialogVisible] = useState(false);
+  const currency = getCurrency(value);
+
+  // Keep a stored code that isn't in the list selectable
+  const codes = CURRENCIES[currency.code] ? Object.keys(CURRENCIES) : [currency.code, ...Object.keys(CURRENCIES)];
+
+  return (
+    <View style={styles.container}>
+      {label && <Text style={styles.label}>{label}</Text>}
+      <TouchableOpacity onPress={() => setIsDialogVisible(true)} disabled={disabled}>
+        <List.Item
+          title={`${currency.code} - ${currency.name}`}
+          left={props => <List.Icon {...props} icon="cash-multiple" />}
+          right={props => !disabled && <List.Icon {...props} icon="chevron-right" />}
+        />
+      </TouchableOpacity>
+
+      <Portal>
+        <Dialog visible={isDialogVisible} onDismiss={() => setIsDialogVisible(false)}>
+          <Dialog.Title>Select Currency</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView style={styles.list}>
+              <RadioButton.Group
+                onValueChange={code => {
+                  onChange(code);
+                  setIsDialogVisible(false);
+                }}
+                value={currency.code}
+              >
+                {codes.map(code => (
+                  <RadioButton.Item
+                    key={code}
+                    label={`${code} - ${getCurrency(code).name}`}
+                    value={code}
+                  />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setIsDialogVisible(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    marginBottom: 8,
+  },
+  list: {
+    maxHeight: 360,
+  },
+});
+
+export default CurrencyPicker;
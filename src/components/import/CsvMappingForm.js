@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Text, List, Switch, SegmentedButtons, Chip, Dialog, Portal, RadioButton, Button } from 'react-native-paper';
+import { DATE_FORMATS } from '../../utils/import/common';
+
+const NONE = 'none';
+
+// Mapping fields shown as column pickers; optional ones can be set to none
+const COLUMN_FIELDS = {
+  dateColumn: { label: 'Date', icon: 'calendar' },
+  payeeColumn: { label: 'Payee', icon: 'account' },
+  memoColumn: { label: 'Memo', icon: 'note-text-outline', optional: true },
+  amountColumn: { label: 'Amount', icon: 'cash' },
+  debitColumn: { label: 'Money Out', icon: 'cash-minus' },
+  creditColumn: { label: 'Money In', icon: 'cash-plus', optional: true },
+};
+
+// Edits a CSV column mapping (see DEFAULT_CSV_MAPPING) against the columns of the chosen file
+const CsvMappingForm = ({ mapping, onChange, columns }) => {
+  const [editingField, setEditingField] = useState(null);
+
+  const update = (changes) => onChange({ ...mapping, ...changes });
+
+  const amountFields = mapping.amountMode === 'debitCredit' ? ['debitColumn', 'creditColumn'] : ['amountColumn'];
+  const visibleFields = ['dateColumn', 'payeeColumn', 'memoColumn', ...amountFields];
+
+  const renderColumnPicker = (field) => {
+    const index = mapping[field];
+    return (
+      <TouchableOpacity key={field} onPress={() => setEditingField(field)}>
+        <List.Item
+          title={COLUMN_FIELDS[field].label}
+          description={index === null || index === undefined ? 'Not used' : columns[index] || `Column ${index + 1}`}
+          left={props => <List.Icon {...props} icon={COLUMN_FIELDS[field].icon} />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View>
+      <View style={styles.switchRow}>
+        <Text>First row is a header</Text>
+        <Switch value={mapping.hasHeader} onValueChange={hasHeader => update({ hasHeader })} />
+      </View>
+
+      {visibleFields.map(renderColumnPicker)}
+
+      <Text style={styles.label}>Date Format</Text>
+      <View style={styles.chips}>
+        {DATE_FORMATS.map(dateFormat => (
+          <Chip
+            key={dateFormat}
+            selected={mapping.dateFormat === dateFormat}
+            onPress={() => update({ dateFormat })}
+            style={styles.chip}
+          >
+            {dateFormat}
+          </Chip>
+        ))}
+      </View>
+
+      <Text style={styles.label}>Amounts</Text>
+      <SegmentedButtons
+        value={mapping.amountMode}
+        onValueChange={amountMode => update({ amountMode })}
+        buttons={[
+          { value: 'single', label: 'One Column' },
+          { value: 'debitCredit', label: 'In / Out Columns' },
+        ]}
+        style={styles.segment}
+      />
+      {mapping.amountMode === 'single' && (
+        <SegmentedButtons
+          value={mapping.amountSign}
+          onValueChange={amountSign => update({ amountSign })}
+          buttons={[
+            { value: 'inflowPositive', label: 'Deposits +' },
+            { value: 'outflowPositive', label: 'Payments +' },
+          ]}
+          style={styles.segment}
+        />
+      )}
+
+      <Text style={styles.label}>Decimal Separator</Text>
+      <SegmentedButtons
+        value={mapping.decimalSeparator}
+        onValueChange={decimalSeparator => update({ decimalSeparator })}
+        buttons={[
+          { value: '.', label: '1,234.56' },
+          { value: ',', label: '1.234,56' },
+        ]}
+        style={styles.segment}
+      />
+
+      <Portal>
+        <Dialog visible={editingField !== null} onDismiss={() => setEditingField(null)}>
+          <Dialog.Title>{editingField ? `${COLUMN_FIELDS[editingField].label} Column` : ''}</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView style={styles.columnList}>
+              <RadioButton.Group
+                onValueChange={value => {
+                  update({ [editingField]: value === NONE ? null : Number(value) });
+                  setEditingField(null);
+                }}
+                value={editingField && mapping[editingField] !== null ? String(mapping[editingField]) : NONE}
+              >
+                {editingField && COLUMN_FIELDS[editingField].optional && (
+                  <RadioButton.Item label="Not used" value={NONE} />
+                )}
+                {columns.map((column, index) => (
+                  <RadioButton.Item key={index} label={column} value={String(index)} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setEditingField(null)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  label: {
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  segment: {
+    marginBottom: 8,
+  },
+  columnList: {
+    maxHeight: 360,
+  },
+});
+
+export default CsvMappingForm;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, useTheme } from 'react-native-paper';
+import { format, parseISO } from 'date-fns';
+import { formatMoney } from '../../utils/money';
+
+// Assigned, activity and available for each month of a budget trend, with the
+// months that ended with less than nothing available highlighted.
+const BudgetTrendTable = ({ months, averages, currency }) => {
+  const theme = useTheme();
+  const money = (amount) => formatMoney(amount, { currency });
+
+  return (
+    <View style={styles.table}>
+      <View style={styles.row}>
+        <Text style={[styles.monthCell, styles.heading]}>Month</Text>
+        <Text style={[styles.cell, styles.heading]}>Assigned</Text>
+        <Text style={[styles.cell, styles.heading]}>Activity</Text>
+        <Text style={[styles.cell, styles.heading]}>Available</Text>
+      </View>
+      {months.map(entry => {
+        const isNegative = entry.available < 0;
+        return (
+          <View key={entry.month} style={[styles.row, isNegative && styles.negativeRow]}>
+            <Text style={styles.monthCell}>{format(parseISO(`${entry.month}-01`), 'MMM yyyy')}</Text>
+            <Text style={styles.cell}>{money(entry.assigned)}</Text>
+            <Text style={styles.cell}>{money(entry.activity)}</Text>
+            <Text style={[styles.cell, isNegative && { color: theme.colors.error, fontWeight: 'bold' }]}>
+              {money(entry.available)}
+            </Text>
+          </View>
+        );
+      })}
+      <View style={[styles.row, styles.averageRow]}>
+        <Text style={[styles.monthCell, styles.heading]}>Average</Text>
+        <Text style={[styles.cell, styles.heading]}>{money(averages.assigned)}</Text>
+        <Text style={[styles.cell, styles.heading]}>{money(averages.activity)}</Text>
+        <Text style={styles.cell} />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  table: {
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    paddingHorizontal: 4,
+  },
+  negativeRow: {
+    backgroundColor: '#FFEBEE',
+    borderRadius: 4,
+  },
+  averageRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  heading: {
+    fontWeight: 'bold',
+    color: '#757575',
+  },
+  monthCell: {
+    flex: 1.2,
+    fontSize: 12,
+  },
+  cell: {
+    flex: 1,
+    fontSize: 12,
+    textAlign: 'right',
+  },
+});
+
+export default BudgetTrendTable;
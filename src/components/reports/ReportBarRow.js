@@ -0,0 +1,68 @@
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text, useTheme } from 'react-native-paper';
+
+// A labelled amount with a bar showing its size against the largest row.
+// `fraction` is 0-1; `detail` is an optional second line under the label.
+const ReportBarRow = ({ label, amount, detail, fraction, color, onPress }) => {
+  const theme = useTheme();
+  const content = (
+    <View style={styles.row}>
+      <View style={styles.header}>
+        <View style={styles.labels}>
+          <Text style={styles.label} numberOfLines={1}>{label}</Text>
+          {detail ? <Text style={styles.detail}>{detail}</Text> : null}
+        </View>
+        <Text style={styles.amount}>{amount}</Text>
+      </View>
+      <View style={styles.track}>
+        <View
+          style={[
+            styles.bar,
+            { width: `${Math.round(Math.min(1, Math.max(0, fraction)) * 100)}%`, backgroundColor: color || theme.colors.primary },
+          ]}
+        />
+      </View>
+    </View>
+  );
+
+  return onPress ? <TouchableOpacity onPress={onPress}>{content}</TouchableOpacity> : content;
+};
+
+const styles = StyleSheet.create({
+  row: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  labels: {
+    flex: 1,
+    marginRight: 8,
+  },
+  label: {
+    fontSize: 15,
+  },
+  detail: {
+    fontSize: 12,
+    color: '#757575',
+  },
+  amount: {
+    fontWeight: '500',
+  },
+  track: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#eeeeee',
+    overflow: 'hidden',
+  },
+  bar: {
+    height: '100%',
+    borderRadius: 4,
+  },
+});
+
+export default ReportBarRow;
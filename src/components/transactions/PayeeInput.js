@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { TextInput, List, Divider } from 'react-native-paper';
+import { suggestPayees } from '../../utils/payees';
+
+// Payee text field that suggests known payees while typing. onSelect is called
+// with the payee record when a suggestion is picked. The parent ScrollView needs
+// keyboardShouldPersistTaps="handled" so a suggestion can be tapped with the keyboard up.
+const PayeeInput = ({ value, onChangeText, onSelect, payees, style }) => {
+  const [isTyping, setIsTyping] = useState(false);
+  const suggestions = isTyping ? suggestPayees(payees, value) : [];
+
+  return (
+    <View style={style}>
+      <TextInput
+        label="Payee"
+        value={value}
+        onChangeText={text => {
+          setIsTyping(true);
+          onChangeText(text);
+        }}
+        mode="outlined"
+      />
+      {suggestions.length > 0 && (
+        <View style={styles.suggestions}>
+          {suggestions.map((payee, index) => (
+            <View key={payee.id}>
+              {index > 0 && <Divider />}
+              <List.Item
+                title={payee.name}
+                left={props => <List.Icon {...props} icon="account-outline" />}
+                onPress={() => {
+                  setIsTyping(false);
+                  onSelect(payee);
+                }}
+                style={styles.suggestion}
+              />
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  suggestions: {
+    backgroundColor: '#ffffff',
+    borderRadius: 4,
+    elevation: 2,
+    marginTop: 4,
+  },
+  suggestion: {
+    paddingVertical: 2,
+  },
+});
+
+export default PayeeInput;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Text, List, Dialog, Portal, RadioButton, Button, SegmentedButtons, TextInput, Switch } from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format } from 'date-fns';
+import { FREQUENCIES, describeRecurrence, getNthWeekday } from '../../utils/recurrence';
+
+const NEVER = 'never';
+
+// Picks a recurrence rule ({ frequency, interval, nth_weekday, end_date, max_occurrences })
+// for a transaction starting on startDate, or null for one that doesn't repeat
+const RecurrencePicker = ({ value, onChange, startDate }) => {
+  const [isDialogVisible, setIsDialogVisible] = useState(false);
+  const [showEndDatePicker, setShowEndDatePicker] = useState(false);
+  const [draft, setDraft] = useState(value);
+  const [ends, setEnds] = useState('never');
+  const [countText, setCountText] = useState('');
+
+  const { nth, isLast } = getNthWeekday(startDate);
+  const weekdayOfMonth = isLast ? -1 : nth;
+
+  const openDialog = () => {
+    setDraft(value);
+    setEnds(value?.max_occurrences ? 'count' : value?.end_date ? 'date' : 'never');
+    setCountText(value?.max_occurrences ? String(value.max_occurrences) : '');
+    setIsDialogVisible(true);
+  };
+
+  const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const handleFrequencyChange = (frequency) => {
+    if (frequency === NEVER) {
+      setDraft(null);
+    } else {
+      updateDraft({ frequency, interval: 1, nth_weekday: null });
+    }
+  };
+
+  const handleDone = () => {
+    if (!draft) {
+      onChange(null);
+    } else {
+      const count = parseInt(countText, 10);
+      onChange({
+        ...draft,
+        end_date: ends === 'date' ? draft.end_date || startDate.getTime() : null,
+        max_occurrences: ends === 'count' && count > 0 ? count : null,
+      });
+    }
+    setIsDialogVisible(false);
+  };
+
+  const description = value ? describeRecurrence({ ...value, start_date: startDate.getTime() }) : 'Does not repeat';
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Repeat</Text>
+      <TouchableOpacity onPress={openDialog}>
+        <List.Item
+          title={description}
+          left={props => <List.Icon {...props} icon="calendar-sync" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </TouchableOpacity>
+
+      <Portal>
+        <Dialog visible={isDialogVisible} onDismiss={() => setIsDialogVisible(false)}>
+          <Dialog.Title>Repeat</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView style={styles.scrollArea}>
+              <RadioButton.Group
+                onValueChange={handleFrequencyChange}
+                value={draft ? draft.frequency : NEVER}
+              >
+                <RadioButton.Item label="Does not repeat" value={NEVER} />
+                {Object.keys(FREQUENCIES).map(frequency => (
+                  <RadioButton.Item key={frequency} label={FREQUENCIES[frequency].label} value={frequency} />
+                ))}
+              </RadioButton.Group>
+
+              {draft && draft.frequency === 'monthly' && (
+                <View style={styles.switchRow}>
+                  <Text style={styles.switchLabel}>
+                    {describeRecurrence({ frequency: 'monthly', nth_weekday: weekdayOfMonth, start_date: startDate.getTime() })}
+                  </Text>
+                  <Switch
+                    value={!!draft.nth_weekday}
+                    onValueChange={on => updateDraft({ nth_weekday: on ? weekdayOfMonth : null })}
+                  />
+                </View>
+              )}
+
+              {draft && (
+                <View style={styles.endsSection}>
+                  <Text style={styles.label}>Ends</Text>
+                  <SegmentedButtons
+                    value={ends}
+                    onValueChange={setEnds}
+                    buttons={[
+                      { value: 'never', label: 'Never' },
+                      { value: 'date', label: 'On Date' },
+                      { value: 'count', label: 'After' },
+                    ]}
+                  />
+                  {ends === 'date' && (
+                    <Button mode="outlined" icon="calendar" onPress={() => setShowEndDatePicker(true)} style={styles.endInput}>
+                      {format(new Date(draft.end_date || startDate), 'MMM d, yyyy')}
+                    </Button>
+                  )}
+                  {ends === 'count' && (
+                    <TextInput
+                      label="Number of times"
+                      value={countText}
+                      onChangeText={text => setCountText(text.replace(/[^0-9]/g, ''))}
+                      keyboardType="number-pad"
+                      mode="outlined"
+                      style={styles.endInput}
+                    />
+                  )}
+                  {showEndDatePicker && (
+                    <DateTimePicker
+                      value={new Date(draft.end_date || startDate)}
+                      mode="date"
+                      display="default"
+                      minimumDate={startDate}
+                      onChange={(event, selectedDate) => {
+                        setShowEndDatePicker(false);
+                        if (selectedDate) {
+                          updateDraft({ end_date: selectedDate.getTime() });
+                        }
+                      }}
+                    />
+                  )}
+                </View>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setIsDialogVisible(false)}>Cancel</Button>
+            <Button onPress={handleDone}>Done</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    marginBottom: 8,
+  },
+  scrollArea: {
+    maxHeight: 420,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: 8,
+  },
+  endsSection: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  endInput: {
+    marginTop: 8,
+  },
+});
+
+export default RecurrencePicker;
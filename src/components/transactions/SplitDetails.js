@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useSelector } from 'react-redux';
+import { getTransactionSplits } from '../../services/ledger';
+import { formatMoney } from '../../utils/money';
+
+// The split lines of a split transaction, shown when its register row is expanded.
+// updatedAt reloads the lines after the transaction is edited.
+const SplitDetails = ({ transactionId, updatedAt, currency, style }) => {
+  const categories = useSelector(state => state.categories?.categories || []);
+  const [splits, setSplits] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    getTransactionSplits(transactionId)
+      .then(data => {
+        if (isCurrent) setSplits(data);
+      })
+      .catch(error => console.error('Error loading transaction splits:', error));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [transactionId, updatedAt]);
+
+  if (!splits) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.container, style]}>
+      {splits.map(split => (
+        <View key={split.id} style={styles.row}>
+          <Text style={styles.category} numberOfLines={1}>
+            {categories.find(category => category.id === split.category_id)?.name || 'Unknown Category'}
+            {split.memo ? ` • ${split.memo}` : ''}
+          </Text>
+          <Text style={styles.amount}>{formatMoney(split.amount, { currency })}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  category: {
+    flex: 1,
+    fontSize: 13,
+    color: '#616161',
+    marginRight: 8,
+  },
+  amount: {
+    fontSize: 13,
+    color: '#616161',
+  },
+});
+
+export default SplitDetails;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Text, TextInput, IconButton, Button, List, Dialog, Portal, RadioButton, useTheme } from 'react-native-paper';
+import { parseMoney, formatMoney, getCurrency } from '../../utils/money';
+import { getSpendingCategories } from '../../utils/creditCards';
+
+let nextKey = 0;
+
+/**
+ * Create an empty split line for the editor
+ * @param {Object} fields - Initial category_id, amountText and memo
+ * @returns {Object} - Split line with a stable key
+ */
+export const createSplitLine = (fields = {}) => ({
+  key: `split-${nextKey++}`,
+  category_id: null,
+  amountText: '',
+  memo: '',
+  ...fields,
+});
+
+// Edits the split lines of a transaction. Lines are { key, category_id, amountText, memo }
+// with amounts as typed; the remaining amount is shown against totalAmount (minor units).
+const SplitEditor = ({ splits, onChange, categories, currency, totalAmount }) => {
+  const theme = useTheme();
+  const [editingKey, setEditingKey] = useState(null);
+
+  const updateLine = (key, changes) => {
+    onChange(splits.map(line => (line.key === key ? { ...line, ...changes } : line)));
+  };
+
+  const removeLine = (key) => {
+    onChange(splits.filter(line => line.key !== key));
+  };
+
+  const assigned = splits.reduce((sum, line) => {
+    const amount = parseMoney(line.amountText, currency);
+    return isNaN(amount) ? sum : sum + amount;
+  }, 0);
+  const remaining = (isNaN(totalAmount) ? 0 : totalAmount) - assigned;
+
+  return (
+    <View style={styles.container}>
+      {splits.map((line, index) => {
+        const category = categories.find(cat => cat.id === line.category_id);
+        return (
+          <View key={line.key} style={styles.line}>
+            <View style={styles.lineHeader}>
+              <Text style={styles.lineTitle}>Split {index + 1}</Text>
+              {splits.length > 2 && (
+                <IconButton icon="close" size={18} onPress={() => removeLine(line.key)} />
+              )}
+            </View>
+            <TouchableOpacity onPress={() => setEditingKey(line.key)}>
+              <List.Item
+                title={category ? category.name : 'Select Category'}
+                left={props => <List.Icon {...props} icon="folder" />}
+                right={props => <List.Icon {...props} icon="chevron-right" />}
+              />
+            </TouchableOpacity>
+            <TextInput
+              label="Amount"
+              value={line.amountText}
+              onChangeText={text => updateLine(line.key, { amountText: text.replace(/[^0-9.]/g, '') })}
+              keyboardType="decimal-pad"
+              mode="outlined"
+              dense
+              style={styles.input}
+              left={<TextInput.Affix text={getCurrency(currency).symbol} />}
+            />
+            <TextInput
+              label="Memo (optional)"
+              value={line.memo}
+              onChangeText={text => updateLine(line.key, { memo: text })}
+              mode="outlined"
+              dense
+              style={styles.input}
+            />
+          </View>
+        );
+      })}
+
+      <Button icon="plus" mode="text" onPress={() => onChange([...splits, createSplitLine()])}>
+        Add Split
+      </Button>
+      <Text style={[styles.remaining, remaining !== 0 && { color: theme.colors.error }]}>
+        {remaining === 0 ? 'Fully assigned' : `Remaining to assign: ${formatMoney(remaining, { currency })}`}
+      </Text>
+
+      <Portal>
+        <Dialog visible={editingKey !== null} onDismiss={() => setEditingKey(null)}>
+          <Dialog.Title>Select Category</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView style={styles.categoryList}>
+              <RadioButton.Group
+                onValueChange={value => {
+                  updateLine(editingKey, { category_id: value });
+                  setEditingKey(null);
+                }}
+                value={splits.find(line => line.key === editingKey)?.category_id || ''}
+              >
+                {getSpendingCategories(categories).map(category => (
+                  <RadioButton.Item key={category.id} label={category.name} value={category.id} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setEditingKey(null)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  line: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 8,
+  },
+  lineHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    minHeight: 36,
+  },
+  lineTitle: {
+    fontWeight: 'bold',
+  },
+  input: {
+    marginTop: 4,
+  },
+  remaining: {
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  categoryList: {
+    maxHeight: 360,
+  },
+});
+
+export default SplitEditor;
@@ -1,8 +1,13 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { View, StyleSheet, FlatList, TouchableOpacity, Dimensions } from 'react-native';
 import { Text, useTheme } from 'react-native-paper';
 import { format } from 'date-fns';
 import { useNavigation } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { formatMoney } from '../../utils/money';
+import { getClearedStatus } from '../../utils/reconciliation';
+import SplitDetails from './SplitDetails';
 
 const { width } = Dimensions.get('window');
 
@@ -15,6 +20,11 @@ const TransactionsList = ({
 }) => {
   const theme = useTheme();
   const navigation = useNavigation();
+  const accounts = useSelector(state => state.accounts.accounts);
+  
+  // Split transactions whose lines are shown
+  const [expandedSplits, setExpandedSplits] = useState({});
+  const toggleSplit = (id) => setExpandedSplits(current => ({ ...current, [id]: !current[id] }));
 
   // Use navigation from props if available, otherwise use hook
   const nav = propNavigation || navigation;
@@ -49,11 +59,14 @@ const TransactionsList = ({
 
   // Single transaction item renderer - used in both modes
   const renderTransactionItem = (item, index) => {
-    const isExpense = item.type === 'expense';
     const isTransfer = item.type === 'transfer';
-    const amountColor = isExpense ? theme.colors.error : theme.colors.success;
-    const amountPrefix = isExpense ? '-' : '+';
+    // Expenses and the outflow leg of a transfer take money out of the account
+    const isOutflow = item.type === 'expense' || (isTransfer && item.transfer_direction !== 'in');
+    const amountColor = isOutflow ? theme.colors.error : theme.colors.success;
+    const amountPrefix = isOutflow ? '-' : '+';
     const categoryColor = item.category?.color || '#757575';
+    // Amounts are in the currency of the transaction's account
+    const currency = accounts.find(account => account.id === item.account_id)?.currency;
 
     return (
       <TouchableOpacity 
@@ -73,22 +86,45 @@ const TransactionsList = ({
           {/* Transaction Details */}
           <View style={styles.detailsContainer}>
             <Text style={styles.payeeText}>{item.payee}</Text>
-            <Text style={styles.categoryText}>
-              {item.category?.name || 'Uncategorized'} 
-              {item.notes ? ` • ${item.notes}` : ''}
-            </Text>
+            {item.is_split ? (
+              <TouchableOpacity onPress={() => toggleSplit(item.id)} hitSlop={8}>
+                <Text style={[styles.categoryText, styles.splitLabel, { color: theme.colors.primary }]}>
+                  Split {expandedSplits[item.id] ? '▴' : '▾'}
+                  {item.notes ? ` • ${item.notes}` : ''}
+                </Text>
+              </TouchableOpacity>
+            ) : (
+              <Text style={styles.categoryText}>
+                {item.category?.name || (isTransfer ? 'Transfer' : 'Uncategorized')} 
+                {item.notes ? ` • ${item.notes}` : ''}
+              </Text>
+            )}
           </View>
           
           {/* Amount */}
           <View style={styles.amountContainer}>
             <Text style={[styles.amountText, { color: amountColor }]}>
-              {amountPrefix}${Math.abs(item.amount).toFixed(2)}
-            </Text>
-            <Text style={styles.dateText}>
-              {format(new Date(item.date), 'MMM d')}
+              {amountPrefix}{formatMoney(Math.abs(item.amount), { currency })}
             </Text>
+            <View style={styles.dateRow}>
+              {getClearedStatus(item) !== 'uncleared' && (
+                <MaterialCommunityIcons
+                  name={getClearedStatus(item) === 'reconciled' ? 'lock' : 'check-circle'}
+                  size={12}
+                  color={theme.colors.success}
+                  style={styles.clearedIcon}
+                />
+              )}
+              <Text style={styles.dateText}>
+                {format(new Date(item.date), 'MMM d')}
+              </Text>
+            </View>
           </View>
         </View>
+        
+        {item.is_split && expandedSplits[item.id] && (
+          <SplitDetails transactionId={item.id} updatedAt={item.updatedAt} currency={currency} style={styles.splitDetails} />
+        )}
       </TouchableOpacity>
     );
   };
@@ -176,6 +212,12 @@ const styles = StyleSheet.create({
     color: '#757575',
     marginTop: 2,
   },
+  splitLabel: {
+    fontWeight: '500',
+  },
+  splitDetails: {
+    paddingLeft: 52,
+  },
   amountContainer: {
     alignItems: 'flex-end',
     minWidth: 80,
@@ -184,10 +226,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  clearedIcon: {
+    marginRight: 4,
+  },
   dateText: {
     fontSize: 12,
     color: '#757575',
-    marginTop: 4,
   },
   emptyContainer: {
     padding: 20,
@@ -1,35 +1,61 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { database, setupDatabase } from '../db/setup';
-import { ActivityIndicator, View } from 'react-native';
+import { ActivityIndicator, Text, View } from 'react-native';
 
 // Create context
 const DatabaseContext = createContext(database);
 
-// Provider component
-export const DatabaseProvider = ({ children }) => {
+// Provider component - storageAdapter ('asyncStorage' or 'watermelon') overrides the
+// backend chosen in settings, see saveStorageAdapterSetting
+export const DatabaseProvider = ({ children, storageAdapter }) => {
   const [isReady, setIsReady] = useState(false);
   const [isError, setIsError] = useState(false);
+  const [attempt, setAttempt] = useState(0);
 
   useEffect(() => {
     // Move database initialization to a non-blocking operation
     const timer = setTimeout(() => {
       const initializeDatabase = async () => {
         try {
-          await setupDatabase();
-          setIsReady(true);
+          if (await setupDatabase({ adapter: storageAdapter })) {
+            setIsReady(true);
+            return;
+          }
+          console.error('Database setup did not complete');
         } catch (error) {
           console.error('Failed to initialize database:', error);
-          setIsError(true);
-          // Continue anyway to allow app to function
-          setIsReady(true); 
         }
+        // The app stays on the error screen so nothing writes over data that
+        // could not be loaded or migrated
+        setIsError(true);
       };
   
       initializeDatabase();
     }, 10); // Small delay to allow UI to render first
     
     return () => clearTimeout(timer);
-  }, []);
+  }, [attempt]);
+
+  const handleRetry = () => {
+    setIsError(false);
+    setAttempt(attempt + 1);
+  };
+
+  if (isError) {
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20, backgroundColor: '#fff' }}>
+        <Text style={{ fontSize: 18, fontWeight: 'bold', marginBottom: 20 }}>
+          Your data could not be loaded
+        </Text>
+        <Text style={{ fontSize: 14, marginBottom: 20, textAlign: 'center' }}>
+          Nothing has been changed. Try again, or restart the app.
+        </Text>
+        <Text onPress={handleRetry} style={{ color: '#2196F3', padding: 10 }}>
+          Try again
+        </Text>
+      </View>
+    );
+  }
 
   if (!isReady) {
     return (
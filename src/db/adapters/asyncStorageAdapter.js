@@ -0,0 +1,114 @@
+// AsyncStorage storage adapter. Every record lives under its own key
+// (`transactions:<id>`) and each collection keeps the list of its record IDs
+// under `transactions:ids`, so a commit only writes the records that changed.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const recordKey = (collection, id) => `${collection}:${id}`;
+const idsKey = (collection) => `${collection}:ids`;
+
+// Add operation queue to prevent concurrent AsyncStorage operations
+const operationQueue = {
+  queue: [],
+  isProcessing: false,
+  
+  add: function(operation) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ operation, resolve, reject });
+      if (!this.isProcessing) {
+        this.processNext();
+      }
+    });
+  },
+  
+  processNext: async function() {
+    if (this.queue.length === 0) {
+      this.isProcessing = false;
+      return;
+    }
+    
+    this.isProcessing = true;
+    const { operation, resolve, reject } = this.queue.shift();
+    
+    try {
+      const result = await operation();
+      resolve(result);
+    } catch (error) {
+      reject(error);
+    } finally {
+      // Process next operation after a small delay
+      setTimeout(() => this.processNext(), 5);
+    }
+  }
+};
+
+// Older versions stored the whole collection as one JSON array under its name.
+// Split it into per-record keys the first time the collection is loaded.
+const convertLegacyCollection = async (name) => {
+  const value = await AsyncStorage.getItem(name);
+  let records = value ? JSON.parse(value) : [];
+  
+  if (!Array.isArray(records)) {
+    console.warn(`${name} data is not an array, resetting`);
+    records = [];
+  }
+  records = records.filter(record => record && record.id);
+  
+  await AsyncStorage.multiSet([
+    ...records.map(record => [recordKey(name, record.id), JSON.stringify(record)]),
+    [idsKey(name), JSON.stringify(records.map(record => record.id))]
+  ]);
+  if (value !== null) {
+    await AsyncStorage.removeItem(name);
+    console.log(`Converted ${records.length} ${name} records to record-level storage`);
+  }
+  
+  return records;
+};
+
+export const asyncStorageAdapter = {
+  name: 'asyncStorage',
+  
+  // Load a collection's records in stored order
+  loadRecords: (name) => operationQueue.add(async () => {
+    const idsValue = await AsyncStorage.getItem(idsKey(name));
+    if (idsValue === null) {
+      return convertLegacyCollection(name);
+    }
+    
+    const ids = JSON.parse(idsValue);
+    if (!ids.length) return [];
+    
+    const entries = await AsyncStorage.multiGet(ids.map(id => recordKey(name, id)));
+    return entries
+      .map(([, value]) => (value ? JSON.parse(value) : null))
+      .filter(Boolean);
+  }),
+  
+  getValue: (key) => operationQueue.add(() => AsyncStorage.getItem(key)),
+  
+  // Write a changeset in a single multiSet
+  commit: async ({ collections, values }) => {
+    const writes = Object.keys(values).map(key => [key, values[key]]);
+    const removals = [];
+    
+    Object.keys(collections).forEach(name => {
+      const { put, remove, ids } = collections[name];
+      put.forEach(record => writes.push([recordKey(name, record.id), JSON.stringify(record)]));
+      remove.forEach(id => removals.push(recordKey(name, id)));
+      if (ids) {
+        writes.push([idsKey(name), JSON.stringify(ids)]);
+      }
+    });
+    
+    if (writes.length) {
+      await operationQueue.add(() => AsyncStorage.multiSet(writes));
+    }
+    
+    // The ID lists no longer reference removed records, so a failed cleanup only leaves orphans
+    if (removals.length) {
+      await operationQueue.add(() => AsyncStorage.multiRemove(removals)).catch(error => {
+        console.warn('Failed to remove deleted records from storage:', error);
+      });
+    }
+  },
+};
@@ -0,0 +1,132 @@
+// WatermelonDB storage adapter - SQLite on device, LokiJS (IndexedDB) on web.
+// Each record is kept as a JSON payload in a row of its collection's table, so
+// data migrations in migrations.js never need a SQLite schema change - only
+// new collections do. Reads and queries still go through the shared memory
+// cache in setup.js.
+import { Platform } from 'react-native';
+import { Database, Model, Q, appSchema, tableSchema } from '@nozbe/watermelondb';
+import { schemaMigrations, createTable } from '@nozbe/watermelondb/Schema/migrations';
+import SQLiteAdapter from '@nozbe/watermelondb/adapters/sqlite';
+import LokiJSAdapter from '@nozbe/watermelondb/adapters/lokijs';
+import { schemas } from '../schema';
+
+// Version of the table layout below, not of the data inside the payloads
+const STORAGE_SCHEMA_VERSION = 7;
+
+// Tables added to schemas after the first storage version, by the version that
+// created them. Existing databases get them through a WatermelonDB migration.
+const ADDED_TABLES = {
+  2: ['exchange_rates', 'settings'],
+  3: ['scheduled_transactions'],
+  4: ['transaction_splits'],
+  5: ['payees', 'payee_rules'],
+  6: ['transaction_rules'],
+  7: ['net_worth_snapshots'],
+};
+
+const PAYLOAD_COLUMNS = [{ name: 'payload', type: 'string' }];
+
+const storageSchema = appSchema({
+  version: STORAGE_SCHEMA_VERSION,
+  tables: schemas.map(schema => tableSchema({
+    name: schema.name,
+    columns: PAYLOAD_COLUMNS,
+  })),
+});
+
+const storageMigrations = schemaMigrations({
+  migrations: Object.keys(ADDED_TABLES).map(version => ({
+    toVersion: Number(version),
+    steps: ADDED_TABLES[version].map(name => createTable({ name, columns: PAYLOAD_COLUMNS })),
+  })),
+});
+
+const modelClasses = schemas.map(schema => class extends Model {
+  static table = schema.name;
+});
+
+const parsePayload = (row) => {
+  try {
+    return JSON.parse(row._raw.payload);
+  } catch (error) {
+    console.error(`Skipping unreadable ${row.table} record ${row.id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Create a storage adapter backed by WatermelonDB
+ * @param {Object} options - Adapter options
+ * @param {string} options.dbName - Database name
+ * @returns {Object} - Storage adapter
+ */
+export const createWatermelonAdapter = ({ dbName = 'budget' } = {}) => {
+  const adapter = Platform.OS === 'web'
+    ? new LokiJSAdapter({
+        schema: storageSchema,
+        migrations: storageMigrations,
+        dbName,
+        useWebWorker: false,
+        useIncrementalIndexedDB: true,
+      })
+    : new SQLiteAdapter({
+        schema: storageSchema,
+        migrations: storageMigrations,
+        dbName,
+        jsi: true,
+      });
+  const watermelon = new Database({ adapter, modelClasses });
+
+  return {
+    name: 'watermelon',
+
+    loadRecords: async (name) => {
+      const rows = await watermelon.get(name).query().fetch();
+      return rows.map(parsePayload).filter(Boolean);
+    },
+
+    getValue: async (key) => {
+      const value = await watermelon.localStorage.get(key);
+      return value === undefined ? null : value;
+    },
+
+    // Apply a changeset in a single WatermelonDB batch
+    commit: async ({ collections, values }) => {
+      await watermelon.write(async () => {
+        const operations = [];
+
+        for (const name of Object.keys(collections)) {
+          const { put, remove } = collections[name];
+          const collection = watermelon.get(name);
+          const ids = [...put.map(record => record.id), ...remove];
+          if (!ids.length) continue;
+
+          const rows = await collection.query(Q.where('id', Q.oneOf(ids))).fetch();
+          const rowsById = new Map(rows.map(row => [row.id, row]));
+
+          put.forEach(record => {
+            const payload = JSON.stringify(record);
+            const row = rowsById.get(record.id);
+            operations.push(row
+              ? row.prepareUpdate(updated => { updated._setRaw('payload', payload); })
+              : collection.prepareCreateFromDirtyRaw({ id: record.id, payload }));
+          });
+
+          remove.forEach(id => {
+            const row = rowsById.get(id);
+            if (row) operations.push(row.prepareDestroyPermanently());
+          });
+        }
+
+        if (operations.length) {
+          await watermelon.batch(operations);
+        }
+
+        // Local storage is written after the batch, so values are only recorded once the data is in
+        for (const key of Object.keys(values)) {
+          await watermelon.localStorage.set(key, values[key]);
+        }
+      });
+    },
+  };
+};
@@ -0,0 +1,261 @@
+// Schema migrations for persisted data.
+// Each migration moves the stored data to `toVersion` and runs in its own
+// database transaction together with the version bump, so a failed migration
+// leaves the data and the stored version exactly as they were.
+// Keep migrations ordered and never edit one that has shipped - add a new one.
+import { schemaVersion } from './schema';
+import { toMinorUnits, DEFAULT_CURRENCY } from '../utils/money';
+import { cleanPayeeName, payeeKey, hasPayee } from '../utils/payees';
+import {
+  PAYMENT_CATEGORY_ICON,
+  PAYMENT_CATEGORY_COLOR,
+  isCreditAccount,
+  paymentCategoryName
+} from '../utils/creditCards';
+
+/**
+ * Build a step that rewrites every record in a collection
+ * @param {string} collection - Collection name
+ * @param {function} transform - Receives a copy of a record and returns the new version
+ * @returns {function} - Migration step
+ */
+export const updateRecords = (collection, transform) => async ({ getRecords, putRecord }) => {
+  const records = await getRecords(collection);
+
+  for (const record of records) {
+    const updated = transform({ ...record });
+    // Only rewrite records the step actually changed
+    if (updated && JSON.stringify(updated) !== JSON.stringify(record)) {
+      await putRecord(collection, updated);
+    }
+  }
+};
+
+/**
+ * Build a step that renames a field, keeping the new field's value if both exist
+ * @param {string} collection - Collection name
+ * @param {string} from - Old field name
+ * @param {string} to - New field name
+ * @returns {function} - Migration step
+ */
+export const renameField = (collection, from, to) => updateRecords(collection, record => {
+  if (Object.prototype.hasOwnProperty.call(record, from)) {
+    if (record[to] === undefined) {
+      record[to] = record[from];
+    }
+    delete record[from];
+  }
+  return record;
+});
+
+/**
+ * Build a step that adds a field to records that don't have it
+ * @param {string} collection - Collection name
+ * @param {string} field - Field name
+ * @param {*} defaultValue - Value to backfill, or a function of the record returning it
+ * @returns {function} - Migration step
+ */
+export const addField = (collection, field, defaultValue) => updateRecords(collection, record => {
+  if (record[field] === undefined) {
+    record[field] = typeof defaultValue === 'function' ? defaultValue(record) : defaultValue;
+  }
+  return record;
+});
+
+// Convert float amounts in major units to integer minor units
+const convertToMinorUnits = (collection, fields) => updateRecords(collection, record => {
+  fields.forEach(field => {
+    if (record[field] === undefined || record[field] === null) return;
+    const amount = Number(record[field]);
+    record[field] = Number.isFinite(amount) ? toMinorUnits(amount) : 0;
+  });
+  return record;
+});
+
+// Turn each single-record transfer into an outflow in the source account and
+// a linked inflow in the destination, named after the account on the other side
+const splitTransfers = async ({ getRecords, putRecord }) => {
+  const accountNames = {};
+  (await getRecords('accounts')).forEach(account => {
+    accountNames[account.id] = account.name;
+  });
+
+  const transactions = await getRecords('transactions');
+  for (const transaction of transactions) {
+    if (transaction.type !== 'transfer' || transaction.transfer_id) continue;
+
+    const inflowId = `${transaction.id}-in`;
+    const received = transaction.transfer_amount !== undefined && transaction.transfer_amount !== null ?
+      transaction.transfer_amount : transaction.amount;
+    // The payee used to be free text - keep it with the notes
+    const notes = [transaction.payee, transaction.notes].filter(Boolean).join(' - ');
+
+    await putRecord('transactions', {
+      ...transaction,
+      payee: `Transfer to ${accountNames[transaction.transfer_account_id] || 'Unknown Account'}`,
+      notes,
+      transfer_id: inflowId,
+      transfer_direction: 'out',
+      transfer_amount: received,
+      category_id: null,
+      budget_amount: null,
+    });
+    await putRecord('transactions', {
+      ...transaction,
+      id: inflowId,
+      account_id: transaction.transfer_account_id,
+      amount: received,
+      payee: `Transfer from ${accountNames[transaction.account_id] || 'Unknown Account'}`,
+      notes,
+      transfer_id: transaction.id,
+      transfer_account_id: transaction.account_id,
+      transfer_direction: 'in',
+      transfer_amount: transaction.amount,
+      category_id: null,
+      budget_amount: null,
+    });
+  }
+};
+
+// Create a payee for every name used on transactions, spelled as it was most
+// recently, remembering the category of the latest categorised expense
+const createPayees = async ({ getRecords, putRecord }) => {
+  const existing = new Set((await getRecords('payees')).map(payee => payeeKey(payee.name)));
+  const transactions = (await getRecords('transactions'))
+    .filter(hasPayee)
+    .sort((a, b) => a.date - b.date);
+
+  const payees = {};
+  transactions.forEach(transaction => {
+    const key = payeeKey(transaction.payee);
+    if (existing.has(key)) return;
+
+    const payee = payees[key] || (payees[key] = { default_category_id: null });
+    payee.name = cleanPayeeName(transaction.payee);
+    if (transaction.type === 'expense' && transaction.category_id) {
+      payee.default_category_id = transaction.category_id;
+    }
+  });
+
+  const now = new Date().toISOString();
+  const base = Date.now();
+  for (const [index, payee] of Object.values(payees).entries()) {
+    await putRecord('payees', { id: `${base}-payee-${index}`, ...payee, createdAt: now, updatedAt: now });
+  }
+};
+
+// Give every credit account a payment category. Earlier card spending stays
+// where it was budgeted; the payment category starts empty.
+const createPaymentCategories = async ({ getRecords, putRecord }) => {
+  const categories = await getRecords('categories');
+  const now = new Date().toISOString();
+  for (const account of (await getRecords('accounts')).filter(isCreditAccount)) {
+    if (categories.some(category => category.credit_account_id === account.id)) continue;
+
+    await putRecord('categories', {
+      id: `${account.id}-payment`,
+      name: paymentCategoryName(account),
+      icon: PAYMENT_CATEGORY_ICON,
+      color: PAYMENT_CATEGORY_COLOR,
+      credit_account_id: account.id,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+};
+
+export const migrations = [
+  {
+    toVersion: 1,
+    description: 'Backfill fields that older records are missing',
+    steps: [
+      addField('accounts', 'accountType', 'checking'),
+      addField('accounts', 'initialBalance', account => account.currentBalance || 0),
+      addField('category_budgets', 'startingBalance', 0),
+      addField('transactions', 'category_id', null),
+      addField('transactions', 'transfer_account_id', null),
+      // Some screens stored transaction dates as ISO strings
+      updateRecords('transactions', transaction => {
+        if (typeof transaction.date === 'string') {
+          const timestamp = new Date(transaction.date).getTime();
+          if (!isNaN(timestamp)) {
+            transaction.date = timestamp;
+          }
+        }
+        return transaction;
+      }),
+    ],
+  },
+  {
+    toVersion: 2,
+    description: 'Store amounts as integer minor units',
+    steps: [
+      convertToMinorUnits('accounts', ['initialBalance', 'currentBalance']),
+      convertToMinorUnits('category_budgets', ['assigned', 'available', 'startingBalance']),
+      convertToMinorUnits('transactions', ['amount']),
+    ],
+  },
+  {
+    toVersion: 3,
+    description: 'Add account currencies and record both sides of converted amounts',
+    steps: [
+      addField('accounts', 'currency', DEFAULT_CURRENCY),
+      // Everything so far was in one currency, so both sides are the same amount
+      addField('transactions', 'transfer_amount', transaction =>
+        transaction.type === 'transfer' ? transaction.amount : null),
+      addField('transactions', 'budget_amount', transaction =>
+        transaction.type === 'expense' && transaction.category_id ? transaction.amount : null),
+    ],
+  },
+  {
+    toVersion: 4,
+    description: 'Store transfers as linked outflow and inflow transactions',
+    steps: [
+      splitTransfers,
+      addField('transactions', 'transfer_id', null),
+      addField('transactions', 'transfer_direction', null),
+    ],
+  },
+  {
+    toVersion: 5,
+    description: 'Create payees from the payees used on transactions',
+    steps: [
+      createPayees,
+    ],
+  },
+  {
+    toVersion: 6,
+    description: 'Add cleared status to transactions for reconciling accounts',
+    steps: [
+      // Opening balances and balance adjustments were taken from the bank's figure
+      addField('transactions', 'cleared_status', transaction =>
+        transaction.payee === 'Initial Balance' || transaction.payee === 'Balance Adjustment' ? 'cleared' : 'uncleared'),
+    ],
+  },
+  {
+    toVersion: 7,
+    description: 'Add a payment category for each credit card',
+    steps: [
+      createPaymentCategories,
+    ],
+  },
+  {
+    toVersion: 8,
+    description: 'Add the on-budget flag to accounts',
+    steps: [
+      // Every existing account was counted in the budget, so it stays there
+      addField('accounts', 'onBudget', true),
+    ],
+  },
+  {
+    toVersion: 9,
+    description: 'Add goals to categories',
+    steps: [
+      addField('categories', 'goal_amount', null),
+    ],
+  },
+];
+
+if (migrations[migrations.length - 1].toVersion !== schemaVersion) {
+  console.warn(`Schema version ${schemaVersion} has no matching migration`);
+}
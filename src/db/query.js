@@ -1,9 +1,23 @@
 // Simple mock of WatermelonDB's Query operators for AsyncStorage implementation
 
+// Comparison objects returned by Q.gt(), Q.like() etc. when passed as where()'s second argument
+const isComparison = (value) => {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.operator === 'string' && value.type === undefined;
+};
+
 export const Q = {
   where: (field, operator, value) => {
     if (value === undefined && operator !== undefined) {
-      // Handle the shorthand where(field, value) syntax
+      // Handle where(field, Q.gt(x)) and the shorthand where(field, value) syntax
+      if (isComparison(operator)) {
+        return {
+          type: 'where',
+          field,
+          operator: operator.operator,
+          value: operator.value
+        };
+      }
       return {
         type: 'where',
         field,
@@ -18,135 +32,246 @@ export const Q = {
       value
     };
   },
-  
+
+  // Group conditions - every one (and) or at least one (or) must match
+  and: (...conditions) => ({
+    type: 'and',
+    conditions
+  }),
+
+  or: (...conditions) => ({
+    type: 'or',
+    conditions
+  }),
+
+  // Accepts a direction string or Q.asc()/Q.desc()
   sortBy: (field, direction = 'asc') => ({
     type: 'sortBy',
     field,
-    direction
+    direction: typeof direction === 'object' && direction !== null ? direction.direction : direction
   }),
-  
+
   take: (count) => ({
     type: 'take',
     count
   }),
-  
+
   skip: (count) => ({
     type: 'skip',
     count
   }),
-  
+
   desc: (field) => ({
     type: 'sortBy',
     field,
     direction: 'desc'
   }),
-  
+
   asc: (field) => ({
     type: 'sortBy',
     field,
     direction: 'asc'
   }),
-  
+
   gt: (value) => ({
     operator: '>',
     value
   }),
-  
+
   gte: (value) => ({
     operator: '>=',
     value
   }),
-  
+
   lt: (value) => ({
     operator: '<',
     value
   }),
-  
+
   lte: (value) => ({
     operator: '<=',
     value
   }),
-  
+
   eq: (value) => ({
     operator: '=',
     value
   }),
-  
+
   notEq: (value) => ({
     operator: '!=',
     value
   }),
-  
+
   oneOf: (values) => ({
     operator: 'oneOf',
     value: values
   }),
+
+  notIn: (values) => ({
+    operator: 'notIn',
+    value: values
+  }),
+
+  // Inclusive range
+  between: (min, max) => ({
+    operator: 'between',
+    value: [min, max]
+  }),
+
+  // Case-insensitive SQL-style pattern: % matches any run of characters, _ a single one
+  like: (pattern) => ({
+    operator: 'like',
+    value: pattern
+  }),
+
+  notLike: (pattern) => ({
+    operator: 'notLike',
+    value: pattern
+  }),
+
+  // Escape user input before building a like() pattern from it
+  sanitizeLikeString: (value) => String(value).replace(/[%_\\]/g, '\\$&'),
+};
+
+const likePatternCache = new Map();
+
+const likeToRegExp = (pattern) => {
+  if (!likePatternCache.has(pattern)) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '\\' && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (char === '%') {
+        source += '[\\s\\S]*';
+      } else if (char === '_') {
+        source += '[\\s\\S]';
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    likePatternCache.set(pattern, new RegExp(`^${source}$`, 'i'));
+  }
+  return likePatternCache.get(pattern);
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Check a single where condition against a record
+const matchesWhere = (item, { field, operator, value }) => {
+  const itemValue = item[field];
+
+  // Null checks: where(field, null) and where(field, Q.notEq(null))
+  if (value === null) {
+    if (operator === '=') return isMissing(itemValue);
+    if (operator === '!=') return !isMissing(itemValue);
+  }
+
+  // Handle null or undefined item values
+  if (isMissing(itemValue)) {
+    switch (operator) {
+      case '!=':
+        return true;
+      case 'notIn':
+        return Array.isArray(value) && !value.includes(null);
+      case 'notLike':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  switch (operator) {
+    case '=':
+      return itemValue === value;
+    case '!=':
+      return itemValue !== value;
+    case '>':
+      return itemValue > value;
+    case '>=':
+      return itemValue >= value;
+    case '<':
+      return itemValue < value;
+    case '<=':
+      return itemValue <= value;
+    case 'oneOf':
+      return Array.isArray(value) && value.includes(itemValue);
+    case 'notIn':
+      return Array.isArray(value) && !value.includes(itemValue);
+    case 'between':
+      return Array.isArray(value) && itemValue >= value[0] && itemValue <= value[1];
+    case 'like':
+      return likeToRegExp(value).test(String(itemValue));
+    case 'notLike':
+      return !likeToRegExp(value).test(String(itemValue));
+    default:
+      return true;
+  }
+};
+
+const matchesCondition = (item, condition) => {
+  switch (condition.type) {
+    case 'where':
+      return matchesWhere(item, condition);
+    case 'and':
+      return condition.conditions.every(nested => !nested || matchesCondition(item, nested));
+    case 'or':
+      return condition.conditions.some(nested => nested && matchesCondition(item, nested));
+    default:
+      return true;
+  }
+};
+
+// Missing values sort after present ones in either direction
+const compareValues = (a, b) => {
+  if (isMissing(a) || isMissing(b)) {
+    if (isMissing(a) && isMissing(b)) return 0;
+    return isMissing(a) ? 1 : -1;
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
 };
 
 // Helper function to apply query conditions to data
 export function applyQuery(data, conditions = []) {
   if (!Array.isArray(data)) return [];
   if (!conditions.length) return data;
-  
+
   let result = [...data];
-  
-  // Apply where conditions
-  const whereConditions = conditions.filter(c => c && c.type === 'where');
-  if (whereConditions.length) {
-    result = result.filter(item => {
-      return whereConditions.every(condition => {
-        const { field, operator, value } = condition;
-        
-        // Handle null or undefined item values
-        if (item[field] === undefined || item[field] === null) {
-          return operator === '!=' ? value !== null : false;
-        }
-        
-        switch (operator) {
-          case '=':
-            return item[field] === value;
-          case '!=':
-            return item[field] !== value;
-          case '>':
-            return item[field] > value;
-          case '>=':
-            return item[field] >= value;
-          case '<':
-            return item[field] < value;
-          case '<=':
-            return item[field] <= value;
-          case 'oneOf':
-            return Array.isArray(value) && value.includes(item[field]);
-          default:
-            return true;
-        }
-      });
-    });
+
+  // Apply where conditions, including and/or groups
+  const filterConditions = conditions.filter(c => c && ['where', 'and', 'or'].includes(c.type));
+  if (filterConditions.length) {
+    result = result.filter(item => filterConditions.every(condition => matchesCondition(item, condition)));
   }
-  
-  // Apply sorting
+
+  // Apply sorting - the sort is stable, so ties keep their stored order
   const sortConditions = conditions.filter(c => c && c.type === 'sortBy');
   if (sortConditions.length) {
     result.sort((a, b) => {
       for (const { field, direction } of sortConditions) {
-        if (a[field] === undefined || b[field] === undefined) continue;
-        if (a[field] < b[field]) return direction === 'asc' ? -1 : 1;
-        if (a[field] > b[field]) return direction === 'asc' ? 1 : -1;
+        const order = compareValues(a[field], b[field]);
+        if (order === 0) continue;
+        // Missing values stay last whatever the direction
+        if (isMissing(a[field]) || isMissing(b[field])) return order;
+        return direction === 'desc' ? -order : order;
       }
       return 0;
     });
   }
-  
+
   // Apply pagination
   const skip = conditions.find(c => c && c.type === 'skip')?.count || 0;
   if (skip) {
     result = result.slice(skip);
   }
-  
+
   const take = conditions.find(c => c && c.type === 'take')?.count;
   if (take !== undefined) {
     result = result.slice(0, take);
   }
-  
+
   return result;
 }
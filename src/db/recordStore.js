@@ -0,0 +1,152 @@
+// In-memory store for a single collection: records keyed by ID plus secondary
+// indexes on the columns schema.js marks as isIndexed. Queries use the indexes
+// to narrow the candidates for equality and oneOf filters before applyQuery runs.
+import { schemas } from './schema';
+
+// Indexed column names for each collection, e.g. { transactions: ['account_id', 'category_id'] }
+export const INDEXED_COLUMNS = schemas.reduce((indexed, schema) => {
+  indexed[schema.name] = schema.columns
+    .filter(column => column.isIndexed)
+    .map(column => column.name);
+  return indexed;
+}, {});
+
+// Missing values are indexed under null so they can be unindexed reliably
+const toIndexKey = (value) => (value === undefined ? null : value);
+
+const isIndexableValue = (value) => {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+};
+
+/**
+ * Create a record store for a collection
+ * @param {string} name - Collection name
+ * @param {Array} records - Records loaded from storage, in stored order
+ * @returns {Object} - Record store
+ */
+export const createRecordStore = (name, records = []) => {
+  const columns = INDEXED_COLUMNS[name] || [];
+  let byId = new Map();
+  // Insertion sequence per record, so index lookups return records in stored order
+  const sequence = new Map();
+  let nextSequence = 0;
+  const indexes = {};
+  columns.forEach(column => {
+    indexes[column] = new Map();
+  });
+
+  const addToIndexes = (record) => {
+    columns.forEach(column => {
+      const key = toIndexKey(record[column]);
+      if (!indexes[column].has(key)) {
+        indexes[column].set(key, new Set());
+      }
+      indexes[column].get(key).add(record.id);
+    });
+  };
+
+  const removeFromIndexes = (record) => {
+    columns.forEach(column => {
+      const key = toIndexKey(record[column]);
+      const ids = indexes[column].get(key);
+      if (!ids) return;
+      ids.delete(record.id);
+      if (ids.size === 0) {
+        indexes[column].delete(key);
+      }
+    });
+  };
+
+  // Find the IDs matching every indexed equality/oneOf condition, or null if none apply
+  const lookup = (conditions) => {
+    let matches = null;
+
+    conditions.forEach(condition => {
+      if (!condition || condition.type !== 'where' || !indexes[condition.field]) return;
+
+      let keys;
+      if (condition.operator === '=' && isIndexableValue(condition.value)) {
+        keys = [condition.value];
+      } else if (condition.operator === 'oneOf' && Array.isArray(condition.value)) {
+        keys = condition.value.filter(isIndexableValue);
+      } else {
+        return;
+      }
+
+      const ids = new Set();
+      keys.forEach(key => {
+        const indexed = indexes[condition.field].get(key);
+        if (indexed) indexed.forEach(id => ids.add(id));
+      });
+
+      matches = matches ? new Set([...matches].filter(id => ids.has(id))) : ids;
+    });
+
+    return matches;
+  };
+
+  const store = {
+    name,
+
+    get: (id) => byId.get(id) || null,
+
+    count: () => byId.size,
+
+    ids: () => [...byId.keys()],
+
+    all: () => [...byId.values()],
+
+    // Snapshot of a record's current state, used to roll back a transaction
+    entry: (id) => {
+      return byId.has(id) ? { record: byId.get(id), sequence: sequence.get(id) } : undefined;
+    },
+
+    // Insert or replace a record, keeping the indexes in sync
+    put: (record, recordSequence) => {
+      const existing = byId.get(record.id);
+      if (existing) {
+        removeFromIndexes(existing);
+      } else {
+        sequence.set(record.id, recordSequence !== undefined ? recordSequence : nextSequence++);
+      }
+      byId.set(record.id, record);
+      addToIndexes(record);
+    },
+
+    remove: (id) => {
+      const existing = byId.get(id);
+      if (!existing) return false;
+      removeFromIndexes(existing);
+      byId.delete(id);
+      sequence.delete(id);
+      return true;
+    },
+
+    // Put back the records captured with entry(), restoring their original order
+    restore: (entries) => {
+      entries.forEach((entry, id) => {
+        store.remove(id);
+        if (entry) {
+          store.put(entry.record, entry.sequence);
+        }
+      });
+      byId = new Map([...byId].sort(([a], [b]) => sequence.get(a) - sequence.get(b)));
+    },
+
+    // Records that may match the conditions - narrowed by index where possible
+    select: (conditions = []) => {
+      const ids = lookup(conditions);
+      if (!ids) return store.all();
+
+      return [...ids]
+        .sort((a, b) => sequence.get(a) - sequence.get(b))
+        .map(id => byId.get(id));
+    },
+  };
+
+  records.forEach(record => {
+    if (record && record.id) store.put(record);
+  });
+
+  return store;
+};
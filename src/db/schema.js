@@ -2,15 +2,28 @@ import { Model } from '@nozbe/watermelondb';
 import { field, date, children, relation } from '@nozbe/watermelondb/decorators';
 
 // Schema definitions
+// Column names match the fields stored on records. Bump schemaVersion and add
+// a migration in migrations.js whenever stored fields change.
+// Amounts (balances, assigned, available, amount) are integer minor units - see utils/money.js.
+// Account and transaction amounts are in the account's currency, budget amounts in the home currency.
+export const schemaVersion = 9;
+
 export const accountSchema = {
   name: 'accounts',
   columns: [
     { name: 'name', type: 'string' },
-    { name: 'type', type: 'string' },
-    { name: 'initial_balance', type: 'number' },
-    { name: 'current_balance', type: 'number' },
-    { name: 'created_at', type: 'number' },
-    { name: 'updated_at', type: 'number' },
+    { name: 'accountType', type: 'string' }, // See ACCOUNT_TYPES in utils/accounts.js
+    // Tracking accounts (false) are left out of the budget
+    { name: 'onBudget', type: 'boolean' },
+    // Balances are what the account holds, so a credit card's or loan's is negative when money is owed
+    { name: 'initialBalance', type: 'number' },
+    { name: 'currentBalance', type: 'number' },
+    { name: 'currency', type: 'string' }, // ISO 4217 code, e.g. 'USD'
+    // Date and balance of the last bank statement the account was reconciled to
+    { name: 'lastReconciledAt', type: 'number', isOptional: true },
+    { name: 'lastReconciledBalance', type: 'number', isOptional: true },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
   ]
 };
 
@@ -20,8 +33,12 @@ export const categorySchema = {
     { name: 'name', type: 'string' },
     { name: 'icon', type: 'string', isOptional: true },
     { name: 'color', type: 'string', isOptional: true },
-    { name: 'created_at', type: 'number' },
-    { name: 'updated_at', type: 'number' },
+    // Set on a credit card's payment category - see utils/creditCards.js
+    { name: 'credit_account_id', type: 'string', isIndexed: true, isOptional: true },
+    // Amount the category should have available, in the home currency - see utils/autoAssign.js
+    { name: 'goal_amount', type: 'number', isOptional: true },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
   ]
 };
 
@@ -32,8 +49,9 @@ export const categoryBudgetSchema = {
     { name: 'month', type: 'string', isIndexed: true },
     { name: 'assigned', type: 'number' },
     { name: 'available', type: 'number' },
-    { name: 'created_at', type: 'number' },
-    { name: 'updated_at', type: 'number' },
+    { name: 'startingBalance', type: 'number' },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
   ]
 };
 
@@ -42,26 +60,189 @@ export const transactionSchema = {
   columns: [
     { name: 'account_id', type: 'string', isIndexed: true },
     { name: 'category_id', type: 'string', isIndexed: true, isOptional: true },
+    // A transfer is stored as two linked transactions, one in each account:
+    // transfer_id is the other leg, transfer_account_id the other leg's account
+    { name: 'transfer_id', type: 'string', isIndexed: true, isOptional: true },
+    { name: 'transfer_account_id', type: 'string', isIndexed: true, isOptional: true },
+    { name: 'transfer_direction', type: 'string', isOptional: true }, // 'out', 'in'
     { name: 'amount', type: 'number' },
+    // Amount of the other leg of a transfer, in that account's currency
+    { name: 'transfer_amount', type: 'number', isOptional: true },
+    // Amount charged to the category budget, in the home currency
+    { name: 'budget_amount', type: 'number', isOptional: true },
     { name: 'date', type: 'number' },
     { name: 'payee', type: 'string' },
     { name: 'notes', type: 'string', isOptional: true },
     { name: 'type', type: 'string' }, // 'income', 'expense', 'transfer'
-    { name: 'created_at', type: 'number' },
-    { name: 'updated_at', type: 'number' },
+    // A split expense has no category_id - its amount is divided between transaction_splits
+    { name: 'is_split', type: 'boolean', isOptional: true },
+    // The bank's ID for a transaction imported from a statement (e.g. an OFX FITID)
+    { name: 'import_id', type: 'string', isIndexed: true, isOptional: true },
+    // Comma-separated tag names, e.g. added by a transaction rule
+    { name: 'tags', type: 'string', isOptional: true },
+    // 'uncleared', 'cleared' (seen on the bank's side) or 'reconciled' (matched to a
+    // statement - its amount, date and account are locked)
+    { name: 'cleared_status', type: 'string' },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// One category's share of a split transaction. Split amounts add up to the
+// transaction amount and are in its account's currency.
+export const transactionSplitSchema = {
+  name: 'transaction_splits',
+  columns: [
+    { name: 'transaction_id', type: 'string', isIndexed: true },
+    { name: 'category_id', type: 'string', isIndexed: true },
+    { name: 'amount', type: 'number' },
+    // Amount charged to the category budget, in the home currency
+    { name: 'budget_amount', type: 'number', isOptional: true },
+    { name: 'memo', type: 'string', isOptional: true },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// One unit of base_currency buys `rate` units of quote_currency
+export const exchangeRateSchema = {
+  name: 'exchange_rates',
+  columns: [
+    { name: 'base_currency', type: 'string', isIndexed: true },
+    { name: 'quote_currency', type: 'string', isIndexed: true },
+    { name: 'rate', type: 'number' },
+    { name: 'date', type: 'number' },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// App settings, one record per setting with the setting name as its ID
+export const settingSchema = {
+  name: 'settings',
+  columns: [
+    { name: 'value', type: 'string' },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// A transaction that repeats. Each occurrence is posted to transactions once it
+// is due; the recurrence rule is interpreted by utils/recurrence.js.
+export const scheduledTransactionSchema = {
+  name: 'scheduled_transactions',
+  columns: [
+    { name: 'account_id', type: 'string', isIndexed: true },
+    { name: 'category_id', type: 'string', isIndexed: true, isOptional: true },
+    { name: 'transfer_account_id', type: 'string', isIndexed: true, isOptional: true },
+    { name: 'amount', type: 'number' },
+    { name: 'transfer_amount', type: 'number', isOptional: true },
+    { name: 'payee', type: 'string' },
+    { name: 'notes', type: 'string', isOptional: true },
+    { name: 'type', type: 'string' }, // 'income', 'expense', 'transfer'
+    { name: 'frequency', type: 'string' }, // 'daily', 'weekly', 'biweekly', 'monthly', 'yearly'
+    { name: 'interval', type: 'number' }, // Every `interval` periods
+    // Monthly only: repeat on the nth weekday of the start date (1-5, -1 for the last) instead of the day of the month
+    { name: 'nth_weekday', type: 'number', isOptional: true },
+    { name: 'start_date', type: 'number' },
+    { name: 'end_date', type: 'number', isOptional: true },
+    { name: 'max_occurrences', type: 'number', isOptional: true },
+    // Occurrences posted or skipped so far, and the date of the next one
+    { name: 'occurrence_count', type: 'number' },
+    { name: 'next_date', type: 'number', isIndexed: true },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// A payee, one per distinct name used on transactions (ignoring case). Transactions
+// keep the payee as text; default_category_id is the category last used for it.
+export const payeeSchema = {
+  name: 'payees',
+  columns: [
+    { name: 'name', type: 'string', isIndexed: true },
+    { name: 'default_category_id', type: 'string', isIndexed: true, isOptional: true },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// Renames payee text matching `pattern` (e.g. on an imported statement) to a payee
+export const payeeRuleSchema = {
+  name: 'payee_rules',
+  columns: [
+    { name: 'payee_id', type: 'string', isIndexed: true },
+    { name: 'match_type', type: 'string' }, // 'contains', 'regex'
+    { name: 'pattern', type: 'string' },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// A rule run on new transactions, and on demand on existing ones. Conditions and
+// actions are JSON lists interpreted by utils/transactionRules.js; rules run by
+// ascending priority.
+export const transactionRuleSchema = {
+  name: 'transaction_rules',
+  columns: [
+    { name: 'name', type: 'string' },
+    { name: 'priority', type: 'number' },
+    { name: 'enabled', type: 'boolean' },
+    { name: 'conditions', type: 'string' },
+    { name: 'actions', type: 'string' },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
+  ]
+};
+
+// Net worth at the end of a closed month, recorded so later changes (a deleted
+// account, new exchange rates) don't rewrite it. `accounts` is a JSON list of
+// { account_id, name, accountType, balance } with balances in `currency`, the
+// home currency when it was recorded - see utils/netWorth.js.
+export const netWorthSnapshotSchema = {
+  name: 'net_worth_snapshots',
+  columns: [
+    { name: 'month', type: 'string', isIndexed: true }, // YYYY-MM
+    { name: 'currency', type: 'string' },
+    { name: 'assets', type: 'number' },
+    { name: 'liabilities', type: 'number' },
+    { name: 'netWorth', type: 'number' },
+    { name: 'accounts', type: 'string' },
+    { name: 'createdAt', type: 'string' },
+    { name: 'updatedAt', type: 'string' },
   ]
 };
 
+// Every persisted collection
+export const schemas = [
+  accountSchema,
+  categorySchema,
+  categoryBudgetSchema,
+  transactionSchema,
+  transactionSplitSchema,
+  exchangeRateSchema,
+  settingSchema,
+  scheduledTransactionSchema,
+  payeeSchema,
+  payeeRuleSchema,
+  transactionRuleSchema,
+  netWorthSnapshotSchema,
+];
+
 // Model classes
 export class Account extends Model {
   static table = 'accounts';
   
   @field('name') name;
-  @field('type') type;
-  @field('initial_balance') initialBalance;
-  @field('current_balance') currentBalance;
-  @date('created_at') createdAt;
-  @date('updated_at') updatedAt;
+  @field('accountType') accountType;
+  @field('onBudget') onBudget;
+  @field('initialBalance') initialBalance;
+  @field('currentBalance') currentBalance;
+  @field('currency') currency;
+  @date('lastReconciledAt') lastReconciledAt;
+  @field('lastReconciledBalance') lastReconciledBalance;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
   
   @children('transactions') transactions;
 }
@@ -72,10 +253,12 @@ export class Category extends Model {
   @field('name') name;
   @field('icon') icon;
   @field('color') color;
-  @date('created_at') createdAt;
-  @date('updated_at') updatedAt;
+  @field('goal_amount') goalAmount;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
   
   @children('category_budgets') budgets;
+  @relation('accounts', 'credit_account_id') creditAccount;
 }
 
 export class CategoryBudget extends Model {
@@ -84,8 +267,9 @@ export class CategoryBudget extends Model {
   @field('month') month;
   @field('assigned') assigned;
   @field('available') available;
-  @date('created_at') createdAt;
-  @date('updated_at') updatedAt;
+  @field('startingBalance') startingBalance;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
   
   @relation('categories', 'category_id') category;
 }
@@ -94,13 +278,126 @@ export class Transaction extends Model {
   static table = 'transactions';
   
   @field('amount') amount;
+  @field('transfer_amount') transferAmount;
+  @field('budget_amount') budgetAmount;
+  @field('transfer_direction') transferDirection;
+  @field('is_split') isSplit;
+  @field('import_id') importId;
+  @field('tags') tags;
+  @field('cleared_status') clearedStatus;
   @field('payee') payee;
   @field('notes') notes;
   @field('type') type;
   @date('date') date;
-  @date('created_at') createdAt;
-  @date('updated_at') updatedAt;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
   
   @relation('accounts', 'account_id') account;
   @relation('categories', 'category_id') category;
-}
\ No newline at end of file
+  @relation('accounts', 'transfer_account_id') transferAccount;
+  @relation('transactions', 'transfer_id') transfer;
+  @children('transaction_splits') splits;
+}
+
+export class TransactionSplit extends Model {
+  static table = 'transaction_splits';
+  
+  @field('amount') amount;
+  @field('budget_amount') budgetAmount;
+  @field('memo') memo;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+  
+  @relation('transactions', 'transaction_id') transaction;
+  @relation('categories', 'category_id') category;
+}
+
+export class ExchangeRate extends Model {
+  static table = 'exchange_rates';
+  
+  @field('base_currency') baseCurrency;
+  @field('quote_currency') quoteCurrency;
+  @field('rate') rate;
+  @date('date') date;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+}
+
+export class Setting extends Model {
+  static table = 'settings';
+  
+  @field('value') value;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+}
+
+export class ScheduledTransaction extends Model {
+  static table = 'scheduled_transactions';
+  
+  @field('amount') amount;
+  @field('transfer_amount') transferAmount;
+  @field('payee') payee;
+  @field('notes') notes;
+  @field('type') type;
+  @field('frequency') frequency;
+  @field('interval') interval;
+  @field('nth_weekday') nthWeekday;
+  @date('start_date') startDate;
+  @date('end_date') endDate;
+  @field('max_occurrences') maxOccurrences;
+  @field('occurrence_count') occurrenceCount;
+  @date('next_date') nextDate;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+  
+  @relation('accounts', 'account_id') account;
+  @relation('categories', 'category_id') category;
+  @relation('accounts', 'transfer_account_id') transferAccount;
+}
+
+export class Payee extends Model {
+  static table = 'payees';
+  
+  @field('name') name;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+  
+  @relation('categories', 'default_category_id') defaultCategory;
+  @children('payee_rules') rules;
+}
+
+export class PayeeRule extends Model {
+  static table = 'payee_rules';
+  
+  @field('match_type') matchType;
+  @field('pattern') pattern;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+  
+  @relation('payees', 'payee_id') payee;
+}
+
+export class TransactionRule extends Model {
+  static table = 'transaction_rules';
+  
+  @field('name') name;
+  @field('priority') priority;
+  @field('enabled') enabled;
+  @field('conditions') conditions;
+  @field('actions') actions;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+}
+
+export class NetWorthSnapshot extends Model {
+  static table = 'net_worth_snapshots';
+  
+  @field('month') month;
+  @field('currency') currency;
+  @field('assets') assets;
+  @field('liabilities') liabilities;
+  @field('netWorth') netWorth;
+  @field('accounts') accounts;
+  @date('createdAt') createdAt;
+  @date('updatedAt') updatedAt;
+}
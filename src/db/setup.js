@@ -1,163 +1,111 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { applyQuery, Q } from './query';
-import { Platform } from 'react-native';
+import { createRecordStore } from './recordStore';
+import { migrations } from './migrations';
+import { schemas } from './schema';
+import { asyncStorageAdapter } from './adapters/asyncStorageAdapter';
+import { roundMinorUnits } from '../utils/money';
 
-// Configure cache settings based on platform
-const CACHE_TTL = Platform.OS === 'web' ? 10000 : 60000; // 10s for web, 60s for mobile
-const CACHE_DEBOUNCE = Platform.OS === 'web' ? 50 : 300; // 50ms for web, 300ms for mobile
+const COLLECTIONS = schemas.map(schema => schema.name);
+const SCHEMA_VERSION_KEY = 'schema_version';
+const COPIED_FROM_KEY = 'copied_from';
+const STORAGE_ADAPTER_KEY = 'storage_adapter';
+const DEFAULT_ADAPTER = 'asyncStorage';
 
-// Add operation queue to prevent concurrent AsyncStorage operations
-const operationQueue = {
-  queue: [],
-  isProcessing: false,
-  
-  add: function(operation) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({ operation, resolve, reject });
-      if (!this.isProcessing) {
-        this.processNext();
-      }
-    });
-  },
-  
-  processNext: async function() {
-    if (this.queue.length === 0) {
-      this.isProcessing = false;
-      return;
-    }
-    
-    this.isProcessing = true;
-    const { operation, resolve, reject } = this.queue.shift();
-    
-    try {
-      const result = await operation();
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    } finally {
-      // Process next operation after a small delay
-      setTimeout(() => this.processNext(), 5);
+export const STORAGE_ADAPTERS = [
+  { key: 'asyncStorage', label: 'AsyncStorage' },
+  { key: 'watermelon', label: 'SQLite (WatermelonDB)' },
+];
+
+// Persistence backend, chosen in setupDatabase. Adapters load whole
+// collections and commit changesets; everything above them is shared.
+let storage = asyncStorageAdapter;
+
+const createStorageAdapter = (name) => {
+  switch (name) {
+    case 'asyncStorage':
+      return asyncStorageAdapter;
+    case 'watermelon': {
+      // Required lazily so the native SQLite module only loads when selected
+      const { createWatermelonAdapter } = require('./adapters/watermelonAdapter');
+      return createWatermelonAdapter();
     }
+    default:
+      throw new Error(`Unknown storage adapter: ${name}`);
   }
 };
 
-// Modify the memoryCache implementation
+/**
+ * Storage adapter the database opens with. The choice is kept in AsyncStorage
+ * under its own key, as it can't live in the database it selects.
+ * @returns {Promise<string>} - Key of STORAGE_ADAPTERS
+ */
+export const getStorageAdapterSetting = async () => {
+  return (await asyncStorageAdapter.getValue(STORAGE_ADAPTER_KEY)) || DEFAULT_ADAPTER;
+};
+
+/**
+ * Choose the storage adapter for the next start. Moving to WatermelonDB copies
+ * the AsyncStorage data across once; nothing is copied back, so there is no
+ * returning to AsyncStorage after that.
+ * @param {string} adapterName - Key of STORAGE_ADAPTERS
+ * @returns {Promise<void>}
+ */
+export const saveStorageAdapterSetting = async (adapterName) => {
+  if (!STORAGE_ADAPTERS.some(adapter => adapter.key === adapterName)) {
+    throw new Error(`Unknown storage adapter: ${adapterName}`);
+  }
+  await asyncStorageAdapter.commit({ collections: {}, values: { [STORAGE_ADAPTER_KEY]: adapterName } });
+};
+
+/**
+ * Storage adapter the database is running on
+ * @returns {string} - Key of STORAGE_ADAPTERS
+ */
+export const getCurrentStorageAdapter = () => storage.name;
+
+// Memory cache of record stores. Every write goes through a transaction that
+// persists the changed records, so a loaded store never goes stale.
 const memoryCache = {
-  data: {},
-  timestamp: {},
-  pendingOperations: {}, // Track operations in progress
-  maxAge: CACHE_TTL, // 1 minute cache
+  stores: {},
+  pendingOperations: {}, // Track loads in progress
   
-  // Get data from cache or AsyncStorage with request deduplication
-  get: async (key) => {
-    const now = Date.now();
-    
-    // Return from cache if still valid
-    if (
-      memoryCache.data[key] && 
-      memoryCache.timestamp[key] && 
-      now - memoryCache.timestamp[key] < memoryCache.maxAge
-    ) {
-      return memoryCache.data[key];
+  // Get a collection's record store, loading it from storage with request deduplication
+  get: async (name) => {
+    if (memoryCache.stores[name]) {
+      return memoryCache.stores[name];
     }
     
-    // Deduplicate concurrent requests for same key
-    if (memoryCache.pendingOperations[key]) {
-      try {
-        return await memoryCache.pendingOperations[key];
-      } catch (error) {
-        console.error(`Cache pending operation error for ${key}:`, error);
-        delete memoryCache.pendingOperations[key];
-      }
+    // Deduplicate concurrent requests for same collection
+    if (memoryCache.pendingOperations[name]) {
+      return memoryCache.pendingOperations[name];
     }
     
-    // Create a new promise for this operation and add to queue
-    const operation = operationQueue.add(async () => {
+    const operation = (async () => {
       try {
-        const value = await AsyncStorage.getItem(key);
-        const parsed = value ? JSON.parse(value) : [];
-        
-        // Update cache
-        memoryCache.data[key] = parsed;
-        memoryCache.timestamp[key] = Date.now();
-        
-        return parsed;
+        memoryCache.stores[name] = createRecordStore(name, await storage.loadRecords(name));
+        return memoryCache.stores[name];
       } catch (error) {
-        console.error(`Cache error for ${key}:`, error);
+        console.error(`Cache error for ${name}:`, error);
         throw error;
       } finally {
-        // Clear the pending operation
-        delete memoryCache.pendingOperations[key];
+        delete memoryCache.pendingOperations[name];
       }
-    });
+    })();
     
-    // Store the pending operation
-    memoryCache.pendingOperations[key] = operation;
+    memoryCache.pendingOperations[name] = operation;
     
     return operation;
   },
   
-  // Update both cache and AsyncStorage with debouncing
-  set: async (key, value) => {
-    try {
-      // Update cache immediately
-      memoryCache.data[key] = value;
-      memoryCache.timestamp[key] = Date.now();
-      
-      // Debounce AsyncStorage writes
-      if (memoryCache.pendingOperations[`write_${key}`]) {
-        clearTimeout(memoryCache.pendingOperations[`write_${key}`]);
-      }
-      
-      // Queue write operation with debounce
-      const writePromise = new Promise((resolve) => {
-        memoryCache.pendingOperations[`write_${key}`] = setTimeout(() => {
-          operationQueue.add(async () => {
-            try {
-              await AsyncStorage.setItem(key, JSON.stringify(value));
-              delete memoryCache.pendingOperations[`write_${key}`];
-              return true;
-            } catch (error) {
-              console.error(`Cache set error for ${key}:`, error);
-              return false;
-            }
-          }).then(resolve);
-        }, CACHE_DEBOUNCE);
-      });
-      
-      return true; // Return immediately without waiting for write
-    } catch (error) {
-      console.error(`Cache set error for ${key}:`, error);
-      return false;
-    }
-  },
-  
-  // Clear a specific key from cache
-  clear: (key) => {
-    delete memoryCache.data[key];
-    delete memoryCache.timestamp[key];
-    
-    // Cancel any pending operations
-    if (memoryCache.pendingOperations[key]) {
-      delete memoryCache.pendingOperations[key];
-    }
-    if (memoryCache.pendingOperations[`write_${key}`]) {
-      clearTimeout(memoryCache.pendingOperations[`write_${key}`]);
-      delete memoryCache.pendingOperations[`write_${key}`];
-    }
+  // Clear a specific collection from cache
+  clear: (name) => {
+    delete memoryCache.stores[name];
+    delete memoryCache.pendingOperations[name];
   },
   
   // Clear entire cache
   clearAll: () => {
-    // Cancel all pending timeouts
-    Object.keys(memoryCache.pendingOperations).forEach(key => {
-      if (key.startsWith('write_')) {
-        clearTimeout(memoryCache.pendingOperations[key]);
-      }
-    });
-    
-    memoryCache.data = {};
-    memoryCache.timestamp = {};
+    memoryCache.stores = {};
     memoryCache.pendingOperations = {};
   }
 };
@@ -180,8 +128,163 @@ const ensureDatesAreSerialized = (obj) => {
   return result;
 };
 
-// Mock database interface that mimics WatermelonDB but uses AsyncStorage with memory caching
-export const database = {
+// Write transactions: records changed inside database.action are updated in
+// the memory cache straight away and committed to storage as one changeset. If
+// the action or the commit fails, every changed record is put back the way it
+// was. Transactions run one at a time in the order they were started.
+// JavaScript gives us no async context, so an action's callback is handed a
+// database bound to its transaction: writes and nested actions made through it
+// join the transaction, while writes through the global database wait for it.
+const transactionManager = {
+  queue: Promise.resolve(),
+  rollbackListeners: new Set(),
+  replaceListeners: new Set(),
+  
+  // Remember a record's state before its first change in a transaction
+  track: (transaction, store, id) => {
+    const changes = transaction.changes;
+    if (!changes[store.name]) {
+      changes[store.name] = { store, before: new Map() };
+    }
+    if (!changes[store.name].before.has(id)) {
+      changes[store.name].before.set(id, store.entry(id));
+    }
+  },
+  
+  // Store a plain value (not a record) with a transaction's commit
+  setValue: (transaction, key, value) => {
+    transaction.values[key] = value;
+  },
+  
+  // Run a callback inside a transaction, committing or rolling back when it settles.
+  // With a parent transaction the callback joins it; otherwise it waits its turn.
+  run: async (callback, parent = null) => {
+    if (parent) {
+      if (parent.finished) {
+        throw new Error('Write made after its database action finished');
+      }
+      return callback(parent);
+    }
+    
+    const result = transactionManager.queue.then(() => transactionManager.execute(callback));
+    transactionManager.queue = result.catch(() => {});
+    return result;
+  },
+  
+  execute: async (callback) => {
+    const transaction = { changes: {}, values: {}, finished: false };
+    
+    try {
+      const result = await callback(transaction);
+      await transactionManager.commit(transaction);
+      queryObservers.notify(Object.keys(transaction.changes));
+      return result;
+    } catch (error) {
+      transactionManager.rollback(transaction);
+      throw error;
+    } finally {
+      transaction.finished = true;
+    }
+  },
+  
+  commit: async (transaction) => {
+    const collections = {};
+    
+    Object.keys(transaction.changes).forEach(name => {
+      const { store, before } = transaction.changes[name];
+      const changeset = { put: [], remove: [], ids: null };
+      let idsChanged = false;
+      
+      before.forEach((entry, id) => {
+        const record = store.get(id);
+        if (record) {
+          changeset.put.push(record);
+        } else {
+          changeset.remove.push(id);
+        }
+        if (!record !== !entry) idsChanged = true;
+      });
+      
+      if (idsChanged) {
+        changeset.ids = store.ids();
+      }
+      collections[name] = changeset;
+    });
+    
+    if (!Object.keys(collections).length && !Object.keys(transaction.values).length) return;
+    
+    await storage.commit({ collections, values: transaction.values });
+  },
+  
+  rollback: (transaction) => {
+    const names = Object.keys(transaction.changes);
+    if (!names.length) return;
+    
+    console.warn(`Rolling back transaction on ${names.join(', ')}`);
+    names.forEach(name => {
+      const { store, before } = transaction.changes[name];
+      store.restore(before);
+    });
+    transactionManager.rollbackListeners.forEach(listener => listener());
+  }
+};
+
+// Query observers per collection, refreshed after every commit that touches it.
+// Refreshes are coalesced so a burst of writes only re-runs each query once.
+const queryObservers = {
+  observers: {},
+  
+  add: (name, observer) => {
+    if (!queryObservers.observers[name]) {
+      queryObservers.observers[name] = new Set();
+    }
+    queryObservers.observers[name].add(observer);
+  },
+  
+  remove: (name, observer) => {
+    if (queryObservers.observers[name]) {
+      queryObservers.observers[name].delete(observer);
+    }
+  },
+  
+  notify: (names) => {
+    names.forEach(name => {
+      (queryObservers.observers[name] || []).forEach(observer => {
+        if (observer.scheduled) return;
+        observer.scheduled = setTimeout(() => {
+          observer.scheduled = null;
+          observer.refresh();
+        }, 0);
+      });
+    });
+  }
+};
+
+// Updates replace records with new objects, so comparing references is enough
+const isSameResult = (previous, next) => {
+  return !!previous &&
+    previous.length === next.length &&
+    previous.every((record, index) => record === next[index]);
+};
+
+// Write (or with a null record, delete) a single record. Writes made outside
+// a transaction run in a transaction of their own.
+const writeRecord = async (name, id, record, parent = null) => {
+  return transactionManager.run(async (transaction) => {
+    const store = await memoryCache.get(name);
+    transactionManager.track(transaction, store, id);
+    if (record) {
+      store.put(record);
+    } else {
+      store.remove(id);
+    }
+  }, parent);
+};
+
+// Database interface that mimics WatermelonDB on top of the memory cache and the
+// selected storage adapter. The global database has no transaction; actions get
+// one bound to theirs.
+const createDatabase = (transaction = null) => ({
   collections: {
     get: (name) => ({
       query: (...queryArgs) => {
@@ -190,8 +293,8 @@ export const database = {
         return {
           fetch: async () => {
             try {
-              const items = await memoryCache.get(name);
-              return applyQuery(items, conditions);
+              const store = await memoryCache.get(name);
+              return applyQuery(store.select(conditions), conditions);
             } catch (error) {
               console.error(`Error fetching ${name}:`, error);
               return [];
@@ -199,55 +302,56 @@ export const database = {
           },
           fetchCount: async () => {
             try {
-              const items = await memoryCache.get(name);
-              return applyQuery(items, conditions).length;
+              const store = await memoryCache.get(name);
+              return applyQuery(store.select(conditions), conditions).length;
             } catch (error) {
               console.error(`Error counting ${name}:`, error);
               return 0;
             }
           },
-          observe: () => {
-            // Create a simple subscription object that mimics RxJS Observable
-            let subscribers = [];
-            let active = true;
-            
-            // Immediately fetch and send data to subscribers
-            setTimeout(async () => {
-              if (!active) return; // Don't execute if already unsubscribed
+          // Observable that emits the query result on subscribe and again whenever
+          // a committed write to this collection changes it
+          observe: () => ({
+            subscribe: (callback) => {
+              let active = true;
+              let lastResult = null;
               
-              try {
-                const items = await memoryCache.get(name);
-                const filteredItems = applyQuery(items, conditions);
-                
-                if (active) { // Check again in case unsubscribed during await
-                  subscribers.forEach(callback => callback(filteredItems));
-                }
-              } catch (error) {
-                console.error(`Error in observe for ${name}:`, error);
-              }
-            }, 0);
-            
-            // Return an object that mimics a subscription
-            return {
-              subscribe: (callback) => {
-                subscribers.push(callback);
-                
-                // Return an unsubscribe function
-                return {
-                  unsubscribe: () => {
-                    active = false;
-                    subscribers = subscribers.filter(cb => cb !== callback);
+              const observer = {
+                refresh: async () => {
+                  if (!active) return;
+                  
+                  try {
+                    const store = await memoryCache.get(name);
+                    const result = applyQuery(store.select(conditions), conditions);
+                    
+                    // Check again in case unsubscribed during await
+                    if (active && !isSameResult(lastResult, result)) {
+                      lastResult = result;
+                      callback(result);
+                    }
+                  } catch (error) {
+                    console.error(`Error in observe for ${name}:`, error);
                   }
-                };
-              }
-            };
-          }
+                }
+              };
+              
+              queryObservers.add(name, observer);
+              setTimeout(observer.refresh, 0);
+              
+              return {
+                unsubscribe: () => {
+                  active = false;
+                  queryObservers.remove(name, observer);
+                }
+              };
+            }
+          })
         };
       },
       find: async (id) => {
         try {
-          const items = await memoryCache.get(name);
-          return items.find(item => item.id === id) || null;
+          const store = await memoryCache.get(name);
+          return store.get(id);
         } catch (error) {
           console.error(`Error finding in ${name}:`, error);
           return null;
@@ -255,16 +359,6 @@ export const database = {
       },
       create: async (creator) => {
         try {
-          // First, get the existing items array
-          let items = [];
-          try {
-            const existingData = await memoryCache.get(name);
-            items = Array.isArray(existingData) ? [...existingData] : [];
-          } catch (error) {
-            console.warn(`Failed to get existing ${name}, creating new array`, error);
-            items = [];
-          }
-          
           // Create a new object directly instead of modifying an existing one
           let newRecord = {};
           
@@ -301,11 +395,8 @@ export const database = {
             }
           }
           
-          // Add to items array
-          items.push(newRecord);
-          
           // Update storage
-          await memoryCache.set(name, items);
+          await writeRecord(name, newRecord.id, newRecord, transaction);
           
           // Return the created record
           return newRecord;
@@ -316,50 +407,50 @@ export const database = {
       },
       update: async (id, updater) => {
         try {
-          const items = await memoryCache.get(name);
-          const index = items.findIndex(item => item.id === id);
+          // Read the record inside the transaction so a queued update sees earlier writes
+          return await transactionManager.run(async (updateTransaction) => {
+            const store = await memoryCache.get(name);
+            const existing = store.get(id);
           
-          if (index !== -1) {
-            // Make a deep copy of the original item to avoid mutation issues
-            const originalItem = JSON.parse(JSON.stringify(items[index]));
-            let updatedItem = {...originalItem};
+            if (existing) {
+              // Make a deep copy of the original item to avoid mutation issues
+              const originalItem = JSON.parse(JSON.stringify(existing));
+              let updatedItem = {...originalItem};
             
-            // Apply updates using either function or object
-            if (typeof updater === 'function') {
-              // Create a clone to pass to the updater function
-              const tempItem = {...updatedItem};
-              updater(tempItem);
-              // Copy updated properties back
-              Object.assign(updatedItem, tempItem);
-            } else if (typeof updater === 'object') {
-              Object.assign(updatedItem, updater);
-            }
-            
-            // Ensure updatedAt is always set
-            updatedItem.updatedAt = new Date().toISOString();
+              // Apply updates using either function or object
+              if (typeof updater === 'function') {
+                // Create a clone to pass to the updater function
+                const tempItem = {...updatedItem};
+                updater(tempItem);
+                // Copy updated properties back
+                Object.assign(updatedItem, tempItem);
+              } else if (typeof updater === 'object') {
+                Object.assign(updatedItem, updater);
+              }
             
-            // Parse any number fields to ensure they're stored as numbers
-            if (updatedItem.assigned !== undefined) {
-              updatedItem.assigned = parseFloat(updatedItem.assigned);
-            }
-            if (updatedItem.available !== undefined) {
-              updatedItem.available = parseFloat(updatedItem.available);
-            }
+              // Ensure updatedAt is always set
+              updatedItem.updatedAt = new Date().toISOString();
             
-            // Replace the item in the array
-            items[index] = updatedItem;
+              // Budget amounts are integer minor units, even if passed as strings
+              if (updatedItem.assigned !== undefined) {
+                updatedItem.assigned = roundMinorUnits(Number(updatedItem.assigned));
+              }
+              if (updatedItem.available !== undefined) {
+                updatedItem.available = roundMinorUnits(Number(updatedItem.available));
+              }
             
-            // Debug the update
-            console.log(`Updated ${name} item ${id}:`, {
-              before: originalItem,
-              after: updatedItem
-            });
+              // Debug the update
+              console.log(`Updated ${name} item ${id}:`, {
+                before: originalItem,
+                after: updatedItem
+              });
             
-            // Save to storage
-            await memoryCache.set(name, items);
-            return updatedItem;
-          }
-          return null;
+              // Save to storage
+              await writeRecord(name, id, updatedItem, updateTransaction);
+              return updatedItem;
+            }
+            return null;
+          }, transaction);
         } catch (error) {
           console.error(`Error updating in ${name}:`, error);
           throw error;
@@ -367,9 +458,7 @@ export const database = {
       },
       delete: async (id) => {
         try {
-          const items = await memoryCache.get(name);
-          const newItems = items.filter(item => item.id !== id);
-          await memoryCache.set(name, newItems);
+          await writeRecord(name, id, null, transaction);
           return true;
         } catch (error) {
           console.error(`Error deleting from ${name}:`, error);
@@ -379,15 +468,15 @@ export const database = {
       // Add markAsDeleted method
       markAsDeleted: async (id) => {
         try {
-          const items = await memoryCache.get(name);
-          const index = items.findIndex(item => item.id === id);
-          
-          if (index !== -1) {
-            items.splice(index, 1); // Remove the item
-            await memoryCache.set(name, items);
-            return true;
-          }
-          return false;
+          return await transactionManager.run(async (deleteTransaction) => {
+            const store = await memoryCache.get(name);
+            
+            if (store.get(id)) {
+              await writeRecord(name, id, null, deleteTransaction);
+              return true;
+            }
+            return false;
+          }, transaction);
         } catch (error) {
           console.error(`Error marking as deleted in ${name}:`, error);
           throw error;
@@ -395,64 +484,166 @@ export const database = {
       }
     }),
   },
-  // Support for batch operations
-  batch: async (actions) => {
-    if (Array.isArray(actions)) {
-      for (const action of actions) {
-        await action;
+  // Support for batch operations - all operations commit together or not at all.
+  // Pass functions (e.g. db => db.collections.get(...).create(...)); each is called
+  // with the database bound to the batch's transaction.
+  batch: async (...actions) => {
+    const operations = actions.length === 1 && Array.isArray(actions[0]) ? actions[0] : actions;
+    return transactionManager.run(async (batchTransaction) => {
+      const db = createDatabase(batchTransaction);
+      for (const operation of operations) {
+        await (typeof operation === 'function' ? operation(db) : operation);
       }
-    }
-    return true;
+      return true;
+    }, transaction);
   },
-  // Direct action support
+  // Direct action support - runs the callback as a single write transaction. The
+  // callback gets the database bound to it; write through that, and pass it on to
+  // helpers that write, or the writes wait for the action to finish.
   action: async (callback) => {
     try {
-      return await callback();
+      return await transactionManager.run(
+        actionTransaction => callback(createDatabase(actionTransaction)),
+        transaction
+      );
     } catch (error) {
       console.error('Error in database action:', error);
       throw error;
     }
   },
+  // Call when a transaction rolls back, e.g. to drop caches of uncommitted values
+  onRollback: (listener) => {
+    transactionManager.rollbackListeners.add(listener);
+    return () => transactionManager.rollbackListeners.delete(listener);
+  },
+  // Call when replaceDatabase has swapped all the data, e.g. to drop caches of the old data
+  onReplace: (listener) => {
+    transactionManager.replaceListeners.add(listener);
+    return () => transactionManager.replaceListeners.delete(listener);
+  },
+});
+
+export const database = createDatabase();
+
+// Migrations still to run on data at a schema version
+const getPendingMigrations = (version) => migrations.filter(migration => migration.toVersion > version);
+
+// Run a migration's steps and bump the stored version inside a transaction
+const applyMigration = async (migration, transaction) => {
+  console.log(`Migrating data to schema version ${migration.toVersion}: ${migration.description}`);
+  const context = {
+    getRecords: async (name) => (await memoryCache.get(name)).all(),
+    putRecord: (name, record) => writeRecord(name, record.id, record, transaction),
+  };
+  for (const step of migration.steps) {
+    await step(context);
+  }
+  transactionManager.setValue(transaction, SCHEMA_VERSION_KEY, String(migration.toVersion));
+};
+
+// Bring stored data up to the current schema version. Each migration commits
+// together with its version bump; the first failure stops the run and leaves
+// the data at the last version that migrated successfully.
+const runMigrations = async () => {
+  const storedVersion = await storage.getValue(SCHEMA_VERSION_KEY);
+  const currentVersion = storedVersion ? parseInt(storedVersion, 10) : 0;
+  
+  for (const migration of getPendingMigrations(currentVersion)) {
+    try {
+      await transactionManager.run(transaction => applyMigration(migration, transaction));
+    } catch (error) {
+      console.error(`Migration to schema version ${migration.toVersion} failed:`, error);
+      return false;
+    }
+  }
+  
+  return true;
 };
 
-// Initialize default data - optimize to prevent freezing
-export const setupDatabase = async () => {
+// One-time copy of the data kept by an earlier adapter into a newly selected
+// one. Only runs while the target is still empty, and leaves the source as is.
+const copyExistingData = async (source, target) => {
+  if (await target.getValue(COPIED_FROM_KEY) || await target.getValue(SCHEMA_VERSION_KEY)) {
+    return;
+  }
+  
+  console.log(`Copying data from ${source.name} to ${target.name}...`);
+  const collections = {};
+  for (const name of COLLECTIONS) {
+    const records = await source.loadRecords(name);
+    collections[name] = { put: records, remove: [], ids: records.map(record => record.id) };
+  }
+  
+  const values = { [COPIED_FROM_KEY]: source.name };
+  const sourceVersion = await source.getValue(SCHEMA_VERSION_KEY);
+  if (sourceVersion) {
+    values[SCHEMA_VERSION_KEY] = sourceVersion;
+  }
+  
+  await target.commit({ collections, values });
+  console.log(`Copied data from ${source.name} to ${target.name}`);
+};
+
+/**
+ * Replace every collection with the given records and migrate them from their
+ * schema version to the current one, all in a single transaction. Used to restore
+ * a backup: if the swap or a migration fails nothing is changed.
+ * @param {Object} data - Data to swap in
+ * @param {Object} data.collections - Records by collection name; missing collections are emptied
+ * @param {number} data.schemaVersion - Schema version the records are at
+ * @returns {Promise<void>}
+ */
+export const replaceDatabase = async ({ collections, schemaVersion: version }) => {
+  await transactionManager.run(async (transaction) => {
+    for (const name of COLLECTIONS) {
+      const store = await memoryCache.get(name);
+      store.ids().forEach(id => {
+        transactionManager.track(transaction, store, id);
+        store.remove(id);
+      });
+      (collections[name] || []).forEach(record => {
+        transactionManager.track(transaction, store, record.id);
+        store.put(record);
+      });
+    }
+    transactionManager.setValue(transaction, SCHEMA_VERSION_KEY, String(version));
+
+    for (const migration of getPendingMigrations(version)) {
+      await applyMigration(migration, transaction);
+    }
+  });
+  transactionManager.replaceListeners.forEach(listener => listener());
+};
+
+/**
+ * Initialize the database - optimize to prevent freezing
+ * @param {Object} options - Setup options
+ * @param {string} options.adapter - Storage adapter: 'asyncStorage' or 'watermelon'; defaults to
+ *   the one saved with saveStorageAdapterSetting
+ * @returns {Promise<boolean>} - Whether setup completed
+ */
+export const setupDatabase = async (options = {}) => {
   try {
-    console.log("Setting up database with AsyncStorage...");
+    const adapterName = options.adapter || await getStorageAdapterSetting();
+    console.log(`Setting up database with ${adapterName} storage...`);
     
-    // Initialize all collections to ensure they exist
-    const collections = ['categories', 'category_budgets', 'accounts', 'transactions'];
+    storage = createStorageAdapter(adapterName);
+    memoryCache.clearAll();
+    if (storage !== asyncStorageAdapter) {
+      await copyExistingData(asyncStorageAdapter, storage);
+    }
     
     // Process collections sequentially with non-blocking delays
-    for (const collection of collections) {
+    for (const collection of COLLECTIONS) {
       try {
         // Add a small delay between collections to avoid UI freezing
         await new Promise(resolve => setTimeout(resolve, 5));
         
-        // Try to get existing data
-        const value = await AsyncStorage.getItem(collection);
-        let data;
-        
-        try {
-          // Parse the data, defaulting to empty array
-          data = value ? JSON.parse(value) : [];
-          
-          // Ensure it's an array
-          if (!Array.isArray(data)) {
-            console.warn(`${collection} data is not an array, resetting`);
-            data = [];
-          }
-        } catch (parseError) {
-          console.error(`Error parsing ${collection} data:`, parseError);
-          data = [];
-        }
-        
-        // Initialize the memory cache
-        memoryCache.data[collection] = data;
-        memoryCache.timestamp[collection] = Date.now();
+        // Load the collection, converting it from the old single-key format if needed
+        const store = await memoryCache.get(collection);
         
         // If categories are empty, add default ones
-        if (collection === 'categories' && data.length === 0) {
+        if (collection === 'categories' && store.count() === 0) {
           console.log("Creating default categories...");
           
           const defaultCategories = [
@@ -498,18 +689,20 @@ export const setupDatabase = async () => {
             }
           ];
           
-          memoryCache.data['categories'] = defaultCategories;
-          await AsyncStorage.setItem('categories', JSON.stringify(defaultCategories));
+          await database.batch(defaultCategories.map(category => db => db.collections.get('categories').create(category)));
           console.log("Default categories created");
         }
       } catch (error) {
+        // Leave the collection unloaded so the next access retries instead of
+        // overwriting stored records with an empty list
         console.error(`Error initializing ${collection}:`, error);
-        // Set to empty array on error
-        memoryCache.data[collection] = [];
-        memoryCache.timestamp[collection] = Date.now();
       }
     }
     
+    if (!(await runMigrations())) {
+      return false;
+    }
+    
     console.log("Database setup complete");
     return true;
   } catch (error) {
@@ -5,7 +5,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { useTheme } from 'react-native-paper';
 import { useNavigation } from '@react-navigation/native';
-import { Platform } from 'react-native';
+import { Platform, AppState } from 'react-native';
 
 // Auth Screens
 import LoginScreen from '../screens/auth/LoginScreen';
@@ -16,18 +16,38 @@ import BudgetScreen from '../screens/budget/BudgetScreen';
 import AccountsScreen from '../screens/accounts/AccountsScreen';
 import TransactionsScreen from '../screens/transactions/TransactionsScreen';
 import SettingsScreen from '../screens/settings/SettingsScreen';
+import ReportsScreen from '../screens/reports/ReportsScreen';
+import BudgetTrendsScreen from '../screens/reports/BudgetTrendsScreen';
 
 // Details Screens
 import AccountDetailsScreen from '../screens/accounts/AccountDetailsScreen';
+import ReconcileScreen from '../screens/accounts/ReconcileScreen';
+import NetWorthScreen from '../screens/accounts/NetWorthScreen';
 import AddAccountScreen from '../screens/accounts/AddAccountScreen';
 import CategoryDetailsScreen from '../screens/budget/CategoryDetailsScreen';
 import AddTransactionScreen from '../screens/transactions/AddTransactionScreen';
 
 // Import the update function
 import { syncReadyToAssignWithBudgets } from '../utils/budgetUtils';
+import { observeCurrencySettings } from '../services/currency';
+import { fetchCurrencySettingsSuccess } from '../store/slices/accountsSlice';
+import { postDueScheduledTransactions } from '../services/scheduled';
+import { runScheduledBackup } from '../services/backup';
+import { recordNetWorthSnapshots } from '../services/netWorth';
 
 // Import the new screen
 import TransactionDetailScreen from '../screens/transactions/TransactionDetailScreen';
+import ExchangeRatesScreen from '../screens/settings/ExchangeRatesScreen';
+import ImportTransactionsScreen from '../screens/settings/ImportTransactionsScreen';
+import ExportDataScreen from '../screens/settings/ExportDataScreen';
+import BackupRestoreScreen from '../screens/settings/BackupRestoreScreen';
+import PayeesScreen from '../screens/settings/PayeesScreen';
+import PayeeDetailsScreen from '../screens/settings/PayeeDetailsScreen';
+import RulesScreen from '../screens/settings/RulesScreen';
+import RuleEditScreen from '../screens/settings/RuleEditScreen';
+import RunRulesScreen from '../screens/settings/RunRulesScreen';
+import ScheduledTransactionsScreen from '../screens/transactions/ScheduledTransactionsScreen';
+import DuplicateTransactionsScreen from '../screens/transactions/DuplicateTransactionsScreen';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -50,6 +70,16 @@ const AccountStack = () => {
         component={AddAccountScreen} 
         options={{ title: 'Add Account' }}
       />
+      <Stack.Screen 
+        name="Reconcile" 
+        component={ReconcileScreen} 
+        options={{ title: 'Reconcile' }}
+      />
+      <Stack.Screen 
+        name="NetWorth" 
+        component={NetWorthScreen} 
+        options={{ title: 'Net Worth' }}
+      />
     </Stack.Navigator>
   );
 };
@@ -102,6 +132,33 @@ const TransactionsStack = () => {
         component={TransactionDetailScreen} 
         options={{ title: 'Transaction Details' }}
       />
+      <Stack.Screen 
+        name="ScheduledTransactions" 
+        component={ScheduledTransactionsScreen} 
+        options={{ title: 'Scheduled' }}
+      />
+      <Stack.Screen 
+        name="DuplicateTransactions" 
+        component={DuplicateTransactionsScreen} 
+        options={{ title: 'Possible Duplicates' }}
+      />
+    </Stack.Navigator>
+  );
+};
+
+const ReportsStack = () => {
+  return (
+    <Stack.Navigator>
+      <Stack.Screen 
+        name="ReportsMain" 
+        component={ReportsScreen} 
+        options={{ title: 'Reports' }}
+      />
+      <Stack.Screen 
+        name="BudgetTrends" 
+        component={BudgetTrendsScreen} 
+        options={{ title: 'Budget vs Actual' }}
+      />
     </Stack.Navigator>
   );
 };
@@ -114,12 +171,87 @@ const SettingsStack = () => {
         component={SettingsScreen} 
         options={{ title: 'Settings' }}
       />
+      <Stack.Screen 
+        name="ExchangeRates" 
+        component={ExchangeRatesScreen} 
+        options={{ title: 'Exchange Rates' }}
+      />
+      <Stack.Screen 
+        name="ImportTransactions" 
+        component={ImportTransactionsScreen} 
+        options={{ title: 'Import Transactions' }}
+      />
+      <Stack.Screen 
+        name="ExportData" 
+        component={ExportDataScreen} 
+        options={{ title: 'Export Data' }}
+      />
+      <Stack.Screen 
+        name="BackupRestore" 
+        component={BackupRestoreScreen} 
+        options={{ title: 'Backup & Restore' }}
+      />
+      <Stack.Screen 
+        name="Payees" 
+        component={PayeesScreen} 
+        options={{ title: 'Payees' }}
+      />
+      <Stack.Screen 
+        name="PayeeDetails" 
+        component={PayeeDetailsScreen} 
+        options={({ route }) => ({ title: route.params?.payeeName || 'Payee' })}
+      />
+      <Stack.Screen 
+        name="Rules" 
+        component={RulesScreen} 
+        options={{ title: 'Rules' }}
+      />
+      <Stack.Screen 
+        name="RuleEdit" 
+        component={RuleEditScreen} 
+        options={({ route }) => ({ title: route.params?.ruleId ? 'Edit Rule' : 'New Rule' })}
+      />
+      <Stack.Screen 
+        name="RunRules" 
+        component={RunRulesScreen} 
+        options={{ title: 'Run Rules' }}
+      />
     </Stack.Navigator>
   );
 };
 
 const MainTabNavigator = () => {
   const theme = useTheme();
+  const dispatch = useDispatch();
+  
+  // Keep the home currency and exchange rates in Redux in sync with the database
+  useEffect(() => {
+    const subscription = observeCurrencySettings().subscribe(settings => {
+      dispatch(fetchCurrencySettingsSuccess(settings));
+    });
+    
+    return () => subscription.unsubscribe();
+  }, [dispatch]);
+  
+  // Post scheduled transactions that have come due, record net worth for months that have ended
+  // and take an automatic backup if one is due, on start and whenever the app comes back to the foreground.
+  // Each task runs even if the one before it failed.
+  useEffect(() => {
+    const runDueTasks = () => postDueScheduledTransactions(dispatch)
+      .catch(error => console.error('Error posting scheduled transactions:', error))
+      .then(() => recordNetWorthSnapshots())
+      .catch(error => console.error('Error recording net worth snapshots:', error))
+      .then(() => runScheduledBackup());
+    runDueTasks();
+    
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        runDueTasks();
+      }
+    });
+    
+    return () => subscription.remove();
+  }, [dispatch]);
   
   return (
     <Tab.Navigator
@@ -168,6 +300,15 @@ const MainTabNavigator = () => {
           ),
         }}
       />
+      <Tab.Screen 
+        name="Reports" 
+        component={ReportsStack}
+        options={{
+          tabBarIcon: ({ color, size }) => (
+            <MaterialCommunityIcons name="chart-bar" size={size} color={color} />
+          ),
+        }}
+      />
       <Tab.Screen 
         name="Settings" 
         component={SettingsStack}
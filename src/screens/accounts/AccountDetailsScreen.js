@@ -7,7 +7,12 @@ import { format } from 'date-fns';
 import { useDatabase } from '../../context/DatabaseContext';
 import { Q } from '../../db/query'; // Import our Q mock implementation
 import { updateAccountSuccess, deleteAccountSuccess } from '../../store/slices/accountsSlice';
+import { adjustAccountBalance } from '../../services/ledger';
+import { getAccountClearedBalances } from '../../services/reconciliation';
+import { ensurePaymentCategory, deletePaymentCategory } from '../../services/creditCards';
 import TransactionsList from '../../components/transactions/TransactionsList';
+import { formatMoney, formatMoneyInput, parseMoney, getCurrency } from '../../utils/money';
+import { getAccountTypeLabel, isOffBudget } from '../../utils/accounts';
 
 const AccountDetailsScreen = () => {
   const route = useRoute();
@@ -18,6 +23,7 @@ const AccountDetailsScreen = () => {
   const { accountId } = route.params;
   
   const [account, setAccount] = useState(null);
+  const [clearedBalances, setClearedBalances] = useState({ cleared: 0, uncleared: 0 });
   const [transactions, setTransactions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isEditing, setIsEditing] = useState(false);
@@ -45,11 +51,15 @@ const AccountDetailsScreen = () => {
         initialBalance: accountRecord.initialBalance,
         currentBalance: accountRecord.currentBalance,
         accountType: accountRecord.accountType,
+        onBudget: accountRecord.onBudget,
+        currency: accountRecord.currency,
+        lastReconciledAt: accountRecord.lastReconciledAt,
         createdAt: accountRecord.createdAt,
       });
+      setClearedBalances(await getAccountClearedBalances(accountId));
       
       setEditedName(accountRecord.name);
-      setEditedBalance(accountRecord.currentBalance.toString());
+      setEditedBalance(formatMoneyInput(accountRecord.currentBalance, accountRecord.currency));
       
       // Get recent transactions for this account
       const transactionsCollection = database.collections.get('transactions');
@@ -107,7 +117,7 @@ const AccountDetailsScreen = () => {
   
   const handleCancelEdit = () => {
     setEditedName(account.name);
-    setEditedBalance(account.currentBalance.toString());
+    setEditedBalance(formatMoneyInput(account.currentBalance, account.currency));
     setIsEditing(false);
   };
   
@@ -117,51 +127,35 @@ const AccountDetailsScreen = () => {
       return;
     }
     
-    const newBalance = parseFloat(editedBalance);
+    const newBalance = parseMoney(editedBalance, account.currency);
     if (isNaN(newBalance)) {
       Alert.alert('Invalid Balance', 'Please enter a valid number for the balance.');
       return;
     }
     
     try {
-      await database.action(async () => {
-        const accountsCollection = database.collections.get('accounts');
-        const accountRecord = await accountsCollection.find(accountId);
-        const transactionsCollection = database.collections.get('transactions');
-        
-        // Calculate balance difference
-        const balanceDifference = newBalance - accountRecord.currentBalance;
+      await database.action(async (db) => {
+        const accountsCollection = db.collections.get('accounts');
         
         // Create a current date once to use consistently
         const updateDate = new Date();
         
-        // Fix: Use accountsCollection.update instead of accountRecord.update
         await accountsCollection.update(accountId, account => {
           account.name = editedName.trim();
-          account.currentBalance = newBalance;
           account.updatedAt = updateDate;
         });
         
-        // Create adjustment transaction if balance was changed
-        if (balanceDifference !== 0) {
-          await transactionsCollection.create(transaction => {
-            transaction.amount = Math.abs(balanceDifference);
-            transaction.payee = 'Balance Adjustment';
-            transaction.notes = 'Manual balance adjustment';
-            transaction.type = balanceDifference > 0 ? 'income' : 'expense';
-            transaction.account_id = accountId;
-            transaction.date = updateDate.getTime();
-            transaction.createdAt = updateDate;
-            transaction.updatedAt = updateDate;
-          });
-        }
+        // Balance changes go through the ledger as an adjustment transaction
+        await adjustAccountBalance(accountId, newBalance, dispatch, db);
+        
+        // A credit card's payment category is named after it
+        await ensurePaymentCategory({ ...account, name: editedName.trim() }, dispatch, db);
         
         // Important: Convert the Date to ISO string before dispatching to Redux
         dispatch(updateAccountSuccess({
-          id: accountRecord.id,
+          id: accountId,
           changes: {
             name: editedName.trim(),
-            currentBalance: newBalance,
             updatedAt: updateDate.toISOString() // Convert Date to string here
           }
         }));
@@ -176,6 +170,8 @@ const AccountDetailsScreen = () => {
         
         setIsEditing(false);
       });
+      // The adjustment is cleared, so the cleared balance moves with it
+      setClearedBalances(await getAccountClearedBalances(accountId));
     } catch (error) {
       console.error('Error updating account:', error);
       Alert.alert('Error', 'Failed to update account. Please try again.');
@@ -184,9 +180,9 @@ const AccountDetailsScreen = () => {
   
   const handleDelete = async () => {
     try {
-      await database.action(async () => {
+      await database.action(async (db) => {
         // Check if account has transactions
-        const transactionsCollection = database.collections.get('transactions');
+        const transactionsCollection = db.collections.get('transactions');
         const transactionCount = await transactionsCollection
           .query(Q.where('account_id', accountId))
           .fetchCount();
@@ -201,8 +197,9 @@ const AccountDetailsScreen = () => {
         }
         
         // Delete account if no transactions
-        const accountsCollection = database.collections.get('accounts');
+        const accountsCollection = db.collections.get('accounts');
         await accountsCollection.delete(accountId); // Use delete instead of markAsDeleted
+        await deletePaymentCategory(accountId, dispatch, db);
         dispatch(deleteAccountSuccess(accountId));
         
         // Navigate back to accounts list
@@ -222,6 +219,10 @@ const AccountDetailsScreen = () => {
     navigation.navigate('AddTransaction', { accountId });
   };
   
+  const handleReconcile = () => {
+    navigation.navigate('Reconcile', { accountId });
+  };
+  
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
@@ -249,7 +250,24 @@ const AccountDetailsScreen = () => {
           <View style={styles.balanceContainer}>
             <Text style={styles.balanceLabel}>Current Balance</Text>
             <Text style={styles.balanceAmount}>
-              ${account.currentBalance.toFixed(2)}
+              {formatMoney(account.currentBalance, { currency: account.currency })}
+            </Text>
+          </View>
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Cleared Balance</Text>
+            <Text style={styles.detailValue}>{formatMoney(clearedBalances.cleared, { currency: account.currency })}</Text>
+          </View>
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Uncleared</Text>
+            <Text style={styles.detailValue}>{formatMoney(clearedBalances.uncleared, { currency: account.currency })}</Text>
+          </View>
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Last Reconciled</Text>
+            <Text style={styles.detailValue}>
+              {account.lastReconciledAt ? format(new Date(account.lastReconciledAt), 'MMM d, yyyy') : 'Never'}
             </Text>
           </View>
           
@@ -257,12 +275,22 @@ const AccountDetailsScreen = () => {
           
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Account Type</Text>
-            <Text style={styles.detailValue}>{account.accountType}</Text>
+            <Text style={styles.detailValue}>{getAccountTypeLabel(account.accountType)}</Text>
+          </View>
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Budget</Text>
+            <Text style={styles.detailValue}>{isOffBudget(account) ? 'Tracking' : 'On Budget'}</Text>
+          </View>
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Currency</Text>
+            <Text style={styles.detailValue}>{getCurrency(account.currency).code}</Text>
           </View>
           
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Initial Balance</Text>
-            <Text style={styles.detailValue}>${account.initialBalance.toFixed(2)}</Text>
+            <Text style={styles.detailValue}>{formatMoney(account.initialBalance, { currency: account.currency })}</Text>
           </View>
           
           <View style={styles.detailRow}>
@@ -272,6 +300,13 @@ const AccountDetailsScreen = () => {
         </Card.Content>
         
         <Card.Actions style={styles.actions}>
+          <Button
+            icon="bank-check"
+            mode="outlined"
+            onPress={handleReconcile}
+          >
+            Reconcile
+          </Button>
           <Button
             icon="plus"
             mode="contained"
@@ -325,10 +360,10 @@ const AccountDetailsScreen = () => {
               onChangeText={setEditedBalance}
               keyboardType="decimal-pad"
               style={styles.dialogInput}
-              left={<TextInput.Affix text="$" />}
+              left={<TextInput.Affix text={getCurrency(account.currency).symbol} />}
             />
             <Text style={styles.balanceNote}>
-              Note: Changing the balance will create an adjustment transaction.
+              Note: Changing the balance will create an adjustment transaction. To check the balance against a bank statement, use Reconcile instead.
             </Text>
           </Dialog.Content>
           <Dialog.Actions>
@@ -1,12 +1,15 @@
 import React, { useEffect, useState } from 'react';
-import { View, StyleSheet, FlatList } from 'react-native';
-import { FAB, Text, Headline, Surface, useTheme, ActivityIndicator } from 'react-native-paper';
+import { View, StyleSheet, SectionList } from 'react-native';
+import { FAB, Text, Headline, Surface, Button, useTheme, ActivityIndicator } from 'react-native-paper';
 import { useNavigation } from '@react-navigation/native';
 import { useDispatch, useSelector } from 'react-redux';
 import { fetchAccountsStart, fetchAccountsSuccess, fetchAccountsFailure } from '../../store/slices/accountsSlice';
 import { useDatabase } from '../../context/DatabaseContext';
 import AccountCard from '../../components/accounts/AccountCard';
 import EmptyState from '../../components/common/EmptyState';
+import { formatMoney } from '../../utils/money';
+import { totalInCurrency } from '../../utils/currency';
+import { groupAccountsByBudget } from '../../utils/accounts';
 
 const AccountsScreen = () => {
   const navigation = useNavigation();
@@ -14,41 +17,36 @@ const AccountsScreen = () => {
   const database = useDatabase();
   const dispatch = useDispatch();
   
-  const { accounts, totalBalance, status } = useSelector(state => state.accounts);
+  const { accounts, totalBalance, homeCurrency, exchangeRates, missingCurrencies, status } = useSelector(state => state.accounts);
   const isLoading = status === 'loading';
   
   useEffect(() => {
-    const loadAccounts = async () => {
-      try {
-        dispatch(fetchAccountsStart());
-        
-        const accountsCollection = database.collections.get('accounts');
-        const accountsData = await accountsCollection.query().fetch();
-        
-        const formattedAccounts = accountsData.map(account => ({
-          id: account.id,
-          name: account.name,
-          currentBalance: account.currentBalance,
-          initialBalance: account.initialBalance,
-          accountType: account.accountType,
-          createdAt: account.createdAt,
-        }));
-        
-        dispatch(fetchAccountsSuccess(formattedAccounts));
-      } catch (error) {
-        console.error('Error fetching accounts:', error);
-        dispatch(fetchAccountsFailure(error.message));
-      }
-    };
+    dispatch(fetchAccountsStart());
     
-    loadAccounts();
-    
-    // Subscribe to account changes
+    // The subscription emits the current accounts and again whenever they change
     const subscription = database.collections
       .get('accounts')
       .query()
       .observe()
-      .subscribe(loadAccounts);
+      .subscribe(accountsData => {
+        try {
+          const formattedAccounts = accountsData.map(account => ({
+            id: account.id,
+            name: account.name,
+            currentBalance: account.currentBalance,
+            initialBalance: account.initialBalance,
+            accountType: account.accountType,
+            onBudget: account.onBudget,
+            currency: account.currency,
+            createdAt: account.createdAt,
+          }));
+          
+          dispatch(fetchAccountsSuccess(formattedAccounts));
+        } catch (error) {
+          console.error('Error fetching accounts:', error);
+          dispatch(fetchAccountsFailure(error.message));
+        }
+      });
       
     return () => subscription.unsubscribe();
   }, [database, dispatch]);
@@ -63,6 +61,15 @@ const AccountsScreen = () => {
     navigation.navigate('AccountDetails', { accountId: account.id });
   };
   
+  // Budget accounts first, then tracking accounts, each with its subtotal
+  const { budget, tracking } = groupAccountsByBudget(accounts);
+  const sections = [
+    { title: 'Budget', data: budget },
+    { title: 'Tracking', data: tracking },
+  ]
+    .filter(section => section.data.length > 0)
+    .map(section => ({ ...section, total: totalInCurrency(section.data, homeCurrency, exchangeRates).total }));
+  
   // Render empty state when no accounts
   if (!isLoading && accounts.length === 0) {
     return (
@@ -86,10 +93,18 @@ const AccountsScreen = () => {
   return (
     <View style={styles.container}>
       <Surface style={styles.totalBalanceContainer}>
-        <Text style={styles.totalBalanceLabel}>Total Balance</Text>
+        <Text style={styles.totalBalanceLabel}>Net Worth</Text>
         <Headline style={styles.totalBalanceAmount}>
-          ${totalBalance.toFixed(2)}
+          {formatMoney(totalBalance, { currency: homeCurrency })}
         </Headline>
+        {missingCurrencies.length > 0 && (
+          <Text style={styles.missingRatesText}>
+            {`Excludes ${missingCurrencies.join(', ')} - add an exchange rate in Settings`}
+          </Text>
+        )}
+        <Button compact icon="chart-bar" onPress={() => navigation.navigate('NetWorth')} style={styles.historyButton}>
+          History
+        </Button>
       </Surface>
       
       {isLoading ? (
@@ -97,8 +112,8 @@ const AccountsScreen = () => {
           <ActivityIndicator size="large" color={theme.colors.primary} />
         </View>
       ) : (
-        <FlatList
-          data={accounts}
+        <SectionList
+          sections={sections}
           keyExtractor={item => item.id}
           renderItem={({ item }) => (
             <AccountCard 
@@ -106,6 +121,13 @@ const AccountsScreen = () => {
               onPress={() => handleAccountPress(item)}
             />
           )}
+          renderSectionHeader={({ section }) => (
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>{section.title}</Text>
+              <Text style={styles.sectionTotal}>{formatMoney(section.total, { currency: homeCurrency })}</Text>
+            </View>
+          )}
+          stickySectionHeadersEnabled={false}
           contentContainerStyle={styles.listContent}
         />
       )}
@@ -140,6 +162,30 @@ const styles = StyleSheet.create({
     fontSize: 28,
     fontWeight: 'bold',
   },
+  missingRatesText: {
+    fontSize: 12,
+    color: '#F44336',
+    marginTop: 4,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#757575',
+    textTransform: 'uppercase',
+  },
+  sectionTotal: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#757575',
+  },
+  historyButton: {
+    marginTop: 4,
+  },
   listContent: {
     padding: 16,
     paddingBottom: 80,
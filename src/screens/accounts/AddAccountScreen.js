@@ -1,40 +1,58 @@
 import React, { useState } from 'react';
-import { View, StyleSheet, ScrollView, Alert } from 'react-native';
-import { TextInput, Button, SegmentedButtons, Text } from 'react-native-paper';
+import { View, StyleSheet, ScrollView, Alert, TouchableOpacity } from 'react-native';
+import { TextInput, Button, Text, List, Switch, Dialog, Portal, RadioButton } from 'react-native-paper';
 import { useNavigation } from '@react-navigation/native';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { addAccountSuccess } from '../../store/slices/accountsSlice';
 import { useDatabase } from '../../context/DatabaseContext';
 import { addTransactionSuccess } from '../../store/slices/transactionsSlice';
+import { parseMoney, getCurrency } from '../../utils/money';
+import { ensurePaymentCategory } from '../../services/creditCards';
+import { ACCOUNT_TYPES, getAccountType, isLiabilityType, isOnBudgetByDefault } from '../../utils/accounts';
+import CurrencyPicker from '../../components/common/CurrencyPicker';
 
 const AddAccountScreen = () => {
   const navigation = useNavigation();
   const dispatch = useDispatch();
   const database = useDatabase();
+  const homeCurrency = useSelector(state => state.accounts.homeCurrency);
   
   const [name, setName] = useState('');
   const [accountType, setAccountType] = useState('checking');
+  const [onBudget, setOnBudget] = useState(true);
+  const [showTypeDialog, setShowTypeDialog] = useState(false);
+  const [currency, setCurrency] = useState(homeCurrency);
   const [balance, setBalance] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   
+  // Each type starts on or off budget, which can be changed before the account is created
+  const handleTypeChange = (type) => {
+    setAccountType(type);
+    setOnBudget(isOnBudgetByDefault(type));
+    setShowTypeDialog(false);
+  };
+  
   const handleSubmit = async () => {
     if (!name.trim()) {
       Alert.alert('Error', 'Please enter an account name');
       return;
     }
     
-    const initialBalance = parseFloat(balance) || 0;
-    if (isNaN(initialBalance)) {
+    const enteredBalance = balance.trim() ? parseMoney(balance, currency) : 0;
+    if (isNaN(enteredBalance)) {
       Alert.alert('Error', 'Please enter a valid balance');
       return;
     }
+    // A credit card's or loan's balance is entered as the amount owed and stored as negative
+    const isLiability = isLiabilityType(accountType);
+    const initialBalance = isLiability ? -Math.abs(enteredBalance) : enteredBalance;
     
     try {
       setIsSubmitting(true);
       
-      await database.action(async () => {
-        const accountsCollection = database.collections.get('accounts');
-        const transactionsCollection = database.collections.get('transactions');
+      await database.action(async (db) => {
+        const accountsCollection = db.collections.get('accounts');
+        const transactionsCollection = db.collections.get('transactions');
         
         // Create account with proper dates
         const now = new Date();
@@ -43,6 +61,8 @@ const AddAccountScreen = () => {
         const account = await accountsCollection.create(account => {
           account.name = name.trim();
           account.accountType = accountType;
+          account.onBudget = onBudget;
+          account.currency = currency;
           account.initialBalance = initialBalance;
           account.currentBalance = initialBalance;
           account.createdAt = now;
@@ -51,26 +71,21 @@ const AddAccountScreen = () => {
         
         // Create initial transaction with proper timestamp - not Date object
         await transactionsCollection.create(transaction => {
-          transaction.amount = initialBalance;
+          transaction.amount = isLiability ? -initialBalance : initialBalance;
           transaction.payee = 'Initial Balance';
           transaction.notes = 'Account opening balance';
-          transaction.type = 'income';
+          transaction.type = isLiability ? 'expense' : 'income';
           transaction.account_id = account.id;
+          transaction.cleared_status = 'cleared';
           // Store date as a timestamp or ISO string, not a Date object
           transaction.date = nowTimestamp; 
           transaction.createdAt = now;
           transaction.updatedAt = now;
         });
         
-        // Convert any Date objects to ISO strings for Redux
-        const serializedAccount = {
-          ...account,
-          createdAt: account.createdAt.toISOString(),
-          updatedAt: account.updatedAt.toISOString()
-        };
-        
-        // Dispatch with serialized dates
-        dispatch(addAccountSuccess(serializedAccount));
+        // Created records already store their dates as ISO strings
+        dispatch(addAccountSuccess(account));
+        await ensurePaymentCategory(account, dispatch, db);
         
         // Navigate back
         navigation.goBack();
@@ -95,25 +110,39 @@ const AddAccountScreen = () => {
         />
         
         <Text style={styles.label}>Account Type</Text>
-        <SegmentedButtons
-          value={accountType}
-          onValueChange={setAccountType}
-          buttons={[
-            { value: 'checking', label: 'Checking' },
-            { value: 'savings', label: 'Savings' },
-            { value: 'credit', label: 'Credit' },
-          ]}
-          style={styles.segmentedButtons}
+        <TouchableOpacity onPress={() => setShowTypeDialog(true)}>
+          <List.Item
+            title={getAccountType(accountType).label}
+            left={props => <List.Icon {...props} icon={getAccountType(accountType).icon} />}
+            right={props => <List.Icon {...props} icon="chevron-right" />}
+            style={styles.picker}
+          />
+        </TouchableOpacity>
+        
+        <List.Item
+          title="Budget Account"
+          description={onBudget ?
+            'Its balance can be budgeted and its spending is charged to categories' :
+            'Tracking only - counted in net worth but left out of the budget'}
+          descriptionNumberOfLines={2}
+          right={() => <Switch value={onBudget} onValueChange={setOnBudget} />}
+          style={styles.picker}
+        />
+        
+        <CurrencyPicker
+          label="Currency"
+          value={currency}
+          onChange={setCurrency}
         />
         
         <TextInput
-          label="Initial Balance"
+          label={isLiabilityType(accountType) ? 'Amount Owed' : 'Initial Balance'}
           value={balance}
           onChangeText={setBalance}
           keyboardType="decimal-pad"
           style={styles.input}
           mode="outlined"
-          left={<TextInput.Affix text="$" />}
+          left={<TextInput.Affix text={getCurrency(currency).symbol} />}
         />
         
         <Button
@@ -126,6 +155,24 @@ const AddAccountScreen = () => {
           Create Account
         </Button>
       </View>
+      
+      <Portal>
+        <Dialog visible={showTypeDialog} onDismiss={() => setShowTypeDialog(false)}>
+          <Dialog.Title>Account Type</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <RadioButton.Group onValueChange={handleTypeChange} value={accountType}>
+                {ACCOUNT_TYPES.map(type => (
+                  <RadioButton.Item key={type.value} label={type.label} value={type.value} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setShowTypeDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </ScrollView>
   );
 };
@@ -144,8 +191,10 @@ const styles = StyleSheet.create({
   label: {
     marginBottom: 8,
   },
-  segmentedButtons: {
+  picker: {
     marginBottom: 16,
+    backgroundColor: '#ffffff',
+    borderRadius: 4,
   },
   button: {
     marginTop: 16,
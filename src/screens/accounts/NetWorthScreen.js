@@ -0,0 +1,201 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Surface, SegmentedButtons, List, Divider, ActivityIndicator, useTheme } from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import { format, parseISO } from 'date-fns';
+import { getNetWorthHistory } from '../../services/netWorth';
+import NetWorthChart from '../../components/accounts/NetWorthChart';
+import { getAccountTypeIcon } from '../../utils/accounts';
+import { formatMoney } from '../../utils/money';
+
+const RANGES = [
+  { value: '6', label: '6 Months' },
+  { value: '12', label: '1 Year' },
+  { value: '24', label: '2 Years' },
+];
+
+const NetWorthScreen = () => {
+  const navigation = useNavigation();
+  const theme = useTheme();
+  const { accounts, homeCurrency } = useSelector(state => state.accounts);
+
+  const [range, setRange] = useState('12');
+  const [history, setHistory] = useState(null);
+  const [selectedMonth, setSelectedMonth] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const months = await getNetWorthHistory(Number(range));
+      setHistory(months);
+      // Keep the selected month while it is still in range, otherwise show the latest
+      setSelectedMonth(current =>
+        (months.some(entry => entry.month === current) ? current : months[months.length - 1]?.month));
+    } catch (error) {
+      console.error('Error loading net worth history:', error);
+      Alert.alert('Error', 'Failed to load net worth: ' + error.message);
+    }
+  }, [range]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadHistory();
+    }, [loadHistory])
+  );
+
+  if (!history) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  const selected = history.find(entry => entry.month === selectedMonth) || history[history.length - 1];
+  const changeColor = (change) => (change < 0 ? theme.colors.error : theme.colors.success);
+  const renderChange = (change) => (change === null ? null : (
+    <Text style={[styles.change, { color: changeColor(change) }]}>
+      {formatMoney(change, { currency: homeCurrency, showPlus: true })}
+    </Text>
+  ));
+
+  // Assets first, largest first, then liabilities, largest owed first
+  const breakdown = [...selected.accounts].sort((a, b) => {
+    if ((a.balance < 0) !== (b.balance < 0)) return a.balance < 0 ? 1 : -1;
+    return Math.abs(b.balance) - Math.abs(a.balance);
+  });
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <SegmentedButtons value={range} onValueChange={setRange} buttons={RANGES} style={styles.range} />
+
+      <Surface style={styles.summary}>
+        <Text style={styles.summaryLabel}>
+          Net Worth · {format(parseISO(`${selected.month}-01`), 'MMMM yyyy')}
+        </Text>
+        <Text style={styles.netWorth}>{formatMoney(selected.netWorth, { currency: homeCurrency })}</Text>
+        {selected.change !== null && (
+          <Text style={{ color: changeColor(selected.change) }}>
+            {formatMoney(selected.change, { currency: homeCurrency, showPlus: true })} from the month before
+          </Text>
+        )}
+        <NetWorthChart history={history} selectedMonth={selected.month} onSelectMonth={setSelectedMonth} />
+        <View style={styles.totals}>
+          <View style={styles.total}>
+            <Text style={styles.summaryLabel}>Assets</Text>
+            <Text style={styles.totalValue}>{formatMoney(selected.assets, { currency: homeCurrency })}</Text>
+          </View>
+          <View style={styles.total}>
+            <Text style={styles.summaryLabel}>Liabilities</Text>
+            <Text style={styles.totalValue}>{formatMoney(selected.liabilities, { currency: homeCurrency })}</Text>
+          </View>
+        </View>
+        {selected.missingCurrencies.length > 0 && (
+          <Text style={styles.missingRatesText}>
+            {`Excludes ${selected.missingCurrencies.join(', ')} - add an exchange rate in Settings`}
+          </Text>
+        )}
+      </Surface>
+
+      <Surface style={styles.breakdown}>
+        <List.Subheader>
+          {selected.isSnapshot ? 'Accounts at month end (recorded)' : 'Accounts at month end'}
+        </List.Subheader>
+        {breakdown.length === 0 ? (
+          <Text style={styles.emptyText}>No accounts in this month.</Text>
+        ) : breakdown.map((account, index) => (
+          <View key={account.account_id}>
+            {index > 0 && <Divider />}
+            <List.Item
+              title={account.name}
+              left={props => <List.Icon {...props} icon={getAccountTypeIcon(account.accountType)} />}
+              // Snapshots can list accounts that have since been deleted
+              onPress={accounts.some(item => item.id === account.account_id) ?
+                () => navigation.navigate('AccountDetails', { accountId: account.account_id }) : undefined}
+              right={() => (
+                <View style={styles.accountAmounts}>
+                  <Text style={styles.balance}>{formatMoney(account.balance, { currency: homeCurrency })}</Text>
+                  {renderChange(account.change)}
+                </View>
+              )}
+            />
+          </View>
+        ))}
+      </Surface>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  range: {
+    marginBottom: 16,
+  },
+  summary: {
+    padding: 16,
+    borderRadius: 8,
+    elevation: 2,
+    marginBottom: 16,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#757575',
+  },
+  netWorth: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginVertical: 4,
+  },
+  totals: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  total: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  totalValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  missingRatesText: {
+    fontSize: 12,
+    color: '#F44336',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  breakdown: {
+    borderRadius: 8,
+    elevation: 2,
+    paddingBottom: 8,
+  },
+  emptyText: {
+    color: '#757575',
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  accountAmounts: {
+    alignItems: 'flex-end',
+    justifyContent: 'center',
+  },
+  balance: {
+    fontWeight: '500',
+  },
+  change: {
+    fontSize: 12,
+  },
+});
+
+export default NetWorthScreen;
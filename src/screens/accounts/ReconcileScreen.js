@@ -0,0 +1,306 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, FlatList, Alert, TouchableOpacity } from 'react-native';
+import { Text, TextInput, Button, List, Checkbox, Divider, IconButton, ActivityIndicator, useTheme } from 'react-native-paper';
+import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
+import { useDispatch } from 'react-redux';
+import { format, endOfDay } from 'date-fns';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { database } from '../../db/setup';
+import {
+  getAccountClearedBalances,
+  getUnreconciledTransactions,
+  finishReconciliation
+} from '../../services/reconciliation';
+import { getAccountAmount, isCleared, summarizeReconciliation } from '../../utils/reconciliation';
+import { formatMoney, formatMoneyInput, parseMoney, getCurrency } from '../../utils/money';
+
+const ReconcileScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const dispatch = useDispatch();
+  const theme = useTheme();
+  const { accountId } = route.params;
+
+  const [account, setAccount] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [statementBalance, setStatementBalance] = useState('');
+  const [statementDate, setStatementDate] = useState(new Date());
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  // Ticking off starts once the statement balance and date are entered
+  const [isMatching, setIsMatching] = useState(false);
+  const [clearedIds, setClearedIds] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadAccount = useCallback(async () => {
+    try {
+      const record = await database.collections.get('accounts').find(accountId);
+      if (!record) {
+        navigation.goBack();
+        return;
+      }
+      const [balances, unreconciled] = await Promise.all([
+        getAccountClearedBalances(accountId),
+        getUnreconciledTransactions(accountId),
+      ]);
+      setAccount(record);
+      setTransactions(unreconciled);
+      setClearedIds(unreconciled.filter(isCleared).map(transaction => transaction.id));
+      setStatementBalance(current => current || formatMoneyInput(balances.cleared, record.currency));
+    } catch (error) {
+      console.error('Error loading account for reconciling:', error);
+      Alert.alert('Error', 'Failed to load account: ' + error.message);
+    }
+  }, [accountId, navigation]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadAccount();
+    }, [loadAccount])
+  );
+
+  if (!account) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  const currency = account.currency;
+  const parsedBalance = parseMoney(statementBalance, currency);
+  // Transactions dated after the statement can't be on it
+  const statementEnd = endOfDay(statementDate).getTime();
+  const onStatement = transactions.filter(transaction => transaction.date <= statementEnd);
+  const tickedIds = clearedIds.filter(id => onStatement.some(transaction => transaction.id === id));
+  const { clearedBalance, difference } = summarizeReconciliation({
+    currentBalance: account.currentBalance,
+    transactions,
+    clearedIds: tickedIds,
+    statementBalance: isNaN(parsedBalance) ? 0 : parsedBalance,
+  });
+
+  const handleDateChange = (event, selectedDate) => {
+    setShowDatePicker(false);
+    setStatementDate(selectedDate || statementDate);
+  };
+
+  const handleStart = () => {
+    if (isNaN(parsedBalance)) {
+      Alert.alert('Invalid Balance', 'Please enter the balance shown on your statement.');
+      return;
+    }
+    setIsMatching(true);
+  };
+
+  const toggleCleared = (id) => {
+    setClearedIds(current => (current.includes(id) ? current.filter(existing => existing !== id) : [...current, id]));
+  };
+
+  const finish = async (postAdjustment) => {
+    try {
+      setIsSaving(true);
+      const { reconciled, adjustment } = await finishReconciliation({
+        accountId,
+        statementBalance: parsedBalance,
+        statementDate,
+        clearedIds: tickedIds,
+        postAdjustment
+      }, dispatch);
+      Alert.alert(
+        'Account Reconciled',
+        `${reconciled} transaction${reconciled === 1 ? ' was' : 's were'} reconciled` +
+          (adjustment ? ` and an adjustment of ${formatMoney(difference, { currency, showPlus: true })} was posted.` : '.')
+      );
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error reconciling account:', error);
+      Alert.alert('Error', 'Failed to reconcile account: ' + error.message);
+      setIsSaving(false);
+    }
+  };
+
+  const handleFinish = () => {
+    if (difference === 0) {
+      finish(false);
+      return;
+    }
+
+    Alert.alert(
+      'Balances Don\'t Match',
+      `The cleared balance is ${formatMoney(Math.abs(difference), { currency })} ` +
+        `${difference > 0 ? 'below' : 'above'} your statement. Keep checking for missing or wrong ` +
+        'transactions, or post an adjustment for the difference.',
+      [
+        { text: 'Keep Checking', style: 'cancel' },
+        { text: 'Post Adjustment', onPress: () => finish(true) }
+      ]
+    );
+  };
+
+  if (!isMatching) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.hint}>
+          Enter the closing balance and date from your bank statement, then tick off the transactions it shows.
+        </Text>
+        <TextInput
+          label="Statement Balance"
+          value={statementBalance}
+          onChangeText={setStatementBalance}
+          keyboardType="numbers-and-punctuation"
+          mode="outlined"
+          left={<TextInput.Affix text={getCurrency(currency).symbol} />}
+          style={styles.input}
+        />
+        <TouchableOpacity onPress={() => setShowDatePicker(true)}>
+          <List.Item
+            title={format(statementDate, 'MMMM d, yyyy')}
+            description="Statement date"
+            left={props => <List.Icon {...props} icon="calendar" />}
+            right={() => <IconButton icon="pencil" size={20} />}
+          />
+        </TouchableOpacity>
+        {showDatePicker && (
+          <DateTimePicker
+            value={statementDate}
+            mode="date"
+            display="default"
+            onChange={handleDateChange}
+          />
+        )}
+        {account.lastReconciledAt ? (
+          <Text style={styles.hint}>
+            Last reconciled to {formatMoney(account.lastReconciledBalance, { currency })} on{' '}
+            {format(account.lastReconciledAt, 'MMM d, yyyy')}
+          </Text>
+        ) : null}
+        <Button mode="contained" onPress={handleStart} style={styles.button}>
+          Start Reconciling
+        </Button>
+      </ScrollView>
+    );
+  }
+
+  const renderTransaction = ({ item }) => {
+    const amount = getAccountAmount(item);
+    return (
+      <List.Item
+        title={item.payee || 'No payee'}
+        description={format(item.date, 'MMM d, yyyy')}
+        onPress={() => toggleCleared(item.id)}
+        left={() => (
+          <Checkbox
+            status={tickedIds.includes(item.id) ? 'checked' : 'unchecked'}
+            onPress={() => toggleCleared(item.id)}
+          />
+        )}
+        right={() => (
+          <Text style={[styles.amount, { color: amount < 0 ? theme.colors.error : theme.colors.success }]}>
+            {formatMoney(amount, { currency, showPlus: true })}
+          </Text>
+        )}
+      />
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryLabel}>Statement</Text>
+          <Text style={styles.summaryValue}>{formatMoney(parsedBalance, { currency })}</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryLabel}>Cleared</Text>
+          <Text style={styles.summaryValue}>{formatMoney(clearedBalance, { currency })}</Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryLabel}>Difference</Text>
+          <Text style={[styles.summaryValue, { color: difference === 0 ? theme.colors.success : theme.colors.error }]}>
+            {formatMoney(difference, { currency, showPlus: true })}
+          </Text>
+        </View>
+      </View>
+      <Text style={styles.listHint}>
+        Tick each transaction on your statement up to {format(statementDate, 'MMM d, yyyy')}.
+      </Text>
+      <FlatList
+        data={onStatement}
+        keyExtractor={transaction => transaction.id}
+        renderItem={renderTransaction}
+        ItemSeparatorComponent={Divider}
+        extraData={tickedIds}
+        ListEmptyComponent={<Text style={styles.listHint}>No unreconciled transactions up to this date.</Text>}
+      />
+      <View style={styles.footer}>
+        <Button mode="text" onPress={() => setIsMatching(false)} disabled={isSaving}>
+          Back
+        </Button>
+        <Button mode="contained" onPress={handleFinish} loading={isSaving} disabled={isSaving}>
+          Finish
+        </Button>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  content: {
+    padding: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  hint: {
+    color: '#757575',
+    marginVertical: 8,
+  },
+  input: {
+    marginTop: 8,
+  },
+  button: {
+    marginTop: 16,
+  },
+  summary: {
+    flexDirection: 'row',
+    padding: 16,
+    backgroundColor: '#f5f5f5',
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#757575',
+  },
+  summaryValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  listHint: {
+    color: '#757575',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  amount: {
+    alignSelf: 'center',
+    fontWeight: '500',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+});
+
+export default ReconcileScreen;
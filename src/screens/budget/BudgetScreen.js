@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, StyleSheet, FlatList, Alert, TouchableOpacity, Animated, Dimensions } from 'react-native';
+import { View, StyleSheet, FlatList, Alert, TouchableOpacity, Animated, Dimensions, ScrollView } from 'react-native';
 import { Text, Button, Card, Title, TextInput, IconButton, Dialog, Portal, RadioButton, FAB, useTheme, ActivityIndicator } from 'react-native-paper';
 import { useSelector, useDispatch } from 'react-redux';
 import { 
@@ -27,7 +27,11 @@ import {
   repairBudgetChain // Add this import
 } from '../../utils/budgetUtils';
 import BudgetAllocationModal from '../../components/budget/BudgetAllocationModal';
-import { useFocusEffect } from '@react-navigation/native';
+import { getAutoAssignAmounts, getAutoAssignPlan, applyAutoAssignPlan } from '../../services/autoAssign';
+import { AUTO_ASSIGN_METHODS } from '../../utils/autoAssign';
+import { parseMoney, formatMoney, formatMoneyInput } from '../../utils/money';
+import { isPaymentCategory, sortPaymentCategoriesLast } from '../../utils/creditCards';
+import { observeCurrencySettings } from '../../services/currency';
 
 // Constants
 const CATEGORY_COLORS = [
@@ -49,13 +53,14 @@ const BudgetScreen = ({ navigation }) => {
   const currentMonth = useSelector(state => state.budget.currentMonth);
   const budgets = useSelector(state => state.budget.budgets);
   const categories = useSelector(state => state.categories.categories);
+  // Credit card payment categories are listed after the spending categories
+  const budgetCategories = sortPaymentCategoriesLast(categories);
   const readyToAssign = useSelector(state => state.accounts.readyToAssign);
+  const homeCurrency = useSelector(state => state.accounts.homeCurrency);
   const [budgetValues, setBudgetValues] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [monthMenuVisible, setMonthMenuVisible] = useState(false);
   const [performingRollover, setPerformingRollover] = useState(false);
-  // Add missing lastRefreshTime state variable
-  const [lastRefreshTime, setLastRefreshTime] = useState(0);
   
   // Category editing state
   const [editDialogVisible, setEditDialogVisible] = useState(false);
@@ -63,6 +68,14 @@ const BudgetScreen = ({ navigation }) => {
   const [editedCategoryName, setEditedCategoryName] = useState('');
   const [editedCategoryColor, setEditedCategoryColor] = useState('');
   const [editedCategoryIcon, setEditedCategoryIcon] = useState('');
+  const [editedCategoryGoal, setEditedCategoryGoal] = useState('');
+
+  // Auto-assign all state
+  const [autoAssignDialogVisible, setAutoAssignDialogVisible] = useState(false);
+  const [autoAssignMethod, setAutoAssignMethod] = useState(AUTO_ASSIGN_METHODS[0].key);
+  const [autoAssignPlan, setAutoAssignPlan] = useState(null);
+  // Counts previews, so one that finishes after a newer one was asked for is dropped
+  const autoAssignRequest = useRef(0);
 
   // Budget allocation modal state
   const [allocationModalVisible, setAllocationModalVisible] = useState(false);
@@ -167,7 +180,7 @@ const BudgetScreen = ({ navigation }) => {
         // Initialize budget input values
         const initialValues = {};
         monthBudgets.forEach(budget => {
-          initialValues[budget.category_id] = budget.assigned.toString();
+          initialValues[budget.category_id] = formatMoneyInput(budget.assigned, homeCurrency);
         });
         setBudgetValues(initialValues);
         
@@ -187,55 +200,52 @@ const BudgetScreen = ({ navigation }) => {
     loadData();
   }, [currentMonth, dispatch]);
 
-  // Modify the useFocusEffect to prevent unnecessary recalculations
-  useFocusEffect(
-    React.useCallback(() => {
-      // Track if component is mounted to prevent state updates after unmount
-      let isMounted = true;
-      
-      const loadData = async () => {
-        // Skip reloading if the data is already in cache and not stale
-        const shouldRefresh = Date.now() - (lastRefreshTime || 0) > 10000; // Only refresh after 10 seconds
-        if (!shouldRefresh && budgets.length > 0) return;
-        
-        if (!isMounted) return;
-        setIsLoading(true);
-        
-        try {
-          // Instead of clearBudgetCache(), use the more efficient approach
-          // that preserves transaction impact data
-          await ensureAllCategoryBudgets(currentMonth);
-          
-          // Reload budgets for the current month
-          const monthBudgets = await getBudgetsForMonth(currentMonth);
-          
-          if (isMounted) {
-            dispatch(fetchBudgetsSuccess(monthBudgets));
-            
-            // Update ready to assign amount
-            const readyToAssign = await calculateReadyToAssign(currentMonth);
-            dispatch(updateReadyToAssign(readyToAssign));
-            setLastRefreshTime(Date.now());
-          }
-        } catch (error) {
-          console.error('Error reloading budget data:', error);
-        } finally {
-          if (isMounted) {
-            setIsLoading(false);
-          }
-        }
-      };
-      
-      // Only load data if not already loading
-      if (!isLoading) {
-        loadData();
+  // Keep categories, this month's budgets and ready to assign in sync with the database.
+  // Ready to assign depends on account balances and on every earlier month's budgets.
+  useEffect(() => {
+    let isMounted = true;
+    
+    const refreshReadyToAssign = async () => {
+      const readyToAssign = await calculateReadyToAssign(currentMonth);
+      if (isMounted) {
+        dispatch(updateReadyToAssign(readyToAssign));
       }
-      
-      return () => {
-        isMounted = false;
-      };
-    }, [currentMonth, dispatch, lastRefreshTime, budgets.length]) // Add lastRefreshTime to dependencies
-  );
+    };
+    
+    const categoriesSubscription = database.collections
+      .get('categories')
+      .query()
+      .observe()
+      .subscribe(categoriesData => {
+        dispatch(fetchCategoriesSuccess(categoriesData));
+      });
+    
+    const budgetsSubscription = database.collections
+      .get('category_budgets')
+      .query(Q.where('month', '<=', currentMonth))
+      .observe()
+      .subscribe(budgetsData => {
+        dispatch(fetchBudgetsSuccess(budgetsData.filter(budget => budget.month === currentMonth)));
+        refreshReadyToAssign();
+      });
+    
+    const accountsSubscription = database.collections
+      .get('accounts')
+      .query()
+      .observe()
+      .subscribe(refreshReadyToAssign);
+    
+    // Balances in other currencies are converted with the current rates
+    const currencySubscription = observeCurrencySettings().subscribe(refreshReadyToAssign);
+    
+    return () => {
+      isMounted = false;
+      categoriesSubscription.unsubscribe();
+      budgetsSubscription.unsubscribe();
+      accountsSubscription.unsubscribe();
+      currencySubscription.unsubscribe();
+    };
+  }, [currentMonth, dispatch]);
 
   const handleBudgetChange = (categoryId, value) => {
     setBudgetValues({
@@ -245,7 +255,7 @@ const BudgetScreen = ({ navigation }) => {
   };
 
   const handleAssignBudget = async (categoryId) => {
-    const amount = parseFloat(budgetValues[categoryId] || '0');
+    const amount = parseMoney(budgetValues[categoryId] || '0', homeCurrency);
     if (isNaN(amount) || amount < 0) {
       Alert.alert('Invalid Amount', 'Please enter a valid budget amount');
       return;
@@ -264,7 +274,7 @@ const BudgetScreen = ({ navigation }) => {
     if (difference > 0 && readyToAssign < difference) {
       Alert.alert(
         'Insufficient Funds', 
-        `You only have $${readyToAssign.toFixed(2)} available to assign.`
+        `You only have ${formatMoney(readyToAssign, { currency: homeCurrency })} available to assign.`
       );
       return;
     }
@@ -277,12 +287,17 @@ const BudgetScreen = ({ navigation }) => {
     }
   };
   
+  // Goal as text for the edit dialog, blank when the category has none
+  const formatGoalInput = (category) =>
+    (category.goal_amount === null || category.goal_amount === undefined ? '' : formatMoneyInput(category.goal_amount, homeCurrency));
+
   // Handle opening the edit category dialog
   const handleEditCategory = (category) => {
     setEditingCategory(category);
     setEditedCategoryName(category.name);
     setEditedCategoryColor(category.color || CATEGORY_COLORS[0]);
     setEditedCategoryIcon(category.icon || CATEGORY_ICONS[0]);
+    setEditedCategoryGoal(formatGoalInput(category));
     setEditDialogVisible(true);
   };
   
@@ -292,6 +307,13 @@ const BudgetScreen = ({ navigation }) => {
       Alert.alert('Invalid Name', 'Category name cannot be empty');
       return;
     }
+
+    // A blank goal removes it
+    const goalAmount = editedCategoryGoal.trim() ? parseMoney(editedCategoryGoal, homeCurrency) : null;
+    if (goalAmount !== null && (isNaN(goalAmount) || goalAmount < 0)) {
+      Alert.alert('Invalid Goal', 'Please enter a valid goal amount');
+      return;
+    }
     
     try {
       const categoriesCollection = database.collections.get('categories');
@@ -299,6 +321,7 @@ const BudgetScreen = ({ navigation }) => {
         category.name = editedCategoryName.trim();
         category.color = editedCategoryColor;
         category.icon = editedCategoryIcon;
+        category.goal_amount = goalAmount;
         category.updatedAt = new Date();
       });
       
@@ -309,6 +332,7 @@ const BudgetScreen = ({ navigation }) => {
           name: updatedCategory.name,
           color: updatedCategory.color,
           icon: updatedCategory.icon,
+          goal_amount: updatedCategory.goal_amount,
           updatedAt: updatedCategory.updatedAt
         }
       }));
@@ -359,6 +383,14 @@ const BudgetScreen = ({ navigation }) => {
 
   const handleDeleteCategory = async () => {
     if (!editingCategory) return;
+
+    if (isPaymentCategory(editingCategory)) {
+      Alert.alert(
+        'Cannot Delete Category',
+        'This is a credit card payment category. It is deleted along with its card account.'
+      );
+      return;
+    }
     
     try {
       // Check if the category has any budgets
@@ -381,7 +413,11 @@ const BudgetScreen = ({ navigation }) => {
         Q.where('category_id', editingCategory.id)
       ).fetch();
       
-      if (categoryTransactions.length > 0) {
+      const categorySplits = await database.collections.get('transaction_splits').query(
+        Q.where('category_id', editingCategory.id)
+      ).fetch();
+      
+      if (categoryTransactions.length > 0 || categorySplits.length > 0) {
         Alert.alert(
           'Cannot Delete Category',
           'This category has transactions assigned to it. Please reassign those first.'
@@ -408,7 +444,7 @@ const BudgetScreen = ({ navigation }) => {
   // Handle opening the allocation modal
   const handleOpenAllocation = (category) => {
     const budget = budgets.find(b => b.category_id === category.id);
-    const currentAmount = budget ? budget.assigned.toString() : '0';
+    const currentAmount = budget ? formatMoneyInput(budget.assigned, homeCurrency) : '0';
     
     setSelectedCategoryForAllocation(category);
     setCurrentAllocationAmount(currentAmount);
@@ -417,7 +453,7 @@ const BudgetScreen = ({ navigation }) => {
     
     // Scroll to make sure the selected item is visible
     if (budgetListRef.current) {
-      const index = categories.findIndex(c => c.id === category.id);
+      const index = budgetCategories.findIndex(c => c.id === category.id);
       if (index !== -1) {
         // Use a smaller viewOffset to position the item higher in the visible area
         budgetListRef.current.scrollToIndex({ 
@@ -433,7 +469,7 @@ const BudgetScreen = ({ navigation }) => {
   const handleSaveAllocation = async (amount) => {
     if (!selectedCategoryForAllocation) return false;
         
-    const parsedAmount = parseFloat(amount);
+    const parsedAmount = parseMoney(amount, homeCurrency);
     if (isNaN(parsedAmount) || parsedAmount < 0) {
       Alert.alert('Invalid Amount', 'Please enter a valid budget amount');
       return false;
@@ -463,7 +499,7 @@ const BudgetScreen = ({ navigation }) => {
         // Update local state
         setBudgetValues({
           ...budgetValues,
-          [selectedCategoryForAllocation.id]: parsedAmount.toString()
+          [selectedCategoryForAllocation.id]: formatMoneyInput(parsedAmount, homeCurrency)
         });
         
         // Close modal after saving
@@ -498,89 +534,17 @@ const BudgetScreen = ({ navigation }) => {
     if (!selectedCategoryForAllocation) return;
     
     try {
-      let amountToAssign = 0;
-      const categoryId = selectedCategoryForAllocation.id;
-      
-      // Get transactions collection
-      const transactionsCollection = database.collections.get('transactions');
-      
-      switch(method) {
-        case 'previous': {
-          // Assign same as previous month
-          const previousMonth = format(
-            subMonths(parseISO(`${currentMonth}-01`), 1),
-            'yyyy-MM'
-          );
-          
-          const prevBudgets = await getBudgetsForMonth(previousMonth);
-          const prevBudget = prevBudgets.find(b => b.category_id === categoryId);
-          
-          if (prevBudget) {
-            amountToAssign = prevBudget.assigned;
-          }
-          break;
-        }
-          
-        case 'spent': {
-          // Assign same as spent previous month
-          const previousMonth = format(
-            subMonths(parseISO(`${currentMonth}-01`), 1),
-            'yyyy-MM'
-          );
-          
-          const prevMonthStart = new Date(`${previousMonth}-01T00:00:00Z`);
-          const prevMonthEnd = new Date(
-            addMonths(prevMonthStart, 1).getTime() - 1
-          );
-          
-          const transactions = await transactionsCollection.query(
-            Q.where('category_id', categoryId),
-            Q.where('type', 'expense'),
-            Q.where('date', Q.gte(prevMonthStart.getTime())),
-            Q.where('date', Q.lte(prevMonthEnd.getTime()))
-          ).fetch();
-           
-          amountToAssign = transactions.reduce(
-            (sum, tx) => sum + tx.amount, 
-            0
-          );
-          break;
-        }
-          
-        case 'average': {
-          // Assign average of all time
-          const transactions = await transactionsCollection.query(
-            Q.where('category_id', categoryId),
-            Q.where('type', 'expense')
-          ).fetch();
-          
-          if (transactions.length > 0) {
-            const total = transactions.reduce((sum, tx) => sum + tx.amount, 0);
-            
-            // Get number of unique months
-            const monthsSet = new Set();
-            transactions.forEach(tx => {
-              const date = new Date(tx.date);
-              const month = `${date.getFullYear()}-${date.getMonth() + 1}`;
-              monthsSet.add(month);
-            });
-                 
-            const numMonths = Math.max(1, monthsSet.size);
-            amountToAssign = total / numMonths;
-          }
-          break;
-        }
-      }
-      
-      // Round to 2 decimal places
-      amountToAssign = Math.round(amountToAssign * 100) / 100;
+      // Same amounts the modal's auto-assign tab shows
+      const amounts = await getAutoAssignAmounts(selectedCategoryForAllocation.id, currentMonth);
+      const amountToAssign = amounts[method];
+      if (amountToAssign === null || amountToAssign === undefined) return;
       
       // Set in the modal and save if confirmed
-      setCurrentAllocationAmount(amountToAssign.toString());
+      setCurrentAllocationAmount(formatMoneyInput(amountToAssign, homeCurrency));
       
       Alert.alert(
         'Auto-assign Budget',
-        `Assign $${amountToAssign.toFixed(2)} to ${selectedCategoryForAllocation.name}?`,
+        `Assign ${formatMoney(amountToAssign, { currency: homeCurrency })} to ${selectedCategoryForAllocation.name}?`,
         [
           {
             text: 'Cancel',
@@ -588,7 +552,7 @@ const BudgetScreen = ({ navigation }) => {
           },
           {
             text: 'Confirm',
-            onPress: () => handleSaveAllocation(amountToAssign.toString()),
+            onPress: () => handleSaveAllocation(formatMoneyInput(amountToAssign, homeCurrency)),
           },
         ]
       );
@@ -599,6 +563,48 @@ const BudgetScreen = ({ navigation }) => {
     }
   };
 
+  // Preview auto-assigning every category with an option
+  const loadAutoAssignPlan = async (method) => {
+    const request = ++autoAssignRequest.current;
+    setAutoAssignMethod(method);
+    setAutoAssignPlan(null);
+    try {
+      const plan = await getAutoAssignPlan(method, currentMonth);
+      if (request !== autoAssignRequest.current) return;
+      setAutoAssignPlan(plan);
+    } catch (error) {
+      if (request !== autoAssignRequest.current) return;
+      console.error('Error previewing auto-assign:', error);
+      Alert.alert('Error', 'Failed to preview auto-assign: ' + error.message);
+    }
+  };
+
+  const handleOpenAutoAssignAll = () => {
+    setAutoAssignDialogVisible(true);
+    loadAutoAssignPlan(autoAssignMethod);
+  };
+
+  // Apply the previewed auto-assign
+  const handleApplyAutoAssignAll = async () => {
+    if (!autoAssignPlan) return;
+    if (autoAssignPlan.total > 0 && readyToAssign < autoAssignPlan.total) {
+      Alert.alert(
+        'Insufficient Funds',
+        `You only have ${formatMoney(readyToAssign, { currency: homeCurrency })} available to assign.`
+      );
+      return;
+    }
+
+    try {
+      await applyAutoAssignPlan(autoAssignPlan, currentMonth, dispatch);
+      dispatch(fetchBudgetsSuccess(await getBudgetsForMonth(currentMonth)));
+      setAutoAssignDialogVisible(false);
+    } catch (error) {
+      console.error('Error applying auto-assign:', error);
+      Alert.alert('Error', 'Failed to auto-assign: ' + error.message);
+    }
+  };
+
   // Truncate a string to max length and add ellipsis if needed
   const truncateString = (str, maxLength) => {
     if (str.length <= maxLength) return str;
@@ -617,7 +623,7 @@ const BudgetScreen = ({ navigation }) => {
     
     const displayAmount = isSelected ? 
       currentAllocationAmount : 
-      assigned.toFixed(2);
+      formatMoneyInput(assigned, homeCurrency);
   
     // Truncate category name to keep UI clean
     const displayName = truncateString(item.name, MAX_CATEGORY_NAME_LENGTH);
@@ -652,9 +658,9 @@ const BudgetScreen = ({ navigation }) => {
                 
                 {/* Simplified logic for balance breakdown */}
                 <Text style={styles.balanceBreakdown}>
-                  {assigned > 0 ? `${assigned.toFixed(2)} assigned` : ''}
+                  {assigned > 0 ? `${formatMoney(assigned, { currency: homeCurrency, symbol: '' })} assigned` : ''}
                   {carriedOver !== 0 ? 
-                    `${assigned > 0 ? ' ' : ''}${carriedOver > 0 ? '+' : ''}${carriedOver.toFixed(2)} carried over` : ''}
+                    `${assigned > 0 ? ' ' : ''}${formatMoney(carriedOver, { showPlus: true, currency: homeCurrency, symbol: '' })} carried over` : ''}
                 </Text>
               </View>
               
@@ -676,7 +682,7 @@ const BudgetScreen = ({ navigation }) => {
                 styles.amountText,
                 available < 0 ? styles.negative : available > 0 ? styles.positive : {}
               ]}>
-                ${available.toFixed(2)}
+                {formatMoney(available, { currency: homeCurrency })}
               </Text>
             </View>
           </Card.Content>
@@ -894,12 +900,15 @@ const BudgetScreen = ({ navigation }) => {
             <View style={styles.readyToAssignContainer}>
               <Text style={styles.readyToAssignLabel}>Ready to Assign</Text>
               <Text style={styles.readyToAssignAmount}>
-                ${readyToAssign.toFixed(2)}
+                {formatMoney(readyToAssign, { currency: homeCurrency })}
                 {performingRollover && " (updating...)"}
               </Text>
               {performingRollover && (
                 <ActivityIndicator size="small" style={{marginTop: 4}} />
               )}
+              <Button compact icon="lightning-bolt" onPress={handleOpenAutoAssignAll}>
+                Auto-assign All
+              </Button>
             </View>
           </Card.Content>
         </Card>
@@ -915,7 +924,7 @@ const BudgetScreen = ({ navigation }) => {
         {/* Categories List */}
         <FlatList
           ref={budgetListRef}
-          data={categories}
+          data={budgetCategories}
           renderItem={renderCategoryItem}    
           keyExtractor={item => item.id}
           contentContainerStyle={styles.listContainer}
@@ -929,14 +938,16 @@ const BudgetScreen = ({ navigation }) => {
           <BudgetAllocationModal
             visible={allocationModalVisible}
             category={selectedCategoryForAllocation}
+            month={currentMonth}
             currentAmount={currentAllocationAmount}
+            currency={homeCurrency}
             onChangeAmount={setCurrentAllocationAmount}
             onClose={() => {
               // Reset to original amount on close
               if (selectedCategoryForAllocation) {
                 const budget = budgets.find(b => b.category_id === selectedCategoryForAllocation.id);
                 if (budget) {
-                  setCurrentAllocationAmount(budget.assigned.toString());
+                  setCurrentAllocationAmount(formatMoneyInput(budget.assigned, homeCurrency));
                 }
               }
               setAllocationModalVisible(false);
@@ -950,6 +961,7 @@ const BudgetScreen = ({ navigation }) => {
                 setEditedCategoryName(selectedCategoryForAllocation.name);
                 setEditedCategoryColor(selectedCategoryForAllocation.color || CATEGORY_COLORS[0]);
                 setEditedCategoryIcon(selectedCategoryForAllocation.icon || CATEGORY_ICONS[0]);
+                setEditedCategoryGoal(formatGoalInput(selectedCategoryForAllocation));
                 setEditDialogVisible(true);
               }
             }}
@@ -1111,6 +1123,15 @@ const BudgetScreen = ({ navigation }) => {
               onChangeText={setEditedCategoryName}
               style={styles.dialogInput}
             />
+
+            <TextInput
+              label="Goal (optional)"
+              placeholder="Amount to have available"
+              value={editedCategoryGoal}
+              onChangeText={setEditedCategoryGoal}
+              keyboardType="decimal-pad"
+              style={styles.dialogInput}
+            />
             
             <Text style={styles.colorLabel}>Select Color</Text>
             <View style={styles.colorOptions}>
@@ -1149,6 +1170,60 @@ const BudgetScreen = ({ navigation }) => {
           </Dialog.Actions>
         </Dialog>
       </Portal>
+
+      {/* Auto-assign All Dialog */}
+      <Portal>
+        <Dialog visible={autoAssignDialogVisible} onDismiss={() => setAutoAssignDialogVisible(false)}>
+          <Dialog.Title>Auto-assign All</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <RadioButton.Group onValueChange={loadAutoAssignPlan} value={autoAssignMethod}>
+                {AUTO_ASSIGN_METHODS.map(method => (
+                  <RadioButton.Item key={method.key} label={method.label} value={method.key} />
+                ))}
+              </RadioButton.Group>
+
+              {!autoAssignPlan ? (
+                <ActivityIndicator style={styles.autoAssignLoading} />
+              ) : autoAssignPlan.changes.length === 0 ? (
+                <Text style={styles.autoAssignEmpty}>No categories would change.</Text>
+              ) : (
+                <View style={styles.autoAssignPreview}>
+                  {autoAssignPlan.changes.map(change => (
+                    <View key={change.category_id} style={styles.autoAssignRow}>
+                      <Text style={styles.autoAssignName} numberOfLines={1}>{change.name}</Text>
+                      <Text>
+                        {formatMoney(change.assigned, { currency: homeCurrency })} → {formatMoney(change.amount, { currency: homeCurrency })}
+                      </Text>
+                    </View>
+                  ))}
+                  <View style={[styles.autoAssignRow, styles.autoAssignTotal]}>
+                    <Text style={styles.autoAssignName}>Total</Text>
+                    <Text style={styles.autoAssignTotalText}>
+                      {formatMoney(autoAssignPlan.total, { currency: homeCurrency, showPlus: true })}
+                    </Text>
+                  </View>
+                  <View style={styles.autoAssignRow}>
+                    <Text style={styles.autoAssignName}>Ready to Assign after</Text>
+                    <Text style={readyToAssign - autoAssignPlan.total < 0 && { color: theme.colors.error }}>
+                      {formatMoney(readyToAssign - autoAssignPlan.total, { currency: homeCurrency })}
+                    </Text>
+                  </View>
+                </View>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setAutoAssignDialogVisible(false)}>Cancel</Button>
+            <Button
+              onPress={handleApplyAutoAssignAll}
+              disabled={!autoAssignPlan || autoAssignPlan.changes.length === 0}
+            >
+              Assign
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </View>
   );
 };
@@ -1206,6 +1281,36 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingTop: 8,
   },
+  autoAssignLoading: {
+    padding: 16,
+  },
+  autoAssignEmpty: {
+    color: '#757575',
+    padding: 16,
+    textAlign: 'center',
+  },
+  autoAssignPreview: {
+    paddingHorizontal: 8,
+    paddingBottom: 8,
+  },
+  autoAssignRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  autoAssignName: {
+    flex: 1,
+    marginRight: 8,
+  },
+  autoAssignTotal: {
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    marginTop: 4,
+    paddingTop: 8,
+  },
+  autoAssignTotalText: {
+    fontWeight: 'bold',
+  },
   columnHeaders: {
     flexDirection: 'row',
     paddingHorizontal: 32,
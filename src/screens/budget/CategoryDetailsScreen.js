@@ -2,15 +2,18 @@ import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView } from 'react-native';
 import { Text, Card, Title, ActivityIndicator, useTheme } from 'react-native-paper';
 import { useRoute, useNavigation } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
 import { useDatabase } from '../../context/DatabaseContext';
 import { Q } from '../../db/query';
 import TransactionsList from '../../components/transactions/TransactionsList';
+import { formatMoney } from '../../utils/money';
 
 const CategoryDetailsScreen = () => {
   const route = useRoute();
   const navigation = useNavigation();
   const theme = useTheme();
   const database = useDatabase();
+  const homeCurrency = useSelector(state => state.accounts.homeCurrency);
   
   const { categoryId } = route.params || {};
   
@@ -54,8 +57,15 @@ const CategoryDetailsScreen = () => {
         
         // Fetch category transactions
         const transactionsCollection = database.collections.get('transactions');
+        const splits = await database.collections.get('transaction_splits').query(
+          Q.where('category_id', categoryId)
+        ).fetch();
+        // Split transactions with a line in this category are listed too
         const categoryTransactions = await transactionsCollection.query(
-          Q.where('category_id', categoryId),
+          Q.or(
+            Q.where('category_id', categoryId),
+            Q.where('id', Q.oneOf(splits.map(split => split.transaction_id)))
+          ),
           Q.sortBy('date', Q.desc()),
           Q.take(20)
         ).fetch();
@@ -126,11 +136,11 @@ const CategoryDetailsScreen = () => {
                   <Text style={styles.monthLabel}>{budget.month}</Text>
                   <View style={styles.budgetValues}>
                     <Text style={styles.budgetLabel}>Assigned:</Text>
-                    <Text style={styles.budgetAmount}>${budget.assigned}</Text>
+                    <Text style={styles.budgetAmount}>{formatMoney(budget.assigned, { currency: homeCurrency })}</Text>
                   </View>
                   <View style={styles.budgetValues}>
                     <Text style={styles.budgetLabel}>Available:</Text>
-                    <Text style={styles.budgetAmount}>${budget.available}</Text>
+                    <Text style={styles.budgetAmount}>{formatMoney(budget.available, { currency: homeCurrency })}</Text>
                   </View>
                 </View>
               ))
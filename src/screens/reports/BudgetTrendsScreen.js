@@ -0,0 +1,131 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Surface, SegmentedButtons, List, Divider, ActivityIndicator, useTheme } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import { getBudgetTrends } from '../../services/budgetTrends';
+import BudgetTrendTable from '../../components/reports/BudgetTrendTable';
+import { getMonthsEnding } from '../../utils/netWorth';
+import { getCurrentMonth } from '../../utils/budgetUtils';
+import { formatMoney } from '../../utils/money';
+
+const RANGES = [
+  { value: '3', label: '3 Months' },
+  { value: '6', label: '6 Months' },
+  { value: '12', label: '1 Year' },
+];
+
+const BudgetTrendsScreen = () => {
+  const theme = useTheme();
+  const homeCurrency = useSelector(state => state.accounts.homeCurrency);
+
+  const [range, setRange] = useState('6');
+  const [groups, setGroups] = useState(null);
+
+  const loadTrends = useCallback(async () => {
+    try {
+      setGroups(await getBudgetTrends(getMonthsEnding(getCurrentMonth(), Number(range))));
+    } catch (error) {
+      console.error('Error loading budget trends:', error);
+      Alert.alert('Error', 'Failed to load budget trends: ' + error.message);
+    }
+  }, [range]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadTrends();
+    }, [loadTrends])
+  );
+
+  const money = (amount) => formatMoney(amount, { currency: homeCurrency });
+
+  const renderTrend = (trend, title, icon, color) => (
+    <List.Accordion
+      title={title}
+      description={`Avg assigned ${money(trend.averages.assigned)} · avg spent ${money(trend.averages.spent)}`}
+      left={props => <List.Icon {...props} icon={icon} color={color || props.color} />}
+      right={props => (
+        <View style={styles.accordionRight}>
+          {trend.negativeMonths > 0 && (
+            <Text style={[styles.negativeText, { color: theme.colors.error }]}>
+              {`${trend.negativeMonths} negative`}
+            </Text>
+          )}
+          <List.Icon {...props} icon={props.isExpanded ? 'chevron-up' : 'chevron-down'} />
+        </View>
+      )}
+    >
+      <BudgetTrendTable months={trend.months} averages={trend.averages} currency={homeCurrency} />
+    </List.Accordion>
+  );
+
+  if (!groups) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <SegmentedButtons value={range} onValueChange={setRange} buttons={RANGES} style={styles.range} />
+
+      {groups.length === 0 && (
+        <Text style={styles.emptyText}>Add categories to the budget to see how they do over time.</Text>
+      )}
+
+      {groups.map(group => (
+        <Surface key={group.key} style={styles.group}>
+          <List.Subheader>{group.name}</List.Subheader>
+          {renderTrend(group, `All ${group.name}`, 'folder-outline')}
+          {group.categories.map(trend => (
+            <View key={trend.category_id}>
+              <Divider />
+              {renderTrend(trend, trend.name, 'circle', trend.color)}
+            </View>
+          ))}
+        </Surface>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  range: {
+    marginBottom: 16,
+  },
+  group: {
+    borderRadius: 8,
+    elevation: 2,
+    marginBottom: 16,
+    paddingBottom: 8,
+    overflow: 'hidden',
+  },
+  accordionRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  negativeText: {
+    fontSize: 12,
+  },
+  emptyText: {
+    color: '#757575',
+    padding: 16,
+    textAlign: 'center',
+  },
+});
+
+export default BudgetTrendsScreen;
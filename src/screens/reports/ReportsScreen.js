@@ -0,0 +1,351 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, Alert, TouchableOpacity } from 'react-native';
+import {
+  Text,
+  Surface,
+  SegmentedButtons,
+  List,
+  Button,
+  Checkbox,
+  Dialog,
+  Portal,
+  RadioButton,
+  ActivityIndicator,
+  useTheme
+} from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import { format, parseISO, startOfMonth } from 'date-fns';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { database } from '../../db/setup';
+import { getReports } from '../../services/reports';
+import ReportBarRow from '../../components/reports/ReportBarRow';
+import { REPORT_RANGES, getReportRange } from '../../utils/reports';
+import { formatMoney } from '../../utils/money';
+
+const REPORT_TYPES = [
+  { value: 'category', label: 'Category' },
+  { value: 'payee', label: 'Payee' },
+  { value: 'month', label: 'Monthly' },
+];
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+const ReportsScreen = () => {
+  const navigation = useNavigation();
+  const theme = useTheme();
+  const homeCurrency = useSelector(state => state.accounts.homeCurrency);
+
+  const [reportType, setReportType] = useState('category');
+  const [range, setRange] = useState('thisMonth');
+  const [customRange, setCustomRange] = useState({ startDate: startOfMonth(new Date()), endDate: new Date() });
+  const [pickingDate, setPickingDate] = useState(null); // 'startDate' or 'endDate'
+  const [accountIds, setAccountIds] = useState(null); // null for every account
+  const [accounts, setAccounts] = useState([]);
+  const [showRangeDialog, setShowRangeDialog] = useState(false);
+  const [showAccountsDialog, setShowAccountsDialog] = useState(false);
+  const [reports, setReports] = useState(null);
+
+  const { startDate, endDate } = useMemo(() => getReportRange(range, customRange), [range, customRange]);
+
+  const loadReports = useCallback(async () => {
+    try {
+      const [accountRecords, built] = await Promise.all([
+        database.collections.get('accounts').query().fetch(),
+        getReports({ startDate, endDate, accountIds }),
+      ]);
+      setAccounts(accountRecords);
+      setReports(built);
+    } catch (error) {
+      console.error('Error building reports:', error);
+      Alert.alert('Error', 'Failed to build reports: ' + error.message);
+    }
+  }, [startDate, endDate, accountIds]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadReports();
+    }, [loadReports])
+  );
+
+  const handleDateChange = (event, selectedDate) => {
+    const field = pickingDate;
+    setPickingDate(null);
+    if (selectedDate) {
+      setCustomRange(current => ({ ...current, [field]: selectedDate }));
+    }
+  };
+
+  const toggleAccount = (accountId) => {
+    const selected = accountIds || accounts.map(account => account.id);
+    const next = selected.includes(accountId) ? selected.filter(id => id !== accountId) : [...selected, accountId];
+    setAccountIds(next.length === accounts.length ? null : next);
+  };
+
+  const money = (amount) => formatMoney(amount, { currency: homeCurrency });
+  const accountsLabel = !accountIds ? 'All accounts' :
+    accountIds.length === 1 ? (accounts.find(account => account.id === accountIds[0]) || {}).name || '1 account' :
+    `${accountIds.length} accounts`;
+
+  const renderByCategory = () => {
+    const largest = Math.max(1, ...reports.byCategory.map(row => row.amount));
+    return reports.byCategory.map(row => (
+      <ReportBarRow
+        key={row.category_id || 'uncategorized'}
+        label={row.name}
+        amount={money(row.amount)}
+        detail={`${formatShare(row.share)} of spending` +
+          (row.assigned !== null ? ` · ${money(row.assigned)} assigned` : '')}
+        fraction={row.amount / largest}
+        color={row.color}
+        onPress={row.category_id ? () => navigation.navigate('Budget', {
+          screen: 'CategoryDetails',
+          params: { categoryId: row.category_id, categoryName: row.name },
+        }) : undefined}
+      />
+    ));
+  };
+
+  const renderByPayee = () => {
+    const largest = Math.max(1, ...reports.byPayee.map(row => row.amount));
+    return reports.byPayee.map(row => (
+      <ReportBarRow
+        key={row.payee}
+        label={row.payee}
+        amount={money(row.amount)}
+        detail={`${row.count} transaction${row.count === 1 ? '' : 's'} · ${formatShare(row.share)} of spending`}
+        fraction={row.amount / largest}
+      />
+    ));
+  };
+
+  const renderByMonth = () => {
+    const largest = Math.max(1, ...reports.byMonth.map(row => Math.max(row.income, row.expense)));
+    return reports.byMonth.map(row => (
+      <View key={row.month} style={styles.monthRow}>
+        <View style={styles.monthHeader}>
+          <Text style={styles.monthLabel}>{format(parseISO(`${row.month}-01`), 'MMMM yyyy')}</Text>
+          <Text style={{ color: row.net < 0 ? theme.colors.error : theme.colors.success }}>
+            {formatMoney(row.net, { currency: homeCurrency, showPlus: true })}
+          </Text>
+        </View>
+        <ReportBarRow label="Income" amount={money(row.income)} fraction={row.income / largest} color={theme.colors.success} />
+        <ReportBarRow label="Spending" amount={money(row.expense)} fraction={row.expense / largest} color={theme.colors.error} />
+      </View>
+    ));
+  };
+
+  const renderReport = () => {
+    if (!reports) {
+      return <ActivityIndicator style={styles.loading} size="large" color={theme.colors.primary} />;
+    }
+    const rows = reportType === 'category' ? reports.byCategory :
+      reportType === 'payee' ? reports.byPayee : reports.byMonth;
+    if (rows.length === 0) {
+      return <Text style={styles.emptyText}>Nothing to report for these dates and accounts.</Text>;
+    }
+    return reportType === 'category' ? renderByCategory() :
+      reportType === 'payee' ? renderByPayee() : renderByMonth();
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Surface style={styles.filters}>
+        <TouchableOpacity onPress={() => setShowRangeDialog(true)}>
+          <List.Item
+            title={REPORT_RANGES[range].label}
+            description={`${format(startDate, 'MMM d, yyyy')} - ${format(endDate, 'MMM d, yyyy')}`}
+            left={props => <List.Icon {...props} icon="calendar-range" />}
+            right={props => <List.Icon {...props} icon="chevron-right" />}
+          />
+        </TouchableOpacity>
+        {range === 'custom' && (
+          <View style={styles.customDates}>
+            <Button mode="outlined" onPress={() => setPickingDate('startDate')}>
+              From {format(startDate, 'MMM d, yyyy')}
+            </Button>
+            <Button mode="outlined" onPress={() => setPickingDate('endDate')}>
+              To {format(endDate, 'MMM d, yyyy')}
+            </Button>
+          </View>
+        )}
+        <TouchableOpacity onPress={() => setShowAccountsDialog(true)}>
+          <List.Item
+            title={accountsLabel}
+            left={props => <List.Icon {...props} icon="bank" />}
+            right={props => <List.Icon {...props} icon="chevron-right" />}
+          />
+        </TouchableOpacity>
+      </Surface>
+
+      {reports && (
+        <Surface style={styles.totals}>
+          <View style={styles.total}>
+            <Text style={styles.totalLabel}>Income</Text>
+            <Text style={styles.totalValue}>{money(reports.totals.income)}</Text>
+          </View>
+          <View style={styles.total}>
+            <Text style={styles.totalLabel}>Spending</Text>
+            <Text style={styles.totalValue}>{money(reports.totals.expense)}</Text>
+          </View>
+          <View style={styles.total}>
+            <Text style={styles.totalLabel}>Net</Text>
+            <Text style={[styles.totalValue, { color: reports.totals.net < 0 ? theme.colors.error : theme.colors.success }]}>
+              {formatMoney(reports.totals.net, { currency: homeCurrency, showPlus: true })}
+            </Text>
+          </View>
+        </Surface>
+      )}
+
+      <SegmentedButtons value={reportType} onValueChange={setReportType} buttons={REPORT_TYPES} style={styles.reportTypes} />
+
+      <Surface style={styles.report}>
+        {renderReport()}
+        {reports && reports.missingCurrencies.length > 0 && (
+          <Text style={styles.missingRatesText}>
+            {`Excludes ${reports.missingCurrencies.join(', ')} - add an exchange rate in Settings`}
+          </Text>
+        )}
+      </Surface>
+
+      <Surface style={styles.links}>
+        <List.Item
+          title="Budget vs Actual"
+          description="Assigned, activity and available by month"
+          left={props => <List.Icon {...props} icon="chart-timeline-variant" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('BudgetTrends')}
+        />
+      </Surface>
+
+      {pickingDate && (
+        <DateTimePicker
+          value={pickingDate === 'startDate' ? startDate : endDate}
+          mode="date"
+          display="default"
+          onChange={handleDateChange}
+        />
+      )}
+
+      <Portal>
+        <Dialog visible={showRangeDialog} onDismiss={() => setShowRangeDialog(false)}>
+          <Dialog.Title>Dates</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group
+              onValueChange={value => {
+                setRange(value);
+                setShowRangeDialog(false);
+              }}
+              value={range}
+            >
+              {Object.keys(REPORT_RANGES).map(key => (
+                <RadioButton.Item key={key} label={REPORT_RANGES[key].label} value={key} />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+        </Dialog>
+
+        <Dialog visible={showAccountsDialog} onDismiss={() => setShowAccountsDialog(false)}>
+          <Dialog.Title>Accounts</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              {accounts.map(account => (
+                <Checkbox.Item
+                  key={account.id}
+                  label={account.name}
+                  status={!accountIds || accountIds.includes(account.id) ? 'checked' : 'unchecked'}
+                  onPress={() => toggleAccount(account.id)}
+                />
+              ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setAccountIds(null)}>All</Button>
+            <Button onPress={() => setShowAccountsDialog(false)}>Done</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    padding: 16,
+  },
+  filters: {
+    borderRadius: 8,
+    elevation: 2,
+    marginBottom: 16,
+  },
+  customDates: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingBottom: 8,
+  },
+  totals: {
+    flexDirection: 'row',
+    padding: 16,
+    borderRadius: 8,
+    elevation: 2,
+    marginBottom: 16,
+  },
+  total: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  totalLabel: {
+    fontSize: 12,
+    color: '#757575',
+  },
+  totalValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  reportTypes: {
+    marginBottom: 16,
+  },
+  report: {
+    borderRadius: 8,
+    elevation: 2,
+    paddingVertical: 8,
+  },
+  links: {
+    borderRadius: 8,
+    elevation: 2,
+    marginTop: 16,
+  },
+  loading: {
+    padding: 24,
+  },
+  emptyText: {
+    color: '#757575',
+    padding: 16,
+    textAlign: 'center',
+  },
+  monthRow: {
+    paddingVertical: 4,
+  },
+  monthHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+  },
+  monthLabel: {
+    fontWeight: 'bold',
+  },
+  missingRatesText: {
+    fontSize: 12,
+    color: '#F44336',
+    padding: 16,
+    textAlign: 'center',
+  },
+});
+
+export default ReportsScreen;
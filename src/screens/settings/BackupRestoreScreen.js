@@ -0,0 +1,353 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Button, List, SegmentedButtons, Dialog, Portal, Divider, IconButton } from 'react-native-paper';
+import { useDispatch, useSelector } from 'react-redux';
+import { useFocusEffect } from '@react-navigation/native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { format } from 'date-fns';
+import {
+  BACKUP_FREQUENCIES,
+  canStoreBackups,
+  createBackup,
+  listBackups,
+  deleteBackup,
+  shareBackup,
+  readBackup,
+  restoreBackup,
+  getBackupSettings,
+  setBackupFrequency
+} from '../../services/backup';
+import { readFileAsText } from '../../services/files';
+import { database } from '../../db/setup';
+import { syncReadyToAssignWithBudgets, getBudgetsForMonth } from '../../utils/budgetUtils';
+import { fetchAccountsSuccess } from '../../store/slices/accountsSlice';
+import { fetchCategoriesSuccess } from '../../store/slices/categoriesSlice';
+import { fetchBudgetsSuccess } from '../../store/slices/budgetSlice';
+
+const COLLECTION_LABELS = {
+  accounts: 'Accounts',
+  categories: 'Categories',
+  category_budgets: 'Monthly budgets',
+  transactions: 'Transactions',
+  transaction_splits: 'Transaction splits',
+  exchange_rates: 'Exchange rates',
+  settings: 'Settings',
+  scheduled_transactions: 'Scheduled transactions',
+  payees: 'Payees',
+  payee_rules: 'Payee rules',
+  transaction_rules: 'Transaction rules',
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+const BackupRestoreScreen = () => {
+  const dispatch = useDispatch();
+  const currentMonth = useSelector(state => state.budget.currentMonth);
+  const storesBackups = canStoreBackups();
+
+  const [frequency, setFrequency] = useState('off');
+  const [lastBackupAt, setLastBackupAt] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  const loadBackups = useCallback(async () => {
+    try {
+      const [settings, backupList] = await Promise.all([getBackupSettings(), listBackups()]);
+      setFrequency(settings.frequency);
+      setLastBackupAt(settings.lastBackupAt);
+      setBackups(backupList);
+    } catch (error) {
+      console.error('Error loading backups:', error);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadBackups();
+    }, [loadBackups])
+  );
+
+  const handleFrequencyChange = async (value) => {
+    try {
+      setFrequency(value);
+      await setBackupFrequency(value);
+    } catch (error) {
+      console.error('Error saving backup frequency:', error);
+      Alert.alert('Error', 'Failed to save backup frequency');
+    }
+  };
+
+  const handleBackUpNow = async () => {
+    try {
+      setIsBackingUp(true);
+      await createBackup();
+      await loadBackups();
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      Alert.alert('Error', 'Failed to create backup: ' + error.message);
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+
+  // Check an archive and show what restoring it will replace
+  const prepareRestore = async (text) => {
+    try {
+      setPendingRestore(await readBackup(text));
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      Alert.alert('Cannot Restore', error.message);
+    }
+  };
+
+  const handleRestoreFromList = async (backup) => {
+    try {
+      await prepareRestore(await FileSystem.readAsStringAsync(backup.uri));
+    } catch (error) {
+      console.error('Error opening backup:', error);
+      Alert.alert('Error', 'Failed to open backup: ' + error.message);
+    }
+  };
+
+  const handleRestoreFromFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ copyToCacheDirectory: true });
+      if (result.canceled || !result.assets || result.assets.length === 0) {
+        return;
+      }
+      await prepareRestore(await readFileAsText(result.assets[0].uri));
+    } catch (error) {
+      console.error('Error opening backup file:', error);
+      Alert.alert('Error', 'Failed to open file: ' + error.message);
+    }
+  };
+
+  // The store still holds the data the restore replaced
+  const reloadRestoredData = async () => {
+    const [accounts, categories] = await Promise.all([
+      database.collections.get('accounts').query().fetch(),
+      database.collections.get('categories').query().fetch(),
+    ]);
+    dispatch(fetchAccountsSuccess(accounts));
+    dispatch(fetchCategoriesSuccess(categories));
+    dispatch(fetchBudgetsSuccess(await getBudgetsForMonth(currentMonth)));
+    await syncReadyToAssignWithBudgets(dispatch);
+  };
+
+  const handleConfirmRestore = async () => {
+    const { archive } = pendingRestore;
+    try {
+      setIsRestoring(true);
+      const safetyBackup = await restoreBackup(archive);
+      await reloadRestoredData();
+      setPendingRestore(null);
+      await loadBackups();
+      Alert.alert(
+        'Restore Complete',
+        safetyBackup
+          ? `Your data has been restored. The data it replaced was saved as ${safetyBackup.fileName}.`
+          : 'Your data has been restored.'
+      );
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert('Error', 'Failed to restore backup: ' + error.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const handleShare = async (backup) => {
+    try {
+      await shareBackup(backup);
+    } catch (error) {
+      console.error('Error sharing backup:', error);
+      Alert.alert('Error', 'Failed to share backup: ' + error.message);
+    }
+  };
+
+  const handleDelete = (backup) => {
+    Alert.alert(
+      'Delete Backup',
+      `Delete ${backup.fileName}? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteBackup(backup.uri);
+              await loadBackups();
+            } catch (error) {
+              console.error('Error deleting backup:', error);
+              Alert.alert('Error', 'Failed to delete backup');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {storesBackups ? (
+        <>
+          <Text style={styles.label}>Automatic Backups</Text>
+          <SegmentedButtons
+            value={frequency}
+            onValueChange={handleFrequencyChange}
+            buttons={Object.keys(BACKUP_FREQUENCIES).map(key => ({ value: key, label: BACKUP_FREQUENCIES[key].label }))}
+          />
+          <Text style={styles.hint}>
+            {lastBackupAt
+              ? `Last backup: ${format(lastBackupAt, 'MMM d, yyyy h:mm a')}`
+              : 'No backups yet'}
+          </Text>
+          <Text style={styles.hint}>
+            Backups are kept on this device and are removed if the app is uninstalled. Share a backup to keep a copy elsewhere.
+          </Text>
+        </>
+      ) : (
+        <Text style={styles.hint}>
+          Backups can't be kept in the browser. Back up to download a backup file, and restore from that file later.
+        </Text>
+      )}
+
+      <Button
+        mode="contained"
+        icon="content-save"
+        onPress={handleBackUpNow}
+        loading={isBackingUp}
+        disabled={isBackingUp || isRestoring}
+        style={styles.button}
+      >
+        Back Up Now
+      </Button>
+      <Button
+        mode="outlined"
+        icon="file-restore"
+        onPress={handleRestoreFromFile}
+        disabled={isBackingUp || isRestoring}
+        style={styles.button}
+      >
+        Restore from File
+      </Button>
+
+      {storesBackups && (
+        <>
+          <Divider style={styles.divider} />
+          <Text style={styles.label}>Backups on This Device</Text>
+          {backups.length === 0 ? (
+            <Text style={styles.hint}>No backups yet</Text>
+          ) : (
+            backups.map(backup => (
+              <List.Item
+                key={backup.uri}
+                title={backup.modifiedAt ? format(backup.modifiedAt, 'MMM d, yyyy h:mm a') : backup.fileName}
+                description={`${backup.automatic ? 'Automatic' : 'Manual'} · ${formatSize(backup.size)}`}
+                left={props => <List.Icon {...props} icon={backup.automatic ? 'backup-restore' : 'content-save'} />}
+                right={() => (
+                  <View style={styles.actions}>
+                    <IconButton icon="share-variant" size={20} onPress={() => handleShare(backup)} />
+                    <IconButton icon="restore" size={20} onPress={() => handleRestoreFromList(backup)} />
+                    <IconButton icon="delete" size={20} iconColor="#F44336" onPress={() => handleDelete(backup)} />
+                  </View>
+                )}
+              />
+            ))
+          )}
+        </>
+      )}
+
+      <Portal>
+        <Dialog visible={!!pendingRestore} onDismiss={() => !isRestoring && setPendingRestore(null)}>
+          <Dialog.Title>Restore Backup?</Dialog.Title>
+          <Dialog.Content>
+            {pendingRestore && (
+              <>
+                <Text style={styles.dialogText}>
+                  {pendingRestore.createdAt
+                    ? `This backup was taken on ${format(pendingRestore.createdAt, 'MMM d, yyyy h:mm a')}. `
+                    : ''}
+                  All of your current data will be replaced.
+                </Text>
+                <View style={styles.summaryRow}>
+                  <Text style={[styles.summaryName, styles.summaryHeader]}>Data</Text>
+                  <Text style={[styles.summaryCount, styles.summaryHeader]}>Now</Text>
+                  <Text style={[styles.summaryCount, styles.summaryHeader]}>Backup</Text>
+                </View>
+                {Object.keys(pendingRestore.counts).map(name => (
+                  <View key={name} style={styles.summaryRow}>
+                    <Text style={styles.summaryName}>{COLLECTION_LABELS[name] || name}</Text>
+                    <Text style={styles.summaryCount}>{pendingRestore.currentCounts[name]}</Text>
+                    <Text style={styles.summaryCount}>{pendingRestore.counts[name]}</Text>
+                  </View>
+                ))}
+              </>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setPendingRestore(null)} disabled={isRestoring}>Cancel</Button>
+            <Button onPress={handleConfirmRestore} loading={isRestoring} disabled={isRestoring} textColor="#F44336">
+              Restore
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  label: {
+    marginTop: 8,
+    marginBottom: 8,
+    fontWeight: 'bold',
+  },
+  hint: {
+    color: '#757575',
+    marginTop: 8,
+  },
+  button: {
+    marginTop: 16,
+  },
+  divider: {
+    marginVertical: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dialogText: {
+    marginBottom: 16,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+  },
+  summaryHeader: {
+    fontWeight: 'bold',
+  },
+  summaryName: {
+    flex: 1,
+  },
+  summaryCount: {
+    width: 64,
+    textAlign: 'right',
+  },
+});
+
+export default BackupRestoreScreen;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { List, FAB, Portal, Dialog, Button, TextInput, Text, IconButton, useTheme } from 'react-native-paper';
+import { useSelector } from 'react-redux';
+import { format } from 'date-fns';
+import EmptyState from '../../components/common/EmptyState';
+import CurrencyPicker from '../../components/common/CurrencyPicker';
+import { saveExchangeRate, deleteExchangeRate, importExchangeRates } from '../../services/currency';
+
+// Show rates to six significant digits, e.g. 1.08235 or 0.000123457
+const formatRate = (rate) => String(Number(rate.toPrecision(6)));
+
+const ExchangeRatesScreen = () => {
+  const theme = useTheme();
+
+  // Kept in sync with the database by the main navigator
+  const { homeCurrency, exchangeRates } = useSelector(state => state.accounts);
+
+  const [isFabOpen, setIsFabOpen] = useState(false);
+  const [isAddVisible, setIsAddVisible] = useState(false);
+  const [isImportVisible, setIsImportVisible] = useState(false);
+  const [baseCurrency, setBaseCurrency] = useState('EUR');
+  const [quoteCurrency, setQuoteCurrency] = useState(homeCurrency);
+  const [rateText, setRateText] = useState('');
+  const [importText, setImportText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const openAddDialog = () => {
+    setQuoteCurrency(homeCurrency);
+    setRateText('');
+    setIsAddVisible(true);
+  };
+
+  const handleSaveRate = async () => {
+    const rate = Number(rateText.replace(',', '.'));
+    if (!Number.isFinite(rate) || rate <= 0) {
+      Alert.alert('Invalid Rate', 'Please enter a rate greater than zero.');
+      return;
+    }
+    if (baseCurrency === quoteCurrency) {
+      Alert.alert('Invalid Rate', 'Please choose two different currencies.');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await saveExchangeRate({
+        base_currency: baseCurrency,
+        quote_currency: quoteCurrency,
+        rate,
+        date: Date.now(),
+      });
+      setIsAddVisible(false);
+    } catch (error) {
+      console.error('Error saving exchange rate:', error);
+      Alert.alert('Error', 'Failed to save exchange rate: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsSaving(true);
+      const { imported, errors } = await importExchangeRates(importText);
+      setIsImportVisible(false);
+      setImportText('');
+
+      const skipped = errors.slice(0, 5).map(error => `Line ${error.line}: ${error.message}`).join('\n');
+      Alert.alert(
+        'Import Complete',
+        `Imported ${imported} rate${imported === 1 ? '' : 's'}.` +
+          (errors.length ? `\nSkipped ${errors.length}:\n${skipped}` : '')
+      );
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+      Alert.alert('Error', 'Failed to import exchange rates: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = (rate) => {
+    Alert.alert(
+      'Delete Rate',
+      `Delete the ${rate.base_currency}/${rate.quote_currency} rate?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteExchangeRate(rate.id);
+            } catch (error) {
+              console.error('Error deleting exchange rate:', error);
+              Alert.alert('Error', 'Failed to delete exchange rate.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {exchangeRates.length === 0 ? (
+        <EmptyState
+          icon="swap-horizontal-circle-outline"
+          title="No Exchange Rates"
+          message={`Add a rate for each currency your accounts use so balances can be totalled in ${homeCurrency}.`}
+        />
+      ) : (
+        <FlatList
+          data={exchangeRates}
+          keyExtractor={item => item.id}
+          renderItem={({ item }) => (
+            <List.Item
+              title={`1 ${item.base_currency} = ${formatRate(item.rate)} ${item.quote_currency}`}
+              description={`1 ${item.quote_currency} = ${formatRate(1 / item.rate)} ${item.base_currency}` +
+                (item.date ? ` • ${format(new Date(item.date), 'MMM d, yyyy')}` : '')}
+              left={props => <List.Icon {...props} icon="swap-horizontal" />}
+              right={() => (
+                <IconButton icon="delete-outline" onPress={() => handleDelete(item)} />
+              )}
+              style={styles.rateItem}
+            />
+          )}
+          contentContainerStyle={styles.listContent}
+        />
+      )}
+
+      <FAB.Group
+        open={isFabOpen}
+        visible
+        icon={isFabOpen ? 'close' : 'plus'}
+        fabStyle={{ backgroundColor: theme.colors.primary }}
+        actions={[
+          { icon: 'plus', label: 'Add Rate', onPress: openAddDialog },
+          { icon: 'import', label: 'Import Rates', onPress: () => setIsImportVisible(true) },
+        ]}
+        onStateChange={({ open }) => setIsFabOpen(open)}
+      />
+
+      <Portal>
+        <Dialog visible={isAddVisible} onDismiss={() => setIsAddVisible(false)}>
+          <Dialog.Title>Add Exchange Rate</Dialog.Title>
+          <Dialog.Content>
+            <CurrencyPicker label="From" value={baseCurrency} onChange={setBaseCurrency} />
+            <CurrencyPicker label="To" value={quoteCurrency} onChange={setQuoteCurrency} />
+            <TextInput
+              label={`${quoteCurrency} per 1 ${baseCurrency}`}
+              value={rateText}
+              onChangeText={setRateText}
+              keyboardType="decimal-pad"
+              mode="outlined"
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setIsAddVisible(false)}>Cancel</Button>
+            <Button onPress={handleSaveRate} loading={isSaving} disabled={isSaving}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog visible={isImportVisible} onDismiss={() => setIsImportVisible(false)}>
+          <Dialog.Title>Import Exchange Rates</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.importHelp}>
+              Paste one rate per line as from,to,rate with an optional date, e.g. EUR,USD,1.08,2024-01-31
+            </Text>
+            <TextInput
+              value={importText}
+              onChangeText={setImportText}
+              mode="outlined"
+              multiline
+              numberOfLines={6}
+              autoCapitalize="characters"
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setIsImportVisible(false)}>Cancel</Button>
+            <Button onPress={handleImport} loading={isSaving} disabled={isSaving || !importText.trim()}>
+              Import
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 80,
+  },
+  rateItem: {
+    backgroundColor: '#ffffff',
+    marginBottom: 8,
+    borderRadius: 8,
+  },
+  importHelp: {
+    marginBottom: 12,
+    color: '#757575',
+  },
+});
+
+export default ExchangeRatesScreen;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, Alert, TouchableOpacity } from 'react-native';
+import { Text, Button, List, RadioButton, Chip, Dialog, Portal, Divider } from 'react-native-paper';
+import { useSelector } from 'react-redux';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format, startOfMonth, endOfMonth, subMonths, startOfYear, startOfDay, endOfDay } from 'date-fns';
+import {
+  exportTransactionsCsv,
+  exportAccountsCsv,
+  exportCategoriesCsv,
+  exportCategoryBudgetsCsv,
+  exportDatabaseJson
+} from '../../services/dataExport';
+
+const EXPORTS = {
+  transactions: { label: 'Transactions (CSV)', run: exportTransactionsCsv },
+  accounts: { label: 'Accounts (CSV)', run: exportAccountsCsv },
+  categories: { label: 'Categories (CSV)', run: exportCategoriesCsv },
+  budgets: { label: 'Monthly Budgets (CSV)', run: exportCategoryBudgetsCsv },
+  everything: { label: 'Everything (JSON)', run: exportDatabaseJson },
+};
+
+const DATE_RANGES = {
+  all: 'All Time',
+  thisMonth: 'This Month',
+  lastMonth: 'Last Month',
+  thisYear: 'This Year',
+  custom: 'Custom',
+};
+
+// Start and end of a preset date range; null means no limit
+const getDateRange = (range, customStart, customEnd) => {
+  const now = new Date();
+  switch (range) {
+    case 'thisMonth':
+      return [startOfMonth(now), endOfMonth(now)];
+    case 'lastMonth':
+      return [startOfMonth(subMonths(now, 1)), endOfMonth(subMonths(now, 1))];
+    case 'thisYear':
+      return [startOfYear(now), endOfDay(now)];
+    case 'custom':
+      return [startOfDay(customStart), endOfDay(customEnd)];
+    default:
+      return [null, null];
+  }
+};
+
+const ExportDataScreen = () => {
+  const accounts = useSelector(state => state.accounts.accounts);
+
+  const [exportType, setExportType] = useState('transactions');
+  const [dateRange, setDateRange] = useState('all');
+  const [customStart, setCustomStart] = useState(startOfMonth(new Date()));
+  const [customEnd, setCustomEnd] = useState(new Date());
+  const [editingDate, setEditingDate] = useState(null);
+  const [accountId, setAccountId] = useState(null);
+  const [showAccountDialog, setShowAccountDialog] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const account = accounts.find(acc => acc.id === accountId);
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      if (exportType === 'transactions') {
+        const [startDate, endDate] = getDateRange(dateRange, customStart, customEnd);
+        if (startDate && endDate && startDate > endDate) {
+          Alert.alert('Invalid Dates', 'The start date must be on or before the end date.');
+          return;
+        }
+        await exportTransactionsCsv({ startDate, endDate, accountId });
+      } else {
+        await EXPORTS[exportType].run();
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert('Error', 'Failed to export data: ' + error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.label}>What to Export</Text>
+      <RadioButton.Group onValueChange={setExportType} value={exportType}>
+        {Object.keys(EXPORTS).map(key => (
+          <RadioButton.Item key={key} label={EXPORTS[key].label} value={key} />
+        ))}
+      </RadioButton.Group>
+
+      {exportType === 'everything' && (
+        <Text style={styles.hint}>
+          A complete copy of all your data, including settings, scheduled transactions and exchange rates.
+        </Text>
+      )}
+
+      {exportType === 'transactions' && (
+        <>
+          <Divider style={styles.divider} />
+          <Text style={styles.label}>Date Range</Text>
+          <View style={styles.chips}>
+            {Object.keys(DATE_RANGES).map(key => (
+              <Chip key={key} selected={dateRange === key} onPress={() => setDateRange(key)} style={styles.chip}>
+                {DATE_RANGES[key]}
+              </Chip>
+            ))}
+          </View>
+          {dateRange === 'custom' && (
+            <View style={styles.dateRow}>
+              <Button mode="outlined" icon="calendar" onPress={() => setEditingDate('start')} style={styles.dateButton}>
+                {format(customStart, 'MMM d, yyyy')}
+              </Button>
+              <Text>to</Text>
+              <Button mode="outlined" icon="calendar" onPress={() => setEditingDate('end')} style={styles.dateButton}>
+                {format(customEnd, 'MMM d, yyyy')}
+              </Button>
+            </View>
+          )}
+          {editingDate && (
+            <DateTimePicker
+              value={editingDate === 'start' ? customStart : customEnd}
+              mode="date"
+              display="default"
+              onChange={(event, selectedDate) => {
+                const field = editingDate;
+                setEditingDate(null);
+                if (selectedDate) {
+                  (field === 'start' ? setCustomStart : setCustomEnd)(selectedDate);
+                }
+              }}
+            />
+          )}
+
+          <Text style={styles.label}>Account</Text>
+          <TouchableOpacity onPress={() => setShowAccountDialog(true)}>
+            <List.Item
+              title={account ? account.name : 'All Accounts'}
+              left={props => <List.Icon {...props} icon="bank" />}
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+            />
+          </TouchableOpacity>
+        </>
+      )}
+
+      <Button
+        mode="contained"
+        icon="export"
+        onPress={handleExport}
+        loading={isExporting}
+        disabled={isExporting}
+        style={styles.exportButton}
+      >
+        Export
+      </Button>
+
+      <Portal>
+        <Dialog visible={showAccountDialog} onDismiss={() => setShowAccountDialog(false)}>
+          <Dialog.Title>Select Account</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group
+              onValueChange={value => {
+                setAccountId(value || null);
+                setShowAccountDialog(false);
+              }}
+              value={accountId || ''}
+            >
+              <RadioButton.Item label="All Accounts" value="" />
+              {accounts.map(acc => (
+                <RadioButton.Item key={acc.id} label={acc.name} value={acc.id} />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setShowAccountDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  label: {
+    marginTop: 8,
+    marginBottom: 8,
+    fontWeight: 'bold',
+  },
+  hint: {
+    color: '#757575',
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  divider: {
+    marginVertical: 16,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  dateButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  exportButton: {
+    marginTop: 24,
+  },
+});
+
+export default ExportDataScreen;
@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, Alert, TouchableOpacity } from 'react-native';
+import { Text, Button, List, SegmentedButtons, Dialog, Portal, RadioButton, Divider, Switch, useTheme } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { useDispatch, useSelector } from 'react-redux';
+import * as DocumentPicker from 'expo-document-picker';
+import { format } from 'date-fns';
+import CsvMappingForm from '../../components/import/CsvMappingForm';
+import { STATEMENT_FORMATS, detectStatementFormat, parseStatement } from '../../utils/import/statement';
+import { DEFAULT_CSV_MAPPING, getCsvColumns } from '../../utils/import/csv';
+import { getOfxCurrency } from '../../utils/import/ofx';
+import { QIF_DATE_ORDERS } from '../../utils/import/qif';
+import { getCsvMapping, saveCsvMapping, importStatementRows, findImportDuplicates } from '../../services/statementImport';
+import { readFileAsText } from '../../services/files';
+import { getPayeeRenamer } from '../../services/payees';
+import { formatMoney } from '../../utils/money';
+
+// Rows listed in the preview; the rest are still imported
+const PREVIEW_LIMIT = 50;
+
+const ImportTransactionsScreen = () => {
+  const navigation = useNavigation();
+  const dispatch = useDispatch();
+  const theme = useTheme();
+
+  const accounts = useSelector(state => state.accounts.accounts);
+
+  const [file, setFile] = useState(null);
+  const [statementFormat, setStatementFormat] = useState('csv');
+  const [csvMapping, setCsvMapping] = useState(DEFAULT_CSV_MAPPING);
+  const [qifDateOrder, setQifDateOrder] = useState('mdy');
+  const [accountId, setAccountId] = useState(accounts[0]?.id || null);
+  const [showAccountDialog, setShowAccountDialog] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [duplicates, setDuplicates] = useState([]);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [renamePayee, setRenamePayee] = useState(() => text => text);
+
+  const account = accounts.find(acc => acc.id === accountId);
+
+  // Start from the mapping used last time, so each bank only needs setting up once
+  useEffect(() => {
+    getCsvMapping()
+      .then(setCsvMapping)
+      .catch(error => console.error('Error loading CSV mapping:', error));
+  }, []);
+
+  // Show payees as the payee rules will rename them
+  useEffect(() => {
+    getPayeeRenamer()
+      .then(renamer => setRenamePayee(() => renamer))
+      .catch(error => console.error('Error loading payee rules:', error));
+  }, []);
+
+  const columns = useMemo(
+    () => (file && statementFormat === 'csv' ? getCsvColumns(file.text, csvMapping) : []),
+    [file, statementFormat, csvMapping]
+  );
+
+  const parsed = useMemo(() => {
+    if (!file || !account) return null;
+    try {
+      return parseStatement(file.text, {
+        format: statementFormat,
+        currency: account.currency,
+        csvMapping,
+        qifDateOrder,
+      });
+    } catch (error) {
+      console.error('Error parsing statement:', error);
+      return { rows: [], errors: [{ line: 0, message: error.message }] };
+    }
+  }, [file, account, statementFormat, csvMapping, qifDateOrder]);
+
+  // Rows already in the account, from an earlier import or entered by hand
+  useEffect(() => {
+    let isCurrent = true;
+    setDuplicates([]);
+    if (parsed && accountId) {
+      findImportDuplicates(parsed.rows, accountId)
+        .then(matches => {
+          if (isCurrent) setDuplicates(matches);
+        })
+        .catch(error => console.error('Error checking for duplicates:', error));
+    }
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [parsed, accountId]);
+
+  const duplicateCount = duplicates.filter(Boolean).length;
+  const rowsToImport = parsed
+    ? parsed.rows.filter((row, index) => !(skipDuplicates && duplicates[index]))
+    : [];
+
+  const statementCurrency = file && statementFormat === 'ofx' ? getOfxCurrency(file.text) : null;
+
+  const handlePickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+      if (result.canceled) return;
+
+      const [asset] = result.assets;
+      const text = await readFileAsText(asset.uri);
+      setFile({ name: asset.name, text });
+      setStatementFormat(detectStatementFormat(text, asset.name));
+    } catch (error) {
+      console.error('Error reading statement file:', error);
+      Alert.alert('Error', 'Failed to read file: ' + error.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (rowsToImport.length === 0) {
+      Alert.alert('Nothing to Import', 'No new transactions were found in this file.');
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      const { imported, skipped } = await importStatementRows(rowsToImport, accountId, dispatch);
+      if (statementFormat === 'csv') {
+        await saveCsvMapping(csvMapping);
+      }
+
+      Alert.alert(
+        'Import Complete',
+        `Imported ${imported.length} transaction${imported.length === 1 ? '' : 's'} into ${account.name}.` +
+          (skipped ? `\nSkipped ${skipped} with no amount.` : '') +
+          (skipDuplicates && duplicateCount ? `\nSkipped ${duplicateCount} already in the account.` : '') +
+          (parsed.errors.length ? `\nSkipped ${parsed.errors.length} that couldn't be read.` : ''),
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error('Error importing transactions:', error);
+      Alert.alert('Error', 'Failed to import transactions: ' + error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const renderRow = (row, index) => {
+    const bankPayee = row.payee || row.memo;
+    const payee = bankPayee ? renamePayee(bankPayee) : null;
+    const details = [
+      format(new Date(row.date), 'MMM d, yyyy'),
+      payee !== bankPayee ? bankPayee : null,
+      row.payee ? row.memo : null,
+    ].filter(Boolean).join(' • ');
+
+    return (
+      <List.Item
+        key={`${row.line}-${row.reference || ''}`}
+        title={payee || 'Imported Transaction'}
+        description={details + (duplicates[index] ? `\nPossible duplicate of ${duplicates[index].payee}` : '')}
+        descriptionNumberOfLines={2}
+        style={skipDuplicates && duplicates[index] ? styles.skippedRow : undefined}
+        right={() => (
+          <Text style={[styles.amount, { color: row.amount < 0 ? theme.colors.error : '#4CAF50' }]}>
+            {formatMoney(row.amount, { currency: account.currency, showPlus: true })}
+          </Text>
+        )}
+      />
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.hint}>
+        Import a statement downloaded from your bank as CSV, OFX, QFX or QIF. Imported
+        transactions are added to the account and can be categorized afterwards.
+      </Text>
+
+      <Button mode="outlined" icon="file-upload-outline" onPress={handlePickFile} style={styles.section}>
+        {file ? file.name : 'Choose File'}
+      </Button>
+
+      <TouchableOpacity onPress={() => setShowAccountDialog(true)}>
+        <List.Item
+          title={account ? account.name : 'Select Account'}
+          description={account ? `Import into this account (${account.currency})` : 'Tap to select'}
+          left={props => <List.Icon {...props} icon="bank" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </TouchableOpacity>
+
+      {file && (
+        <>
+          <Text style={styles.label}>File Format</Text>
+          <SegmentedButtons
+            value={statementFormat}
+            onValueChange={setStatementFormat}
+            buttons={Object.keys(STATEMENT_FORMATS).map(key => ({ value: key, label: STATEMENT_FORMATS[key] }))}
+            style={styles.section}
+          />
+
+          {statementFormat === 'csv' && (
+            <CsvMappingForm mapping={csvMapping} onChange={setCsvMapping} columns={columns} />
+          )}
+
+          {statementFormat === 'qif' && (
+            <>
+              <Text style={styles.label}>Date Order</Text>
+              <SegmentedButtons
+                value={qifDateOrder}
+                onValueChange={setQifDateOrder}
+                buttons={Object.keys(QIF_DATE_ORDERS).map(key => ({ value: key, label: QIF_DATE_ORDERS[key] }))}
+                style={styles.section}
+              />
+            </>
+          )}
+
+          {statementCurrency && account && statementCurrency !== account.currency && (
+            <Text style={[styles.warning, { color: theme.colors.error }]}>
+              This statement is in {statementCurrency} but {account.name} is in {account.currency}.
+            </Text>
+          )}
+        </>
+      )}
+
+      {parsed && (
+        <>
+          <Divider style={styles.divider} />
+          <Text style={styles.label}>
+            Preview: {parsed.rows.length} transaction{parsed.rows.length === 1 ? '' : 's'}
+          </Text>
+          {parsed.errors.length > 0 && (
+            <Text style={[styles.warning, { color: theme.colors.error }]}>
+              {parsed.errors.length} row{parsed.errors.length === 1 ? '' : 's'} can't be read and will be skipped:{'\n'}
+              {parsed.errors.slice(0, 5).map(error => `Line ${error.line}: ${error.message}`).join('\n')}
+            </Text>
+          )}
+          {duplicateCount > 0 && (
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>
+                Skip {duplicateCount} likely duplicate{duplicateCount === 1 ? '' : 's'} already in {account.name}
+              </Text>
+              <Switch value={skipDuplicates} onValueChange={setSkipDuplicates} />
+            </View>
+          )}
+          {parsed.rows.slice(0, PREVIEW_LIMIT).map(renderRow)}
+          {parsed.rows.length > PREVIEW_LIMIT && (
+            <Text style={styles.hint}>and {parsed.rows.length - PREVIEW_LIMIT} more</Text>
+          )}
+
+          <Button
+            mode="contained"
+            icon="import"
+            onPress={handleImport}
+            loading={isImporting}
+            disabled={isImporting || rowsToImport.length === 0}
+            style={styles.importButton}
+          >
+            Import {rowsToImport.length} Transaction{rowsToImport.length === 1 ? '' : 's'}
+          </Button>
+        </>
+      )}
+
+      <Portal>
+        <Dialog visible={showAccountDialog} onDismiss={() => setShowAccountDialog(false)}>
+          <Dialog.Title>Select Account</Dialog.Title>
+          <Dialog.Content>
+            {accounts.length > 0 ? (
+              <RadioButton.Group
+                onValueChange={value => {
+                  setAccountId(value);
+                  setShowAccountDialog(false);
+                }}
+                value={accountId || ''}
+              >
+                {accounts.map(acc => (
+                  <RadioButton.Item key={acc.id} label={`${acc.name} (${acc.currency})`} value={acc.id} />
+                ))}
+              </RadioButton.Group>
+            ) : (
+              <Text>No accounts available. Please create an account first.</Text>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setShowAccountDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  hint: {
+    color: '#757575',
+    marginBottom: 16,
+  },
+  section: {
+    marginBottom: 8,
+  },
+  label: {
+    marginTop: 8,
+    marginBottom: 8,
+    fontWeight: 'bold',
+  },
+  warning: {
+    marginVertical: 8,
+  },
+  divider: {
+    marginVertical: 16,
+  },
+  amount: {
+    alignSelf: 'center',
+    fontWeight: 'bold',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: 8,
+  },
+  skippedRow: {
+    opacity: 0.5,
+  },
+  importButton: {
+    marginTop: 16,
+  },
+});
+
+export default ImportTransactionsScreen;
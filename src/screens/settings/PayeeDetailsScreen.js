@@ -0,0 +1,279 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, Alert, TouchableOpacity } from 'react-native';
+import { Text, TextInput, Button, List, SegmentedButtons, Dialog, Portal, RadioButton, Divider, IconButton, ActivityIndicator } from 'react-native-paper';
+import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import { database } from '../../db/setup';
+import {
+  renamePayee,
+  setPayeeDefaultCategory,
+  deletePayee,
+  getPayeeRules,
+  createPayeeRule,
+  deletePayeeRule
+} from '../../services/payees';
+import { PAYEE_RULE_TYPES, cleanPayeeName, validatePayeeRulePattern } from '../../utils/payees';
+import { getSpendingCategories } from '../../utils/creditCards';
+
+const PayeeDetailsScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { payeeId } = route.params;
+  const categories = useSelector(state => state.categories?.categories || []);
+
+  const [payee, setPayee] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [name, setName] = useState('');
+  const [ruleType, setRuleType] = useState('contains');
+  const [rulePattern, setRulePattern] = useState('');
+  const [showCategoryDialog, setShowCategoryDialog] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadPayee = useCallback(async () => {
+    try {
+      const record = await database.collections.get('payees').find(payeeId);
+      if (!record) {
+        navigation.goBack();
+        return;
+      }
+      setPayee(record);
+      setName(record.name);
+      setRules(await getPayeeRules(payeeId));
+    } catch (error) {
+      console.error('Error loading payee:', error);
+      Alert.alert('Error', 'Failed to load payee: ' + error.message);
+    }
+  }, [payeeId, navigation]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadPayee();
+    }, [loadPayee])
+  );
+
+  const runAction = async (action, errorMessage) => {
+    try {
+      setIsSaving(true);
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      Alert.alert('Error', `${errorMessage}: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveName = () => runAction(async () => {
+    const saved = await renamePayee(payeeId, name);
+    if (saved.id !== payeeId) {
+      // Renamed to an existing payee - show the payee it was merged into
+      Alert.alert('Payees Merged', `${payee.name} was merged into ${saved.name}.`);
+      navigation.setParams({ payeeId: saved.id, payeeName: saved.name });
+      return;
+    }
+    navigation.setParams({ payeeName: saved.name });
+    await loadPayee();
+  }, 'Failed to rename payee');
+
+  const handleSaveName = () => {
+    const newName = cleanPayeeName(name);
+    if (!newName) {
+      Alert.alert('Missing Name', 'Please enter a payee name.');
+      return;
+    }
+
+    Alert.alert(
+      'Rename Payee',
+      `Rename ${payee.name} to ${newName} on all of its transactions?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Rename', onPress: saveName }
+      ]
+    );
+  };
+
+  const handleCategoryChange = (categoryId) => {
+    setShowCategoryDialog(false);
+    runAction(async () => {
+      await setPayeeDefaultCategory(payeeId, categoryId);
+      await loadPayee();
+    }, 'Failed to save default category');
+  };
+
+  const handleAddRule = () => {
+    const error = validatePayeeRulePattern(ruleType, rulePattern);
+    if (error) {
+      Alert.alert('Invalid Rule', error);
+      return;
+    }
+
+    runAction(async () => {
+      await createPayeeRule({ payee_id: payeeId, match_type: ruleType, pattern: rulePattern });
+      setRulePattern('');
+      setRules(await getPayeeRules(payeeId));
+    }, 'Failed to add rule');
+  };
+
+  const handleDeleteRule = (rule) => {
+    runAction(async () => {
+      await deletePayeeRule(rule.id);
+      setRules(await getPayeeRules(payeeId));
+    }, 'Failed to delete rule');
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Payee',
+      `Delete ${payee.name} and its rules? Its transactions keep their payee.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => runAction(async () => {
+            await deletePayee(payeeId);
+            navigation.goBack();
+          }, 'Failed to delete payee')
+        }
+      ]
+    );
+  };
+
+  if (!payee) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const defaultCategory = categories.find(category => category.id === payee.default_category_id);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <TextInput
+        label="Name"
+        value={name}
+        onChangeText={setName}
+        mode="outlined"
+      />
+      <Button
+        mode="outlined"
+        onPress={handleSaveName}
+        disabled={isSaving || cleanPayeeName(name) === payee.name}
+        style={styles.button}
+      >
+        Rename
+      </Button>
+
+      <Text style={styles.label}>Default Category</Text>
+      <TouchableOpacity onPress={() => setShowCategoryDialog(true)}>
+        <List.Item
+          title={defaultCategory ? defaultCategory.name : 'None'}
+          description="Picked when this payee is entered on a new expense"
+          left={props => <List.Icon {...props} icon="folder" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </TouchableOpacity>
+
+      <Divider style={styles.divider} />
+      <Text style={styles.label}>Rename Rules</Text>
+      <Text style={styles.hint}>
+        Imported transactions whose payee matches a rule are given the payee {payee.name}.
+      </Text>
+      {rules.map(rule => (
+        <List.Item
+          key={rule.id}
+          title={rule.pattern}
+          description={PAYEE_RULE_TYPES[rule.match_type]}
+          left={props => <List.Icon {...props} icon={rule.match_type === 'regex' ? 'regex' : 'text-search'} />}
+          right={() => (
+            <IconButton icon="delete" size={20} onPress={() => handleDeleteRule(rule)} disabled={isSaving} />
+          )}
+        />
+      ))}
+
+      <SegmentedButtons
+        value={ruleType}
+        onValueChange={setRuleType}
+        buttons={Object.keys(PAYEE_RULE_TYPES).map(key => ({
+          value: key,
+          label: key === 'regex' ? 'Regex' : PAYEE_RULE_TYPES[key],
+        }))}
+        style={styles.ruleType}
+      />
+      <TextInput
+        label={ruleType === 'regex' ? 'Regular expression' : 'Payee contains'}
+        value={rulePattern}
+        onChangeText={setRulePattern}
+        autoCapitalize="none"
+        autoCorrect={false}
+        mode="outlined"
+      />
+      <Button mode="outlined" icon="plus" onPress={handleAddRule} disabled={isSaving} style={styles.button}>
+        Add Rule
+      </Button>
+
+      <Divider style={styles.divider} />
+      <Button mode="outlined" icon="delete" textColor="#F44336" onPress={handleDelete} disabled={isSaving}>
+        Delete Payee
+      </Button>
+
+      <Portal>
+        <Dialog visible={showCategoryDialog} onDismiss={() => setShowCategoryDialog(false)}>
+          <Dialog.Title>Default Category</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <RadioButton.Group onValueChange={value => handleCategoryChange(value || null)} value={payee.default_category_id || ''}>
+                <RadioButton.Item label="None" value="" />
+                {getSpendingCategories(categories).map(category => (
+                  <RadioButton.Item key={category.id} label={category.name} value={category.id} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setShowCategoryDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  label: {
+    marginTop: 16,
+    marginBottom: 8,
+    fontWeight: 'bold',
+  },
+  hint: {
+    color: '#757575',
+    marginBottom: 8,
+  },
+  button: {
+    marginTop: 8,
+  },
+  divider: {
+    marginVertical: 16,
+  },
+  ruleType: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+});
+
+export default PayeeDetailsScreen;
@@ -0,0 +1,209 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Searchbar, List, Checkbox, Button, Dialog, Portal, RadioButton, Text, Divider, ActivityIndicator } from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import EmptyState from '../../components/common/EmptyState';
+import { getPayeeSummaries, mergePayees } from '../../services/payees';
+import { payeeKey } from '../../utils/payees';
+
+const PayeesScreen = () => {
+  const navigation = useNavigation();
+  const categories = useSelector(state => state.categories?.categories || []);
+
+  const [payees, setPayees] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showMergeDialog, setShowMergeDialog] = useState(false);
+  const [mergeTargetId, setMergeTargetId] = useState(null);
+  const [isMerging, setIsMerging] = useState(false);
+
+  const loadPayees = useCallback(async () => {
+    try {
+      setPayees(await getPayeeSummaries());
+    } catch (error) {
+      console.error('Error loading payees:', error);
+      Alert.alert('Error', 'Failed to load payees: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Reload whenever the screen is shown, as a payee may have been renamed meanwhile
+  useFocusEffect(
+    useCallback(() => {
+      loadPayees();
+    }, [loadPayees])
+  );
+
+  const query = payeeKey(searchQuery);
+  const visiblePayees = query ? payees.filter(payee => payeeKey(payee.name).includes(query)) : payees;
+  const selectedPayees = payees.filter(payee => selectedIds.includes(payee.id));
+  const isSelecting = selectedIds.length > 0;
+
+  const toggleSelected = (payeeId) => {
+    setSelectedIds(ids => (ids.includes(payeeId) ? ids.filter(id => id !== payeeId) : [...ids, payeeId]));
+  };
+
+  const handleOpenMerge = () => {
+    // Suggest keeping the payee used most
+    const mostUsed = [...selectedPayees].sort((a, b) => b.transactionCount - a.transactionCount)[0];
+    setMergeTargetId(mostUsed.id);
+    setShowMergeDialog(true);
+  };
+
+  const handleMerge = async () => {
+    try {
+      setIsMerging(true);
+      await mergePayees(selectedIds, mergeTargetId);
+      setShowMergeDialog(false);
+      setSelectedIds([]);
+      await loadPayees();
+    } catch (error) {
+      console.error('Error merging payees:', error);
+      Alert.alert('Error', 'Failed to merge payees: ' + error.message);
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  const describePayee = (payee) => {
+    const parts = [`${payee.transactionCount} transaction${payee.transactionCount === 1 ? '' : 's'}`];
+    const category = categories.find(cat => cat.id === payee.default_category_id);
+    if (category) parts.push(category.name);
+    if (payee.ruleCount > 0) parts.push(`${payee.ruleCount} rule${payee.ruleCount === 1 ? '' : 's'}`);
+    return parts.join(' • ');
+  };
+
+  const renderPayee = ({ item: payee }) => (
+    <List.Item
+      title={payee.name}
+      description={describePayee(payee)}
+      left={props => (isSelecting ? (
+        <Checkbox
+          status={selectedIds.includes(payee.id) ? 'checked' : 'unchecked'}
+          onPress={() => toggleSelected(payee.id)}
+        />
+      ) : (
+        <List.Icon {...props} icon="account-outline" />
+      ))}
+      right={props => !isSelecting && <List.Icon {...props} icon="chevron-right" />}
+      onPress={() => (isSelecting
+        ? toggleSelected(payee.id)
+        : navigation.navigate('PayeeDetails', { payeeId: payee.id, payeeName: payee.name }))}
+      onLongPress={() => toggleSelected(payee.id)}
+    />
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Searchbar
+        placeholder="Search payees"
+        value={searchQuery}
+        onChangeText={setSearchQuery}
+        style={styles.searchbar}
+      />
+
+      {isSelecting ? (
+        <View style={styles.selectionBar}>
+          <Text>{selectedIds.length} selected</Text>
+          <View style={styles.selectionActions}>
+            <Button onPress={() => setSelectedIds([])}>Cancel</Button>
+            <Button mode="contained" onPress={handleOpenMerge} disabled={selectedIds.length < 2}>
+              Merge
+            </Button>
+          </View>
+        </View>
+      ) : (
+        payees.length > 0 && (
+          <Text style={styles.hint}>Press and hold a payee to select payees to merge.</Text>
+        )
+      )}
+
+      <FlatList
+        data={visiblePayees}
+        keyExtractor={payee => payee.id}
+        renderItem={renderPayee}
+        ItemSeparatorComponent={Divider}
+        contentContainerStyle={visiblePayees.length === 0 ? styles.emptyList : undefined}
+        ListEmptyComponent={
+          <EmptyState
+            icon="account-search-outline"
+            title={payees.length === 0 ? 'No Payees Yet' : 'No Matching Payees'}
+            message={payees.length === 0
+              ? 'Payees are added as you record transactions.'
+              : 'No payees match your search.'}
+          />
+        }
+      />
+
+      <Portal>
+        <Dialog visible={showMergeDialog} onDismiss={() => !isMerging && setShowMergeDialog(false)}>
+          <Dialog.Title>Merge Payees</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.dialogText}>
+              Choose the name to keep. Transactions and rules of the other payees are moved to it.
+            </Text>
+            <RadioButton.Group onValueChange={setMergeTargetId} value={mergeTargetId}>
+              {selectedPayees.map(payee => (
+                <RadioButton.Item key={payee.id} label={payee.name} value={payee.id} />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setShowMergeDialog(false)} disabled={isMerging}>Cancel</Button>
+            <Button onPress={handleMerge} loading={isMerging} disabled={isMerging || !mergeTargetId}>Merge</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  searchbar: {
+    margin: 16,
+    marginBottom: 8,
+  },
+  hint: {
+    color: '#757575',
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  selectionActions: {
+    flexDirection: 'row',
+  },
+  emptyList: {
+    flexGrow: 1,
+  },
+  dialogText: {
+    marginBottom: 8,
+  },
+});
+
+export default PayeesScreen;
@@ -0,0 +1,467 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, TouchableOpacity } from 'react-native';
+import { Text, TextInput, Button, List, SegmentedButtons, Chip, Switch, Dialog, Portal, RadioButton, Divider, ActivityIndicator } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import { database } from '../../db/setup';
+import { saveRule, deleteRule } from '../../services/transactionRules';
+import { PAYEE_OPERATORS, WEEKDAYS, parseRule, parseTags, validateRule } from '../../utils/transactionRules';
+import { parseMoney, formatMoneyInput } from '../../utils/money';
+import { getSpendingCategories } from '../../utils/creditCards';
+
+const EMPTY_FORM = {
+  name: '',
+  enabled: true,
+  payeeOperator: 'contains',
+  payeeText: '',
+  type: 'any',
+  minAmount: '',
+  maxAmount: '',
+  accountIds: [],
+  notesText: '',
+  weekdays: [],
+  categoryId: null,
+  newPayee: '',
+  tags: '',
+  transferAccountId: null,
+};
+
+// The editor shows one input per kind of condition and action
+const ruleToForm = (rule, currency) => {
+  const form = { ...EMPTY_FORM, name: rule.name, enabled: rule.enabled };
+  const amountInput = (amount) => (amount === null || amount === undefined ? '' : formatMoneyInput(amount, currency));
+
+  rule.conditions.forEach(({ field, operator, value }) => {
+    if (field === 'payee') {
+      form.payeeOperator = operator;
+      form.payeeText = value;
+    } else if (field === 'type') {
+      form.type = value;
+    } else if (field === 'amount') {
+      form.minAmount = amountInput(value[0]);
+      form.maxAmount = amountInput(value[1]);
+    } else if (field === 'account') {
+      form.accountIds = value;
+    } else if (field === 'notes') {
+      form.notesText = value;
+    } else if (field === 'weekday') {
+      form.weekdays = value;
+    }
+  });
+
+  const tags = [];
+  rule.actions.forEach(({ type, value }) => {
+    if (type === 'setCategory') form.categoryId = value;
+    else if (type === 'setPayee') form.newPayee = value;
+    else if (type === 'addTag') tags.push(value);
+    else if (type === 'markTransfer') form.transferAccountId = value;
+  });
+  form.tags = tags.join(', ');
+
+  return form;
+};
+
+const RuleEditScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const ruleId = route.params?.ruleId;
+  const categories = useSelector(state => state.categories?.categories || []);
+  const accounts = useSelector(state => state.accounts.accounts);
+  const homeCurrency = useSelector(state => state.accounts.homeCurrency);
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isLoading, setIsLoading] = useState(!!ruleId);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showCategoryDialog, setShowCategoryDialog] = useState(false);
+  const [showTransferDialog, setShowTransferDialog] = useState(false);
+
+  useEffect(() => {
+    if (!ruleId) return;
+
+    const loadRule = async () => {
+      try {
+        const record = await database.collections.get('transaction_rules').find(ruleId);
+        if (!record) {
+          navigation.goBack();
+          return;
+        }
+        setForm(ruleToForm(parseRule(record), homeCurrency));
+      } catch (error) {
+        console.error('Error loading rule:', error);
+        Alert.alert('Error', 'Failed to load rule: ' + error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadRule();
+  }, [ruleId, homeCurrency, navigation]);
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const toggleItem = (key, item) => setForm(current => ({
+    ...current,
+    [key]: current[key].includes(item) ? current[key].filter(existing => existing !== item) : [...current[key], item],
+  }));
+
+  // Build the rule from the form, or return an error message
+  const buildRule = () => {
+    const conditions = [];
+    if (form.payeeText.trim()) {
+      conditions.push({ field: 'payee', operator: form.payeeOperator, value: form.payeeText.trim() });
+    }
+    if (form.type !== 'any') {
+      conditions.push({ field: 'type', operator: 'is', value: form.type });
+    }
+    if (form.minAmount.trim() || form.maxAmount.trim()) {
+      const readAmount = (text) => (text.trim() ? parseMoney(text, homeCurrency) : null);
+      const range = [readAmount(form.minAmount), readAmount(form.maxAmount)];
+      if (range.some(amount => Number.isNaN(amount) || amount < 0)) {
+        return { error: 'Please enter valid amounts' };
+      }
+      conditions.push({ field: 'amount', operator: 'between', value: range });
+    }
+    if (form.accountIds.length > 0) {
+      conditions.push({ field: 'account', operator: 'oneOf', value: form.accountIds });
+    }
+    if (form.notesText.trim()) {
+      conditions.push({ field: 'notes', operator: 'contains', value: form.notesText.trim() });
+    }
+    if (form.weekdays.length > 0) {
+      conditions.push({ field: 'weekday', operator: 'oneOf', value: [...form.weekdays].sort() });
+    }
+
+    const actions = [];
+    if (form.categoryId) {
+      actions.push({ type: 'setCategory', value: form.categoryId });
+    }
+    if (form.newPayee.trim()) {
+      actions.push({ type: 'setPayee', value: form.newPayee.trim() });
+    }
+    parseTags(form.tags).forEach(tag => actions.push({ type: 'addTag', value: tag }));
+    if (form.transferAccountId) {
+      actions.push({ type: 'markTransfer', value: form.transferAccountId });
+    }
+
+    const rule = { id: ruleId, name: form.name, enabled: form.enabled, conditions, actions };
+    return { rule, error: validateRule(rule) };
+  };
+
+  const handleSave = async () => {
+    const { rule, error } = buildRule();
+    if (error) {
+      Alert.alert('Invalid Rule', error);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await saveRule(rule);
+      navigation.goBack();
+    } catch (saveError) {
+      console.error('Error saving rule:', saveError);
+      Alert.alert('Error', 'Failed to save rule: ' + saveError.message);
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Rule',
+      `Delete the rule ${form.name}? Transactions it already changed stay as they are.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteRule(ruleId);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting rule:', error);
+              Alert.alert('Error', 'Failed to delete rule');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const category = categories.find(item => item.id === form.categoryId);
+  const transferAccount = accounts.find(item => item.id === form.transferAccountId);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+      <TextInput
+        label="Rule Name"
+        value={form.name}
+        onChangeText={name => updateForm({ name })}
+        mode="outlined"
+      />
+      <View style={styles.switchRow}>
+        <Text>Run on new transactions</Text>
+        <Switch value={form.enabled} onValueChange={enabled => updateForm({ enabled })} />
+      </View>
+
+      <Divider style={styles.divider} />
+      <Text style={styles.sectionTitle}>When a transaction matches all of</Text>
+      <Text style={styles.hint}>Leave a field empty to ignore it.</Text>
+
+      <Text style={styles.label}>Payee</Text>
+      <SegmentedButtons
+        value={form.payeeOperator}
+        onValueChange={payeeOperator => updateForm({ payeeOperator })}
+        buttons={Object.keys(PAYEE_OPERATORS).map(key => ({ value: key, label: PAYEE_OPERATORS[key] }))}
+      />
+      <TextInput
+        label={form.payeeOperator === 'regex' ? 'Regular expression' : 'Payee text'}
+        value={form.payeeText}
+        onChangeText={payeeText => updateForm({ payeeText })}
+        autoCapitalize="none"
+        autoCorrect={false}
+        mode="outlined"
+        style={styles.input}
+      />
+
+      <Text style={styles.label}>Type</Text>
+      <SegmentedButtons
+        value={form.type}
+        onValueChange={type => updateForm({ type })}
+        buttons={[
+          { value: 'any', label: 'Any' },
+          { value: 'expense', label: 'Expense' },
+          { value: 'income', label: 'Income' },
+        ]}
+      />
+
+      <Text style={styles.label}>Amount</Text>
+      <View style={styles.row}>
+        <TextInput
+          label="At least"
+          value={form.minAmount}
+          onChangeText={minAmount => updateForm({ minAmount })}
+          keyboardType="decimal-pad"
+          mode="outlined"
+          style={styles.rowInput}
+        />
+        <TextInput
+          label="At most"
+          value={form.maxAmount}
+          onChangeText={maxAmount => updateForm({ maxAmount })}
+          keyboardType="decimal-pad"
+          mode="outlined"
+          style={styles.rowInput}
+        />
+      </View>
+
+      <Text style={styles.label}>Accounts</Text>
+      <View style={styles.chips}>
+        {accounts.map(account => (
+          <Chip
+            key={account.id}
+            selected={form.accountIds.includes(account.id)}
+            onPress={() => toggleItem('accountIds', account.id)}
+            style={styles.chip}
+          >
+            {account.name}
+          </Chip>
+        ))}
+      </View>
+
+      <TextInput
+        label="Notes contain"
+        value={form.notesText}
+        onChangeText={notesText => updateForm({ notesText })}
+        mode="outlined"
+        style={styles.input}
+      />
+
+      <Text style={styles.label}>Days of the Week</Text>
+      <View style={styles.chips}>
+        {WEEKDAYS.map((day, index) => (
+          <Chip
+            key={day}
+            selected={form.weekdays.includes(index)}
+            onPress={() => toggleItem('weekdays', index)}
+            style={styles.chip}
+          >
+            {day}
+          </Chip>
+        ))}
+      </View>
+
+      <Divider style={styles.divider} />
+      <Text style={styles.sectionTitle}>Then</Text>
+
+      <TouchableOpacity onPress={() => setShowCategoryDialog(true)}>
+        <List.Item
+          title="Set Category"
+          description={category ? category.name : 'Leave as is'}
+          left={props => <List.Icon {...props} icon="folder" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </TouchableOpacity>
+      <TextInput
+        label="Set payee to"
+        value={form.newPayee}
+        onChangeText={newPayee => updateForm({ newPayee })}
+        mode="outlined"
+        style={styles.input}
+      />
+      <TextInput
+        label="Add tags"
+        value={form.tags}
+        onChangeText={tags => updateForm({ tags })}
+        placeholder="e.g. work, reimbursable"
+        autoCapitalize="none"
+        mode="outlined"
+        style={styles.input}
+      />
+      <TouchableOpacity onPress={() => setShowTransferDialog(true)}>
+        <List.Item
+          title="Mark as Transfer"
+          description={transferAccount ? `With ${transferAccount.name}` : 'Leave as is'}
+          left={props => <List.Icon {...props} icon="bank-transfer" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </TouchableOpacity>
+
+      <Button
+        mode="contained"
+        onPress={handleSave}
+        loading={isSaving}
+        disabled={isSaving}
+        style={styles.saveButton}
+      >
+        Save Rule
+      </Button>
+      {ruleId && (
+        <Button mode="outlined" icon="delete" textColor="#F44336" onPress={handleDelete} disabled={isSaving} style={styles.button}>
+          Delete Rule
+        </Button>
+      )}
+
+      <Portal>
+        <Dialog visible={showCategoryDialog} onDismiss={() => setShowCategoryDialog(false)}>
+          <Dialog.Title>Set Category</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <RadioButton.Group
+                onValueChange={value => {
+                  updateForm({ categoryId: value || null });
+                  setShowCategoryDialog(false);
+                }}
+                value={form.categoryId || ''}
+              >
+                <RadioButton.Item label="Leave as is" value="" />
+                {getSpendingCategories(categories).map(item => (
+                  <RadioButton.Item key={item.id} label={item.name} value={item.id} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setShowCategoryDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog visible={showTransferDialog} onDismiss={() => setShowTransferDialog(false)}>
+          <Dialog.Title>Transfer With</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <RadioButton.Group
+                onValueChange={value => {
+                  updateForm({ transferAccountId: value || null });
+                  setShowTransferDialog(false);
+                }}
+                value={form.transferAccountId || ''}
+              >
+                <RadioButton.Item label="Not a transfer" value="" />
+                {accounts.map(item => (
+                  <RadioButton.Item key={item.id} label={item.name} value={item.id} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setShowTransferDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  label: {
+    marginTop: 16,
+    marginBottom: 8,
+    fontWeight: 'bold',
+  },
+  hint: {
+    color: '#757575',
+    marginTop: 4,
+  },
+  input: {
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    marginHorizontal: -4,
+  },
+  rowInput: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  divider: {
+    marginVertical: 16,
+  },
+  saveButton: {
+    marginTop: 24,
+  },
+  button: {
+    marginTop: 8,
+  },
+});
+
+export default RuleEditScreen;
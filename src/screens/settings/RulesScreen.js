@@ -0,0 +1,155 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { List, Switch, IconButton, Button, Divider, ActivityIndicator } from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useSelector } from 'react-redux';
+import EmptyState from '../../components/common/EmptyState';
+import { getRules, setRuleEnabled, moveRule } from '../../services/transactionRules';
+import { describeRule } from '../../utils/transactionRules';
+
+const RulesScreen = () => {
+  const navigation = useNavigation();
+  const categories = useSelector(state => state.categories?.categories || []);
+  const accounts = useSelector(state => state.accounts.accounts);
+  const homeCurrency = useSelector(state => state.accounts.homeCurrency);
+
+  const [rules, setRules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadRules = useCallback(async () => {
+    try {
+      setRules(await getRules());
+    } catch (error) {
+      console.error('Error loading rules:', error);
+      Alert.alert('Error', 'Failed to load rules: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadRules();
+    }, [loadRules])
+  );
+
+  const runAction = async (action, errorMessage) => {
+    try {
+      await action();
+      await loadRules();
+    } catch (error) {
+      console.error(errorMessage, error);
+      Alert.alert('Error', `${errorMessage}: ${error.message}`);
+    }
+  };
+
+  const renderRule = ({ item: rule, index }) => (
+    <List.Item
+      title={rule.name}
+      description={describeRule(rule, { categories, accounts, currency: homeCurrency })}
+      descriptionNumberOfLines={3}
+      onPress={() => navigation.navigate('RuleEdit', { ruleId: rule.id })}
+      left={() => (
+        <Switch
+          value={rule.enabled}
+          onValueChange={value => runAction(() => setRuleEnabled(rule.id, value), 'Failed to update rule')}
+          style={styles.switch}
+        />
+      )}
+      right={() => (
+        <View style={styles.orderButtons}>
+          <IconButton
+            icon="arrow-up"
+            size={20}
+            disabled={index === 0}
+            onPress={() => runAction(() => moveRule(rule.id, -1), 'Failed to reorder rules')}
+          />
+          <IconButton
+            icon="arrow-down"
+            size={20}
+            disabled={index === rules.length - 1}
+            onPress={() => runAction(() => moveRule(rule.id, 1), 'Failed to reorder rules')}
+          />
+        </View>
+      )}
+    />
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.actions}>
+        <Button mode="contained" icon="plus" onPress={() => navigation.navigate('RuleEdit')} style={styles.actionButton}>
+          Add Rule
+        </Button>
+        <Button
+          mode="outlined"
+          icon="play"
+          onPress={() => navigation.navigate('RunRules')}
+          disabled={rules.length === 0}
+          style={styles.actionButton}
+        >
+          Run on Existing
+        </Button>
+      </View>
+
+      <FlatList
+        data={rules}
+        keyExtractor={rule => rule.id}
+        renderItem={renderRule}
+        ItemSeparatorComponent={Divider}
+        contentContainerStyle={rules.length === 0 ? styles.emptyList : undefined}
+        ListEmptyComponent={
+          <EmptyState
+            icon="auto-fix"
+            title="No Rules Yet"
+            message="Rules categorize, rename and tag new transactions for you. They run from the top of the list down."
+            buttonLabel="Add Rule"
+            onButtonPress={() => navigation.navigate('RuleEdit')}
+          />
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  actions: {
+    flexDirection: 'row',
+    padding: 16,
+    paddingBottom: 8,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  switch: {
+    alignSelf: 'center',
+    marginLeft: 8,
+  },
+  orderButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  emptyList: {
+    flexGrow: 1,
+  },
+});
+
+export default RulesScreen;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, List, Checkbox, Button, Divider, ActivityIndicator } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { useSelector, useDispatch } from 'react-redux';
+import { format } from 'date-fns';
+import EmptyState from '../../components/common/EmptyState';
+import { updateTransactionSuccess } from '../../store/slices/transactionsSlice';
+import { previewRulesOnExisting, applyRulePreviews } from '../../services/transactionRules';
+import { formatMoney } from '../../utils/money';
+
+const FIELD_LABELS = {
+  payee: 'Payee',
+  category_id: 'Category',
+  tags: 'Tags',
+  type: 'Type',
+  transfer_account_id: 'Transfer with',
+};
+
+const RunRulesScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const dispatch = useDispatch();
+  const ruleIds = route.params?.ruleIds || null;
+  const categories = useSelector(state => state.categories?.categories || []);
+  const accounts = useSelector(state => state.accounts.accounts);
+
+  const [previews, setPreviews] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isApplying, setIsApplying] = useState(false);
+
+  useEffect(() => {
+    const loadPreview = async () => {
+      try {
+        const results = await previewRulesOnExisting({ ruleIds });
+        setPreviews(results);
+        setSelectedIds(results.map(result => result.transaction.id));
+      } catch (error) {
+        console.error('Error previewing rules:', error);
+        Alert.alert('Error', 'Failed to run rules: ' + error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadPreview();
+  }, [ruleIds]);
+
+  const describeValue = (field, value) => {
+    if (!value) return 'none';
+    if (field === 'category_id') {
+      return categories.find(category => category.id === value)?.name || 'Unknown category';
+    }
+    if (field === 'transfer_account_id') {
+      return accounts.find(account => account.id === value)?.name || 'Unknown account';
+    }
+    if (field === 'tags') {
+      return value.split(',').join(', ');
+    }
+    return value;
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(current => (current.includes(id) ? current.filter(existing => existing !== id) : [...current, id]));
+  };
+
+  const handleApply = async () => {
+    const selected = previews.filter(preview => selectedIds.includes(preview.transaction.id));
+    try {
+      setIsApplying(true);
+      const updated = await applyRulePreviews(selected, dispatch);
+      updated.forEach(transaction => {
+        dispatch(updateTransactionSuccess({
+          id: transaction.id,
+          changes: {
+            payee: transaction.payee,
+            category_id: transaction.category_id,
+            tags: transaction.tags,
+            type: transaction.type,
+            transfer_account_id: transaction.transfer_account_id,
+            updatedAt: new Date().toISOString(),
+            category: categories.find(category => category.id === transaction.category_id) || null,
+          }
+        }));
+      });
+      Alert.alert('Rules Applied', `${updated.length} transaction${updated.length === 1 ? '' : 's'} updated.`);
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error applying rules:', error);
+      Alert.alert('Error', 'Failed to apply rules: ' + error.message);
+      setIsApplying(false);
+    }
+  };
+
+  const renderPreview = ({ item: { transaction, changes, rules } }) => {
+    const account = accounts.find(item => item.id === transaction.account_id);
+    return (
+      <List.Item
+        title={`${transaction.payee || 'No payee'} · ${formatMoney(transaction.amount, { currency: account?.currency })}`}
+        description={[
+          format(transaction.date, 'MMM d, yyyy'),
+          ...changes.map(change =>
+            `${FIELD_LABELS[change.field]}: ${describeValue(change.field, change.from)} → ${describeValue(change.field, change.to)}`
+          ),
+          `Rules: ${rules.map(rule => rule.name).join(', ')}`,
+        ].join('\n')}
+        descriptionNumberOfLines={changes.length + 2}
+        onPress={() => toggleSelected(transaction.id)}
+        left={() => (
+          <Checkbox
+            status={selectedIds.includes(transaction.id) ? 'checked' : 'unchecked'}
+            onPress={() => toggleSelected(transaction.id)}
+          />
+        )}
+      />
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  if (previews.length === 0) {
+    return (
+      <EmptyState
+        icon="check-all"
+        title="Nothing to Change"
+        message="Your rules don't change any existing transactions."
+      />
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.summary}>
+        {previews.length} transaction{previews.length === 1 ? '' : 's'} would change. Nothing is saved until you apply.
+      </Text>
+      <FlatList
+        data={previews}
+        keyExtractor={preview => preview.transaction.id}
+        renderItem={renderPreview}
+        ItemSeparatorComponent={Divider}
+        extraData={selectedIds}
+      />
+      <View style={styles.footer}>
+        <Button
+          mode="contained"
+          onPress={handleApply}
+          loading={isApplying}
+          disabled={isApplying || selectedIds.length === 0}
+        >
+          Apply {selectedIds.length} Change{selectedIds.length === 1 ? '' : 's'}
+        </Button>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  summary: {
+    padding: 16,
+    color: '#757575',
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+});
+
+export default RunRulesScreen;
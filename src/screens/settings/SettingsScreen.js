@@ -6,6 +6,14 @@ import { useNavigation } from '@react-navigation/native';
 import { logout } from '../../store/slices/authSlice';
 import { useDatabase } from '../../context/DatabaseContext';
 import { format } from 'date-fns';
+import CurrencyPicker from '../../components/common/CurrencyPicker';
+import { setHomeCurrency } from '../../services/currency';
+import {
+  STORAGE_ADAPTERS,
+  getCurrentStorageAdapter,
+  getStorageAdapterSetting,
+  saveStorageAdapterSetting
+} from '../../db/setup';
 
 const SettingsScreen = () => {
   const navigation = useNavigation();
@@ -14,6 +22,7 @@ const SettingsScreen = () => {
   const database = useDatabase();
   
   const { user } = useSelector(state => state.auth);
+  const { homeCurrency, exchangeRates } = useSelector(state => state.accounts);
   
   const [darkThemeEnabled, setDarkThemeEnabled] = useState(false);
   const [notificationsEnabled, setNotificationsEnabled] = useState(true);
@@ -21,6 +30,11 @@ const SettingsScreen = () => {
   const [isConfirmLogoutVisible, setIsConfirmLogoutVisible] = useState(false);
   const [isConfirmDeleteVisible, setIsConfirmDeleteVisible] = useState(false);
   const [isAboutVisible, setIsAboutVisible] = useState(false);
+  const [storageAdapter, setStorageAdapter] = useState(getCurrentStorageAdapter());
+  
+  useEffect(() => {
+    getStorageAdapterSetting().then(setStorageAdapter);
+  }, []);
   
   const handleLogout = () => {
     dispatch(logout());
@@ -43,14 +57,55 @@ const SettingsScreen = () => {
     }
   };
   
-  const handleExportData = async () => {
+  const handleHomeCurrencyChange = (currency) => {
+    if (currency === homeCurrency) return;
+    
+    Alert.alert(
+      'Change Budget Currency',
+      `Budgets will be shown in ${currency}. Amounts already assigned are kept as they are, not converted.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Change',
+          onPress: async () => {
+            try {
+              await setHomeCurrency(currency);
+            } catch (error) {
+              console.error('Error changing home currency:', error);
+              Alert.alert('Error', 'Failed to change the budget currency. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Data is copied to SQLite once, on the next start; there is no copying it back
+  const handleMoveToSQLite = () => {
     Alert.alert(
-      'Export Data',
-      'Your data will be exported as a CSV file. This feature is not yet implemented.',
-      [{ text: 'OK' }]
+      'Move to SQLite',
+      'Your data will be copied to SQLite the next time the app starts, and kept there from then on. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Move',
+          onPress: async () => {
+            try {
+              await saveStorageAdapterSetting('watermelon');
+              setStorageAdapter('watermelon');
+              Alert.alert('Restart Needed', 'Restart the app to finish moving your data.');
+            } catch (error) {
+              console.error('Error changing storage:', error);
+              Alert.alert('Error', 'Failed to change the storage. Please try again.');
+            }
+          }
+        }
+      ]
     );
   };
   
+  const storageLabel = (key) => STORAGE_ADAPTERS.find(adapter => adapter.key === key).label;
+  
   const renderAccountSection = () => (
     <>
       <List.Section>
@@ -124,15 +179,75 @@ const SettingsScreen = () => {
     </>
   );
   
+  const renderCurrencySection = () => (
+    <>
+      <List.Section>
+        <List.Subheader>Currency</List.Subheader>
+        <View style={styles.currencyPicker}>
+          <CurrencyPicker
+            label="Budget currency"
+            value={homeCurrency}
+            onChange={handleHomeCurrencyChange}
+          />
+        </View>
+        <Divider />
+        <List.Item
+          title="Exchange Rates"
+          description={`${exchangeRates.length} stored rate${exchangeRates.length === 1 ? '' : 's'}`}
+          left={props => <List.Icon {...props} icon="swap-horizontal-circle" />}
+          onPress={() => navigation.navigate('ExchangeRates')}
+        />
+      </List.Section>
+      <Divider style={styles.sectionDivider} />
+    </>
+  );
+  
   const renderDataSection = () => (
     <>
       <List.Section>
         <List.Subheader>Data Management</List.Subheader>
+        <List.Item
+          title="Import Transactions"
+          description="Import a bank statement (CSV, OFX, QFX or QIF)"
+          left={props => <List.Icon {...props} icon="import" />}
+          onPress={() => navigation.navigate('ImportTransactions')}
+        />
+        <Divider />
         <List.Item
           title="Export Data"
-          description="Export your transactions as CSV"
+          description="Export to CSV spreadsheets or a complete JSON file"
           left={props => <List.Icon {...props} icon="export" />}
-          onPress={handleExportData}
+          onPress={() => navigation.navigate('ExportData')}
+        />
+        <Divider />
+        <List.Item
+          title="Backup & Restore"
+          description="Back up all your data and restore it from a backup"
+          left={props => <List.Icon {...props} icon="backup-restore" />}
+          onPress={() => navigation.navigate('BackupRestore')}
+        />
+        <Divider />
+        <List.Item
+          title="Payees"
+          description="Rename and merge payees, set default categories and rules"
+          left={props => <List.Icon {...props} icon="account-multiple" />}
+          onPress={() => navigation.navigate('Payees')}
+        />
+        <Divider />
+        <List.Item
+          title="Rules"
+          description="Categorize, rename and tag transactions automatically"
+          left={props => <List.Icon {...props} icon="auto-fix" />}
+          onPress={() => navigation.navigate('Rules')}
+        />
+        <Divider />
+        <List.Item
+          title="Storage"
+          description={storageAdapter === getCurrentStorageAdapter() ?
+            storageLabel(storageAdapter) :
+            `${storageLabel(getCurrentStorageAdapter())} - moving to ${storageLabel(storageAdapter)} on restart`}
+          left={props => <List.Icon {...props} icon="database" />}
+          onPress={storageAdapter === 'asyncStorage' ? handleMoveToSQLite : undefined}
         />
         <Divider />
         <List.Item
@@ -242,6 +357,7 @@ const SettingsScreen = () => {
     <ScrollView style={styles.container} contentContainerStyle={styles.content}>
       {renderAccountSection()}
       {renderPreferencesSection()}
+      {renderCurrencySection()}
       {renderDataSection()}
       {renderAboutSection()}
       
@@ -267,6 +383,9 @@ const styles = StyleSheet.create({
   aboutText: {
     marginBottom: 12,
   },
+  currencyPicker: {
+    paddingHorizontal: 16,
+  },
 });
 
 export default SettingsScreen;
\ No newline at end of file
@@ -4,48 +4,76 @@ import { TextInput, Button, Text, Headline, SegmentedButtons, Dialog, Portal, Li
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { useDispatch, useSelector } from 'react-redux';
 import { addTransactionSuccess } from '../../store/slices/transactionsSlice';
-import { updateAccountSuccess } from '../../store/slices/accountsSlice';
-import { updateBudgetAvailableSuccess } from '../../store/slices/budgetSlice';
-import { useDatabase } from '../../context/DatabaseContext';
 import { format } from 'date-fns';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { Q } from '../../db/query';
-// Fix: Import the correct function from budgetUtils
-import { updateBudgetFromTransaction, getCategoryBudget, getOrCreateBudget } from '../../utils/budgetUtils';
-import { updateBudgetSuccess } from '../../store/slices/budgetSlice';
+import { postTransaction } from '../../services/ledger';
+import { createScheduledTransaction, postDueScheduledTransactions } from '../../services/scheduled';
+import { findPossibleDuplicates } from '../../services/duplicates';
+import { getPayees } from '../../services/payees';
+import { applyRulesToNewTransaction } from '../../services/transactionRules';
+import RecurrencePicker from '../../components/transactions/RecurrencePicker';
+import SplitEditor, { createSplitLine } from '../../components/transactions/SplitEditor';
+import PayeeInput from '../../components/transactions/PayeeInput';
+import { parseMoney, formatMoney, formatMoneyInput, getCurrency } from '../../utils/money';
+import { convertMoney } from '../../utils/currency';
+import { findPayeeByName } from '../../utils/payees';
+import { getSpendingCategories } from '../../utils/creditCards';
+import { isOffBudget } from '../../utils/accounts';
 
 const AddTransactionScreen = () => {
   const route = useRoute();
   const navigation = useNavigation();
   const dispatch = useDispatch();
   const theme = useTheme();
-  const database = useDatabase();
 
-  // Get preselected account if provided
-  const { accountId } = route.params || {};
+  // Get preselected account if provided, and whether to start as a repeating transaction
+  const { accountId, recurring } = route.params || {};
   
   // Global state
   const accounts = useSelector(state => state.accounts.accounts);
   const categories = useSelector(state => state.categories.categories);
+  const exchangeRates = useSelector(state => state.accounts.exchangeRates);
   
   // Form state
   const [amount, setAmount] = useState('');
+  const [receivedAmount, setReceivedAmount] = useState('');
   const [payee, setPayee] = useState('');
   const [notes, setNotes] = useState('');
   const [date, setDate] = useState(new Date());
   const [transactionType, setTransactionType] = useState('expense');
+  const [recurrence, setRecurrence] = useState(recurring ? { frequency: 'monthly', interval: 1, nth_weekday: null } : null);
   
   // Selection state
   const [selectedAccount, setSelectedAccount] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [selectedTransferAccount, setSelectedTransferAccount] = useState(null);
   
+  // Known payees, for suggestions and their default categories. Once a category
+  // is picked by hand the payee's default no longer replaces it.
+  const [payees, setPayees] = useState([]);
+  const [isCategoryChosen, setIsCategoryChosen] = useState(false);
+  
+  // Split state - an expense can be divided between several categories
+  const [isSplit, setIsSplit] = useState(false);
+  const [splitLines, setSplitLines] = useState([]);
+  
   // Dialog visibility state
   const [showAccountDialog, setShowAccountDialog] = useState(false);
   const [showCategoryDialog, setShowCategoryDialog] = useState(false);
   const [showTransferDialog, setShowTransferDialog] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
   
+  // Amounts are entered in the account's currency. A transfer to an account in
+  // another currency also records the amount received there.
+  const currency = getCurrency(selectedAccount?.currency).code;
+  const transferCurrency = selectedTransferAccount ? getCurrency(selectedTransferAccount.currency).code : null;
+  const isCrossCurrencyTransfer = transactionType === 'transfer' && !!transferCurrency && transferCurrency !== currency;
+  // Spending in a tracking account isn't budgeted, so it takes no category. Moving
+  // money between a budget and a tracking account spends or adds to a category.
+  const crossesBudget = transactionType === 'transfer' && !!selectedTransferAccount &&
+    isOffBudget(selectedAccount) !== isOffBudget(selectedTransferAccount);
+  const isCategorized = (transactionType === 'expense' && !isOffBudget(selectedAccount)) || crossesBudget;
+  
   // Get initial account if provided via route params
   useEffect(() => {
     if (accountId) {
@@ -71,17 +99,47 @@ const AddTransactionScreen = () => {
     }
   }, [accounts, accountId, selectedAccount]);
 
+  useEffect(() => {
+    getPayees()
+      .then(setPayees)
+      .catch(error => console.error('Error loading payees:', error));
+  }, []);
+
+  // Pre-select the category last used for a known payee
+  const handlePayeeChange = (text) => {
+    setPayee(text);
+    if (transactionType !== 'expense' || isSplit || isCategoryChosen) return;
+
+    const knownPayee = findPayeeByName(payees, text);
+    const category = knownPayee && categories.find(cat => cat.id === knownPayee.default_category_id);
+    if (category) {
+      setSelectedCategory(category);
+    }
+  };
+
   const handleAmountChange = (text) => {
     // Allow only numbers and decimal point
     const filteredText = text.replace(/[^0-9.]/g, '');
     setAmount(filteredText);
   };
 
+  const handleReceivedAmountChange = (text) => {
+    setReceivedAmount(text.replace(/[^0-9.]/g, ''));
+  };
+
+  // Suggested amount received, from the stored exchange rates
+  const getEstimatedReceivedAmount = () => {
+    const parsedAmount = parseMoney(amount, currency);
+    if (isNaN(parsedAmount)) return null;
+    return convertMoney(parsedAmount, currency, transferCurrency, exchangeRates);
+  };
+
   const handleTypeChange = (type) => {
     setTransactionType(type);
-    // Clear category when switching to income or transfer
+    // Clear category and splits when switching to income or transfer
     if (type !== 'expense') {
       setSelectedCategory(null);
+      setIsSplit(false);
     }
     // Clear transfer account when switching away from transfer
     if (type !== 'transfer') {
@@ -95,15 +153,58 @@ const AddTransactionScreen = () => {
     setDate(currentDate);
   };
 
+  const handleSplitToggle = () => {
+    if (isSplit) {
+      setIsSplit(false);
+      return;
+    }
+    // Start with the chosen category and the full amount on the first line
+    setSplitLines([
+      createSplitLine({ category_id: selectedCategory ? selectedCategory.id : null, amountText: amount }),
+      createSplitLine(),
+    ]);
+    setSelectedCategory(null);
+    setIsSplit(true);
+  };
+
+  // Split lines in minor units, as the ledger takes them
+  const getSplits = () => splitLines.map(line => ({
+    category_id: line.category_id,
+    amount: parseMoney(line.amountText, currency),
+    memo: line.memo,
+  }));
+
+  const validateSplits = (parsedAmount) => {
+    const splits = getSplits();
+    if (splits.some(split => !split.category_id)) {
+      Alert.alert('Category Required', 'Please select a category for every split.');
+      return false;
+    }
+    if (splits.some(split => isNaN(split.amount) || split.amount <= 0)) {
+      Alert.alert('Invalid Amount', 'Please enter an amount greater than zero for every split.');
+      return false;
+    }
+    if (splits.reduce((sum, split) => sum + split.amount, 0) !== parsedAmount) {
+      Alert.alert('Split Incomplete', 'The split amounts must add up to the transaction amount.');
+      return false;
+    }
+    if (recurrence) {
+      Alert.alert('Split Not Supported', 'Repeating transactions cannot be split. Use a single category instead.');
+      return false;
+    }
+    return true;
+  };
+
   const validateForm = () => {
-    const parsedAmount = parseFloat(amount);
+    const parsedAmount = parseMoney(amount, currency);
     
     if (isNaN(parsedAmount) || parsedAmount <= 0) {
       Alert.alert('Invalid Amount', 'Please enter a valid amount greater than zero.');
       return false;
     }
     
-    if (!payee.trim()) {
+    // Transfers are named after the other account by the ledger
+    if (transactionType !== 'transfer' && !payee.trim()) {
       Alert.alert('Missing Payee', 'Please enter a payee name.');
       return false;
     }
@@ -113,8 +214,7 @@ const AddTransactionScreen = () => {
       return false;
     }
     
-    if (transactionType === 'expense' && !selectedCategory) {
-      Alert.alert('Category Required', 'Please select a category for this expense.');
+    if (isCategorized && isSplit && !validateSplits(parsedAmount)) {
       return false;
     }
     
@@ -128,162 +228,125 @@ const AddTransactionScreen = () => {
       return false;
     }
     
+    if (isCrossCurrencyTransfer) {
+      const parsedReceived = receivedAmount.trim() ? parseMoney(receivedAmount, transferCurrency) : null;
+      if (parsedReceived !== null && (isNaN(parsedReceived) || parsedReceived <= 0)) {
+        Alert.alert('Invalid Amount', 'Please enter a valid amount received greater than zero.');
+        return false;
+      }
+      if (parsedReceived === null && getEstimatedReceivedAmount() === null) {
+        Alert.alert(
+          'Amount Received Required',
+          `There is no exchange rate from ${currency} to ${transferCurrency}. Please enter the amount received.`
+        );
+        return false;
+      }
+    }
+    
     return true;
   };
 
   const handleSubmit = async () => {
     if (!validateForm()) return;
     
-    const parsedAmount = parseFloat(amount);
+    const parsedAmount = parseMoney(amount, currency);
+    
+    const entered = {
+      amount: parsedAmount,
+      payee,
+      notes,
+      type: transactionType,
+      account_id: selectedAccount.id,
+      category_id: isCategorized && selectedCategory && !isSplit ? selectedCategory.id : null,
+      splits: isCategorized && isSplit ? getSplits() : null,
+      transfer_account_id: selectedTransferAccount ? selectedTransferAccount.id : null,
+      // Left out, the ledger converts the amount with the stored exchange rates
+      transfer_amount: isCrossCurrencyTransfer && receivedAmount.trim() ?
+        parseMoney(receivedAmount, transferCurrency) : null,
+      date: date.getTime(),
+    };
     
+    // Transaction rules fill in the rest, but keep a category picked by hand
+    let fields = entered;
     try {
-      await database.action(async () => {
-        const accountsCollection = database.collections.get('accounts');
-        const transactionsCollection = database.collections.get('transactions');
-        
-        // First, get the source account
-        const accountRecord = await accountsCollection.find(selectedAccount.id);
-        if (!accountRecord) {
-          throw new Error('Source account not found');
-        }
-        
-        // Calculate new balances
-        let newSourceBalance = accountRecord.currentBalance;
-        
-        if (transactionType === 'expense') {
-          newSourceBalance -= parsedAmount;
-        } else if (transactionType === 'income') {
-          newSourceBalance += parsedAmount;
-        } else if (transactionType === 'transfer') {
-          newSourceBalance -= parsedAmount;
-        }
-        
-        // Store transaction time
-        const transactionTime = date.getTime();
-        const now = new Date();
-        
-        // Create transaction
-        const transaction = await transactionsCollection.create(tx => {
-          tx.amount = parsedAmount;
-          tx.payee = payee.trim();
-          tx.notes = notes.trim();
-          tx.type = transactionType;
-          tx.account_id = selectedAccount.id;
-          tx.date = transactionTime; // Store as timestamp
-          tx.createdAt = now;
-          tx.updatedAt = now;
-          
-          // Only set category for expense transactions
-          tx.category_id = transactionType === 'expense' && selectedCategory ? selectedCategory.id : null;
-          
-          // Only set transfer account for transfer transactions  
-          tx.transfer_account_id = transactionType === 'transfer' && selectedTransferAccount 
-            ? selectedTransferAccount.id 
-            : null;
-        });
-        
-        // Update source account
-        await accountsCollection.update(accountRecord.id, account => {
-          account.currentBalance = newSourceBalance;
-          account.updatedAt = now;
-        });
-        
-        // First dispatch account update to prevent race conditions
-        dispatch(updateAccountSuccess({
-          id: selectedAccount.id,
-          changes: {
-            currentBalance: newSourceBalance,
-            updatedAt: now.toISOString(),
-            isTransfer: transactionType === 'transfer'
-          }
-        }));
-        
-        // Handle transfer to destination account if applicable
-        if (transactionType === 'transfer' && selectedTransferAccount) {
-          const transferAccount = await accountsCollection.find(selectedTransferAccount.id);
-          if (transferAccount) {
-            const transferNewBalance = transferAccount.currentBalance + parsedAmount;
-            
-            await accountsCollection.update(transferAccount.id, account => {
-              account.currentBalance = transferNewBalance;
-              account.updatedAt = now;
-            });
-            
-            dispatch(updateAccountSuccess({
-              id: transferAccount.id,
-              changes: {
-                currentBalance: transferNewBalance,
-                updatedAt: now.toISOString(),
-                isTransfer: true // Mark as transfer to prevent affecting readyToAssign
-              }
-            }));
-          }
-        }
-        
-        // Update budget if expense - USE THE UTILITY FUNCTION INSTEAD OF DIRECT UPDATES
-        if (transactionType === 'expense' && selectedCategory) {
-          try {
-            // Use the updateBudgetFromTransaction utility function
-            const updatedBudget = await updateBudgetFromTransaction({
-              id: transaction.id,
-              amount: parsedAmount,
-              date: transactionTime,
-              type: transactionType,
-              category_id: selectedCategory.id
-            });
-            
-            if (updatedBudget) {
-              console.log(`Budget updated successfully: category ${selectedCategory.id}, new available = ${updatedBudget.available}`);
-              
-              // Update Redux immediately
-              dispatch(updateBudgetSuccess({
-                id: updatedBudget.id,
-                changes: {
-                  available: updatedBudget.available,
-                  updatedAt: updatedBudget.updatedAt instanceof Date ? 
-                    updatedBudget.updatedAt.toISOString() : updatedBudget.updatedAt
-                }
-              }));
-            }
-          } catch (budgetError) {
-            console.error('Error updating category budget:', budgetError);
-          }
-        }
-        
-        // Dispatch transaction creation (convert dates to ISO strings for Redux)
-        dispatch(addTransactionSuccess({
-          id: transaction.id,
-          amount: parsedAmount,
-          payee: transaction.payee,
-          notes: transaction.notes,
-          date: transactionTime,
-          type: transactionType,
-          account_id: selectedAccount.id,
-          category_id: transactionType === 'expense' && selectedCategory ? selectedCategory.id : null,
-          transfer_account_id: transactionType === 'transfer' && selectedTransferAccount ? selectedTransferAccount.id : null,
-          createdAt: now.toISOString(),
-          updatedAt: now.toISOString(),
-          // Include complete objects for UI display
-          account: {
-            id: selectedAccount.id,
-            name: selectedAccount.name
-          },
-          // Make sure category data is included properly for display
-          category: selectedCategory && transactionType === 'expense' ? {
-            id: selectedCategory.id,
-            name: selectedCategory.name,
-            color: selectedCategory.color || '#757575',
-            icon: selectedCategory.icon || 'folder'
-          } : null,
-          transferAccount: selectedTransferAccount && transactionType === 'transfer' ? {
-            id: selectedTransferAccount.id,
-            name: selectedTransferAccount.name
-          } : null,
-        }));
-        
-        // Navigate back after ALL updates are complete
+      ({ transaction: fields } = await applyRulesToNewTransaction(entered, {
+        lockedFields: isCategoryChosen ? ['category_id'] : [],
+      }));
+    } catch (error) {
+      console.error('Error running transaction rules:', error);
+    }
+    
+    if (isCategorized && fields.type === 'expense' && !isSplit && !fields.category_id) {
+      Alert.alert('Category Required', 'Please select a category for this expense.');
+      return;
+    }
+    
+    if (recurrence) {
+      try {
+        // Occurrences are posted by the scheduler, starting with any already due
+        await createScheduledTransaction({ ...fields, ...recurrence, start_date: date.getTime() });
+        await postDueScheduledTransactions(dispatch);
         setTimeout(() => navigation.goBack(), 100);
-      });
+      } catch (error) {
+        console.error('Error scheduling transaction:', error);
+        Alert.alert('Error', 'Failed to schedule transaction: ' + error.message);
+      }
+      return;
+    }
+    
+    // Warn before saving what looks like a transaction someone has already entered
+    try {
+      const [duplicate] = await findPossibleDuplicates(fields);
+      if (duplicate) {
+        Alert.alert(
+          'Possible Duplicate',
+          `${duplicate.payee} for ${formatMoney(duplicate.amount, { currency })} on ` +
+            `${format(new Date(duplicate.date), 'MMM d, yyyy')} is already in ${selectedAccount.name}. ` +
+            'Save this transaction anyway?',
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Save Anyway', onPress: () => saveTransaction(fields) }
+          ]
+        );
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking for duplicates:', error);
+    }
+    
+    await saveTransaction(fields);
+  };
+
+  const saveTransaction = async (fields) => {
+    try {
+      // The ledger updates the transaction, account balances and category budget together
+      const transaction = await postTransaction(fields, dispatch);
+      const category = categories.find(cat => cat.id === transaction.category_id) || null;
+      const transferAccount = fields.type === 'transfer' ? accounts.find(acc => acc.id === fields.transfer_account_id) : null;
+      
+      // Dispatch transaction creation (convert dates to ISO strings for Redux)
+      dispatch(addTransactionSuccess({
+        ...transaction,
+        // Include complete objects for UI display
+        account: {
+          id: selectedAccount.id,
+          name: selectedAccount.name
+        },
+        // Make sure category data is included properly for display
+        category: category ? {
+          id: category.id,
+          name: category.name,
+          color: category.color || '#757575',
+          icon: category.icon || 'folder'
+        } : null,
+        transferAccount: transferAccount ? {
+          id: transferAccount.id,
+          name: transferAccount.name
+        } : null,
+      }));
+      
+      // Navigate back after ALL updates are complete
+      setTimeout(() => navigation.goBack(), 100);
     } catch (error) {
       console.error('Error creating transaction:', error);
       Alert.alert('Error', 'Failed to create transaction: ' + error.message);
@@ -305,10 +368,10 @@ const AddTransactionScreen = () => {
       style={styles.pickerButton}
     >
       <View>
-        <Text style={styles.label}>From Account</Text>
+        <Text style={styles.label}>{transactionType === 'transfer' ? 'From Account' : 'Account'}</Text>
         <List.Item
           title={selectedAccount ? selectedAccount.name : 'Select Account'}
-          description={selectedAccount ? `Balance: $${selectedAccount.currentBalance.toFixed(2)}` : 'Tap to select'}
+          description={selectedAccount ? `Balance: ${formatMoney(selectedAccount.currentBalance, { currency: selectedAccount.currency })}` : 'Tap to select'}
           left={props => <List.Icon {...props} icon="bank" />}
           right={props => <List.Icon {...props} icon="chevron-right" />}
         />
@@ -322,7 +385,7 @@ const AddTransactionScreen = () => {
         <Text style={styles.label}>To Account</Text>
         <List.Item
           title={selectedTransferAccount ? selectedTransferAccount.name : 'Select Destination Account'}
-          description={selectedTransferAccount ? `Balance: $${selectedTransferAccount.currentBalance.toFixed(2)}` : 'Tap to select'}
+          description={selectedTransferAccount ? `Balance: ${formatMoney(selectedTransferAccount.currentBalance, { currency: selectedTransferAccount.currency })}` : 'Tap to select'}
           left={props => <List.Icon {...props} icon="bank-transfer" />}
           right={props => <List.Icon {...props} icon="chevron-right" />}
         />
@@ -331,17 +394,36 @@ const AddTransactionScreen = () => {
   );
   
   const renderCategorySelection = () => (
-    transactionType === 'expense' && (
-      <TouchableOpacity onPress={() => setShowCategoryDialog(true)}>
-        <View style={styles.pickerButton}>
+    isCategorized && (
+      <View>
+        <View style={styles.categoryHeader}>
           <Text style={styles.label}>Category</Text>
-          <List.Item
-            title={selectedCategory ? selectedCategory.name : 'Select Category'}
-            left={props => <List.Icon {...props} icon="folder" />}
-            right={props => <List.Icon {...props} icon="chevron-right" />}
-          />
+          {transactionType === 'expense' && (
+            <Button compact icon={isSplit ? 'close' : 'call-split'} onPress={handleSplitToggle}>
+              {isSplit ? 'Cancel Split' : 'Split'}
+            </Button>
+          )}
         </View>
-      </TouchableOpacity>
+        {isSplit ? (
+          <SplitEditor
+            splits={splitLines}
+            onChange={setSplitLines}
+            categories={categories}
+            currency={currency}
+            totalAmount={parseMoney(amount, currency)}
+          />
+        ) : (
+          <TouchableOpacity onPress={() => setShowCategoryDialog(true)}>
+            <View style={styles.pickerButton}>
+              <List.Item
+                title={selectedCategory ? selectedCategory.name : 'Select Category'}
+                left={props => <List.Icon {...props} icon="folder" />}
+                right={props => <List.Icon {...props} icon="chevron-right" />}
+              />
+            </View>
+          </TouchableOpacity>
+        )}
+      </View>
     )
   );
   
@@ -367,7 +449,7 @@ const AddTransactionScreen = () => {
   );
 
   return (
-    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+    <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
       <Headline style={styles.headline}>Add Transaction</Headline>
       
       {/* Transaction Type */}
@@ -391,17 +473,19 @@ const AddTransactionScreen = () => {
         keyboardType="decimal-pad"
         style={styles.input}
         mode="outlined"
-        left={<TextInput.Affix text="$" />}
+        left={<TextInput.Affix text={getCurrency(currency).symbol} />}
       />
       
-      {/* Payee */}
-      <TextInput
-        label="Payee"
-        value={payee}
-        onChangeText={setPayee}
-        style={styles.input}
-        mode="outlined"
-      />
+      {/* Payee (transfers use the other account as the payee) */}
+      {transactionType !== 'transfer' && (
+        <PayeeInput
+          value={payee}
+          onChangeText={handlePayeeChange}
+          onSelect={knownPayee => handlePayeeChange(knownPayee.name)}
+          payees={payees}
+          style={styles.input}
+        />
+      )}
       
       {/* Account Selection */}
       {renderAccountSelection()}
@@ -409,12 +493,30 @@ const AddTransactionScreen = () => {
       {/* Transfer Account (for transfer type) */}
       {transactionType === 'transfer' && renderTransferAccountSelection()}
       
-      {/* Category Selection (for expense type) */}
+      {/* Amount received (for transfers between currencies) */}
+      {isCrossCurrencyTransfer && (
+        <TextInput
+          label={`Amount Received (${transferCurrency})`}
+          value={receivedAmount}
+          onChangeText={handleReceivedAmountChange}
+          placeholder={getEstimatedReceivedAmount() !== null ?
+            formatMoneyInput(getEstimatedReceivedAmount(), transferCurrency) : undefined}
+          keyboardType="decimal-pad"
+          style={styles.input}
+          mode="outlined"
+          left={<TextInput.Affix text={getCurrency(transferCurrency).symbol} />}
+        />
+      )}
+      
+      {/* Category Selection (for budgeted expenses and transfers to or from tracking accounts) */}
       {renderCategorySelection()}
       
       {/* Date Selection */}
       {renderDatePicker()}
       
+      {/* Repeat (the date above is the first occurrence) */}
+      <RecurrencePicker value={recurrence} onChange={setRecurrence} startDate={date} />
+      
       {/* Notes */}
       <TextInput
         label="Notes (optional)"
@@ -467,7 +569,7 @@ const AddTransactionScreen = () => {
                 {accounts.map(account => (
                   <RadioButton.Item
                     key={account.id}
-                    label={`${account.name} ($${account.currentBalance.toFixed(2)})`}
+                    label={`${account.name} (${formatMoney(account.currentBalance, { currency: account.currency })})`}
                     value={account.id}
                   />
                 ))}
@@ -500,7 +602,7 @@ const AddTransactionScreen = () => {
                 .map(account => (
                   <RadioButton.Item
                     key={account.id}
-                    label={`${account.name} ($${account.currentBalance.toFixed(2)})`}
+                    label={`${account.name} (${formatMoney(account.currentBalance, { currency: account.currency })})`}
                     value={account.id}
                   />
                 ))
@@ -522,11 +624,12 @@ const AddTransactionScreen = () => {
               onValueChange={(value) => {
                 const category = categories.find(cat => cat.id === value);
                 setSelectedCategory(category);
+                setIsCategoryChosen(true);
                 setShowCategoryDialog(false);
               }}
               value={selectedCategory ? selectedCategory.id : ''}
             >
-              {categories.map(category => (
+              {getSpendingCategories(categories).map(category => (
                 <RadioButton.Item
                   key={category.id}
                   label={category.name}
@@ -571,6 +674,11 @@ const styles = StyleSheet.create({
   pickerButton: {
     marginBottom: 16,
   },
+  categoryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
   buttonContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
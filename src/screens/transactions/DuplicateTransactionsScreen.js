@@ -0,0 +1,192 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Card, Text, Button, ActivityIndicator, useTheme } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import { useDispatch, useSelector } from 'react-redux';
+import { format } from 'date-fns';
+import EmptyState from '../../components/common/EmptyState';
+import { findDuplicateTransactions, dismissDuplicatePair, mergeTransactions } from '../../services/duplicates';
+import { deleteTransactionSuccess } from '../../store/slices/transactionsSlice';
+import { formatMoney } from '../../utils/money';
+
+const DuplicateTransactionsScreen = () => {
+  const dispatch = useDispatch();
+  const theme = useTheme();
+
+  const accounts = useSelector(state => state.accounts.accounts);
+  const categories = useSelector(state => state.categories?.categories || []);
+
+  const [pairs, setPairs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const loadPairs = useCallback(async () => {
+    try {
+      setPairs(await findDuplicateTransactions());
+    } catch (error) {
+      console.error('Error finding duplicate transactions:', error);
+      Alert.alert('Error', 'Failed to check for duplicates: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Re-check whenever the screen is shown, as transactions may have been edited meanwhile
+  useFocusEffect(
+    useCallback(() => {
+      loadPairs();
+    }, [loadPairs])
+  );
+
+  const runAction = async (key, action, errorMessage) => {
+    try {
+      setBusyKey(key);
+      await action();
+      await loadPairs();
+    } catch (error) {
+      console.error(errorMessage, error);
+      Alert.alert('Error', `${errorMessage}: ${error.message}`);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleKeep = (keep, duplicate) => {
+    Alert.alert(
+      'Merge Transactions',
+      `Keep ${keep.payee} on ${format(new Date(keep.date), 'MMM d, yyyy')} and delete the other? ` +
+        'Its notes and category are kept if this one has none.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Merge',
+          onPress: () => runAction(`${keep.id}|${duplicate.id}`, async () => {
+            await mergeTransactions(keep.id, duplicate.id, dispatch);
+            dispatch(deleteTransactionSuccess(duplicate.id));
+          }, 'Failed to merge transactions')
+        }
+      ]
+    );
+  };
+
+  const handleDismiss = (a, b) => {
+    runAction(`${a.id}|${b.id}`, () => dismissDuplicatePair(a.id, b.id), 'Failed to dismiss duplicate');
+  };
+
+  const describeCategory = (transaction) => {
+    if (transaction.is_split) return 'Split';
+    if (transaction.type === 'income') return 'Income';
+    return categories.find(category => category.id === transaction.category_id)?.name || 'Uncategorized';
+  };
+
+  const renderTransaction = (transaction, other) => {
+    const account = accounts.find(acc => acc.id === transaction.account_id);
+    return (
+      <View style={styles.side}>
+        <Text style={styles.payee} numberOfLines={1}>{transaction.payee}</Text>
+        <Text style={styles.detail}>{format(new Date(transaction.date), 'MMM d, yyyy')}</Text>
+        <Text style={[styles.amount, { color: transaction.type === 'income' ? '#4CAF50' : theme.colors.error }]}>
+          {formatMoney(transaction.amount, { currency: account?.currency })}
+        </Text>
+        <Text style={styles.detail} numberOfLines={1}>{describeCategory(transaction)}</Text>
+        {transaction.notes ? <Text style={styles.detail} numberOfLines={2}>{transaction.notes}</Text> : null}
+        {transaction.import_id ? <Text style={styles.detail}>Imported</Text> : null}
+        <Button mode="outlined" compact onPress={() => handleKeep(transaction, other)} style={styles.keepButton}>
+          Keep This
+        </Button>
+      </View>
+    );
+  };
+
+  const renderPair = ({ item: [a, b] }) => {
+    const account = accounts.find(acc => acc.id === a.account_id);
+    const isBusy = busyKey === `${a.id}|${b.id}` || busyKey === `${b.id}|${a.id}`;
+
+    return (
+      <Card style={styles.card}>
+        <Card.Title title={account?.name || 'Unknown Account'} subtitle="Possible duplicates" />
+        <Card.Content>
+          {isBusy ? (
+            <ActivityIndicator style={styles.busy} />
+          ) : (
+            <View style={styles.pair}>
+              {renderTransaction(a, b)}
+              {renderTransaction(b, a)}
+            </View>
+          )}
+        </Card.Content>
+        <Card.Actions>
+          <Button onPress={() => handleDismiss(a, b)} disabled={isBusy}>Not Duplicates</Button>
+        </Card.Actions>
+      </Card>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      ) : pairs.length === 0 ? (
+        <EmptyState
+          icon="content-duplicate"
+          title="No Duplicates"
+          message="Transactions in the same account with the same amount, close dates and similar payees show up here"
+        />
+      ) : (
+        <FlatList
+          data={pairs}
+          keyExtractor={([a, b]) => `${a.id}|${b.id}`}
+          renderItem={renderPair}
+          contentContainerStyle={styles.listContent}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+  },
+  pair: {
+    flexDirection: 'row',
+  },
+  side: {
+    flex: 1,
+    paddingHorizontal: 4,
+  },
+  payee: {
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  amount: {
+    fontWeight: 'bold',
+    marginVertical: 4,
+  },
+  detail: {
+    color: '#757575',
+    fontSize: 13,
+  },
+  keepButton: {
+    marginTop: 8,
+  },
+  busy: {
+    marginVertical: 24,
+  },
+});
+
+export default DuplicateTransactionsScreen;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { List, FAB, IconButton, Text, ActivityIndicator, useTheme } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { useDispatch, useSelector } from 'react-redux';
+import { format, isBefore, startOfDay } from 'date-fns';
+import { database } from '../../db/setup';
+import { Q } from '../../db/query';
+import EmptyState from '../../components/common/EmptyState';
+import {
+  postScheduledOccurrenceNow,
+  skipScheduledOccurrence,
+  deleteScheduledTransaction
+} from '../../services/scheduled';
+import { describeRecurrence } from '../../utils/recurrence';
+import { formatMoney } from '../../utils/money';
+
+const ScheduledTransactionsScreen = () => {
+  const navigation = useNavigation();
+  const dispatch = useDispatch();
+  const theme = useTheme();
+
+  const accounts = useSelector(state => state.accounts.accounts);
+
+  const [schedules, setSchedules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  // Soonest first, refreshed whenever a schedule is added, posted or skipped
+  useEffect(() => {
+    const subscription = database.collections
+      .get('scheduled_transactions')
+      .query(Q.sortBy('next_date', 'asc'))
+      .observe()
+      .subscribe(data => {
+        setSchedules(data);
+        setIsLoading(false);
+      });
+
+    return () => subscription.unsubscribe();
+  }, []);
+
+  const runAction = async (schedule, action, errorMessage) => {
+    try {
+      setBusyId(schedule.id);
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      Alert.alert('Error', `${errorMessage}: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePostNow = (schedule) => {
+    runAction(schedule, () => postScheduledOccurrenceNow(schedule.id, dispatch), 'Failed to post transaction');
+  };
+
+  const handleSkip = (schedule) => {
+    Alert.alert(
+      'Skip Occurrence',
+      `Skip ${schedule.payee || 'this transaction'} on ${format(new Date(schedule.next_date), 'MMM d, yyyy')}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Skip',
+          onPress: () => runAction(schedule, () => skipScheduledOccurrence(schedule.id), 'Failed to skip occurrence')
+        }
+      ]
+    );
+  };
+
+  const handleDelete = (schedule) => {
+    Alert.alert(
+      'Delete Scheduled Transaction',
+      'Stop repeating this transaction? Transactions already posted are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => runAction(schedule, () => deleteScheduledTransaction(schedule.id), 'Failed to delete schedule')
+        }
+      ]
+    );
+  };
+
+  const renderSchedule = ({ item }) => {
+    const account = accounts.find(acc => acc.id === item.account_id);
+    const transferAccount = accounts.find(acc => acc.id === item.transfer_account_id);
+    const title = item.type === 'transfer' ? `Transfer to ${transferAccount?.name || 'Unknown Account'}` : item.payee;
+    const isOverdue = isBefore(new Date(item.next_date), startOfDay(new Date()));
+    const prefix = item.type === 'income' ? '+' : '-';
+
+    return (
+      <List.Item
+        title={title}
+        description={`${format(new Date(item.next_date), 'EEE, MMM d, yyyy')} • ${describeRecurrence(item)}\n` +
+          `${prefix}${formatMoney(item.amount, { currency: account?.currency })} • ${account?.name || 'Unknown Account'}`}
+        descriptionNumberOfLines={2}
+        descriptionStyle={isOverdue ? { color: theme.colors.error } : undefined}
+        left={props => <List.Icon {...props} icon="calendar-sync" />}
+        right={() => busyId === item.id ? (
+          <ActivityIndicator style={styles.busy} />
+        ) : (
+          <View style={styles.actions}>
+            <IconButton icon="check" onPress={() => handlePostNow(item)} accessibilityLabel="Post now" />
+            <IconButton icon="skip-next" onPress={() => handleSkip(item)} accessibilityLabel="Skip" />
+            <IconButton icon="delete-outline" onPress={() => handleDelete(item)} accessibilityLabel="Delete" />
+          </View>
+        )}
+        style={styles.scheduleItem}
+      />
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      ) : schedules.length === 0 ? (
+        <EmptyState
+          icon="calendar-sync"
+          title="No Scheduled Transactions"
+          message="Record rent, salary or subscriptions once and they will be added each time they are due"
+          buttonLabel="Add Scheduled Transaction"
+          onButtonPress={() => navigation.navigate('AddTransaction', { recurring: true })}
+        />
+      ) : (
+        <FlatList
+          data={schedules}
+          keyExtractor={item => item.id}
+          renderItem={renderSchedule}
+          ListHeaderComponent={
+            <Text style={styles.hint}>Due transactions are added automatically when the app opens.</Text>
+          }
+          contentContainerStyle={styles.listContent}
+        />
+      )}
+
+      <FAB
+        style={[styles.fab, { backgroundColor: theme.colors.primary }]}
+        icon="plus"
+        onPress={() => navigation.navigate('AddTransaction', { recurring: true })}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 80,
+  },
+  hint: {
+    color: '#757575',
+    marginBottom: 12,
+  },
+  scheduleItem: {
+    backgroundColor: '#ffffff',
+    marginBottom: 8,
+    borderRadius: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  busy: {
+    marginRight: 16,
+  },
+  fab: {
+    position: 'absolute',
+    margin: 16,
+    right: 0,
+    bottom: 0,
+  },
+});
+
+export default ScheduledTransactionsScreen;
@@ -1,19 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Alert, TouchableOpacity } from 'react-native';
-import { Card, Title, Text, Button, Divider, Portal, Dialog, ActivityIndicator, useTheme, TextInput, SegmentedButtons, List, RadioButton } from 'react-native-paper';
+import { Card, Title, Text, Button, Divider, Portal, Dialog, ActivityIndicator, useTheme, TextInput, SegmentedButtons, List, RadioButton, Chip } from 'react-native-paper';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { useDispatch, useSelector } from 'react-redux';
 import { deleteTransactionSuccess, updateTransactionSuccess } from '../../store/slices/transactionsSlice';
-import { updateAccountSuccess } from '../../store/slices/accountsSlice';
-import { updateBudgetSuccess } from '../../store/slices/budgetSlice';
 import { format } from 'date-fns';
 import { useDatabase } from '../../context/DatabaseContext';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { 
-  updateBudgetFromTransaction,
-  getCategoryBudget
-} from '../../utils/budgetUtils';
+import { editTransaction, voidTransaction, getTransactionSplits, setClearedStatus } from '../../services/ledger';
+import SplitEditor, { createSplitLine } from '../../components/transactions/SplitEditor';
+import { formatMoney, formatMoneyInput, parseMoney, getCurrency } from '../../utils/money';
+import { parseTags } from '../../utils/transactionRules';
+import { CLEARED_STATUSES, getClearedStatus } from '../../utils/reconciliation';
+import { getSpendingCategories } from '../../utils/creditCards';
+import { isOffBudget } from '../../utils/accounts';
 
 // Helper function to safely parse dates
 const safelyParseDate = (dateValue) => {
@@ -90,9 +91,15 @@ const TransactionDetailScreen = () => {
   const [editedType, setEditedType] = useState('');
   const [selectedAccount, setSelectedAccount] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState(null);
+  const [originalCategoryId, setOriginalCategoryId] = useState(null);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [accountDialogVisible, setAccountDialogVisible] = useState(false);
   const [categoryDialogVisible, setCategoryDialogVisible] = useState(false);
+  
+  // Split lines of a split expense, as stored and as being edited
+  const [splits, setSplits] = useState([]);
+  const [isEditingSplit, setIsEditingSplit] = useState(false);
+  const [editedSplitLines, setEditedSplitLines] = useState([]);
 
   // Load transaction data if only ID is provided
   useEffect(() => {
@@ -163,29 +170,66 @@ const TransactionDetailScreen = () => {
     loadTransaction();
   }, [transactionId, database, transaction, transactions]);
   
+  // Load the split lines of a split expense
+  useEffect(() => {
+    if (!transaction || !transaction.is_split) {
+      setSplits([]);
+      return;
+    }
+    
+    getTransactionSplits(transaction.id)
+      .then(setSplits)
+      .catch(error => console.error('Error loading transaction splits:', error));
+  }, [transaction?.id, transaction?.is_split]);
+  
   // Initialize edit form when transaction loads
   useEffect(() => {
     if (transaction && isEditing) {
-      setEditedAmount(transaction.amount.toString());
+      const transactionAccount = accounts.find(acc => acc.id === transaction.account_id);
+      setEditedAmount(formatMoneyInput(transaction.amount, transactionAccount?.currency));
       setEditedPayee(transaction.payee || '');
       setEditedNotes(transaction.notes || '');
       // Safe date parsing for editing
       setEditedDate(safelyParseDate(transaction.date));
       setEditedType(transaction.type || 'expense');
       
-      // Find and set the selected account
-      const transactionAccount = accounts.find(acc => acc.id === transaction.account_id);
+      // Set the selected account
       setSelectedAccount(transactionAccount || null);
       
-      // Find and set the selected category if it's an expense
-      if (transaction.type === 'expense' && transaction.category_id) {
-        const transactionCategory = categories.find(cat => cat.id === transaction.category_id);
-        setSelectedCategory(transactionCategory || null);
-      } else {
-        setSelectedCategory(null);
-      }
+      // Split expenses are edited line by line
+      setIsEditingSplit(!!transaction.is_split);
+      setEditedSplitLines(splits.map(split => createSplitLine({
+        category_id: split.category_id,
+        amountText: formatMoneyInput(split.amount, transactionAccount?.currency),
+        memo: split.memo || ''
+      })));
+      
+      // Find and set the selected category
+      getStoredCategoryId(transaction)
+        .then(categoryId => {
+          setOriginalCategoryId(categoryId);
+          setSelectedCategory(categories.find(cat => cat.id === categoryId) || null);
+        })
+        .catch(error => console.error('Error loading transaction category:', error));
     }
-  }, [transaction, isEditing, accounts, categories]);
+  }, [transaction, isEditing, accounts, categories, splits]);
+  
+  // A transfer between a budget and a tracking account keeps its category on the
+  // budget side, which may be the other leg
+  const getStoredCategoryId = async (item) => {
+    if (item.category_id || item.type !== 'transfer' || !item.transfer_id) {
+      return item.category_id || null;
+    }
+    const otherLeg = await database.collections.get('transactions').find(item.transfer_id);
+    return (otherLeg && otherLeg.category_id) || null;
+  };
+  
+  // Spending in a tracking account isn't budgeted, so it takes no category. Moving
+  // money between a budget and a tracking account spends or adds to a category.
+  const editedTransferAccount = accounts.find(acc => acc.id === transaction?.transfer_account_id);
+  const crossesBudget = editedType === 'transfer' && !!editedTransferAccount &&
+    isOffBudget(selectedAccount) !== isOffBudget(editedTransferAccount);
+  const isCategorized = (editedType === 'expense' && !isOffBudget(selectedAccount)) || crossesBudget;
   
   // Handle date change in the picker
   const handleDateChange = (event, selectedDate) => {
@@ -197,13 +241,14 @@ const TransactionDetailScreen = () => {
   // Handle saving edits
   const handleSaveEdit = async () => {
     try {
-      const parsedAmount = parseFloat(editedAmount);
+      const parsedAmount = parseMoney(editedAmount, selectedAccount?.currency);
       if (isNaN(parsedAmount) || parsedAmount <= 0) {
         Alert.alert('Error', 'Please enter a valid amount');
         return;
       }
       
-      if (!editedPayee.trim()) {
+      // Transfers are named after the other account by the ledger
+      if (editedType !== 'transfer' && !editedPayee.trim()) {
         Alert.alert('Error', 'Please enter a payee name');
         return;
       }
@@ -213,115 +258,99 @@ const TransactionDetailScreen = () => {
         return;
       }
       
-      if (editedType === 'expense' && !selectedCategory) {
+      const isSplitExpense = isCategorized && isEditingSplit;
+      const editedSplits = editedSplitLines.map(line => ({
+        category_id: line.category_id,
+        amount: parseMoney(line.amountText, selectedAccount.currency),
+        memo: line.memo
+      }));
+      
+      if (isSplitExpense) {
+        if (editedSplits.some(split => !split.category_id || isNaN(split.amount) || split.amount <= 0)) {
+          Alert.alert('Error', 'Please select a category and enter an amount for every split');
+          return;
+        }
+        if (editedSplits.reduce((sum, split) => sum + split.amount, 0) !== parsedAmount) {
+          Alert.alert('Error', 'The split amounts must add up to the transaction amount');
+          return;
+        }
+      } else if (isCategorized && editedType === 'expense' && !selectedCategory) {
         Alert.alert('Error', 'Please select a category for this expense');
         return;
       }
       
       setIsLoading(true);
       
-      await database.action(async () => {
-        // 1. Get collections
-        const transactionsCollection = database.collections.get('transactions');
-        const accountsCollection = database.collections.get('accounts');
-        
-        // 2. Get current transaction and account
-        const currentTransaction = await transactionsCollection.find(transaction.id);
-        const currentAccount = await accountsCollection.find(transaction.account_id);
-        
-        if (!currentTransaction || !currentAccount) {
-          throw new Error('Transaction or account not found');
-        }
-        
-        // 3. Calculate account balance changes
-        let newAccountBalance = currentAccount.currentBalance;
-        
-        // First reverse the effect of the old transaction
-        if (currentTransaction.type === 'expense') {
-          newAccountBalance += currentTransaction.amount; // Add back expense
-        } else if (currentTransaction.type === 'income') {
-          newAccountBalance -= currentTransaction.amount; // Deduct income
-        }
-        
-        // Then apply the new transaction
-        if (editedType === 'expense') {
-          newAccountBalance -= parsedAmount; // Deduct new expense
-        } else if (editedType === 'income') {
-          newAccountBalance += parsedAmount; // Add new income
-        }
-        
-        // 4. Update the transaction
-        await transactionsCollection.update(transaction.id, tx => {
-          tx.amount = parsedAmount;
-          tx.payee = editedPayee.trim();
-          tx.notes = editedNotes.trim();
-          tx.type = editedType;
-          tx.date = editedDate.getTime(); // Store as timestamp
-          tx.updatedAt = new Date();
-          
-          // Only set category for expense transactions
-          tx.category_id = editedType === 'expense' && selectedCategory ? selectedCategory.id : null;
-          
-          // Handle account changes if needed
-          if (selectedAccount.id !== currentAccount.id) {
-            tx.account_id = selectedAccount.id;
-          }
-        });
-        
-        // 5. Update account balance
-        await accountsCollection.update(currentAccount.id, account => {
-          account.currentBalance = newAccountBalance;
-          account.updatedAt = new Date();
-        });
-        
-        // 6. Update Redux state
-        // For the transaction
-        dispatch(updateTransactionSuccess({
-          id: transaction.id,
-          changes: {
-            amount: parsedAmount,
-            payee: editedPayee.trim(),
-            notes: editedNotes.trim(),
-            type: editedType,
-            date: editedDate.getTime(),
-            updatedAt: new Date().toISOString(),
-            category_id: editedType === 'expense' && selectedCategory ? selectedCategory.id : null,
-            account_id: selectedAccount.id,
-            // Include related objects for UI
-            category: editedType === 'expense' && selectedCategory ? selectedCategory : null,
-            account: selectedAccount
-          }
-        }));
-        
-        // For the account
-        dispatch(updateAccountSuccess({
-          id: currentAccount.id,
-          changes: {
-            currentBalance: newAccountBalance,
-            updatedAt: new Date().toISOString()
-          }
-        }));
-        
-        // 7. Update local state
-        setTransaction({
-          ...transaction,
+      // Send only what was edited - changing the amount, accounts or category
+      // works the converted amounts out again at today's rates
+      const edited = {
+        amount: parsedAmount,
+        payee: editedPayee.trim(),
+        notes: editedNotes.trim(),
+        type: editedType,
+        date: editedDate.getTime(), // Store as timestamp
+        account_id: selectedAccount.id
+      };
+      // Other transfers take the category the ledger gives them, e.g. a card's payment category
+      if (editedType !== 'transfer' || isCategorized) {
+        edited.category_id = isCategorized && selectedCategory && !isSplitExpense ? selectedCategory.id : null;
+      }
+      const original = { ...transaction, category_id: originalCategoryId };
+      const changes = Object.keys(edited)
+        .filter(field => edited[field] !== (original[field] ?? null))
+        .reduce((result, field) => ({ ...result, [field]: edited[field] }), {});
+      if (isSplitExpense || transaction.is_split) {
+        changes.splits = isSplitExpense ? editedSplits : null;
+      }
+      
+      // The ledger moves the account balances and category budgets along with the edit
+      const updated = await editTransaction(transaction.id, changes, dispatch);
+      
+      if (updated.is_split) {
+        setSplits(await getTransactionSplits(transaction.id));
+      }
+      
+      // Update Redux state for the transaction
+      dispatch(updateTransactionSuccess({
+        id: transaction.id,
+        changes: {
           amount: parsedAmount,
-          payee: editedPayee.trim(),
+          payee: updated.payee,
           notes: editedNotes.trim(),
           type: editedType,
           date: editedDate.getTime(),
           updatedAt: new Date().toISOString(),
-          category_id: editedType === 'expense' && selectedCategory ? selectedCategory.id : null,
+          category_id: updated.category_id,
           account_id: selectedAccount.id,
-          category: editedType === 'expense' && selectedCategory ? selectedCategory : null,
+          // Include related objects for UI
+          category: categories.find(cat => cat.id === updated.category_id) || null,
           account: selectedAccount
-        });
-        
-        // Exit edit mode
-        setIsEditing(false);
-        
-        Alert.alert('Success', 'Transaction updated successfully');
+        }
+      }));
+      
+      // Update local state
+      setTransaction({
+        ...transaction,
+        amount: parsedAmount,
+        payee: updated.payee,
+        notes: editedNotes.trim(),
+        type: editedType,
+        date: editedDate.getTime(),
+        updatedAt: new Date().toISOString(),
+        category_id: updated.category_id,
+        account_id: selectedAccount.id,
+        // Worked out again by the ledger when the amount or accounts change
+        transfer_amount: updated.transfer_amount,
+        budget_amount: updated.budget_amount,
+        is_split: updated.is_split,
+        category: categories.find(cat => cat.id === updated.category_id) || null,
+        account: selectedAccount
       });
+      
+      // Exit edit mode
+      setIsEditing(false);
+      
+      Alert.alert('Success', 'Transaction updated successfully');
     } catch (error) {
       console.error('Error updating transaction:', error);
       Alert.alert('Error', `Failed to update transaction: ${error.message}`);
@@ -337,17 +366,21 @@ const TransactionDetailScreen = () => {
         <Card.Content>
           <Title style={styles.editHeader}>Edit Transaction</Title>
           
-          {/* Transaction Type */}
-          <Text style={styles.inputLabel}>Transaction Type</Text>
-          <SegmentedButtons
-            value={editedType}
-            onValueChange={setEditedType}
-            buttons={[
-              { value: 'expense', label: 'Expense' },
-              { value: 'income', label: 'Income' }
-            ]}
-            style={styles.segmentedButton}
-          />
+          {/* Transaction Type (a transfer stays a transfer) */}
+          {editedType !== 'transfer' && (
+            <>
+              <Text style={styles.inputLabel}>Transaction Type</Text>
+              <SegmentedButtons
+                value={editedType}
+                onValueChange={setEditedType}
+                buttons={[
+                  { value: 'expense', label: 'Expense' },
+                  { value: 'income', label: 'Income' }
+                ]}
+                style={styles.segmentedButton}
+              />
+            </>
+          )}
           
           {/* Amount */}
           <TextInput
@@ -357,17 +390,19 @@ const TransactionDetailScreen = () => {
             keyboardType="decimal-pad"
             style={styles.input}
             mode="outlined"
-            left={<TextInput.Affix text="$" />}
+            left={<TextInput.Affix text={getCurrency(selectedAccount?.currency).symbol} />}
           />
           
-          {/* Payee */}
-          <TextInput
-            label="Payee"
-            value={editedPayee}
-            onChangeText={setEditedPayee}
-            style={styles.input}
-            mode="outlined"
-          />
+          {/* Payee (transfers use the other account as the payee) */}
+          {editedType !== 'transfer' && (
+            <TextInput
+              label="Payee"
+              value={editedPayee}
+              onChangeText={setEditedPayee}
+              style={styles.input}
+              mode="outlined"
+            />
+          )}
           
           {/* Account Selection */}
           <Text style={styles.inputLabel}>Account</Text>
@@ -375,26 +410,55 @@ const TransactionDetailScreen = () => {
             <View style={styles.pickerButton}>
               <List.Item
                 title={selectedAccount ? selectedAccount.name : 'Select Account'}
-                description={selectedAccount ? `Balance: $${selectedAccount.currentBalance.toFixed(2)}` : 'Tap to select'}
+                description={selectedAccount ? `Balance: ${formatMoney(selectedAccount.currentBalance, { currency: selectedAccount.currency })}` : 'Tap to select'}
                 left={props => <List.Icon {...props} icon="bank" />}
                 right={props => <List.Icon {...props} icon="chevron-right" />}
               />
             </View>
           </TouchableOpacity>
           
-          {/* Category Selection (for expense only) */}
-          {editedType === 'expense' && (
+          {/* Category Selection (for budgeted expenses and transfers to or from tracking accounts) */}
+          {isCategorized && (
             <>
-              <Text style={styles.inputLabel}>Category</Text>
-              <TouchableOpacity onPress={() => setCategoryDialogVisible(true)}>
-                <View style={styles.pickerButton}>
-                  <List.Item
-                    title={selectedCategory ? selectedCategory.name : 'Select Category'}
-                    left={props => <List.Icon {...props} icon="folder" />}
-                    right={props => <List.Icon {...props} icon="chevron-right" />}
-                  />
-                </View>
-              </TouchableOpacity>
+              <View style={styles.categoryHeader}>
+                <Text style={styles.inputLabel}>Category</Text>
+                {editedType === 'expense' && (
+                  <Button
+                    compact
+                    icon={isEditingSplit ? 'close' : 'call-split'}
+                    onPress={() => {
+                      if (!isEditingSplit && editedSplitLines.length < 2) {
+                        setEditedSplitLines([
+                          createSplitLine({ category_id: selectedCategory?.id || null, amountText: editedAmount }),
+                          createSplitLine()
+                        ]);
+                      }
+                      setIsEditingSplit(!isEditingSplit);
+                    }}
+                  >
+                    {isEditingSplit ? 'Single Category' : 'Split'}
+                  </Button>
+                )}
+              </View>
+              {isEditingSplit ? (
+                <SplitEditor
+                  splits={editedSplitLines}
+                  onChange={setEditedSplitLines}
+                  categories={categories}
+                  currency={selectedAccount?.currency}
+                  totalAmount={parseMoney(editedAmount, selectedAccount?.currency)}
+                />
+              ) : (
+                <TouchableOpacity onPress={() => setCategoryDialogVisible(true)}>
+                  <View style={styles.pickerButton}>
+                    <List.Item
+                      title={selectedCategory ? selectedCategory.name : 'Select Category'}
+                      left={props => <List.Icon {...props} icon="folder" />}
+                      right={props => <List.Icon {...props} icon="chevron-right" />}
+                    />
+                  </View>
+                </TouchableOpacity>
+              )}
             </>
           )}
           
@@ -466,7 +530,7 @@ const TransactionDetailScreen = () => {
               {accounts.map(account => (
                 <RadioButton.Item
                   key={account.id}
-                  label={`${account.name} ($${account.currentBalance.toFixed(2)})`}
+                  label={`${account.name} (${formatMoney(account.currentBalance, { currency: account.currency })})`}
                   value={account.id}
                 />
               ))}
@@ -493,7 +557,7 @@ const TransactionDetailScreen = () => {
               }}
               value={selectedCategory?.id || ''}
             >
-              {categories.map(category => (
+              {getSpendingCategories(categories).map(category => (
                 <RadioButton.Item
                   key={category.id}
                   label={category.name}
@@ -558,6 +622,9 @@ const TransactionDetailScreen = () => {
   };
   
   const getTransactionColor = () => {
+    if (transaction.type === 'transfer') {
+      return isInflow ? theme.colors.success : theme.colors.error;
+    }
     switch (transaction.type) {
       case 'expense':
         return theme.colors.error;
@@ -572,116 +639,18 @@ const TransactionDetailScreen = () => {
     setIsDeleting(true);
     
     try {
-      await database.action(async () => {
-        // 1. Fetch fresh data for the transaction
-        const transactionsCollection = database.collections.get('transactions');
-        const transactionRecord = await transactionsCollection.find(transaction.id);
-        
-        if (!transactionRecord) {
-          throw new Error('Transaction not found');
-        }
-        
-        // 2. Get the related account to update its balance
-        const accountsCollection = database.collections.get('accounts');
-        const accountRecord = await accountsCollection.find(transaction.account_id);
-        
-        if (!accountRecord) {
-          throw new Error('Account not found');
-        }
-        
-        let newAccountBalance = accountRecord.currentBalance;
-        
-        // 3. Adjust account balance (reverse the transaction's effect)
-        if (transactionRecord.type === 'expense') {
-          // Add the expense amount back to the account
-          newAccountBalance += transactionRecord.amount;
-        } else if (transactionRecord.type === 'income') {
-          // Deduct the income amount from the account
-          newAccountBalance -= transactionRecord.amount;
-        } else if (transactionRecord.type === 'transfer') {
-          // For transfers, adjust both accounts
-          newAccountBalance += transactionRecord.amount; // Add back to source account
-          
-          // Find and adjust destination account if it exists
-          if (transactionRecord.transfer_account_id) {
-            const transferAccount = await accountsCollection.find(transactionRecord.transfer_account_id);
-            if (transferAccount) {
-              // Subtract the amount from the transfer destination account
-              await accountsCollection.update(transferAccount.id, account => {
-                account.currentBalance -= transactionRecord.amount;
-                account.updatedAt = new Date();
-              });
-              
-              // Update Redux state for transfer account
-              dispatch(updateAccountSuccess({
-                id: transferAccount.id,
-                changes: {
-                  currentBalance: transferAccount.currentBalance - transactionRecord.amount,
-                  updatedAt: new Date().toISOString()
-                }
-              }));
-            }
-          }
-        }
-        
-        // 4. Update the account balance
-        await accountsCollection.update(accountRecord.id, account => {
-          account.currentBalance = newAccountBalance;
-          account.updatedAt = new Date();
-        });
-        
-        // 5. If it's an expense with a category, update the category budget
-        if (transactionRecord.type === 'expense' && transactionRecord.category_id) {
-          // Get the transaction month for finding the right budget
-          const transactionMonth = format(new Date(transactionRecord.date), 'yyyy-MM');
-          
-          // Find the budget for this category and month
-          const budgetsCollection = database.collections.get('category_budgets');
-          const budgets = await budgetsCollection.query().fetch();
-          
-          const budget = budgets.find(b => 
-            b.category_id === transactionRecord.category_id && 
-            b.month === transactionMonth
-          );
-          
-          if (budget) {
-            // Increase available amount (since we're refunding the expense)
-            const newAvailable = budget.available + transactionRecord.amount;
-            
-            await budgetsCollection.update(budget.id, b => {
-              b.available = newAvailable;
-              b.updatedAt = new Date();
-            });
-            
-            // Update Redux for budget
-            dispatch(updateBudgetSuccess({
-              id: budget.id,
-              changes: {
-                available: newAvailable,
-                updatedAt: new Date().toISOString()
-              }
-            }));
-          }
-        }
-        
-        // 6. Delete the transaction
-        await transactionsCollection.delete(transactionRecord.id);
-        
-        // 7. Update Redux state for the account
-        dispatch(updateAccountSuccess({
-          id: accountRecord.id,
-          changes: {
-            currentBalance: newAccountBalance,
-            updatedAt: new Date().toISOString()
-          }
-        }));
-        
-        // 8. Update Redux state for the transaction (remove it)
-        dispatch(deleteTransactionSuccess(transactionRecord.id));
-        
-        // 9. Always navigate back to previous screen - don't use specific screen name
-        setTimeout(() => navigation.goBack(), 100);
-      });
+      // The ledger reverses the account balances and category budget before removing it,
+      // together with the other leg of a transfer
+      const removed = await voidTransaction(transaction.id, dispatch);
+      
+      // Update Redux state for the transaction (remove it)
+      dispatch(deleteTransactionSuccess(transaction.id));
+      if (removed.transfer_id) {
+        dispatch(deleteTransactionSuccess(removed.transfer_id));
+      }
+      
+      // Always navigate back to previous screen - don't use specific screen name
+      setTimeout(() => navigation.goBack(), 100);
     } catch (error) {
       console.error('Error deleting transaction:', error);
       Alert.alert('Error', 'Failed to delete transaction: ' + error.message);
@@ -691,6 +660,47 @@ const TransactionDetailScreen = () => {
     }
   };
   
+  const saveClearedStatus = async (status) => {
+    try {
+      await setClearedStatus([transaction.id], status);
+      dispatch(updateTransactionSuccess({
+        id: transaction.id,
+        changes: { cleared_status: status, updatedAt: new Date().toISOString() }
+      }));
+      setTransaction({ ...transaction, cleared_status: status });
+    } catch (error) {
+      console.error('Error updating cleared status:', error);
+      Alert.alert('Error', 'Failed to update transaction: ' + error.message);
+    }
+  };
+  
+  // Toggle cleared and uncleared; a reconciled transaction has to be unlocked first
+  const handleClearedPress = () => {
+    const status = getClearedStatus(transaction);
+    if (status !== 'reconciled') {
+      saveClearedStatus(status === 'cleared' ? 'uncleared' : 'cleared');
+      return;
+    }
+    
+    Alert.alert(
+      'Unlock Transaction',
+      'This transaction has been reconciled with a bank statement, so its amount, date and account are locked. ' +
+        'Mark it as cleared to unlock it? The account will no longer match that statement if you change it.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Unlock', onPress: () => saveClearedStatus('cleared') }
+      ]
+    );
+  };
+  
+  // Amounts are in the currency of the transaction's account
+  const currency = accounts.find(acc => acc.id === transaction.account_id)?.currency;
+  // A transfer leg shows the account and amount on the other side
+  const transferAccount = accounts.find(acc => acc.id === transaction.transfer_account_id);
+  const transferCurrency = transferAccount?.currency;
+  const isInflow = transaction.type === 'income' ||
+    (transaction.type === 'transfer' && transaction.transfer_direction === 'in');
+  
   // Make delete button more prominent
   return (
     <ScrollView style={styles.container}>
@@ -712,8 +722,8 @@ const TransactionDetailScreen = () => {
           
           <View style={styles.amountContainer}>
             <Text style={[styles.amount, { color: getTransactionColor() }]}>
-              {transaction.type === 'expense' ? '-' : transaction.type === 'income' ? '+' : ''}
-              ${Math.abs(transaction.amount).toFixed(2)}
+              {isInflow ? '+' : '-'}
+              {formatMoney(Math.abs(transaction.amount), { currency })}
             </Text>
           </View>
           
@@ -729,20 +739,67 @@ const TransactionDetailScreen = () => {
             <Text style={styles.detailValue}>{transaction.account?.name || 'Unknown'}</Text>
           </View>
           
-          {transaction.type === 'transfer' && transaction.transferAccount && (
+          <TouchableOpacity style={styles.detailRow} onPress={handleClearedPress}>
+            <Text style={styles.detailLabel}>Status</Text>
+            <View style={styles.clearedStatus}>
+              <MaterialCommunityIcons
+                name={{ uncleared: 'checkbox-blank-circle-outline', cleared: 'check-circle', reconciled: 'lock' }[getClearedStatus(transaction)]}
+                color={getClearedStatus(transaction) === 'uncleared' ? '#9e9e9e' : theme.colors.success}
+                size={16}
+              />
+              <Text style={[styles.detailValue, styles.clearedStatusText]}>
+                {CLEARED_STATUSES[getClearedStatus(transaction)]}
+              </Text>
+            </View>
+          </TouchableOpacity>
+          
+          {transaction.type === 'transfer' && transferAccount && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>{isInflow ? 'From Account' : 'To Account'}</Text>
+              <Text style={styles.detailValue}>{transferAccount.name}</Text>
+            </View>
+          )}
+          
+          {transaction.type === 'transfer' && getCurrency(transferCurrency).code !== getCurrency(currency).code &&
+            transaction.transfer_amount !== undefined && transaction.transfer_amount !== null && (
             <View style={styles.detailRow}>
-              <Text style={styles.detailLabel}>To Account</Text>
-              <Text style={styles.detailValue}>{transaction.transferAccount.name}</Text>
+              <Text style={styles.detailLabel}>{isInflow ? 'Amount Sent' : 'Amount Received'}</Text>
+              <Text style={styles.detailValue}>
+                {formatMoney(transaction.transfer_amount, { currency: transferCurrency })}
+              </Text>
             </View>
           )}
           
-          {transaction.type === 'expense' && transaction.category && (
+          {transaction.category && !transaction.is_split && (
             <View style={styles.detailRow}>
               <Text style={styles.detailLabel}>Category</Text>
               <Text style={styles.detailValue}>{transaction.category.name}</Text>
             </View>
           )}
           
+          {transaction.is_split && (
+            <View style={styles.splitsContainer}>
+              <Text style={styles.detailLabel}>Split</Text>
+              {splits.map(split => (
+                <View key={split.id} style={styles.splitRow}>
+                  <View style={styles.splitCategory}>
+                    <Text>{categories.find(cat => cat.id === split.category_id)?.name || 'Unknown Category'}</Text>
+                    {!!split.memo && <Text style={styles.splitMemo}>{split.memo}</Text>}
+                  </View>
+                  <Text>{formatMoney(split.amount, { currency })}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+          
+          {parseTags(transaction.tags).length > 0 && (
+            <View style={styles.tagsContainer}>
+              {parseTags(transaction.tags).map(tag => (
+                <Chip key={tag} icon="tag" compact style={styles.tag}>{tag}</Chip>
+              ))}
+            </View>
+          )}
+          
           {transaction.notes && (
             <View style={styles.notesContainer}>
               <Text style={styles.detailLabel}>Notes</Text>
@@ -795,7 +852,7 @@ const TransactionDetailScreen = () => {
           <Dialog.Content>
             <Text>Are you sure you want to delete this transaction? This action cannot be undone.</Text>
             <Text style={styles.dialogDetails}>
-              {`${transaction.payee} - $${transaction.amount.toFixed(2)}`}
+              {`${transaction.payee} - ${formatMoney(transaction.amount, { currency })}`}
             </Text>
           </Dialog.Content>
           <Dialog.Actions>
@@ -864,9 +921,48 @@ const styles = StyleSheet.create({
     color: '#757575',
     fontWeight: '500',
   },
+  splitsContainer: {
+    marginVertical: 8,
+  },
+  splitRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    paddingLeft: 12,
+    marginTop: 6,
+  },
+  splitCategory: {
+    flex: 1,
+    marginRight: 8,
+  },
+  splitMemo: {
+    color: '#757575',
+    fontSize: 12,
+  },
+  categoryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
   detailValue: {
     fontWeight: '500',
   },
+  clearedStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  clearedStatusText: {
+    marginLeft: 4,
+  },
+  tagsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 16,
+  },
+  tag: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
   notesContainer: {
     marginTop: 16,
   },
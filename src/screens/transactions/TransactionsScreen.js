@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState } from 'react';
 import { 
   View, 
   StyleSheet, 
@@ -11,9 +11,9 @@ import {
   ScrollView 
 } from 'react-native';
 import { Searchbar, FAB, Chip, Portal, Dialog, Button, useTheme } from 'react-native-paper';
-import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
+import { useNavigation, useRoute } from '@react-navigation/native';
 import { useDispatch, useSelector } from 'react-redux';
-import { format, subMonths } from 'date-fns';
+import { format, subMonths, startOfMonth, endOfMonth } from 'date-fns';
 import { useDatabase } from '../../context/DatabaseContext';
 import { Q } from '../../db/query';
 import { 
@@ -24,13 +24,18 @@ import {
   clearFilters 
 } from '../../store/slices/transactionsSlice';
 import EmptyState from '../../components/common/EmptyState';
+import SplitDetails from '../../components/transactions/SplitDetails';
+import { formatMoney } from '../../utils/money';
 
 // Simplify the transaction item to just the essentials
-const TransactionItem = React.memo(({ item, onPress }) => {
+const TransactionItem = React.memo(({ item, currency, onPress }) => {
   const theme = useTheme();
-  const isExpense = item.type === 'expense';
-  const amountColor = isExpense ? '#D32F2F' : '#388E3C';
-  const amountPrefix = isExpense ? '-' : '+';
+  const [isSplitExpanded, setIsSplitExpanded] = useState(false);
+  const isTransfer = item.type === 'transfer';
+  // Expenses and the outflow leg of a transfer take money out of the account
+  const isOutflow = item.type === 'expense' || (isTransfer && item.transfer_direction !== 'in');
+  const amountColor = isOutflow ? '#D32F2F' : '#388E3C';
+  const amountPrefix = isOutflow ? '-' : '+';
   
   return (
     <TouchableOpacity
@@ -41,20 +46,32 @@ const TransactionItem = React.memo(({ item, onPress }) => {
       <View style={styles.transactionRow}>
         <View style={styles.transactionContent}>
           <RNText style={styles.payeeText}>{item.payee}</RNText>
-          <RNText style={styles.categoryText}>
-            {item.category?.name || 'Uncategorized'}
-          </RNText>
+          {item.is_split ? (
+            <TouchableOpacity onPress={() => setIsSplitExpanded(!isSplitExpanded)} hitSlop={8}>
+              <RNText style={[styles.categoryText, styles.splitLabel, { color: theme.colors.primary }]}>
+                Split {isSplitExpanded ? '▴' : '▾'}
+              </RNText>
+            </TouchableOpacity>
+          ) : (
+            <RNText style={styles.categoryText}>
+              {item.category?.name || (isTransfer ? 'Transfer' : 'Uncategorized')}
+            </RNText>
+          )}
         </View>
         
         <View style={styles.amountContainer}>
           <RNText style={[styles.amountText, { color: amountColor }]}>
-            {amountPrefix}${Math.abs(item.amount).toFixed(2)}
+            {amountPrefix}{formatMoney(Math.abs(item.amount), { currency })}
           </RNText>
           <RNText style={styles.dateText}>
             {format(new Date(item.date), 'MMM d')}
           </RNText>
         </View>
       </View>
+      
+      {item.is_split && isSplitExpanded && (
+        <SplitDetails transactionId={item.id} updatedAt={item.updatedAt} currency={currency} />
+      )}
     </TouchableOpacity>
   );
 });
@@ -74,7 +91,6 @@ const TransactionsScreen = () => {
   
   // Access Redux state safely
   const transactions = useSelector(state => state.transactions?.transactions || []);
-  const status = useSelector(state => state.transactions?.status || 'idle');
   const filters = useSelector(state => state.transactions?.filters || {});
   const accounts = useSelector(state => state.accounts?.accounts || []);
   const categories = useSelector(state => state.categories?.categories || []);
@@ -82,6 +98,7 @@ const TransactionsScreen = () => {
   // Local state
   const [isLoading, setIsLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
   const [filterDialogVisible, setFilterDialogVisible] = useState(false);
   const [selectedAccountId, setSelectedAccountId] = useState(accountId || null);
   const [selectedCategoryId, setSelectedCategoryId] = useState(null);
@@ -94,102 +111,123 @@ const TransactionsScreen = () => {
     }
   }, [dispatch, filters]);
   
-  // Focus effect to reload data only when filters change
-  useFocusEffect(
-    useCallback(() => {
-      loadTransactions();
-    }, [filters]) // Only reload when filters change
-  );
+  // Debounce the search so typing doesn't re-run the query on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchTerm(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
   
-  const loadTransactions = async () => {
-    // Skip if already loading
-    if (status === 'loading') return;
+  // Subscribe to the filtered transactions, re-subscribing when filters or the search change
+  useEffect(() => {
+    const queryConditions = [];
     
-    try {
-      setIsLoading(true);
-      dispatch(fetchTransactionsStart());
-      
-      const queryConditions = [];
-      
-      if (filters.accountId) {
-        queryConditions.push(Q.where('account_id', filters.accountId));
-      }
+    if (filters.accountId) {
+      queryConditions.push(Q.where('account_id', filters.accountId));
+    }
+    
+    if (filters.categoryId) {
+      queryConditions.push(Q.where('category_id', filters.categoryId));
+    }
+    
+    if (filters.dateRange && filters.dateRange !== 'all') {
+      const now = new Date();
+      let range;
       
-      if (filters.categoryId) {
-        queryConditions.push(Q.where('category_id', filters.categoryId));
+      switch (filters.dateRange) {
+        case 'thisMonth': 
+          range = [startOfMonth(now), endOfMonth(now)];
+          break;
+        case 'last30Days':
+          range = [subMonths(now, 1), now];
+          break;
+        default:
+          range = null;
       }
       
-      if (filters.dateRange && filters.dateRange !== 'all') {
-        const now = new Date();
-        let startDate;
-        
-        switch (filters.dateRange) {
-          case 'thisMonth': 
-            startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-            break;
-          case 'last30Days':
-            startDate = subMonths(now, 1);
-            break;
-          default:
-            startDate = null;
-        }
-        
-        if (startDate) {
-          queryConditions.push(Q.where('date', Q.gte(startDate.getTime())));
-        }
+      if (range) {
+        queryConditions.push(Q.where('date', Q.between(range[0].getTime(), range[1].getTime())));
       }
-      
-      queryConditions.push(Q.sortBy('date', Q.desc()));
-      
-      const transactionsCollection = database.collections.get('transactions');
-      const transactionsData = await transactionsCollection.query(...queryConditions).fetch();
-      
-      // Process transactions minimally
-      const processedTransactions = await processTransactions(transactionsData);
-      
-      dispatch(fetchTransactionsSuccess(processedTransactions));
-    } catch (error) {
-      console.error('Error loading transactions:', error);
-      dispatch(fetchTransactionsFailure(error.message));
-    } finally {
-      setIsLoading(false);
     }
-  };
-  
-  // Process transactions with minimal data for better performance
-  const processTransactions = async (transactionsData) => {
-    if (!transactionsData.length) return [];
     
-    try {
-      // Get categories (we'll need them for display)
-      const categoriesCollection = database.collections.get('categories');
-      const categoriesData = await categoriesCollection.query().fetch();
+    // Match the search text anywhere in the payee or notes
+    if (searchTerm) {
+      const pattern = `%${Q.sanitizeLikeString(searchTerm)}%`;
+      queryConditions.push(Q.or(
+        Q.where('payee', Q.like(pattern)),
+        Q.where('notes', Q.like(pattern))
+      ));
+    }
+    
+    queryConditions.push(Q.sortBy('date', Q.desc()));
+    
+    setIsLoading(true);
+    dispatch(fetchTransactionsStart());
+    
+    // Both subscriptions feed the list - categories are needed for display
+    let transactionsData = null;
+    let categoryMap = null;
+    
+    const publishTransactions = () => {
+      if (!transactionsData || !categoryMap) return;
       
-      // Create category lookup map
-      const categoryMap = {};
-      categoriesData.forEach(cat => {
-        categoryMap[cat.id] = { 
-          id: cat.id, 
-          name: cat.name, 
-          color: cat.color 
-        };
+      try {
+        // Process transactions with minimal data for better performance
+        dispatch(fetchTransactionsSuccess(transactionsData.map(tx => ({
+          id: tx.id,
+          amount: tx.amount,
+          payee: tx.payee,
+          date: tx.date,
+          type: tx.type,
+          category: tx.category_id ? categoryMap[tx.category_id] : null,
+          account_id: tx.account_id,
+          // Transfer legs show their direction and the account on the other side
+          transfer_id: tx.transfer_id,
+          transfer_account_id: tx.transfer_account_id,
+          transfer_direction: tx.transfer_direction,
+          transfer_amount: tx.transfer_amount,
+          // Split expenses list their lines when expanded
+          is_split: tx.is_split,
+          updatedAt: tx.updatedAt
+        }))));
+      } catch (error) {
+        console.error('Error loading transactions:', error);
+        dispatch(fetchTransactionsFailure(error.message));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    
+    const transactionsSubscription = database.collections
+      .get('transactions')
+      .query(...queryConditions)
+      .observe()
+      .subscribe(data => {
+        transactionsData = data;
+        publishTransactions();
       });
-      
-      // Process transactions with minimal data
-      return transactionsData.map(tx => ({
-        id: tx.id,
-        amount: tx.amount,
-        payee: tx.payee,
-        date: tx.date,
-        type: tx.type,
-        category: tx.category_id ? categoryMap[tx.category_id] : null,
-        account_id: tx.account_id
-      }));
-    } catch (error) {
-      console.error('Error processing transactions:', error);
-      return transactionsData;
-    }
-  };
+    
+    const categoriesSubscription = database.collections
+      .get('categories')
+      .query()
+      .observe()
+      .subscribe(data => {
+        // Create category lookup map
+        categoryMap = {};
+        data.forEach(cat => {
+          categoryMap[cat.id] = { 
+            id: cat.id, 
+            name: cat.name, 
+            color: cat.color 
+          };
+        });
+        publishTransactions();
+      });
+    
+    return () => {
+      transactionsSubscription.unsubscribe();
+      categoriesSubscription.unsubscribe();
+    };
+  }, [database, dispatch, filters, searchTerm]);
   
   // Direct, simplified navigation
   const handleTransactionPress = (transaction) => {
@@ -245,6 +283,22 @@ const TransactionsScreen = () => {
             >
               Filters {Object.keys(filters).length > 0 ? `(${Object.keys(filters).length})` : ''}
             </Chip>
+            <Chip
+              icon="calendar-sync"
+              onPress={() => navigation.navigate('ScheduledTransactions')}
+              mode="outlined"
+              style={styles.filterButton}
+            >
+              Scheduled
+            </Chip>
+            <Chip
+              icon="content-duplicate"
+              onPress={() => navigation.navigate('DuplicateTransactions')}
+              mode="outlined"
+              style={styles.filterButton}
+            >
+              Duplicates
+            </Chip>
           </View>
         </View>
         
@@ -268,6 +322,7 @@ const TransactionsScreen = () => {
             renderItem={({ item }) => (
               <TransactionItem 
                 item={item} 
+                currency={accounts.find(account => account.id === item.account_id)?.currency}
                 onPress={handleTransactionPress} 
               />
             )}
@@ -371,6 +426,7 @@ const styles = StyleSheet.create({
   filterRow: {
     flexDirection: 'row',
     alignItems: 'center',
+    flexWrap: 'wrap',
     marginTop: 8,
     paddingBottom: 8,
   },
@@ -437,6 +493,9 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#757575',
   },
+  splitLabel: {
+    fontWeight: '500',
+  },
   amountContainer: {
     alignItems: 'flex-end',
     minWidth: 85,
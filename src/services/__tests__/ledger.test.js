@@ -0,0 +1,91 @@
+import { database, setupDatabase } from '../../db/setup';
+import { postTransaction, editTransaction } from '../ledger';
+import { saveExchangeRate } from '../currency';
+import { getCategoryBudget } from '../../utils/budgetUtils';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+describe('editTransaction', () => {
+  const balanceOf = async (id) => (await database.collections.get('accounts').find(id)).currentBalance;
+  let transfer;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await setupDatabase();
+    const accounts = database.collections.get('accounts');
+    await accounts.create({ id: 'usd', name: 'Checking', accountType: 'checking', currentBalance: 0, currency: 'USD' });
+    await accounts.create({ id: 'eur', name: 'Euro', accountType: 'savings', currentBalance: 0, currency: 'EUR' });
+    // Entered with the amount received, as there is no exchange rate yet
+    transfer = await postTransaction({
+      type: 'transfer',
+      account_id: 'usd',
+      transfer_account_id: 'eur',
+      amount: 10000,
+      transfer_amount: 9000,
+      date: new Date(2024, 0, 15).getTime(),
+    });
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('keeps the amount received of a cross-currency transfer on a notes-only edit', async () => {
+    const updated = await editTransaction(transfer.id, { notes: 'Rent deposit' });
+
+    expect(updated).toMatchObject({ notes: 'Rent deposit', amount: 10000, transfer_amount: 9000 });
+    expect(await balanceOf('usd')).toBe(-10000);
+    expect(await balanceOf('eur')).toBe(9000);
+  });
+
+  it('doesn\'t convert again at today\'s rate when no splits are sent as null', async () => {
+    await saveExchangeRate({ base_currency: 'USD', quote_currency: 'EUR', rate: 0.5 });
+    const updated = await editTransaction(transfer.id, { notes: 'Deposit', splits: null });
+
+    expect(updated.transfer_amount).toBe(9000);
+    expect(await balanceOf('eur')).toBe(9000);
+  });
+
+  it('converts again when the amount changes', async () => {
+    const updated = await editTransaction(transfer.id, { amount: 20000 });
+
+    expect(updated.transfer_amount).toBe(10000);
+    expect(await balanceOf('usd')).toBe(-20000);
+    expect(await balanceOf('eur')).toBe(10000);
+  });
+});
+
+describe('transfers to a tracking account', () => {
+  const date = new Date(2024, 1, 10).getTime();
+  const availableIn = async (categoryId) => (await getCategoryBudget(categoryId, '2024-02')).available;
+  let transfer;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.collections.get('accounts').create({
+      id: 'brokerage', name: 'Brokerage', accountType: 'investment', onBudget: false, currentBalance: 0, currency: 'USD',
+    });
+    await database.collections.get('categories').create({ id: 'investing', name: 'Investing' });
+    transfer = await postTransaction({
+      type: 'transfer', account_id: 'usd', transfer_account_id: 'brokerage', amount: 2500, category_id: 'investing', date,
+    });
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('spends the category on the budget side', async () => {
+    expect(transfer.category_id).toBe('investing');
+    expect(await availableIn('investing')).toBe(-2500);
+  });
+
+  it('keeps the category when the tracking side is edited', async () => {
+    await editTransaction(transfer.transfer_id, { notes: 'Monthly' });
+
+    const budgetSide = await database.collections.get('transactions').find(transfer.id);
+    expect(budgetSide.category_id).toBe('investing');
+    expect(await availableIn('investing')).toBe(-2500);
+  });
+});
@@ -0,0 +1,98 @@
+// Auto-assign, shared by the budget allocation modal and "auto-assign all" on the
+// budget screen - see utils/autoAssign.js for how the amounts are worked out
+
+import { format, parseISO, subMonths } from 'date-fns';
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { assignToBudget, getBudgetsForMonth } from '../utils/budgetUtils';
+import { buildCategoryTrend } from '../utils/budgetTrends';
+import { getCategoryActivityByMonth } from './budgetTrends';
+import { getMonthsEnding } from '../utils/netWorth';
+import { getSpendingCategories } from '../utils/creditCards';
+import {
+  AUTO_ASSIGN_LOOKBACK_MONTHS,
+  calculateAutoAssignAmounts,
+  buildAutoAssignPlan,
+  getAutoAssignMethod
+} from '../utils/autoAssign';
+
+/**
+ * Months the auto-assign options look back over
+ * @param {string} month - Month being budgeted in YYYY-MM format
+ * @returns {Array} - The AUTO_ASSIGN_LOOKBACK_MONTHS months before it, oldest first
+ */
+const getLookbackMonths = (month) =>
+  getMonthsEnding(format(subMonths(parseISO(`${month}-01`), 1), 'yyyy-MM'), AUTO_ASSIGN_LOOKBACK_MONTHS);
+
+/**
+ * What each auto-assign option would set a category's assigned amount to
+ * @param {string} categoryId - Category ID
+ * @param {string} month - Month being budgeted in YYYY-MM format
+ * @returns {Promise<Object>} - Amount keyed by option, see calculateAutoAssignAmounts
+ */
+export const getAutoAssignAmounts = async (categoryId, month) => {
+  const [category, budgets, activity] = await Promise.all([
+    database.collections.get('categories').find(categoryId),
+    database.collections.get('category_budgets').query(Q.where('category_id', categoryId)).fetch(),
+    getCategoryActivityByMonth(),
+  ]);
+  if (!category) {
+    throw new Error('Category not found');
+  }
+
+  const budget = budgets.find(item => item.month === month) || null;
+  return calculateAutoAssignAmounts(buildCategoryTrend(category, budgets, getLookbackMonths(month), activity), budget, category);
+};
+
+/**
+ * Preview auto-assigning every spending category with one option. Credit card
+ * payment categories are left alone - card spending funds them.
+ * @param {string} method - Key of AUTO_ASSIGN_METHODS
+ * @param {string} month - Month being budgeted in YYYY-MM format
+ * @returns {Promise<Object>} - { changes, total }, see buildAutoAssignPlan
+ */
+export const getAutoAssignPlan = async (method, month) => {
+  if (!getAutoAssignMethod(method)) {
+    throw new Error(`Unknown auto-assign option ${method}`);
+  }
+
+  const monthBudgets = await getBudgetsForMonth(month);
+  const [categories, budgets, activity] = await Promise.all([
+    database.collections.get('categories').query().fetch(),
+    database.collections.get('category_budgets').query().fetch(),
+    getCategoryActivityByMonth(),
+  ]);
+  const lookbackMonths = getLookbackMonths(month);
+
+  return buildAutoAssignPlan(getSpendingCategories(categories).map(category => {
+    const budget = monthBudgets.find(item => item.category_id === category.id) || null;
+    const trend = buildCategoryTrend(category, budgets, lookbackMonths, activity);
+    return {
+      category,
+      assigned: budget ? budget.assigned : 0,
+      amount: calculateAutoAssignAmounts(trend, budget, category)[method],
+    };
+  }));
+};
+
+/**
+ * Assign the amounts of an auto-assign preview. The categories are updated in one
+ * action, so if one fails none of them change.
+ * @param {Object} plan - Plan from getAutoAssignPlan
+ * @param {string} month - Month in YYYY-MM format
+ * @param {function} dispatch - Redux dispatch function
+ * @returns {Promise<number>} - Number of categories updated
+ */
+export const applyAutoAssignPlan = async (plan, month, dispatch = null) => {
+  const updated = await database.action(async (db) => {
+    for (const change of plan.changes) {
+      const result = await assignToBudget(change.category_id, month, change.amount, dispatch, db);
+      if (!result) {
+        throw new Error(`Failed to update the budget for ${change.name}`);
+      }
+    }
+    return plan.changes.length;
+  });
+  console.log(`Auto-assigned ${updated} categories for ${month}`);
+  return updated;
+};
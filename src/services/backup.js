@@ -0,0 +1,232 @@
+// Backup and restore of the whole local database. Backups are archive files (see
+// utils/backup) kept in the app's documents folder, taken by hand or automatically
+// on a schedule. They are removed with the app, so they can also be shared to keep
+// a copy elsewhere, and restored from any archive file picked on the device.
+
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import { format } from 'date-fns';
+import { replaceDatabase } from '../db/setup';
+import { schemas, schemaVersion } from '../db/schema';
+import { buildDatabaseExport } from './dataExport';
+import { getSetting, saveSetting } from './settings';
+import { shareFile } from './files';
+import { createBackupArchive, parseBackupArchive, countRecords } from '../utils/backup';
+
+export const BACKUP_FREQUENCY_SETTING = 'backup_frequency';
+export const LAST_BACKUP_SETTING = 'last_backup_at';
+
+// How often automatic backups are taken, in days
+export const BACKUP_FREQUENCIES = {
+  off: { label: 'Off', days: null },
+  daily: { label: 'Daily', days: 1 },
+  weekly: { label: 'Weekly', days: 7 },
+  monthly: { label: 'Monthly', days: 30 },
+};
+
+// Automatic backups kept before the oldest are deleted; manual ones are never deleted
+export const MAX_AUTOMATIC_BACKUPS = 5;
+
+const COLLECTION_NAMES = schemas.map(schema => schema.name);
+const BACKUP_MIME_TYPE = 'application/json';
+const AUTOMATIC_PREFIX = 'budgetwise-auto-';
+const MANUAL_PREFIX = 'budgetwise-backup-';
+
+/**
+ * Whether backups can be kept on this device. On the web they can only be downloaded.
+ * @returns {boolean} - Whether local backups are supported
+ */
+export const canStoreBackups = () => Platform.OS !== 'web' && !!FileSystem.documentDirectory;
+
+const getBackupDirectory = () => `${FileSystem.documentDirectory}backups/`;
+
+/**
+ * Take a backup of every collection
+ * @param {Object} options - Backup options
+ * @param {boolean} options.automatic - Whether this is a scheduled backup (these are pruned)
+ * @returns {Promise<Object>} - { uri, fileName, createdAt }; uri is null on the web, where the file is downloaded
+ */
+export const createBackup = async ({ automatic = false } = {}) => {
+  const { collections } = await buildDatabaseExport();
+  const createdAt = new Date();
+  const archive = createBackupArchive({ collections, schemaVersion, createdAt });
+  const fileName = `${automatic ? AUTOMATIC_PREFIX : MANUAL_PREFIX}${format(createdAt, 'yyyy-MM-dd-HHmmss-SSS')}.json`;
+  const content = JSON.stringify(archive);
+
+  if (!canStoreBackups()) {
+    await shareFile(fileName, content, BACKUP_MIME_TYPE);
+    return { uri: null, fileName, createdAt };
+  }
+
+  const directory = getBackupDirectory();
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  const uri = `${directory}${fileName}`;
+  await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  await saveSetting(LAST_BACKUP_SETTING, createdAt.toISOString());
+
+  console.log(`Backup saved to ${uri}`);
+  return { uri, fileName, createdAt };
+};
+
+/**
+ * List the backups kept on this device, newest first
+ * @returns {Promise<Array>} - Backups as { uri, fileName, automatic, size, modifiedAt }
+ */
+export const listBackups = async () => {
+  if (!canStoreBackups()) {
+    return [];
+  }
+
+  const directory = getBackupDirectory();
+  const info = await FileSystem.getInfoAsync(directory);
+  if (!info.exists) {
+    return [];
+  }
+
+  const fileNames = (await FileSystem.readDirectoryAsync(directory)).filter(name => name.endsWith('.json'));
+  const backups = await Promise.all(fileNames.map(async fileName => {
+    const uri = `${directory}${fileName}`;
+    const fileInfo = await FileSystem.getInfoAsync(uri);
+    return {
+      uri,
+      fileName,
+      automatic: fileName.startsWith(AUTOMATIC_PREFIX),
+      size: fileInfo.size || 0,
+      modifiedAt: fileInfo.modificationTime ? fileInfo.modificationTime * 1000 : null,
+    };
+  }));
+
+  // File names carry the time after the prefix, so they sort in the order the backups were taken
+  const takenAt = (backup) => backup.fileName.replace(AUTOMATIC_PREFIX, '').replace(MANUAL_PREFIX, '');
+  return backups.sort((a, b) => takenAt(b).localeCompare(takenAt(a)));
+};
+
+/**
+ * Delete a backup kept on this device
+ * @param {string} uri - Backup file URI
+ * @returns {Promise<void>}
+ */
+export const deleteBackup = async (uri) => {
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+};
+
+/**
+ * Hand a backup to the share sheet, e.g. to save it to cloud storage
+ * @param {Object} backup - Backup from listBackups
+ * @returns {Promise<string>} - URI of the shared file
+ */
+export const shareBackup = async (backup) => {
+  const content = await FileSystem.readAsStringAsync(backup.uri);
+  return shareFile(backup.fileName, content, BACKUP_MIME_TYPE);
+};
+
+/**
+ * Check a backup archive and summarise what restoring it would replace
+ * @param {string} text - Archive file contents
+ * @returns {Promise<Object>} - { archive, createdAt, counts, currentCounts } with record counts by collection
+ */
+export const readBackup = async (text) => {
+  const archive = parseBackupArchive(text, { schemaVersion, collectionNames: COLLECTION_NAMES });
+  const { collections } = await buildDatabaseExport();
+
+  return {
+    archive,
+    createdAt: archive.createdAt ? new Date(archive.createdAt) : null,
+    counts: countRecords(archive.collections, COLLECTION_NAMES),
+    currentCounts: countRecords(collections, COLLECTION_NAMES),
+  };
+};
+
+/**
+ * Replace all data with a backup. Where backups can be kept, the current data is
+ * backed up first so the restore can be undone. The automatic backup settings
+ * belong to this device, so they are kept rather than taken from the backup.
+ * @param {Object} archive - Archive from readBackup
+ * @returns {Promise<Object|null>} - The backup of the replaced data, if one was taken
+ */
+export const restoreBackup = async (archive) => {
+  const safetyBackup = canStoreBackups() ? await createBackup() : null;
+  const { frequency, lastBackupAt } = await getBackupSettings();
+
+  // Swaps the data in and updates it to this version of the app as one transaction
+  await replaceDatabase({ collections: archive.collections, schemaVersion: archive.schemaVersion });
+
+  await saveSetting(BACKUP_FREQUENCY_SETTING, frequency);
+  if (lastBackupAt) {
+    await saveSetting(LAST_BACKUP_SETTING, lastBackupAt.toISOString());
+  }
+
+  console.log(`Restored backup from ${archive.createdAt}`);
+  return safetyBackup;
+};
+
+// Delete the oldest automatic backups beyond MAX_AUTOMATIC_BACKUPS
+const pruneAutomaticBackups = async () => {
+  const automatic = (await listBackups()).filter(backup => backup.automatic);
+  for (const backup of automatic.slice(MAX_AUTOMATIC_BACKUPS)) {
+    await deleteBackup(backup.uri);
+  }
+};
+
+/**
+ * Get the automatic backup settings
+ * @returns {Promise<Object>} - { frequency, lastBackupAt } with lastBackupAt a Date or null
+ */
+export const getBackupSettings = async () => {
+  const [frequency, lastBackup] = await Promise.all([
+    getSetting(BACKUP_FREQUENCY_SETTING, 'off'),
+    getSetting(LAST_BACKUP_SETTING),
+  ]);
+  return {
+    frequency: BACKUP_FREQUENCIES[frequency] ? frequency : 'off',
+    lastBackupAt: lastBackup ? new Date(lastBackup) : null,
+  };
+};
+
+/**
+ * Set how often automatic backups are taken
+ * @param {string} frequency - A key of BACKUP_FREQUENCIES
+ * @returns {Promise<Object>} - The setting record
+ */
+export const setBackupFrequency = async (frequency) => {
+  if (!BACKUP_FREQUENCIES[frequency]) {
+    throw new Error(`Unknown backup frequency: ${frequency}`);
+  }
+  return saveSetting(BACKUP_FREQUENCY_SETTING, frequency);
+};
+
+// The automatic backup in progress, so overlapping calls don't take two
+let pendingBackup = null;
+
+/**
+ * Take an automatic backup if one is due. Errors are logged rather than thrown,
+ * so a failed backup never gets in the way of using the app.
+ * @param {Date|number} now - Current time
+ * @returns {Promise<Object|null>} - The backup taken, or null if none was due
+ */
+export const runScheduledBackup = async (now = Date.now()) => {
+  if (!canStoreBackups()) return null;
+  if (pendingBackup) return pendingBackup.catch(() => null);
+
+  pendingBackup = (async () => {
+    const { frequency, lastBackupAt } = await getBackupSettings();
+    const { days } = BACKUP_FREQUENCIES[frequency];
+    if (!days) return null;
+    if (lastBackupAt && new Date(now).getTime() - lastBackupAt.getTime() < days * 24 * 60 * 60 * 1000) {
+      return null;
+    }
+
+    const backup = await createBackup({ automatic: true });
+    await pruneAutomaticBackups();
+    return backup;
+  })();
+
+  try {
+    return await pendingBackup;
+  } catch (error) {
+    console.error('Error taking automatic backup:', error);
+    return null;
+  } finally {
+    pendingBackup = null;
+  }
+};
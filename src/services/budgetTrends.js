@@ -0,0 +1,36 @@
+// Loads the records budget trends are built from - see utils/budgetTrends.js
+
+import { database } from '../db/setup';
+import { getCurrencySettings } from './currency';
+import { buildBudgetTrends, getCategoryActivity } from '../utils/budgetTrends';
+
+/**
+ * Work out what transactions did to each category month by month
+ * @returns {Promise<Object>} - Activity, see getCategoryActivity
+ */
+export const getCategoryActivityByMonth = async () => {
+  const [transactions, splits, categories, accounts, settings] = await Promise.all([
+    database.collections.get('transactions').query().fetch(),
+    database.collections.get('transaction_splits').query().fetch(),
+    database.collections.get('categories').query().fetch(),
+    database.collections.get('accounts').query().fetch(),
+    getCurrencySettings(),
+  ]);
+
+  return getCategoryActivity(transactions, { splits, categories, accounts, ...settings });
+};
+
+/**
+ * Build the budget vs actual trend report
+ * @param {Array} months - Months in YYYY-MM format, oldest first
+ * @returns {Promise<Array>} - Group trends, see buildBudgetTrends
+ */
+export const getBudgetTrends = async (months) => {
+  const [categories, budgets, activity] = await Promise.all([
+    database.collections.get('categories').query().fetch(),
+    database.collections.get('category_budgets').query().fetch(),
+    getCategoryActivityByMonth(),
+  ]);
+
+  return buildBudgetTrends(categories, budgets, months, activity);
+};
@@ -0,0 +1,95 @@
+// Credit card payment categories - one per credit account, kept in step with the
+// account's name. See utils/creditCards for how they are funded and spent.
+
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { addCategorySuccess, updateCategorySuccess, deleteCategorySuccess } from '../store/slices/categoriesSlice';
+import {
+  PAYMENT_CATEGORY_ICON,
+  PAYMENT_CATEGORY_COLOR,
+  isCreditAccount,
+  paymentCategoryName
+} from '../utils/creditCards';
+import { isOffBudget } from '../utils/accounts';
+
+/**
+ * Get a credit account's payment category
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object|null>} - The category, or null if it has none
+ */
+export const getPaymentCategory = async (accountId) => {
+  const categories = await database.collections.get('categories').query(
+    Q.where('credit_account_id', accountId)
+  ).fetch();
+  return categories[0] || null;
+};
+
+/**
+ * Make sure a credit account has a payment category named after it
+ * @param {Object} account - Credit account
+ * @param {function} dispatch - Redux dispatch function
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object|null>} - The payment category, or null if the account isn't a
+ *   credit card on the budget
+ */
+export const ensurePaymentCategory = async (account, dispatch = null, db = database) => {
+  if (!isCreditAccount(account) || isOffBudget(account)) {
+    return null;
+  }
+
+  return db.action(async (db) => {
+    const categoriesCollection = db.collections.get('categories');
+    const name = paymentCategoryName(account);
+    const existing = await getPaymentCategory(account.id);
+
+    if (!existing) {
+      const created = await categoriesCollection.create({
+        name,
+        icon: PAYMENT_CATEGORY_ICON,
+        color: PAYMENT_CATEGORY_COLOR,
+        credit_account_id: account.id,
+      });
+      if (dispatch) {
+        dispatch(addCategorySuccess(created));
+      }
+      console.log(`Created payment category for ${account.name}`);
+      return created;
+    }
+
+    if (existing.name === name) {
+      return existing;
+    }
+    const renamed = await categoriesCollection.update(existing.id, { name, updatedAt: new Date() });
+    if (dispatch) {
+      dispatch(updateCategorySuccess({ id: existing.id, changes: { name, updatedAt: renamed.updatedAt } }));
+    }
+    return renamed;
+  });
+};
+
+/**
+ * Delete a credit account's payment category and its monthly budgets, when the
+ * account itself is deleted
+ * @param {string} accountId - Account ID
+ * @param {function} dispatch - Redux dispatch function
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<void>}
+ */
+export const deletePaymentCategory = async (accountId, dispatch = null, db = database) => {
+  return db.action(async (db) => {
+    const category = await getPaymentCategory(accountId);
+    if (!category) {
+      return;
+    }
+
+    const budgetsCollection = db.collections.get('category_budgets');
+    const budgets = await budgetsCollection.query(Q.where('category_id', category.id)).fetch();
+    for (const budget of budgets) {
+      await budgetsCollection.delete(budget.id);
+    }
+    await db.collections.get('categories').delete(category.id);
+    if (dispatch) {
+      dispatch(deleteCategorySuccess(category.id));
+    }
+  });
+};
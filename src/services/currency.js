@@ -0,0 +1,157 @@
+// Currency service - the home currency budgets are kept in and the local
+// exchange rate table used to convert account balances into it.
+
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { getSetting, saveSetting } from './settings';
+import { DEFAULT_CURRENCY, isCurrencyCode } from '../utils/money';
+import { parseExchangeRates } from '../utils/currency';
+
+export const HOME_CURRENCY_SETTING = 'home_currency';
+
+/**
+ * Get the home (budget) currency
+ * @returns {Promise<string>} - Currency code
+ */
+export const getHomeCurrency = async () => {
+  return getSetting(HOME_CURRENCY_SETTING, DEFAULT_CURRENCY);
+};
+
+/**
+ * Change the home (budget) currency. Budget amounts are not converted.
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object>} - The setting record
+ */
+export const setHomeCurrency = async (currency) => {
+  if (!isCurrencyCode(currency)) {
+    throw new Error(`Invalid currency code: ${currency}`);
+  }
+  return saveSetting(HOME_CURRENCY_SETTING, currency);
+};
+
+/**
+ * Get the home currency and every stored exchange rate
+ * @returns {Promise<Object>} - { homeCurrency, exchangeRates }
+ */
+export const getCurrencySettings = async () => {
+  const [homeCurrency, exchangeRates] = await Promise.all([
+    getHomeCurrency(),
+    database.collections.get('exchange_rates').query().fetch(),
+  ]);
+  return { homeCurrency, exchangeRates };
+};
+
+/**
+ * Observable of the home currency and exchange rates, emitting on subscribe
+ * and whenever either changes
+ * @returns {Object} - Object with a subscribe(callback) method
+ */
+export const observeCurrencySettings = () => ({
+  subscribe: (callback) => {
+    let homeCurrency = null;
+    let exchangeRates = null;
+
+    // Wait for both queries before the first emission
+    const emit = () => {
+      if (homeCurrency && exchangeRates) {
+        callback({ homeCurrency, exchangeRates });
+      }
+    };
+
+    const settingsSubscription = database.collections
+      .get('settings')
+      .query(Q.where('id', HOME_CURRENCY_SETTING))
+      .observe()
+      .subscribe(settings => {
+        homeCurrency = settings.length ? settings[0].value : DEFAULT_CURRENCY;
+        emit();
+      });
+
+    const ratesSubscription = database.collections
+      .get('exchange_rates')
+      .query(Q.sortBy('base_currency'), Q.sortBy('quote_currency'))
+      .observe()
+      .subscribe(rates => {
+        exchangeRates = rates;
+        emit();
+      });
+
+    return {
+      unsubscribe: () => {
+        settingsSubscription.unsubscribe();
+        ratesSubscription.unsubscribe();
+      }
+    };
+  }
+});
+
+/**
+ * Save an exchange rate, replacing any stored rate for the same pair in either direction
+ * @param {Object} data - Rate fields (base_currency, quote_currency, rate, date)
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object>} - The created rate
+ */
+export const saveExchangeRate = async (data, db = database) => {
+  const base = (data.base_currency || '').toUpperCase();
+  const quote = (data.quote_currency || '').toUpperCase();
+  const rate = Number(data.rate);
+  const date = data.date instanceof Date ? data.date.getTime() : Number(data.date || Date.now());
+
+  if (!isCurrencyCode(base) || !isCurrencyCode(quote)) {
+    throw new Error('Exchange rate currencies must be three-letter codes');
+  }
+  if (base === quote) {
+    throw new Error('Exchange rate currencies must be different');
+  }
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error('Exchange rate must be a positive number');
+  }
+
+  return db.action(async (db) => {
+    const ratesCollection = db.collections.get('exchange_rates');
+    const existing = await ratesCollection.query(
+      Q.or(
+        Q.and(Q.where('base_currency', base), Q.where('quote_currency', quote)),
+        Q.and(Q.where('base_currency', quote), Q.where('quote_currency', base))
+      )
+    ).fetch();
+
+    for (const previous of existing) {
+      await ratesCollection.delete(previous.id);
+    }
+
+    return ratesCollection.create(record => {
+      record.base_currency = base;
+      record.quote_currency = quote;
+      record.rate = rate;
+      record.date = date;
+    });
+  });
+};
+
+/**
+ * Delete an exchange rate
+ * @param {string} rateId - Exchange rate ID
+ * @returns {Promise<boolean>} - Whether the rate was deleted
+ */
+export const deleteExchangeRate = async (rateId) => {
+  return database.collections.get('exchange_rates').delete(rateId);
+};
+
+/**
+ * Import exchange rates from text (see parseExchangeRates for the format).
+ * Valid lines are saved together; invalid ones are reported and skipped.
+ * @param {string} text - Rates as text
+ * @returns {Promise<Object>} - { imported, errors }
+ */
+export const importExchangeRates = async (text) => {
+  const { rates, errors } = parseExchangeRates(text);
+
+  await database.action(async (db) => {
+    for (const rate of rates) {
+      await saveExchangeRate(rate, db);
+    }
+  });
+
+  return { imported: rates.length, errors };
+};
@@ -0,0 +1,129 @@
+// Data export - spreadsheets of transactions, accounts, categories and monthly
+// budgets, and a complete JSON copy of every collection. Each export is written
+// to a file and handed to the share sheet.
+
+import { format } from 'date-fns';
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { schemas, schemaVersion } from '../db/schema';
+import { getHomeCurrency } from './currency';
+import { shareFile } from './files';
+import {
+  buildTransactionsCsv,
+  buildAccountsCsv,
+  buildCategoriesCsv,
+  buildCategoryBudgetsCsv
+} from '../utils/export';
+
+export const EXPORT_FORMAT = 'budgetwise-export';
+
+const CSV_MIME_TYPE = 'text/csv';
+const JSON_MIME_TYPE = 'application/json';
+
+const fetchAll = (name, ...conditions) => database.collections.get(name).query(...conditions).fetch();
+
+const exportFileName = (name, extension) => `budgetwise-${name}-${format(new Date(), 'yyyy-MM-dd')}.${extension}`;
+
+/**
+ * Export transactions as CSV, with account and category names filled in
+ * @param {Object} filters - Which transactions to export
+ * @param {Date|number} filters.startDate - Earliest date, or null for no limit
+ * @param {Date|number} filters.endDate - Latest date, or null for no limit
+ * @param {string} filters.accountId - Only this account's transactions, or null for all
+ * @returns {Promise<Object>} - { fileName, count }
+ */
+export const exportTransactionsCsv = async ({ startDate = null, endDate = null, accountId = null } = {}) => {
+  const conditions = [];
+  if (accountId) {
+    conditions.push(Q.where('account_id', accountId));
+  }
+  if (startDate) {
+    conditions.push(Q.where('date', Q.gte(new Date(startDate).getTime())));
+  }
+  if (endDate) {
+    conditions.push(Q.where('date', Q.lte(new Date(endDate).getTime())));
+  }
+
+  const [transactions, accounts, categories] = await Promise.all([
+    fetchAll('transactions', ...conditions),
+    fetchAll('accounts'),
+    fetchAll('categories'),
+  ]);
+  const splitParentIds = transactions.filter(transaction => transaction.is_split).map(transaction => transaction.id);
+  const splits = splitParentIds.length > 0
+    ? await fetchAll('transaction_splits', Q.where('transaction_id', Q.oneOf(splitParentIds)))
+    : [];
+
+  const fileName = exportFileName('transactions', 'csv');
+  await shareFile(fileName, buildTransactionsCsv(transactions, { accounts, categories, splits }), CSV_MIME_TYPE);
+  return { fileName, count: transactions.length };
+};
+
+/**
+ * Export accounts as CSV
+ * @returns {Promise<Object>} - { fileName, count }
+ */
+export const exportAccountsCsv = async () => {
+  const accounts = await fetchAll('accounts');
+  const fileName = exportFileName('accounts', 'csv');
+  await shareFile(fileName, buildAccountsCsv(accounts), CSV_MIME_TYPE);
+  return { fileName, count: accounts.length };
+};
+
+/**
+ * Export categories as CSV
+ * @returns {Promise<Object>} - { fileName, count }
+ */
+export const exportCategoriesCsv = async () => {
+  const categories = await fetchAll('categories');
+  const fileName = exportFileName('categories', 'csv');
+  await shareFile(fileName, buildCategoriesCsv(categories), CSV_MIME_TYPE);
+  return { fileName, count: categories.length };
+};
+
+/**
+ * Export every month's category budgets as CSV
+ * @returns {Promise<Object>} - { fileName, count }
+ */
+export const exportCategoryBudgetsCsv = async () => {
+  const [budgets, categories, homeCurrency] = await Promise.all([
+    fetchAll('category_budgets'),
+    fetchAll('categories'),
+    getHomeCurrency(),
+  ]);
+  const fileName = exportFileName('budgets', 'csv');
+  await shareFile(fileName, buildCategoryBudgetsCsv(budgets, categories, homeCurrency), CSV_MIME_TYPE);
+  return { fileName, count: budgets.length };
+};
+
+/**
+ * Read every collection into one object, records exactly as stored
+ * @returns {Promise<Object>} - { format, schemaVersion, exportedAt, collections }
+ */
+export const buildDatabaseExport = async () => {
+  const collections = {};
+  for (const { name } of schemas) {
+    collections[name] = await fetchAll(name);
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion,
+    exportedAt: new Date().toISOString(),
+    collections,
+  };
+};
+
+/**
+ * Export every collection as JSON
+ * @returns {Promise<Object>} - { fileName, count } where count is the number of records
+ */
+export const exportDatabaseJson = async () => {
+  const data = await buildDatabaseExport();
+  const fileName = exportFileName('data', 'json');
+  await shareFile(fileName, JSON.stringify(data, null, 2), JSON_MIME_TYPE);
+  return {
+    fileName,
+    count: Object.values(data.collections).reduce((sum, records) => sum + records.length, 0),
+  };
+};
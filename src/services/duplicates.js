@@ -0,0 +1,131 @@
+// Duplicate transactions - finding likely duplicates (see utils/duplicates) and
+// merging them. A pair the user has marked as not duplicates is remembered so it
+// isn't offered for review again.
+
+import { addDays, subDays, startOfDay, endOfDay } from 'date-fns';
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { editTransaction, voidTransaction, getTransactionSplits } from './ledger';
+import { getSetting, saveSetting } from './settings';
+import { findDuplicateMatches, findDuplicatePairs, DUPLICATE_DATE_WINDOW_DAYS } from '../utils/duplicates';
+import { getClearedStatus, isCleared } from '../utils/reconciliation';
+
+export const DISMISSED_DUPLICATES_SETTING = 'dismissed_duplicates';
+
+const pairKey = (idA, idB) => [idA, idB].sort().join('|');
+
+const getDismissedPairs = async () => {
+  try {
+    return new Set(JSON.parse(await getSetting(DISMISSED_DUPLICATES_SETTING, '[]')));
+  } catch (error) {
+    console.error('Error reading dismissed duplicates:', error);
+    return new Set();
+  }
+};
+
+/**
+ * Find existing transactions that a new one would likely duplicate
+ * @param {Object} data - Transaction fields as for postTransaction
+ * @returns {Promise<Array>} - Likely duplicates, closest in date first
+ */
+export const findPossibleDuplicates = async (data) => {
+  if (!data.account_id || data.type === 'transfer') {
+    return [];
+  }
+
+  const date = new Date(data.date);
+  const candidates = await database.collections.get('transactions').query(
+    Q.where('account_id', data.account_id),
+    Q.where('amount', Number(data.amount)),
+    Q.where('date', Q.between(
+      startOfDay(subDays(date, DUPLICATE_DATE_WINDOW_DAYS)).getTime(),
+      endOfDay(addDays(date, DUPLICATE_DATE_WINDOW_DAYS)).getTime()
+    ))
+  ).fetch();
+
+  return findDuplicateMatches({ ...data, date: date.getTime() }, candidates);
+};
+
+/**
+ * Find every pair of likely duplicates the user hasn't dismissed
+ * @returns {Promise<Array>} - Pairs as [older, newer], most recent pair first
+ */
+export const findDuplicateTransactions = async () => {
+  const [transactions, dismissed] = await Promise.all([
+    database.collections.get('transactions').query(Q.where('type', Q.notIn(['transfer']))).fetch(),
+    getDismissedPairs(),
+  ]);
+
+  return findDuplicatePairs(transactions).filter(([a, b]) => !dismissed.has(pairKey(a.id, b.id)));
+};
+
+/**
+ * Mark a pair of transactions as not duplicates, so it isn't offered again
+ * @param {string} idA - Transaction ID
+ * @param {string} idB - Transaction ID
+ * @returns {Promise<Object>} - The setting record
+ */
+export const dismissDuplicatePair = async (idA, idB) => {
+  const dismissed = await getDismissedPairs();
+  dismissed.add(pairKey(idA, idB));
+  return saveSetting(DISMISSED_DUPLICATES_SETTING, JSON.stringify([...dismissed]));
+};
+
+// Notes from both transactions, without repeating the same note twice
+const mergeNotes = (keepNotes, duplicateNotes) => {
+  const notes = [keepNotes, duplicateNotes].map(note => (note || '').trim()).filter(Boolean);
+  return [...new Set(notes)].join('\n');
+};
+
+/**
+ * Merge a duplicate into the transaction being kept. The kept transaction takes the
+ * duplicate's category (or splits) if it has none of its own, both sets of notes,
+ * the duplicate's bank ID and, if the duplicate has cleared, its cleared status; the
+ * duplicate is then deleted, reversing its effect on account balances and category budgets.
+ * @param {string} keepId - ID of the transaction to keep
+ * @param {string} duplicateId - ID of the duplicate to remove
+ * @param {function} dispatch - Redux dispatch function
+ * @returns {Promise<Object>} - The kept transaction
+ */
+export const mergeTransactions = async (keepId, duplicateId, dispatch = null) => {
+  if (keepId === duplicateId) {
+    throw new Error('Cannot merge a transaction with itself');
+  }
+
+  return database.action(async (db) => {
+    const transactionsCollection = db.collections.get('transactions');
+    const [keep, duplicate] = await Promise.all([
+      transactionsCollection.find(keepId),
+      transactionsCollection.find(duplicateId),
+    ]);
+    if (!keep || !duplicate) {
+      throw new Error('Transaction not found');
+    }
+    if (keep.type === 'transfer' || duplicate.type === 'transfer') {
+      throw new Error('Transfers cannot be merged');
+    }
+
+    const changes = {
+      notes: mergeNotes(keep.notes, duplicate.notes),
+      import_id: keep.import_id || duplicate.import_id || null,
+      // The bank has seen the transaction if it has seen either copy
+      cleared_status: isCleared(keep) || !isCleared(duplicate) ? getClearedStatus(keep) : 'cleared',
+    };
+
+    // Keep the categorisation from whichever transaction has one
+    const keepHasCategory = keep.category_id || keep.is_split;
+    if (!keepHasCategory && keep.type === duplicate.type && keep.amount === duplicate.amount) {
+      if (duplicate.is_split) {
+        const splits = await getTransactionSplits(duplicate.id);
+        changes.splits = splits.map(({ category_id, amount, memo }) => ({ category_id, amount, memo }));
+      } else if (duplicate.category_id) {
+        changes.category_id = duplicate.category_id;
+      }
+    }
+
+    await voidTransaction(duplicateId, dispatch, db);
+    const merged = await editTransaction(keepId, changes, dispatch, db);
+    console.log(`Merged transaction ${duplicateId} into ${keepId}`);
+    return merged;
+  });
+};
@@ -0,0 +1,49 @@
+// Reading and sharing files. Native builds go through expo-file-system and the
+// platform share sheet; on the web a picked file is fetched from its blob URL and
+// an exported file is downloaded by the browser.
+
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+/**
+ * Read a picked file as text
+ * @param {string} uri - File URI from the document picker
+ * @returns {Promise<string>} - File contents
+ */
+export const readFileAsText = async (uri) => {
+  if (Platform.OS === 'web') {
+    const response = await fetch(uri);
+    return response.text();
+  }
+  return FileSystem.readAsStringAsync(uri);
+};
+
+/**
+ * Write text to a file and hand it to the share sheet (or download it on the web)
+ * @param {string} fileName - File name, e.g. "transactions.csv"
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type, e.g. "text/csv"
+ * @returns {Promise<string|null>} - URI of the written file, or null on the web
+ */
+export const shareFile = async (fileName, content, mimeType) => {
+  if (Platform.OS === 'web') {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return null;
+  }
+
+  const uri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+  await Sharing.shareAsync(uri, { mimeType, dialogTitle: fileName });
+  return uri;
+};
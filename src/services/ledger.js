@@ -0,0 +1,654 @@
+// Ledger service - the single write path for transactions.
+// Posting, editing and voiding a transaction all go through here so the
+// transaction record, the balances of every account it touches, the category
+// budgets and the payees list are always updated together. A transfer is two
+// linked transactions, an outflow and an inflow, which are always changed together.
+// Reconciled transactions are locked: their amount, date and account can't change
+// and they can't be voided until they are marked as cleared again.
+
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { updateBudgetFromTransaction } from '../utils/budgetUtils';
+import { updateAccountSuccess } from '../store/slices/accountsSlice';
+import { updateBudgetSuccess } from '../store/slices/budgetSlice';
+import { isMinorUnits } from '../utils/money';
+import { convertMoney } from '../utils/currency';
+import { parseTags, formatTags } from '../utils/transactionRules';
+import { CLEARED_STATUSES, getClearedStatus, getAccountAmount } from '../utils/reconciliation';
+import { isCreditAccount } from '../utils/creditCards';
+import { isOffBudget } from '../utils/accounts';
+import { getCurrencySettings } from './currency';
+import { rememberPayee } from './payees';
+import { ensurePaymentCategory } from './creditCards';
+import { invalidateNetWorthSnapshots } from './netWorth';
+
+// Fields the converted amounts depend on - changing any of them works the conversions out again
+const CONVERSION_FIELDS = ['amount', 'type', 'account_id', 'transfer_account_id', 'category_id', 'splits'];
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+// Transfer legs are named after the account on the other side
+const transferPayee = (direction, otherAccount) =>
+  `Transfer ${direction === 'in' ? 'from' : 'to'} ${otherAccount.name}`;
+
+// Normalise split lines - only expenses are split, and it takes at least two lines
+const normalizeSplits = (type, splits) => {
+  if (type !== 'expense' || !Array.isArray(splits) || splits.length < 2) {
+    return null;
+  }
+  return splits.map(split => ({
+    category_id: split.category_id || null,
+    amount: Number(split.amount),
+    memo: (split.memo || '').trim(),
+    budget_amount: hasValue(split.budget_amount) ? Number(split.budget_amount) : null,
+  }));
+};
+
+// Whether edited split lines move money differently from the stored ones. Null,
+// undefined and a single line all mean no splits; memos don't count.
+const splitsChanged = (previous, next) => {
+  const linesOf = (splits) => (normalizeSplits('expense', splits) || [])
+    .map(split => `${split.category_id}|${split.amount}`);
+  return linesOf(previous).join('\n') !== linesOf(next).join('\n');
+};
+
+// Normalise caller input into the shape stored in the transactions collection,
+// plus the split lines of a split expense, which are stored in transaction_splits
+const normalizeTransaction = (data) => {
+  const type = data.type || 'expense';
+  const isTransfer = type === 'transfer';
+  const splits = normalizeSplits(type, data.splits);
+  const category_id = (type === 'expense' && !splits) || isTransfer ? data.category_id || null : null;
+
+  return {
+    amount: Number(data.amount),
+    payee: (data.payee || '').trim(),
+    notes: (data.notes || '').trim(),
+    type,
+    // Always store dates as timestamps
+    date: data.date instanceof Date ? data.date.getTime() : new Date(data.date).getTime(),
+    account_id: data.account_id,
+    // Only expenses carry a category, and transfers that cross the budget (see resolveTransaction)
+    category_id,
+    // A transfer leg points at the other leg and its account
+    transfer_account_id: isTransfer ? data.transfer_account_id || null : null,
+    transfer_id: isTransfer ? data.transfer_id || null : null,
+    transfer_direction: isTransfer ? (data.transfer_direction === 'in' ? 'in' : 'out') : null,
+    // Converted amounts, filled in by resolveTransaction when not given
+    transfer_amount: isTransfer && hasValue(data.transfer_amount) ? Number(data.transfer_amount) : null,
+    budget_amount: category_id && hasValue(data.budget_amount) ? Number(data.budget_amount) : null,
+    is_split: !!splits,
+    splits,
+    import_id: data.import_id || null,
+    tags: formatTags(parseTags(data.tags)),
+    cleared_status: getClearedStatus(data),
+  };
+};
+
+// The fields stored on the transaction record itself
+const transactionRecord = (transaction) => {
+  const { splits, ...record } = transaction;
+  return record;
+};
+
+const validateTransaction = (transaction) => {
+  if (!isMinorUnits(transaction.amount) || transaction.amount < 0) {
+    throw new Error('Transaction amount must be a positive whole number of minor units');
+  }
+  if (isNaN(transaction.date)) {
+    throw new Error('Transaction date is invalid');
+  }
+  if (!transaction.account_id) {
+    throw new Error('Transaction must belong to an account');
+  }
+  if (transaction.type === 'transfer') {
+    if (!transaction.transfer_account_id) {
+      throw new Error('Transfer must have a source and a destination account');
+    }
+    if (transaction.transfer_account_id === transaction.account_id) {
+      throw new Error('Source and destination accounts must be different');
+    }
+    if (hasValue(transaction.transfer_amount) &&
+        (!isMinorUnits(transaction.transfer_amount) || transaction.transfer_amount < 0)) {
+      throw new Error('Transfer amount in the other account must be a positive whole number of minor units');
+    }
+  }
+  if (hasValue(transaction.budget_amount) && !isMinorUnits(transaction.budget_amount)) {
+    throw new Error('Transaction budget amount must be a whole number of minor units');
+  }
+  if (transaction.splits) {
+    transaction.splits.forEach(split => {
+      if (!split.category_id) {
+        throw new Error('Every split must have a category');
+      }
+      if (!isMinorUnits(split.amount) || split.amount <= 0) {
+        throw new Error('Split amounts must be positive whole numbers of minor units');
+      }
+    });
+    const total = transaction.splits.reduce((sum, split) => sum + split.amount, 0);
+    if (total !== transaction.amount) {
+      throw new Error('Split amounts must add up to the transaction amount');
+    }
+  }
+};
+
+/**
+ * Work out what is stored alongside the entered fields: the amount charged to
+ * the category budget, and for a transfer the linked transaction in the other
+ * account, converting with the stored exchange rates when the currencies differ
+ * @param {Object} transaction - Normalised transaction, for a transfer either of its legs
+ * @param {Object} db - Database of the action posting it
+ * @returns {Promise<Array>} - The transaction, followed by the other leg for a transfer
+ */
+const resolveTransaction = async (transaction, db) => {
+  const accountsCollection = database.collections.get('accounts');
+  const findAccount = async (accountId) => {
+    const account = await accountsCollection.find(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+    return account;
+  };
+
+  const account = await findAccount(transaction.account_id);
+  const { homeCurrency, exchangeRates } = await getCurrencySettings();
+  const currency = account.currency || homeCurrency;
+
+  const toBudgetAmount = (amount, from) => {
+    const converted = convertMoney(amount, from, homeCurrency, exchangeRates);
+    if (converted === null) {
+      throw new Error(`No exchange rate from ${from} to ${homeCurrency} for the category budget`);
+    }
+    return converted;
+  };
+
+  if (transaction.type !== 'transfer') {
+    const resolved = { ...transaction };
+    // Spending in a tracking account isn't budgeted
+    if (isOffBudget(account)) {
+      if (resolved.splits) {
+        throw new Error(`${account.name} is a tracking account - its transactions can't be split across categories`);
+      }
+      resolved.category_id = null;
+      resolved.budget_amount = null;
+    }
+    if (resolved.splits) {
+      // Each split is charged to its own category; the transaction carries the total
+      resolved.splits = resolved.splits.map(split => ({
+        ...split,
+        budget_amount: hasValue(split.budget_amount) ? split.budget_amount : toBudgetAmount(split.amount, currency),
+      }));
+      resolved.budget_amount = resolved.splits.reduce((sum, split) => sum + split.budget_amount, 0);
+    } else if (resolved.category_id && !hasValue(resolved.budget_amount)) {
+      resolved.budget_amount = toBudgetAmount(resolved.amount, currency);
+    }
+    return [resolved];
+  }
+
+  const otherAccount = await findAccount(transaction.transfer_account_id);
+  const otherCurrency = otherAccount.currency || homeCurrency;
+  const otherDirection = transaction.transfer_direction === 'in' ? 'out' : 'in';
+
+  const leg = { ...transaction, payee: transferPayee(transaction.transfer_direction, otherAccount) };
+  if (!hasValue(leg.transfer_amount)) {
+    leg.transfer_amount = convertMoney(leg.amount, currency, otherCurrency, exchangeRates);
+    if (leg.transfer_amount === null) {
+      throw new Error(`No exchange rate from ${currency} to ${otherCurrency} - ` +
+        `enter the amount ${leg.transfer_direction === 'in' ? 'sent' : 'received'}`);
+    }
+  }
+
+  const otherLeg = {
+    ...leg,
+    account_id: leg.transfer_account_id,
+    amount: leg.transfer_amount,
+    payee: transferPayee(otherDirection, account),
+    transfer_account_id: leg.account_id,
+    transfer_id: null,
+    transfer_direction: otherDirection,
+    transfer_amount: leg.amount,
+    // Each account is reconciled on its own, so the other side starts uncleared
+    cleared_status: 'uncleared',
+    category_id: null,
+    budget_amount: null,
+    import_id: null,
+  };
+
+  // Moving money between two budget accounts (or two tracking accounts) leaves the
+  // budget alone. A transfer across the boundary is categorised on its budget side.
+  const crossesBudget = isOffBudget(account) !== isOffBudget(otherAccount);
+  if (!crossesBudget || !leg.category_id) {
+    leg.category_id = null;
+    leg.budget_amount = null;
+  } else if (isOffBudget(account)) {
+    otherLeg.category_id = leg.category_id;
+    otherLeg.budget_amount = hasValue(leg.budget_amount) ?
+      leg.budget_amount : toBudgetAmount(otherLeg.amount, otherCurrency);
+    leg.category_id = null;
+    leg.budget_amount = null;
+  } else if (!hasValue(leg.budget_amount)) {
+    leg.budget_amount = toBudgetAmount(leg.amount, currency);
+  }
+
+  // Paying a credit card from another budget account spends the card's payment category
+  const isOutflowLeg = leg.transfer_direction === 'out';
+  const [outflow, outflowAccount, inflowAccount] = isOutflowLeg ?
+    [leg, account, otherAccount] : [otherLeg, otherAccount, account];
+  if (!crossesBudget && !isOffBudget(account) && isCreditAccount(inflowAccount) && !isCreditAccount(outflowAccount)) {
+    const paymentCategory = await ensurePaymentCategory(inflowAccount, null, db);
+    outflow.category_id = paymentCategory.id;
+    outflow.budget_amount = toBudgetAmount(outflow.amount, isOutflowLeg ? currency : otherCurrency);
+  }
+
+  return [leg, otherLeg];
+};
+
+// Money coming into an account: income and the inflow leg of a transfer
+const isInflow = (transaction) =>
+  transaction.type === 'income' || (transaction.type === 'transfer' && transaction.transfer_direction === 'in');
+
+/**
+ * Get the balance change a transaction causes on its account
+ * @param {Object} transaction - Transaction object
+ * @param {number} sign - 1 to apply the transaction, -1 to reverse it
+ * @returns {Object} - Map of account ID to balance change
+ */
+const getBalanceEffects = (transaction, sign = 1) => {
+  const amount = isInflow(transaction) ? transaction.amount : -transaction.amount;
+  return { [transaction.account_id]: sign * amount };
+};
+
+// Merge several balance effect maps into one
+const combineEffects = (...effectMaps) => {
+  return effectMaps.reduce((combined, effects) => {
+    Object.keys(effects).forEach(accountId => {
+      combined[accountId] = (combined[accountId] || 0) + effects[accountId];
+    });
+    return combined;
+  }, {});
+};
+
+// Write balance changes to the accounts collection and sync Redux
+const applyBalanceEffects = async (effects, dispatch, db) => {
+  const accountsCollection = db.collections.get('accounts');
+  const now = new Date();
+
+  for (const accountId of Object.keys(effects)) {
+    const difference = effects[accountId];
+    if (difference === 0) continue;
+
+    const account = await accountsCollection.find(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    const newBalance = account.currentBalance + difference;
+    await accountsCollection.update(accountId, record => {
+      record.currentBalance = newBalance;
+      record.updatedAt = now;
+    });
+
+    if (dispatch) {
+      dispatch(updateAccountSuccess({
+        id: accountId,
+        changes: {
+          currentBalance: newBalance,
+          updatedAt: now.toISOString()
+        }
+      }));
+    }
+  }
+};
+
+// Apply (sign = 1) or reverse (sign = -1) a transaction's effect on its category budget
+const applyBudgetEffect = async (transaction, sign, dispatch, db) => {
+  const chargesBudget = transaction.type === 'expense' || transaction.type === 'transfer';
+  if (!chargesBudget || (!transaction.category_id && !transaction.splits)) {
+    return null;
+  }
+
+  // Budgets are in the home currency. A transfer into the budget from a
+  // tracking account adds to its category instead of spending from it.
+  const budgetAmountOf = (line) => sign * (isInflow(transaction) ? -1 : 1) *
+    (hasValue(line.budget_amount) ? line.budget_amount : line.amount);
+  const result = await updateBudgetFromTransaction({
+    ...transaction,
+    type: 'expense',
+    amount: budgetAmountOf(transaction),
+    splits: transaction.splits && transaction.splits.map(split => ({ ...split, amount: budgetAmountOf(split) }))
+  }, null, db);
+
+  // A split transaction updates one budget per split
+  const updatedBudgets = [].concat(result);
+  if (!result || updatedBudgets.some(budget => !budget)) {
+    throw new Error(`Failed to update budget for transaction ${transaction.payee || transaction.id}`);
+  }
+
+  // Spending on a credit card moves the money spent from its categories into the
+  // card's payment category, ready for paying the card. The whole amount moves,
+  // even where a category is overspent.
+  if (transaction.type === 'expense') {
+    const account = await db.collections.get('accounts').find(transaction.account_id);
+    if (isCreditAccount(account)) {
+      const paymentCategory = await ensurePaymentCategory(account, null, db);
+      const spent = transaction.splits ?
+        transaction.splits.reduce((sum, split) => sum + budgetAmountOf(split), 0) :
+        budgetAmountOf(transaction);
+      const moved = await updateBudgetFromTransaction({
+        ...transaction,
+        category_id: paymentCategory.id,
+        amount: -spent,
+        splits: null
+      }, null, db);
+      if (!moved) {
+        throw new Error(`Failed to update the payment category of ${account.name}`);
+      }
+      updatedBudgets.push(moved);
+    }
+  }
+
+  if (dispatch) {
+    updatedBudgets.forEach(updatedBudget => {
+      dispatch(updateBudgetSuccess({
+        id: updatedBudget.id,
+        changes: {
+          available: updatedBudget.available,
+          updatedAt: updatedBudget.updatedAt instanceof Date ?
+            updatedBudget.updatedAt.toISOString() : updatedBudget.updatedAt
+        }
+      }));
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Get the split lines of a transaction
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Array>} - Splits in the order they were entered
+ */
+export const getTransactionSplits = async (transactionId) => {
+  return database.collections.get('transaction_splits').query(
+    Q.where('transaction_id', transactionId),
+    Q.sortBy('createdAt', 'asc')
+  ).fetch();
+};
+
+// Replace the stored split lines of a transaction
+const saveSplits = async (transactionId, splits, db) => {
+  const splitsCollection = db.collections.get('transaction_splits');
+  for (const previous of await getTransactionSplits(transactionId)) {
+    await splitsCollection.delete(previous.id);
+  }
+
+  const now = new Date();
+  for (const [index, split] of (splits || []).entries()) {
+    await splitsCollection.create(record => {
+      Object.assign(record, split);
+      record.transaction_id = transactionId;
+      // Keeps entry order when sorting by creation time
+      record.createdAt = new Date(now.getTime() + index);
+      record.updatedAt = now;
+    });
+  }
+};
+
+// A stored transaction together with the other leg if it is a transfer
+const findLegs = async (transactionId) => {
+  const transactionsCollection = database.collections.get('transactions');
+  const existing = await transactionsCollection.find(transactionId);
+  if (!existing) {
+    throw new Error(`Transaction ${transactionId} not found`);
+  }
+
+  if (existing.is_split) {
+    return [{ ...existing, splits: await getTransactionSplits(existing.id) }];
+  }
+  if (existing.type !== 'transfer' || !existing.transfer_id) {
+    return [existing];
+  }
+  const otherLeg = await transactionsCollection.find(existing.transfer_id);
+  return otherLeg ? [existing, otherLeg] : [existing];
+};
+
+// Refuse to change the balance effect of a reconciled leg, unless the change also
+// unlocks it. A reconciled leg that is removed counts as changed.
+const checkReconciledLeg = (previous, current) => {
+  if (getClearedStatus(previous) !== 'reconciled' || (current && getClearedStatus(current) !== 'reconciled')) {
+    return;
+  }
+  if (!current || current.account_id !== previous.account_id || current.date !== previous.date ||
+      getAccountAmount(current) !== getAccountAmount(previous)) {
+    throw new Error(`${previous.payee || 'This transaction'} is reconciled - ` +
+      'mark it as cleared before changing its amount, date or account, or deleting it');
+  }
+};
+
+// Apply (sign = 1) or reverse (sign = -1) the balance and budget effects of a set of legs
+const applyEffects = async (legs, sign, dispatch, db) => {
+  await applyBalanceEffects(combineEffects(...legs.map(leg => getBalanceEffects(leg, sign))), dispatch, db);
+  for (const leg of legs) {
+    await applyBudgetEffect(leg, sign, dispatch, db);
+  }
+};
+
+/**
+ * Post a new transaction. A transfer is posted as an outflow from one account
+ * and a linked inflow to the other.
+ * @param {Object} data - Transaction fields (amount in minor units, payee, notes, type, date, account_id,
+ *   category_id, transfer_account_id, and optionally transfer_amount received in the destination's currency,
+ *   import_id, the bank's ID for a transaction imported from a statement, and comma-separated tags)
+ * @param {function} dispatch - Redux dispatch function
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object>} - The created transaction (the outflow for a transfer)
+ */
+export const postTransaction = async (data, dispatch = null, db = database) => {
+  return db.action(async (db) => {
+    const transaction = normalizeTransaction(data);
+    validateTransaction(transaction);
+    const legs = await resolveTransaction(transaction, db);
+    const [leg, otherLeg] = legs;
+
+    const now = new Date();
+    const transactionsCollection = db.collections.get('transactions');
+    let created = await transactionsCollection.create(tx => {
+      Object.assign(tx, transactionRecord(leg));
+      tx.createdAt = now;
+      tx.updatedAt = now;
+    });
+    if (leg.splits) {
+      await saveSplits(created.id, leg.splits, db);
+    }
+
+    if (otherLeg) {
+      const createdOther = await transactionsCollection.create(tx => {
+        Object.assign(tx, transactionRecord(otherLeg));
+        tx.transfer_id = created.id;
+        tx.createdAt = now;
+        tx.updatedAt = now;
+      });
+      created = await transactionsCollection.update(created.id, tx => {
+        tx.transfer_id = createdOther.id;
+      });
+    }
+
+    await applyEffects(legs, 1, dispatch, db);
+    await invalidateNetWorthSnapshots(leg.date, db);
+    await rememberPayee(leg, db);
+
+    return created;
+  });
+};
+
+/**
+ * Edit an existing transaction, moving its balance and budget effects to the new values.
+ * Editing either leg of a transfer updates both.
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} changes - Transaction fields to change
+ * @param {function} dispatch - Redux dispatch function
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object>} - The updated transaction
+ */
+export const editTransaction = async (transactionId, changes, dispatch = null, db = database) => {
+  return db.action(async (db) => {
+    const transactionsCollection = db.collections.get('transactions');
+    const [existing, existingOther] = await findLegs(transactionId);
+    const previousLegs = [existing, existingOther].filter(Boolean).map(normalizeTransaction);
+
+    // A transfer between a budget and a tracking account keeps its category on the
+    // budget side, so editing the tracking side starts from the other leg's
+    const stored = existingOther && existingOther.category_id && !existing.category_id ?
+      { ...existing, category_id: existingOther.category_id, budget_amount: existingOther.budget_amount } :
+      existing;
+    const conversionChanged = CONVERSION_FIELDS.some(field => changes[field] !== undefined &&
+      (field === 'splits' ? splitsChanged(stored.splits, changes.splits) : changes[field] !== stored[field]));
+    let base = conversionChanged ? { ...stored, transfer_amount: null, budget_amount: null } : stored;
+    // Choosing a single category replaces the splits
+    if (changes.category_id && changes.splits === undefined) {
+      base = { ...base, splits: null };
+    } else if (conversionChanged && base.splits) {
+      base = { ...base, splits: base.splits.map(split => ({ ...split, budget_amount: null })) };
+    }
+    const transaction = normalizeTransaction({ ...base, ...changes });
+    validateTransaction(transaction);
+    const legs = await resolveTransaction(transaction, db);
+    const [leg, otherLeg] = legs;
+    if (otherLeg && existingOther) {
+      otherLeg.cleared_status = getClearedStatus(existingOther);
+    }
+    previousLegs.forEach((previous, index) => checkReconciledLeg(previous, legs[index]));
+
+    // Keep the other leg in step, creating or removing it when the type changes to or from a transfer
+    let otherId = null;
+    if (otherLeg && existingOther) {
+      await transactionsCollection.update(existingOther.id, tx => {
+        Object.assign(tx, transactionRecord(otherLeg));
+        tx.transfer_id = existing.id;
+      });
+      otherId = existingOther.id;
+    } else if (otherLeg) {
+      const now = new Date();
+      const createdOther = await transactionsCollection.create(tx => {
+        Object.assign(tx, transactionRecord(otherLeg));
+        tx.transfer_id = existing.id;
+        tx.createdAt = now;
+        tx.updatedAt = now;
+      });
+      otherId = createdOther.id;
+    } else if (existingOther) {
+      await transactionsCollection.delete(existingOther.id);
+    }
+
+    const updated = await transactionsCollection.update(existing.id, tx => {
+      Object.assign(tx, transactionRecord(leg));
+      tx.transfer_id = otherId;
+    });
+    if (leg.splits || existing.is_split) {
+      await saveSplits(existing.id, leg.splits, db);
+    }
+
+    // Reverse the old effects and apply the new ones in a single pass per account
+    await applyBalanceEffects(combineEffects(
+      ...previousLegs.map(previous => getBalanceEffects(previous, -1)),
+      ...legs.map(current => getBalanceEffects(current))
+    ), dispatch, db);
+    for (const previous of previousLegs) {
+      await applyBudgetEffect(previous, -1, dispatch, db);
+    }
+    for (const current of legs) {
+      await applyBudgetEffect(current, 1, dispatch, db);
+    }
+    await invalidateNetWorthSnapshots(Math.min(previousLegs[0].date, leg.date), db);
+    await rememberPayee(leg, db);
+
+    return updated;
+  });
+};
+
+/**
+ * Void (delete) a transaction, reversing its balance and budget effects.
+ * Voiding either leg of a transfer removes both; neither may be reconciled.
+ * @param {string} transactionId - Transaction ID
+ * @param {function} dispatch - Redux dispatch function
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object>} - The removed transaction
+ */
+export const voidTransaction = async (transactionId, dispatch = null, db = database) => {
+  return db.action(async (db) => {
+    const transactionsCollection = db.collections.get('transactions');
+    const legs = await findLegs(transactionId);
+    legs.map(normalizeTransaction).forEach(leg => checkReconciledLeg(leg, null));
+
+    await applyEffects(legs.map(normalizeTransaction), -1, dispatch, db);
+    for (const leg of legs) {
+      if (leg.is_split) {
+        await saveSplits(leg.id, null, db);
+      }
+      await transactionsCollection.delete(leg.id);
+    }
+    await invalidateNetWorthSnapshots(normalizeTransaction(legs[0]).date, db);
+
+    const { splits, ...removed } = legs[0];
+    return removed;
+  });
+};
+
+/**
+ * Bring an account to a target balance by posting a balance adjustment transaction
+ * @param {string} accountId - Account ID
+ * @param {number} targetBalance - Desired current balance in minor units
+ * @param {function} dispatch - Redux dispatch function
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object|null>} - The adjustment transaction, or null if no change was needed
+ */
+export const adjustAccountBalance = async (accountId, targetBalance, dispatch = null, db = database) => {
+  return db.action(async (db) => {
+    const account = await db.collections.get('accounts').find(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    const difference = targetBalance - account.currentBalance;
+    if (difference === 0) {
+      return null;
+    }
+
+    return postTransaction({
+      amount: Math.abs(difference),
+      payee: 'Balance Adjustment',
+      notes: 'Manual balance adjustment',
+      type: difference > 0 ? 'income' : 'expense',
+      account_id: accountId,
+      date: Date.now(),
+      cleared_status: 'cleared'
+    }, dispatch, db);
+  });
+};
+
+/**
+ * Set the cleared status of transactions. Only the status changes, so balances and
+ * budgets are left alone; each leg of a transfer has its own status.
+ * @param {Array} transactionIds - Transaction IDs
+ * @param {string} status - 'uncleared', 'cleared' or 'reconciled'
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Array>} - The updated transactions
+ */
+export const setClearedStatus = async (transactionIds, status, db = database) => {
+  if (!CLEARED_STATUSES[status]) {
+    throw new Error(`Unknown cleared status: ${status}`);
+  }
+
+  return db.action(async (db) => {
+    const transactionsCollection = db.collections.get('transactions');
+    const now = new Date();
+    const updated = [];
+    for (const transactionId of transactionIds) {
+      updated.push(await transactionsCollection.update(transactionId, tx => {
+        tx.cleared_status = status;
+        tx.updatedAt = now;
+      }));
+    }
+    return updated;
+  });
+};
@@ -0,0 +1,152 @@
+// Net worth history. Open months are worked out from the accounts and their
+// transactions (see utils/netWorth); once a month has ended its figures are kept
+// as a snapshot, so deleting an account or changing exchange rates later doesn't
+// rewrite it. A transaction posted, edited or voided in a month with a snapshot
+// changes that month and every one after it, so their snapshots are dropped and
+// recorded again.
+
+import { format, parseISO, addMonths, subMonths } from 'date-fns';
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { getCurrencySettings } from './currency';
+import { getMonthsEnding, buildNetWorthHistory, addMonthlyChanges } from '../utils/netWorth';
+
+const MONTH_FORMAT = 'yyyy-MM';
+
+const fetchNetWorthData = async () => {
+  const [accounts, transactions, settings] = await Promise.all([
+    database.collections.get('accounts').query().fetch(),
+    database.collections.get('transactions').query().fetch(),
+    getCurrencySettings(),
+  ]);
+  return { accounts, transactions, settings };
+};
+
+const snapshotToEntry = (snapshot) => ({
+  month: snapshot.month,
+  assets: snapshot.assets,
+  liabilities: snapshot.liabilities,
+  netWorth: snapshot.netWorth,
+  accounts: JSON.parse(snapshot.accounts),
+  missingCurrencies: [],
+  isSnapshot: true,
+});
+
+/**
+ * Get the net worth snapshots
+ * @returns {Promise<Array>} - Snapshots, oldest first
+ */
+export const getNetWorthSnapshots = async () => {
+  return database.collections.get('net_worth_snapshots').query(Q.sortBy('month', Q.asc())).fetch();
+};
+
+/**
+ * Drop the snapshots of a month and every month after it, when a transaction
+ * dated in that month changes. recordNetWorthSnapshots records them again.
+ * @param {number} date - Earliest date the change touches, e.g. the old and new
+ *   dates of an edited transaction
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<number>} - Number of snapshots dropped
+ */
+export const invalidateNetWorthSnapshots = async (date, db = database) => {
+  const snapshotsCollection = db.collections.get('net_worth_snapshots');
+  const stale = await snapshotsCollection.query(Q.where('month', Q.gte(format(new Date(date), MONTH_FORMAT)))).fetch();
+  for (const snapshot of stale) {
+    await snapshotsCollection.delete(snapshot.id);
+  }
+  if (stale.length) {
+    console.log(`Dropped ${stale.length} net worth snapshots from ${stale[0].month}`);
+  }
+  return stale.length;
+};
+
+// The run in progress, so overlapping app start and focus events don't record twice
+let pendingRun = null;
+
+/**
+ * Record a snapshot for every month that has ended since the last one, back to
+ * the first month with an account or transaction. A month with a balance that
+ * can't be converted to the home currency is left for next time.
+ * @param {Date|number} now - Current time
+ * @returns {Promise<Array>} - The snapshots recorded
+ */
+export const recordNetWorthSnapshots = async (now = Date.now()) => {
+  if (pendingRun) {
+    return pendingRun;
+  }
+
+  pendingRun = database.action(async (db) => {
+    const { accounts, transactions, settings } = await fetchNetWorthData();
+    const snapshotsCollection = db.collections.get('net_worth_snapshots');
+    const recorded = (await getNetWorthSnapshots()).map(snapshot => snapshot.month);
+
+    const firstTimes = [
+      ...accounts.filter(account => account.createdAt).map(account => new Date(account.createdAt).getTime()),
+      ...transactions.map(transaction => transaction.date),
+    ].filter(time => !isNaN(time));
+    if (firstTimes.length === 0) {
+      return [];
+    }
+
+    const lastClosed = format(subMonths(new Date(now), 1), MONTH_FORMAT);
+    const first = format(new Date(Math.min(...firstTimes)), MONTH_FORMAT);
+    const months = [];
+    for (let month = first; month <= lastClosed; month = format(addMonths(parseISO(`${month}-01`), 1), MONTH_FORMAT)) {
+      if (!recorded.includes(month)) {
+        months.push(month);
+      }
+    }
+
+    const created = [];
+    for (const entry of buildNetWorthHistory(accounts, transactions, months, settings)) {
+      if (entry.missingCurrencies.length) {
+        console.warn(`No exchange rate from ${entry.missingCurrencies.join(', ')} - net worth for ${entry.month} not recorded yet`);
+        continue;
+      }
+      created.push(await snapshotsCollection.create({
+        month: entry.month,
+        currency: settings.homeCurrency,
+        assets: entry.assets,
+        liabilities: entry.liabilities,
+        netWorth: entry.netWorth,
+        accounts: JSON.stringify(entry.accounts),
+      }));
+    }
+
+    console.log(`Recorded ${created.length} net worth snapshots`);
+    return created;
+  });
+
+  try {
+    return await pendingRun;
+  } catch (error) {
+    console.error('Error recording net worth snapshots:', error);
+    return [];
+  } finally {
+    pendingRun = null;
+  }
+};
+
+/**
+ * Get net worth at the end of each of the last few months, this month included.
+ * Months with a snapshot in the home currency use it; the rest are worked out
+ * from the transactions.
+ * @param {number} monthCount - Number of months
+ * @param {Date|number} now - Current time
+ * @returns {Promise<Array>} - { month, assets, liabilities, netWorth, change, accounts, missingCurrencies,
+ *   isSnapshot } per month, oldest first, with each account's { account_id, name, accountType, balance, change }
+ */
+export const getNetWorthHistory = async (monthCount = 12, now = Date.now()) => {
+  const { accounts, transactions, settings } = await fetchNetWorthData();
+  const snapshots = (await getNetWorthSnapshots()).filter(snapshot => snapshot.currency === settings.homeCurrency);
+
+  // One month more than shown, for the first month's change
+  const months = getMonthsEnding(format(new Date(now), MONTH_FORMAT), monthCount + 1);
+  const rebuilt = buildNetWorthHistory(accounts, transactions, months, settings);
+  const history = rebuilt.map(entry => {
+    const snapshot = snapshots.find(item => item.month === entry.month);
+    return snapshot ? snapshotToEntry(snapshot) : { ...entry, isSnapshot: false };
+  });
+
+  return addMonthlyChanges(history).slice(1);
+};
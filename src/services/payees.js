@@ -0,0 +1,252 @@
+// Payees - one record per payee name used on transactions, kept up to date by
+// the ledger, with the category last used for each. Renaming or merging payees
+// rewrites the payee text on every transaction and schedule that uses them, and
+// payee rules rename the payee text of imported statement rows.
+
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import {
+  cleanPayeeName,
+  payeeKey,
+  hasPayee,
+  findPayeeByName,
+  applyPayeeRules,
+  validatePayeeRulePattern
+} from '../utils/payees';
+
+/**
+ * Get every payee, alphabetically
+ * @returns {Promise<Array>} - Payee records
+ */
+export const getPayees = async () => {
+  const payees = await database.collections.get('payees').query().fetch();
+  return [...payees].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Get every payee with how many transactions and rules use it, for listing
+ * @returns {Promise<Array>} - Payee records with transactionCount and ruleCount, alphabetically
+ */
+export const getPayeeSummaries = async () => {
+  const [payees, transactions, rules] = await Promise.all([
+    getPayees(),
+    database.collections.get('transactions').query(Q.where('type', Q.notEq('transfer'))).fetch(),
+    getPayeeRules(),
+  ]);
+
+  const transactionCounts = {};
+  transactions.forEach(transaction => {
+    const key = payeeKey(transaction.payee);
+    transactionCounts[key] = (transactionCounts[key] || 0) + 1;
+  });
+
+  return payees.map(payee => ({
+    ...payee,
+    transactionCount: transactionCounts[payeeKey(payee.name)] || 0,
+    ruleCount: rules.filter(rule => rule.payee_id === payee.id).length,
+  }));
+};
+
+/**
+ * Make sure a transaction's payee exists, and remember an expense's category as
+ * the payee's default. Called by the ledger whenever a transaction is saved.
+ * @param {Object} transaction - Normalised transaction
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object|null>} - The payee, or null for a transaction without one
+ */
+export const rememberPayee = async (transaction, db = database) => {
+  if (!hasPayee(transaction)) {
+    return null;
+  }
+
+  return db.action(async (db) => {
+    const payeesCollection = db.collections.get('payees');
+    const payee = findPayeeByName(await payeesCollection.query().fetch(), transaction.payee);
+    const categoryId = transaction.type === 'expense' && !transaction.is_split ? transaction.category_id : null;
+
+    if (!payee) {
+      return payeesCollection.create({
+        name: cleanPayeeName(transaction.payee),
+        default_category_id: categoryId || null,
+      });
+    }
+    if (categoryId && payee.default_category_id !== categoryId) {
+      return payeesCollection.update(payee.id, { default_category_id: categoryId });
+    }
+    return payee;
+  });
+};
+
+// Rewrite the payee text of every transaction and schedule whose payee is one of `names`
+const rewritePayeeText = async (names, newName, db) => {
+  const keys = new Set(names.map(payeeKey));
+  for (const collectionName of ['transactions', 'scheduled_transactions']) {
+    const collection = db.collections.get(collectionName);
+    const records = await collection.query(Q.where('type', Q.notEq('transfer'))).fetch();
+    for (const record of records) {
+      if (keys.has(payeeKey(record.payee)) && record.payee !== newName) {
+        await collection.update(record.id, { payee: newName });
+      }
+    }
+  }
+};
+
+/**
+ * Merge payees into one. Their transactions, schedules and rules move to the
+ * payee kept, which takes the first merged payee's default category if it has none.
+ * @param {Array} payeeIds - IDs of the payees to merge away
+ * @param {string} targetId - ID of the payee to keep
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object>} - The payee kept
+ */
+export const mergePayees = async (payeeIds, targetId, db = database) => {
+  return db.action(async (db) => {
+    const payeesCollection = db.collections.get('payees');
+    const rulesCollection = db.collections.get('payee_rules');
+    const target = await payeesCollection.find(targetId);
+    if (!target) {
+      throw new Error(`Payee ${targetId} not found`);
+    }
+
+    const sources = [];
+    for (const payeeId of payeeIds.filter(id => id !== targetId)) {
+      const source = await payeesCollection.find(payeeId);
+      if (!source) {
+        throw new Error(`Payee ${payeeId} not found`);
+      }
+      sources.push(source);
+    }
+
+    await rewritePayeeText(sources.map(source => source.name), target.name, db);
+    const rules = await rulesCollection.query(Q.where('payee_id', Q.oneOf(sources.map(source => source.id)))).fetch();
+    for (const rule of rules) {
+      await rulesCollection.update(rule.id, { payee_id: target.id });
+    }
+
+    const inherited = sources.find(source => source.default_category_id);
+    for (const source of sources) {
+      await payeesCollection.delete(source.id);
+    }
+
+    if (!target.default_category_id && inherited) {
+      return payeesCollection.update(target.id, { default_category_id: inherited.default_category_id });
+    }
+    return target;
+  });
+};
+
+/**
+ * Rename a payee on every transaction and schedule. Renaming to the name of
+ * another payee merges the two.
+ * @param {string} payeeId - Payee ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} - The renamed payee, or the payee it was merged into
+ */
+export const renamePayee = async (payeeId, name) => {
+  const newName = cleanPayeeName(name);
+  if (!newName) {
+    throw new Error('Payee name cannot be empty');
+  }
+
+  return database.action(async (db) => {
+    const payeesCollection = db.collections.get('payees');
+    const payee = await payeesCollection.find(payeeId);
+    if (!payee) {
+      throw new Error(`Payee ${payeeId} not found`);
+    }
+
+    const existing = findPayeeByName(await payeesCollection.query().fetch(), newName);
+    if (existing && existing.id !== payeeId) {
+      return mergePayees([payeeId], existing.id, db);
+    }
+
+    // Rewrites the text even when only the capitalisation changed
+    await rewritePayeeText([payee.name], newName, db);
+    return payeesCollection.update(payeeId, { name: newName });
+  });
+};
+
+/**
+ * Set or clear the category AddTransactionScreen picks for a payee
+ * @param {string} payeeId - Payee ID
+ * @param {string} categoryId - Category ID, or null to clear it
+ * @returns {Promise<Object>} - The updated payee
+ */
+export const setPayeeDefaultCategory = async (payeeId, categoryId) => {
+  return database.action(async (db) => {
+    return db.collections.get('payees').update(payeeId, { default_category_id: categoryId || null });
+  });
+};
+
+/**
+ * Delete a payee and its rules. Transactions keep their payee text, so the payee
+ * comes back the next time a transaction using it is saved.
+ * @param {string} payeeId - Payee ID
+ * @returns {Promise<void>}
+ */
+export const deletePayee = async (payeeId) => {
+  return database.action(async (db) => {
+    const rulesCollection = db.collections.get('payee_rules');
+    for (const rule of await getPayeeRules(payeeId)) {
+      await rulesCollection.delete(rule.id);
+    }
+    await db.collections.get('payees').delete(payeeId);
+  });
+};
+
+/**
+ * Get payee rules, oldest first, which is the order they are tried in
+ * @param {string} payeeId - Only this payee's rules, or null for all
+ * @returns {Promise<Array>} - Payee rule records
+ */
+export const getPayeeRules = async (payeeId = null) => {
+  const conditions = payeeId ? [Q.where('payee_id', payeeId)] : [];
+  return database.collections.get('payee_rules').query(...conditions, Q.sortBy('createdAt', 'asc')).fetch();
+};
+
+/**
+ * Add a rule renaming matching payee text to a payee
+ * @param {Object} data - Rule fields
+ * @param {string} data.payee_id - Payee the matching text is renamed to
+ * @param {string} data.match_type - 'contains' or 'regex'
+ * @param {string} data.pattern - Text or regular expression to match, ignoring case
+ * @returns {Promise<Object>} - The created rule
+ */
+export const createPayeeRule = async ({ payee_id, match_type, pattern }) => {
+  const error = validatePayeeRulePattern(match_type, pattern);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return database.action(async (db) => {
+    if (!(await db.collections.get('payees').find(payee_id))) {
+      throw new Error(`Payee ${payee_id} not found`);
+    }
+    return db.collections.get('payee_rules').create({
+      payee_id,
+      match_type,
+      pattern: match_type === 'regex' ? pattern : pattern.trim(),
+    });
+  });
+};
+
+/**
+ * Delete a payee rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+export const deletePayeeRule = async (ruleId) => {
+  return database.action(async (db) => {
+    await db.collections.get('payee_rules').delete(ruleId);
+  });
+};
+
+/**
+ * Load the payee rules once and return a function applying them, for renaming
+ * many payee strings such as the rows of a statement
+ * @returns {Promise<function>} - Takes payee text and returns the renamed payee
+ */
+export const getPayeeRenamer = async () => {
+  const [rules, payees] = await Promise.all([getPayeeRules(), getPayees()]);
+  return (text) => applyPayeeRules(text, rules, payees);
+};
@@ -0,0 +1,124 @@
+// Reconciling an account against a bank statement. The transactions on the
+// statement are ticked off until the cleared balance matches the statement's,
+// then they are locked as reconciled. A difference that can't be found can be
+// closed with an adjustment transaction.
+
+import { endOfDay, format } from 'date-fns';
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { postTransaction, setClearedStatus } from './ledger';
+import { updateAccountSuccess } from '../store/slices/accountsSlice';
+import { getClearedStatus, getClearedBalances, summarizeReconciliation } from '../utils/reconciliation';
+import { formatMoney } from '../utils/money';
+
+export const RECONCILIATION_ADJUSTMENT_PAYEE = 'Reconciliation Adjustment';
+
+/**
+ * Get an account's cleared and uncleared balances
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} - { cleared, uncleared } in minor units
+ */
+export const getAccountClearedBalances = async (accountId) => {
+  const account = await database.collections.get('accounts').find(accountId);
+  if (!account) {
+    throw new Error(`Account ${accountId} not found`);
+  }
+
+  const transactions = await database.collections.get('transactions').query(
+    Q.where('account_id', accountId)
+  ).fetch();
+  return getClearedBalances(account.currentBalance, transactions);
+};
+
+/**
+ * Get the transactions in an account that are not reconciled yet
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Array>} - Transactions, newest first
+ */
+export const getUnreconciledTransactions = async (accountId) => {
+  const transactions = await database.collections.get('transactions').query(
+    Q.where('account_id', accountId),
+    Q.sortBy('date', Q.desc())
+  ).fetch();
+  return transactions.filter(transaction => getClearedStatus(transaction) !== 'reconciled');
+};
+
+/**
+ * Finish reconciling: lock the ticked-off transactions as reconciled and record
+ * the statement on the account. Transactions dated after the statement are left alone.
+ * @param {Object} params - Reconciliation
+ * @param {string} params.accountId - Account ID
+ * @param {number} params.statementBalance - Balance on the statement in minor units
+ * @param {Date|number} params.statementDate - Date of the statement
+ * @param {Array} params.clearedIds - IDs of the transactions that appear on the statement
+ * @param {boolean} params.postAdjustment - Close any difference with an adjustment transaction
+ * @param {function} dispatch - Redux dispatch function
+ * @returns {Promise<Object>} - { reconciled, adjustment } with the number of transactions
+ *   locked and the adjustment transaction, or null if none was needed
+ */
+export const finishReconciliation = async ({
+  accountId,
+  statementBalance,
+  statementDate,
+  clearedIds,
+  postAdjustment = false
+}, dispatch = null) => {
+  return database.action(async (db) => {
+    const account = await db.collections.get('accounts').find(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    const statementEnd = endOfDay(statementDate).getTime();
+    const transactions = await getUnreconciledTransactions(accountId);
+    const onStatement = transactions
+      .filter(transaction => transaction.date <= statementEnd && clearedIds.includes(transaction.id))
+      .map(transaction => transaction.id);
+    const { difference } = summarizeReconciliation({
+      currentBalance: account.currentBalance,
+      transactions,
+      clearedIds: onStatement,
+      statementBalance,
+    });
+
+    if (difference !== 0 && !postAdjustment) {
+      throw new Error(`The cleared balance is ${formatMoney(Math.abs(difference), { currency: account.currency })} ` +
+        `${difference > 0 ? 'below' : 'above'} the statement balance`);
+    }
+
+    await setClearedStatus(onStatement, 'reconciled', db);
+
+    let adjustment = null;
+    if (difference !== 0) {
+      adjustment = await postTransaction({
+        amount: Math.abs(difference),
+        payee: RECONCILIATION_ADJUSTMENT_PAYEE,
+        notes: `Statement balance on ${format(statementEnd, 'MMM d, yyyy')}`,
+        type: difference > 0 ? 'income' : 'expense',
+        account_id: accountId,
+        date: statementEnd,
+        cleared_status: 'reconciled'
+      }, dispatch, db);
+    }
+
+    const now = new Date();
+    await db.collections.get('accounts').update(accountId, record => {
+      record.lastReconciledAt = statementEnd;
+      record.lastReconciledBalance = statementBalance;
+      record.updatedAt = now;
+    });
+    if (dispatch) {
+      dispatch(updateAccountSuccess({
+        id: accountId,
+        changes: {
+          lastReconciledAt: statementEnd,
+          lastReconciledBalance: statementBalance,
+          updatedAt: now.toISOString()
+        }
+      }));
+    }
+
+    console.log(`Reconciled ${onStatement.length} transactions in account ${accountId}`);
+    return { reconciled: onStatement.length, adjustment };
+  });
+};
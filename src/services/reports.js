@@ -0,0 +1,26 @@
+// Loads the records reports are built from - see utils/reports.js for how they add up
+
+import { database } from '../db/setup';
+import { getCurrencySettings } from './currency';
+import { buildReports } from '../utils/reports';
+
+/**
+ * Build the spending and income reports
+ * @param {Object} filter - Report filter
+ * @param {Date|number} filter.startDate - Start of the range
+ * @param {Date|number} filter.endDate - End of the range
+ * @param {Array} filter.accountIds - Accounts to include, or null for every account
+ * @returns {Promise<Object>} - { byCategory, byPayee, byMonth, totals, missingCurrencies }
+ */
+export const getReports = async (filter) => {
+  const [transactions, splits, categories, budgets, accounts, settings] = await Promise.all([
+    database.collections.get('transactions').query().fetch(),
+    database.collections.get('transaction_splits').query().fetch(),
+    database.collections.get('categories').query().fetch(),
+    database.collections.get('category_budgets').query().fetch(),
+    database.collections.get('accounts').query().fetch(),
+    getCurrencySettings(),
+  ]);
+
+  return buildReports({ transactions, splits, categories, budgets, accounts, ...settings }, filter);
+};
@@ -0,0 +1,208 @@
+// Scheduled transactions - transactions recorded once with a recurrence rule.
+// Due occurrences are posted through the ledger, so they update balances and
+// budgets exactly like a transaction entered by hand. A schedule is removed
+// once its last occurrence has been posted or skipped.
+
+import { endOfDay } from 'date-fns';
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { postTransaction } from './ledger';
+import { isMinorUnits } from '../utils/money';
+import { FREQUENCIES, getNextOccurrence } from '../utils/recurrence';
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+const toTimestamp = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+// Normalise caller input into the shape stored in the scheduled_transactions collection
+const normalizeSchedule = (data) => {
+  const type = data.type || 'expense';
+
+  return {
+    amount: Number(data.amount),
+    payee: (data.payee || '').trim(),
+    notes: (data.notes || '').trim(),
+    type,
+    account_id: data.account_id,
+    category_id: type === 'expense' ? data.category_id || null : null,
+    transfer_account_id: type === 'transfer' ? data.transfer_account_id || null : null,
+    transfer_amount: type === 'transfer' && hasValue(data.transfer_amount) ? Number(data.transfer_amount) : null,
+    frequency: data.frequency,
+    interval: hasValue(data.interval) ? Number(data.interval) : 1,
+    nth_weekday: data.frequency === 'monthly' && data.nth_weekday ? Number(data.nth_weekday) : null,
+    start_date: toTimestamp(data.start_date),
+    end_date: hasValue(data.end_date) ? toTimestamp(data.end_date) : null,
+    max_occurrences: hasValue(data.max_occurrences) ? Number(data.max_occurrences) : null,
+  };
+};
+
+const validateSchedule = (schedule) => {
+  if (!isMinorUnits(schedule.amount) || schedule.amount <= 0) {
+    throw new Error('Scheduled amount must be a positive whole number of minor units');
+  }
+  if (!schedule.account_id) {
+    throw new Error('Scheduled transaction must belong to an account');
+  }
+  if (schedule.type === 'transfer' && !schedule.transfer_account_id) {
+    throw new Error('Scheduled transfer must have a destination account');
+  }
+  if (!FREQUENCIES[schedule.frequency]) {
+    throw new Error(`Unknown frequency: ${schedule.frequency}`);
+  }
+  if (!Number.isInteger(schedule.interval) || schedule.interval < 1) {
+    throw new Error('Repeat interval must be a whole number of at least 1');
+  }
+  if (schedule.nth_weekday !== null && ![1, 2, 3, 4, 5, -1].includes(schedule.nth_weekday)) {
+    throw new Error('Weekday of the month must be 1-5 or -1 for the last');
+  }
+  if (isNaN(schedule.start_date)) {
+    throw new Error('Start date is invalid');
+  }
+  if (schedule.end_date !== null && (isNaN(schedule.end_date) || schedule.end_date < schedule.start_date)) {
+    throw new Error('End date must be on or after the start date');
+  }
+  if (schedule.max_occurrences !== null &&
+      (!Number.isInteger(schedule.max_occurrences) || schedule.max_occurrences < 1)) {
+    throw new Error('Number of occurrences must be a whole number of at least 1');
+  }
+};
+
+/**
+ * Create a scheduled transaction. Occurrences already due are posted the next
+ * time postDueScheduledTransactions runs.
+ * @param {Object} data - Transaction fields (as for postTransaction, without date) plus the
+ *   recurrence rule: frequency, interval, nth_weekday, start_date, end_date, max_occurrences
+ * @returns {Promise<Object>} - The created schedule
+ */
+export const createScheduledTransaction = async (data) => {
+  const schedule = normalizeSchedule(data);
+  validateSchedule(schedule);
+
+  return database.collections.get('scheduled_transactions').create(record => {
+    Object.assign(record, schedule);
+    record.occurrence_count = 0;
+    record.next_date = schedule.start_date;
+  });
+};
+
+/**
+ * Delete a scheduled transaction. Occurrences already posted are kept.
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} - Whether the schedule was deleted
+ */
+export const deleteScheduledTransaction = async (scheduleId) => {
+  return database.collections.get('scheduled_transactions').delete(scheduleId);
+};
+
+// Move a schedule on to its next occurrence, removing it when there are none left
+const advanceSchedule = async (schedule, db) => {
+  const schedulesCollection = db.collections.get('scheduled_transactions');
+  const occurrenceCount = schedule.occurrence_count + 1;
+  const nextDate = getNextOccurrence(schedule, occurrenceCount);
+
+  if (!nextDate) {
+    await schedulesCollection.delete(schedule.id);
+    return null;
+  }
+
+  return schedulesCollection.update(schedule.id, {
+    occurrence_count: occurrenceCount,
+    next_date: nextDate.getTime(),
+  });
+};
+
+// Post one occurrence of a schedule and move it on, together
+const postOccurrence = async (schedule, date, dispatch) => {
+  return database.action(async (db) => {
+    const transaction = await postTransaction({
+      amount: schedule.amount,
+      payee: schedule.payee,
+      notes: schedule.notes,
+      type: schedule.type,
+      account_id: schedule.account_id,
+      category_id: schedule.category_id,
+      transfer_account_id: schedule.transfer_account_id,
+      transfer_amount: schedule.transfer_amount,
+      date,
+    }, dispatch, db);
+
+    await advanceSchedule(schedule, db);
+    return transaction;
+  });
+};
+
+const findSchedule = async (scheduleId) => {
+  const schedule = await database.collections.get('scheduled_transactions').find(scheduleId);
+  if (!schedule) {
+    throw new Error(`Scheduled transaction ${scheduleId} not found`);
+  }
+  return schedule;
+};
+
+/**
+ * Post the next occurrence of a schedule now, dated today
+ * @param {string} scheduleId - Schedule ID
+ * @param {function} dispatch - Redux dispatch function
+ * @returns {Promise<Object>} - The posted transaction
+ */
+export const postScheduledOccurrenceNow = async (scheduleId, dispatch = null) => {
+  const schedule = await findSchedule(scheduleId);
+  return postOccurrence(schedule, Date.now(), dispatch);
+};
+
+/**
+ * Skip the next occurrence of a schedule without posting it
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} - The updated schedule, or null if that was its last occurrence
+ */
+export const skipScheduledOccurrence = async (scheduleId) => {
+  return database.action(async (db) => {
+    const schedule = await findSchedule(scheduleId);
+    return advanceSchedule(schedule, db);
+  });
+};
+
+// The run in progress, so overlapping app start and focus events don't post twice
+let pendingRun = null;
+
+/**
+ * Post every occurrence that is due by the end of today, each dated on its
+ * scheduled day. A schedule that fails (e.g. a missing exchange rate) is left
+ * due and tried again next time.
+ * @param {function} dispatch - Redux dispatch function
+ * @param {Date|number} now - Current time
+ * @returns {Promise<Array>} - The posted transactions
+ */
+export const postDueScheduledTransactions = async (dispatch = null, now = Date.now()) => {
+  if (pendingRun) {
+    return pendingRun;
+  }
+
+  pendingRun = (async () => {
+    const posted = [];
+    const dueBy = endOfDay(new Date(now)).getTime();
+    const schedulesCollection = database.collections.get('scheduled_transactions');
+    const dueSchedules = await schedulesCollection.query(Q.where('next_date', Q.lte(dueBy))).fetch();
+
+    for (const dueSchedule of dueSchedules) {
+      try {
+        let schedule = dueSchedule;
+        while (schedule && schedule.next_date <= dueBy) {
+          posted.push(await postOccurrence(schedule, schedule.next_date, dispatch));
+          schedule = await schedulesCollection.find(schedule.id);
+        }
+      } catch (error) {
+        console.error(`Error posting scheduled transaction ${dueSchedule.id}:`, error);
+      }
+    }
+
+    console.log(`Posted ${posted.length} scheduled transactions`);
+    return posted;
+  })();
+
+  try {
+    return await pendingRun;
+  } finally {
+    pendingRun = null;
+  }
+};
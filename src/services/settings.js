@@ -0,0 +1,33 @@
+// App settings, stored in the settings collection with one record per setting
+// and the setting name as the record ID.
+
+import { database } from '../db/setup';
+
+/**
+ * Read a setting
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Value to return if the setting was never saved
+ * @returns {Promise<*>} - The stored value or the default
+ */
+export const getSetting = async (key, defaultValue = null) => {
+  const setting = await database.collections.get('settings').find(key);
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Save a setting, creating it on first use
+ * @param {string} key - Setting name
+ * @param {*} value - Value to store
+ * @returns {Promise<Object>} - The setting record
+ */
+export const saveSetting = async (key, value) => {
+  return database.action(async (db) => {
+    const settingsCollection = db.collections.get('settings');
+    const existing = await settingsCollection.find(key);
+
+    if (existing) {
+      return settingsCollection.update(key, { value });
+    }
+    return settingsCollection.create({ id: key, value });
+  });
+};
@@ -0,0 +1,129 @@
+// Bank statement import. Files are parsed by the pure parsers in utils/import and
+// the rows are posted through the ledger, so account balances and category budgets
+// update exactly as they do for transactions entered by hand. Payee rules rename
+// the bank's payee text on the way in, then the transaction rules run.
+
+import { addDays, subDays } from 'date-fns';
+import { database } from '../db/setup';
+import { Q } from '../db/query';
+import { postTransaction } from './ledger';
+import { getSetting, saveSetting } from './settings';
+import { getPayeeRenamer } from './payees';
+import { getRuleRunner } from './transactionRules';
+import { DEFAULT_CSV_MAPPING } from '../utils/import/csv';
+import { findDuplicateMatches, DUPLICATE_DATE_WINDOW_DAYS } from '../utils/duplicates';
+
+export const CSV_MAPPING_SETTING = 'csv_import_mapping';
+
+/**
+ * Get the CSV column mapping used for the last import
+ * @returns {Promise<Object>} - Column mapping (see DEFAULT_CSV_MAPPING)
+ */
+export const getCsvMapping = async () => {
+  const saved = await getSetting(CSV_MAPPING_SETTING);
+  if (!saved) {
+    return DEFAULT_CSV_MAPPING;
+  }
+
+  try {
+    return { ...DEFAULT_CSV_MAPPING, ...JSON.parse(saved) };
+  } catch (error) {
+    console.error('Error reading saved CSV mapping:', error);
+    return DEFAULT_CSV_MAPPING;
+  }
+};
+
+/**
+ * Remember a CSV column mapping for the next import
+ * @param {Object} mapping - Column mapping
+ * @returns {Promise<Object>} - The setting record
+ */
+export const saveCsvMapping = async (mapping) => {
+  return saveSetting(CSV_MAPPING_SETTING, JSON.stringify(mapping));
+};
+
+// The transaction a statement row is posted as: money in is income, money out an
+// uncategorised expense
+const statementRowToTransaction = (row, accountId, renamePayee) => ({
+  amount: Math.abs(row.amount),
+  type: row.amount > 0 ? 'income' : 'expense',
+  payee: renamePayee(row.payee || row.memo) || 'Imported Transaction',
+  notes: row.payee ? row.memo : '',
+  account_id: accountId,
+  category_id: null,
+  date: row.date,
+  import_id: row.reference,
+  // The bank has already seen anything on its statement
+  cleared_status: 'cleared',
+});
+
+/**
+ * Match statement rows against transactions already in the account, such as ones
+ * entered by hand before the statement arrived or imported from an earlier file.
+ * Each existing transaction matches at most one row.
+ * @param {Array} rows - Statement rows from parseStatement
+ * @param {string} accountId - Account the statement belongs to
+ * @returns {Promise<Array>} - For each row, the transaction it likely duplicates or null
+ */
+export const findImportDuplicates = async (rows, accountId) => {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const dates = rows.map(row => row.date);
+  const existing = await database.collections.get('transactions').query(
+    Q.where('account_id', accountId),
+    Q.where('date', Q.between(
+      subDays(new Date(Math.min(...dates)), DUPLICATE_DATE_WINDOW_DAYS + 1).getTime(),
+      addDays(new Date(Math.max(...dates)), DUPLICATE_DATE_WINDOW_DAYS + 1).getTime()
+    ))
+  ).fetch();
+
+  const renamePayee = await getPayeeRenamer();
+  const matched = new Set();
+  return rows.map(row => {
+    const candidates = existing.filter(transaction => !matched.has(transaction.id));
+    const [duplicate] = findDuplicateMatches(statementRowToTransaction(row, accountId, renamePayee), candidates);
+    if (!duplicate) return null;
+
+    matched.add(duplicate.id);
+    return duplicate;
+  });
+};
+
+/**
+ * Post parsed statement rows to an account. Positive amounts are posted as income
+ * and negative ones as uncategorised expenses, with payees renamed by the payee
+ * rules and then the transaction rules applied. Rows of zero are skipped.
+ * @param {Array} rows - Statement rows from parseStatement
+ * @param {string} accountId - Account the statement belongs to
+ * @param {function} dispatch - Redux dispatch function
+ * @returns {Promise<Object>} - { imported, skipped } with the posted transactions
+ */
+export const importStatementRows = async (rows, accountId, dispatch = null) => {
+  const account = await database.collections.get('accounts').find(accountId);
+  if (!account) {
+    throw new Error(`Account ${accountId} not found`);
+  }
+
+  const renamePayee = await getPayeeRenamer();
+  const runRules = await getRuleRunner();
+
+  return database.action(async (db) => {
+    const imported = [];
+    let skipped = 0;
+
+    for (const row of rows) {
+      if (row.amount === 0) {
+        skipped++;
+        continue;
+      }
+
+      const { transaction } = runRules(statementRowToTransaction(row, accountId, renamePayee));
+      imported.push(await postTransaction(transaction, dispatch, db));
+    }
+
+    console.log(`Imported ${imported.length} transactions into ${account.name}`);
+    return { imported, skipped };
+  });
+};
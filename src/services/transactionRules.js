@@ -0,0 +1,164 @@
+// Transaction rules - stored in the transaction_rules collection and run by the
+// engine in utils/transactionRules. New transactions get them as they are entered
+// or imported; existing ones only when asked, after previewing what would change.
+
+import { database } from '../db/setup';
+import { editTransaction } from './ledger';
+import { parseRule, validateRule, runRules, diffRuleChanges } from '../utils/transactionRules';
+
+/**
+ * Get every rule, in the order they run
+ * @returns {Promise<Array>} - Rules with conditions and actions parsed
+ */
+export const getRules = async () => {
+  const records = await database.collections.get('transaction_rules').query().fetch();
+  return records
+    .map(parseRule)
+    .sort((a, b) => a.priority - b.priority || String(a.createdAt).localeCompare(String(b.createdAt)));
+};
+
+/**
+ * Create or update a rule. A new rule runs after the existing ones.
+ * @param {Object} rule - Rule { id (when updating), name, enabled, conditions, actions }
+ * @returns {Promise<Object>} - The saved rule record
+ */
+export const saveRule = async (rule) => {
+  const error = validateRule(rule);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return database.action(async (db) => {
+    const rulesCollection = db.collections.get('transaction_rules');
+    const fields = {
+      name: rule.name.trim(),
+      enabled: rule.enabled !== false,
+      conditions: JSON.stringify(rule.conditions),
+      actions: JSON.stringify(rule.actions),
+    };
+
+    if (rule.id) {
+      return rulesCollection.update(rule.id, fields);
+    }
+
+    const rules = await getRules();
+    const priority = rules.length > 0 ? rules[rules.length - 1].priority + 1 : 0;
+    return rulesCollection.create({ ...fields, priority });
+  });
+};
+
+/**
+ * Delete a rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+export const deleteRule = async (ruleId) => {
+  return database.action(async (db) => {
+    await db.collections.get('transaction_rules').delete(ruleId);
+  });
+};
+
+/**
+ * Turn a rule on or off without deleting it
+ * @param {string} ruleId - Rule ID
+ * @param {boolean} enabled - Whether the rule runs
+ * @returns {Promise<Object>} - The updated rule record
+ */
+export const setRuleEnabled = async (ruleId, enabled) => {
+  return database.action(async (db) => {
+    return db.collections.get('transaction_rules').update(ruleId, { enabled: !!enabled });
+  });
+};
+
+/**
+ * Move a rule one place earlier or later in the run order
+ * @param {string} ruleId - Rule ID
+ * @param {number} offset - -1 to run earlier, 1 to run later
+ * @returns {Promise<Array>} - The rules in their new order
+ */
+export const moveRule = async (ruleId, offset) => {
+  return database.action(async (db) => {
+    const rulesCollection = db.collections.get('transaction_rules');
+    const rules = await getRules();
+    const index = rules.findIndex(rule => rule.id === ruleId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= rules.length) {
+      return rules;
+    }
+
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    // Number the priorities afresh so they stay unique
+    for (const [priority, rule] of reordered.entries()) {
+      if (rule.priority !== priority) {
+        await rulesCollection.update(rule.id, { priority });
+      }
+    }
+    return getRules();
+  });
+};
+
+/**
+ * Load the rules once and return a function running them, for running the rules
+ * on many new transactions such as the rows of a statement
+ * @returns {Promise<function>} - Takes transaction fields and options for runRules, returns { transaction, matched }
+ */
+export const getRuleRunner = async () => {
+  const rules = await getRules();
+  return (transaction, options) => runRules(transaction, rules, options);
+};
+
+/**
+ * Run the rules on a transaction about to be posted
+ * @param {Object} transaction - Transaction fields, as passed to postTransaction
+ * @param {Object} options - Run options
+ * @param {Array} options.lockedFields - Fields rules must leave alone, e.g. a category picked by hand
+ * @returns {Promise<Object>} - { transaction, matched } with the fields to post and the rules that matched
+ */
+export const applyRulesToNewTransaction = async (transaction, options = {}) => {
+  const run = await getRuleRunner();
+  return run(transaction, options);
+};
+
+/**
+ * Dry run of the rules on existing transactions - nothing is saved
+ * @param {Object} options - Which rules to run
+ * @param {Array} options.ruleIds - Only these rules, or null for every enabled rule
+ * @returns {Promise<Array>} - Transactions that would change, newest first, as
+ *   { transaction, changes, rules } with changes as { field, from, to }
+ */
+export const previewRulesOnExisting = async ({ ruleIds = null } = {}) => {
+  const rules = (await getRules()).filter(rule => !ruleIds || ruleIds.includes(rule.id));
+  const transactions = await database.collections.get('transactions').query().fetch();
+
+  return transactions
+    .map(transaction => {
+      const { transaction: updated, matched } = runRules(transaction, rules);
+      return { transaction, changes: diffRuleChanges(transaction, updated), rules: matched };
+    })
+    .filter(result => result.changes.length > 0)
+    .sort((a, b) => b.transaction.date - a.transaction.date);
+};
+
+/**
+ * Save the changes from previewRulesOnExisting through the ledger, so balances
+ * and category budgets follow
+ * @param {Array} previews - Entries from previewRulesOnExisting to apply
+ * @param {function} dispatch - Redux dispatch function
+ * @returns {Promise<Array>} - The updated transactions
+ */
+export const applyRulePreviews = async (previews, dispatch = null) => {
+  return database.action(async (db) => {
+    const updated = [];
+    for (const { transaction, changes } of previews) {
+      const fields = changes.reduce((result, change) => ({ ...result, [change.field]: change.to }), {});
+      if (fields.type === 'transfer') {
+        fields.transfer_direction = transaction.type === 'income' ? 'in' : 'out';
+      }
+      updated.push(await editTransaction(transaction.id, fields, dispatch, db));
+    }
+
+    console.log(`Rules changed ${updated.length} transactions`);
+    return updated;
+  });
+};
@@ -1,4 +1,6 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { DEFAULT_CURRENCY } from '../../utils/money';
+import { totalInCurrency } from '../../utils/currency';
 
 // Helper function to ensure date values are serialized
 const serializeAccount = (account) => {
@@ -32,10 +34,25 @@ const serializeChanges = (changes) => {
   return result;
 };
 
+// Total every account in the home currency. Balances in currencies without
+// an exchange rate are left out and listed in missingCurrencies.
+const updateTotalBalance = (state) => {
+  const { total, missingCurrencies } = totalInCurrency(
+    state.accounts,
+    state.homeCurrency,
+    state.exchangeRates
+  );
+  state.totalBalance = total;
+  state.missingCurrencies = missingCurrencies;
+};
+
 const initialState = {
   accounts: [],
   totalBalance: 0,
   readyToAssign: 0,
+  homeCurrency: DEFAULT_CURRENCY,
+  exchangeRates: [],
+  missingCurrencies: [],
   status: 'idle',
   error: null,
 };
@@ -53,11 +70,7 @@ const accountsSlice = createSlice({
       state.accounts = action.payload.map(serializeAccount);
       
       // Calculate total balance from accounts
-      const totalBalance = action.payload.reduce(
-        (sum, account) => sum + account.currentBalance, 
-        0
-      );
-      state.totalBalance = totalBalance;
+      updateTotalBalance(state);
       state.error = null;
     },
     fetchAccountsFailure(state, action) {
@@ -67,7 +80,7 @@ const accountsSlice = createSlice({
     addAccountSuccess(state, action) {
       // Serialize the account before adding to state
       state.accounts.push(serializeAccount(action.payload));
-      state.totalBalance += action.payload.currentBalance;
+      updateTotalBalance(state);
     },
     updateAccountSuccess(state, action) {
       const { id, changes } = action.payload;
@@ -77,31 +90,31 @@ const accountsSlice = createSlice({
       const accountIndex = state.accounts.findIndex(account => account.id === id);
       
       if (accountIndex !== -1) {
-        const oldBalance = state.accounts[accountIndex].currentBalance;
-        
-        // Only update existing account properties
-        if (serializedChanges.currentBalance !== undefined) {
-          const balanceDifference = serializedChanges.currentBalance - oldBalance;
-          state.totalBalance += balanceDifference;
-        }
-        
         // Update account with changes
         state.accounts[accountIndex] = {
           ...state.accounts[accountIndex],
           ...serializedChanges
         };
+        updateTotalBalance(state);
       }
     },
     deleteAccountSuccess(state, action) {
       const deletedAccount = state.accounts.find(account => account.id === action.payload);
       if (deletedAccount) {
-        state.totalBalance -= deletedAccount.currentBalance;
         state.accounts = state.accounts.filter(account => account.id !== action.payload);
+        updateTotalBalance(state);
       }
     },
     updateReadyToAssign(state, action) {
       state.readyToAssign = action.payload;
     },
+    fetchCurrencySettingsSuccess(state, action) {
+      const { homeCurrency, exchangeRates } = action.payload;
+      state.homeCurrency = homeCurrency;
+      // Copy so freezing the state never freezes the cached records
+      state.exchangeRates = exchangeRates.map(rate => ({ ...rate }));
+      updateTotalBalance(state);
+    },
   },
 });
 
@@ -113,6 +126,7 @@ export const {
   updateAccountSuccess,
   deleteAccountSuccess,
   updateReadyToAssign,
+  fetchCurrencySettingsSuccess,
 } = accountsSlice.actions;
 
 export default accountsSlice.reducer;
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { format, subMonths } from 'date-fns';
+import { database, setupDatabase } from '../../db/setup';
+import { assignToBudget, getCategoryBudget } from '../budgetUtils';
+import { postTransaction, editTransaction } from '../../services/ledger';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+// Budgets can only be assigned up to the current month
+const thisMonth = new Date();
+const lastMonth = subMonths(thisMonth, 1);
+const monthOf = (date) => format(date, 'yyyy-MM');
+const dayIn = (date, day) => new Date(date.getFullYear(), date.getMonth(), day).getTime();
+
+describe('category budget balances', () => {
+  // What a month's transactions did to the category, negative when money was spent
+  const activity = {};
+  const spend = async (date, amount) => {
+    const transaction = await postTransaction({
+      type: 'expense', account_id: 'checking', category_id: 'food', amount, payee: 'Shop', date,
+    });
+    const month = monthOf(new Date(date));
+    activity[month] = (activity[month] || 0) - amount;
+    return transaction;
+  };
+  // available = startingBalance + assigned + activity
+  const expectBalanced = async (date) => {
+    const budget = await getCategoryBudget('food', monthOf(date));
+    expect(budget.available).toBe((budget.startingBalance || 0) + budget.assigned + (activity[monthOf(date)] || 0));
+    return budget;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await setupDatabase();
+    await database.collections.get('categories').create({ id: 'food', name: 'Food' });
+    await database.collections.get('accounts').create({
+      id: 'checking', name: 'Checking', accountType: 'checking', currentBalance: 100000, currency: 'USD',
+    });
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('keeps the month\'s spending when an amount is reassigned', async () => {
+    await assignToBudget('food', monthOf(lastMonth), 10000);
+    await spend(dayIn(lastMonth, 3), 3000);
+    await assignToBudget('food', monthOf(lastMonth), 12000);
+
+    const budget = await expectBalanced(lastMonth);
+    expect(budget.available).toBe(9000);
+  });
+
+  it('keeps the next month\'s spending when an earlier month changes', async () => {
+    await assignToBudget('food', monthOf(thisMonth), 5000);
+    await spend(dayIn(thisMonth, 2), 2000);
+    await expectBalanced(thisMonth);
+
+    const earlier = await spend(dayIn(lastMonth, 5), 1000);
+    await editTransaction(earlier.id, { amount: 1500 });
+    activity[monthOf(lastMonth)] -= 500;
+
+    await expectBalanced(lastMonth);
+    const budget = await expectBalanced(thisMonth);
+    expect(budget.startingBalance).toBe(7500);
+    expect(budget.available).toBe(10500);
+  });
+});
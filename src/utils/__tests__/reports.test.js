@@ -0,0 +1,131 @@
+import { getReportLines, spendingByCategory, buildReports } from '../reports';
+
+// Transaction dates are local times
+const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+const accounts = [
+  { id: 'checking', name: 'Checking', currency: 'USD' },
+  { id: 'visa', name: 'Visa', accountType: 'credit', currency: 'USD' },
+  { id: 'euro', name: 'Euro', currency: 'EUR' },
+  { id: 'brokerage', name: 'Brokerage', onBudget: false, currency: 'USD' },
+];
+const categories = [
+  { id: 'food', name: 'Food', color: '#f00' },
+  { id: 'rent', name: 'Rent', color: '#0f0' },
+  { id: 'visa-payment', name: 'Visa Payment', credit_account_id: 'visa' },
+];
+const data = { accounts, categories, homeCurrency: 'USD', exchangeRates: [] };
+
+const expense = (id, fields) => ({ id, type: 'expense', account_id: 'checking', date: day(2024, 2, 10), payee: '', ...fields });
+
+describe('getReportLines', () => {
+  it('gives a spending line per split of a split expense', () => {
+    const transactions = [expense('t1', { amount: 5000, payee: 'Market', is_split: true })];
+    const splits = [
+      { transaction_id: 't1', category_id: 'food', amount: 3000 },
+      { transaction_id: 't1', category_id: 'rent', amount: 2000 },
+    ];
+
+    const { spending } = getReportLines(transactions, { ...data, splits });
+    expect(spending.map(({ category_id, amount, month }) => ({ category_id, amount, month }))).toEqual([
+      { category_id: 'food', amount: 3000, month: '2024-02' },
+      { category_id: 'rent', amount: 2000, month: '2024-02' },
+    ]);
+  });
+
+  it('leaves out paying a credit card, counted when the card was used', () => {
+    const transactions = [
+      expense('t1', { account_id: 'visa', amount: 4000, category_id: 'food' }),
+      { id: 't2', type: 'transfer', transfer_direction: 'out', account_id: 'checking', transfer_account_id: 'visa',
+        category_id: 'visa-payment', amount: 4000, date: day(2024, 2, 20) },
+      { id: 't3', type: 'transfer', transfer_direction: 'in', account_id: 'visa', transfer_account_id: 'checking',
+        amount: 4000, date: day(2024, 2, 20) },
+    ];
+
+    const { spending } = getReportLines(transactions, data);
+    expect(spending.map(line => line.transaction_id)).toEqual(['t1']);
+  });
+
+  it('counts a categorised transfer to a tracking account as spending, and one back as negative', () => {
+    const transactions = [
+      { id: 't1', type: 'transfer', transfer_direction: 'out', account_id: 'checking', transfer_account_id: 'brokerage',
+        category_id: 'rent', amount: 1000, date: day(2024, 2, 1) },
+      { id: 't2', type: 'transfer', transfer_direction: 'in', account_id: 'checking', transfer_account_id: 'brokerage',
+        category_id: 'rent', amount: 300, date: day(2024, 2, 2) },
+    ];
+
+    expect(getReportLines(transactions, data).spending.map(line => line.amount)).toEqual([1000, -300]);
+  });
+
+  it('leaves opening balances out of income', () => {
+    const transactions = [
+      { id: 't1', type: 'income', account_id: 'checking', payee: 'Initial Balance', amount: 100000, date: day(2024, 2, 1) },
+      { id: 't2', type: 'income', account_id: 'checking', payee: 'Salary', amount: 250000, date: day(2024, 2, 28) },
+    ];
+
+    const { income } = getReportLines(transactions, data);
+    expect(income.map(({ payee, amount }) => ({ payee, amount }))).toEqual([{ payee: 'Salary', amount: 250000 }]);
+  });
+
+  it('converts to the home currency, preferring what was charged to the budget', () => {
+    const transactions = [
+      expense('t1', { account_id: 'euro', amount: 1000, budget_amount: 1100, category_id: 'food' }),
+      expense('t2', { account_id: 'euro', amount: 2000, category_id: 'food' }),
+    ];
+    const exchangeRates = [{ base_currency: 'EUR', quote_currency: 'USD', rate: 1.25 }];
+
+    const { spending, missingCurrencies } = getReportLines(transactions, { ...data, exchangeRates });
+    expect(spending.map(line => line.amount)).toEqual([1100, 2500]);
+    expect(missingCurrencies).toEqual([]);
+  });
+
+  it('leaves out amounts without an exchange rate and reports their currency', () => {
+    const transactions = [
+      expense('t1', { account_id: 'euro', amount: 2000, category_id: 'food' }),
+      expense('t2', { amount: 700, category_id: 'food' }),
+    ];
+
+    const { spending, missingCurrencies } = getReportLines(transactions, data);
+    expect(spending.map(line => line.transaction_id)).toEqual(['t2']);
+    expect(missingCurrencies).toEqual(['EUR']);
+  });
+});
+
+describe('spendingByCategory', () => {
+  it('totals categories largest first, with their share and what was assigned', () => {
+    const spending = [
+      { category_id: 'food', amount: 3000 },
+      { category_id: 'rent', amount: 6000 },
+      { category_id: null, amount: 1000 },
+    ];
+    const budgets = [{ category_id: 'rent', month: '2024-02', assigned: 6500 }];
+
+    expect(spendingByCategory(spending, categories, budgets)).toEqual([
+      { category_id: 'rent', name: 'Rent', color: '#0f0', amount: 6000, share: 0.6, assigned: 6500 },
+      { category_id: 'food', name: 'Food', color: '#f00', amount: 3000, share: 0.3, assigned: 0 },
+      { category_id: null, name: 'Uncategorized', color: '#9E9E9E', amount: 1000, share: 0.1, assigned: null },
+    ]);
+  });
+});
+
+describe('buildReports', () => {
+  it('totals a date range and set of accounts month by month', () => {
+    const transactions = [
+      expense('t1', { amount: 4000, category_id: 'food', date: day(2024, 1, 31) }),
+      expense('t2', { amount: 1500, category_id: 'food', date: day(2024, 2, 1) }),
+      expense('t3', { account_id: 'visa', amount: 999, category_id: 'food', date: day(2024, 2, 2) }),
+      { id: 't4', type: 'income', account_id: 'checking', payee: 'Salary', amount: 5000, date: day(2024, 2, 15) },
+    ];
+
+    const reports = buildReports({ ...data, transactions }, {
+      startDate: day(2024, 1, 1),
+      endDate: day(2024, 2, 29),
+      accountIds: ['checking'],
+    });
+    expect(reports.totals).toEqual({ income: 5000, expense: 5500, net: -500 });
+    expect(reports.byMonth).toEqual([
+      { month: '2024-01', income: 0, expense: 4000, net: -4000 },
+      { month: '2024-02', income: 5000, expense: 1500, net: 3500 },
+    ]);
+  });
+});
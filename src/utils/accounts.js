@@ -0,0 +1,69 @@
+// Account types and budget membership. Budget accounts hold the money that is
+// budgeted: their balances make up Ready to Assign and their spending is charged
+// to categories. Tracking (off-budget) accounts, such as investments, loans and
+// property, only count towards net worth.
+
+export const ACCOUNT_TYPES = [
+  { value: 'checking', label: 'Checking', icon: 'bank', onBudget: true },
+  { value: 'savings', label: 'Savings', icon: 'piggy-bank', onBudget: true },
+  { value: 'credit', label: 'Credit Card', icon: 'credit-card', onBudget: true, isLiability: true },
+  { value: 'cash', label: 'Cash', icon: 'cash', onBudget: true },
+  { value: 'investment', label: 'Investment', icon: 'chart-line', onBudget: false },
+  { value: 'loan', label: 'Loan', icon: 'hand-coin', onBudget: false, isLiability: true },
+  { value: 'mortgage', label: 'Mortgage', icon: 'home-city', onBudget: false, isLiability: true },
+  { value: 'asset', label: 'Other Asset', icon: 'home', onBudget: false },
+  { value: 'liability', label: 'Other Liability', icon: 'scale-unbalanced', onBudget: false, isLiability: true },
+];
+
+/**
+ * Look up an account type
+ * @param {string} type - Account type, e.g. 'checking'
+ * @returns {Object|null} - { value, label, icon, onBudget, isLiability }, or null if unknown
+ */
+export const getAccountType = (type) => ACCOUNT_TYPES.find(accountType => accountType.value === type?.toLowerCase()) || null;
+
+/**
+ * Name of an account type for display
+ * @param {string} type - Account type
+ * @returns {string} - e.g. "Credit Card"
+ */
+export const getAccountTypeLabel = (type) => getAccountType(type)?.label || type || 'Other';
+
+/**
+ * Icon for an account type
+ * @param {string} type - Account type
+ * @returns {string} - MaterialCommunityIcons name
+ */
+export const getAccountTypeIcon = (type) => getAccountType(type)?.icon || 'wallet';
+
+/**
+ * Whether an account type holds what is owed. Its balance is entered as the
+ * amount owed and stored as negative.
+ * @param {string} type - Account type
+ * @returns {boolean} - Whether it is a liability
+ */
+export const isLiabilityType = (type) => !!getAccountType(type)?.isLiability;
+
+/**
+ * Whether new accounts of a type are on budget unless chosen otherwise
+ * @param {string} type - Account type
+ * @returns {boolean} - Whether it defaults to a budget account
+ */
+export const isOnBudgetByDefault = (type) => getAccountType(type)?.onBudget !== false;
+
+/**
+ * Whether an account is off budget. Accounts are on budget unless marked otherwise.
+ * @param {Object} account - Account object
+ * @returns {boolean} - Whether it is a tracking account
+ */
+export const isOffBudget = (account) => !!account && account.onBudget === false;
+
+/**
+ * Split accounts into budget and tracking accounts
+ * @param {Array} accounts - Account objects
+ * @returns {Object} - { budget, tracking } arrays, in the order given
+ */
+export const groupAccountsByBudget = (accounts) => ({
+  budget: accounts.filter(account => !isOffBudget(account)),
+  tracking: accounts.filter(isOffBudget),
+});
@@ -0,0 +1,73 @@
+// Auto-assign options. Each works out what a category's assigned amount for a
+// month should become, from how the category did in the months before (its
+// budget trend - see utils/budgetTrends.js), its goal and its budget this month.
+// These helpers are pure; services/autoAssign.js loads the records.
+import { getTrendAverages } from './budgetTrends';
+
+export const AUTO_ASSIGN_METHODS = [
+  { key: 'lastAssigned', label: 'Assigned Last Month' },
+  { key: 'lastSpent', label: 'Spent Last Month' },
+  { key: 'average3', label: 'Average Spent (3 Months)', months: 3 },
+  { key: 'average6', label: 'Average Spent (6 Months)', months: 6 },
+  { key: 'average12', label: 'Average Spent (12 Months)', months: 12 },
+  { key: 'goal', label: 'Amount to Reach Goal' },
+  { key: 'underfunded', label: 'Underfunded Amount' },
+];
+
+// Months before the one being budgeted that the options look back over
+export const AUTO_ASSIGN_LOOKBACK_MONTHS = 12;
+
+/**
+ * Find an auto-assign option
+ * @param {string} key - Option key
+ * @returns {Object} - Entry of AUTO_ASSIGN_METHODS, or undefined
+ */
+export const getAutoAssignMethod = (key) => AUTO_ASSIGN_METHODS.find(method => method.key === key);
+
+/**
+ * What each auto-assign option would set a category's assigned amount to
+ * @param {Object} trend - Category trend from buildCategoryTrend over the AUTO_ASSIGN_LOOKBACK_MONTHS
+ *   months before the month being budgeted
+ * @param {Object} budget - The category's category_budgets record for the month, or null
+ * @param {Object} category - Category, for its goal_amount
+ * @returns {Object} - Amount keyed by option. The goal and underfunded options top up what is
+ *   already assigned; goal is null when the category has no goal.
+ */
+export const calculateAutoAssignAmounts = (trend, budget, category) => {
+  const last = trend.months[trend.months.length - 1];
+  const assigned = budget ? budget.assigned : 0;
+  const available = budget ? budget.available : (last ? last.available : 0);
+  const hasGoal = category.goal_amount !== null && category.goal_amount !== undefined;
+
+  const amounts = {
+    lastAssigned: last ? last.assigned : 0,
+    lastSpent: last ? Math.max(0, -last.activity) : 0,
+    goal: hasGoal ? assigned + Math.max(0, category.goal_amount - available) : null,
+    underfunded: assigned + Math.max(0, -available),
+  };
+  AUTO_ASSIGN_METHODS.filter(method => method.months).forEach(method => {
+    amounts[method.key] = getTrendAverages(trend.months.slice(-method.months)).spent;
+  });
+  return amounts;
+};
+
+/**
+ * Work out what auto-assigning every category with one option would change
+ * @param {Array} entries - { category, assigned, amount } per category, where amount is the option's
+ *   amount from calculateAutoAssignAmounts (null leaves the category as it is)
+ * @returns {Object} - { changes, total } where changes are { category_id, name, assigned, amount,
+ *   difference } for the categories whose amount changes and total is the sum of the differences
+ */
+export const buildAutoAssignPlan = (entries) => {
+  const changes = entries
+    .filter(entry => entry.amount !== null && entry.amount !== entry.assigned)
+    .map(entry => ({
+      category_id: entry.category.id,
+      name: entry.category.name,
+      assigned: entry.assigned,
+      amount: entry.amount,
+      difference: entry.amount - entry.assigned,
+    }));
+
+  return { changes, total: changes.reduce((sum, change) => sum + change.difference, 0) };
+};
@@ -0,0 +1,159 @@
+// Backup archives. An archive is a JSON object holding every collection as stored,
+// the schema version the records are at and a CRC-32 checksum of both, so a file
+// that was cut short or edited by hand is caught before it replaces any data.
+//   { format, formatVersion, schemaVersion, createdAt, checksum, collections }
+
+export const BACKUP_FORMAT = 'budgetwise-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = new Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+};
+
+/**
+ * CRC-32 of a string's UTF-8 bytes
+ * @param {string} text - Text to check
+ * @returns {string} - Checksum as eight hex digits
+ */
+export const crc32 = (text) => {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  const addByte = (byte) => {
+    crc = table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+    // Combine surrogate pairs into one code point
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      const next = text.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      addByte(code);
+    } else if (code < 0x800) {
+      addByte(0xc0 | (code >> 6));
+      addByte(0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      addByte(0xe0 | (code >> 12));
+      addByte(0x80 | ((code >> 6) & 0x3f));
+      addByte(0x80 | (code & 0x3f));
+    } else {
+      addByte(0xf0 | (code >> 18));
+      addByte(0x80 | ((code >> 12) & 0x3f));
+      addByte(0x80 | ((code >> 6) & 0x3f));
+      addByte(0x80 | (code & 0x3f));
+    }
+  }
+
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+};
+
+// The checksum covers the schema version and every record
+const archiveChecksum = (schemaVersion, collections) => crc32(JSON.stringify({ schemaVersion, collections }));
+
+/**
+ * Create a backup archive
+ * @param {Object} data - Archive contents
+ * @param {Object} data.collections - Records by collection name
+ * @param {number} data.schemaVersion - Schema version the records are at
+ * @param {Date} data.createdAt - When the backup was taken
+ * @returns {Object} - Archive, ready for JSON.stringify
+ */
+export const createBackupArchive = ({ collections, schemaVersion, createdAt = new Date() }) => ({
+  format: BACKUP_FORMAT,
+  formatVersion: BACKUP_FORMAT_VERSION,
+  schemaVersion,
+  createdAt: new Date(createdAt).toISOString(),
+  checksum: archiveChecksum(schemaVersion, collections),
+  collections,
+});
+
+/**
+ * Parse and check a backup archive before it is restored
+ * @param {string} text - Archive file contents
+ * @param {Object} options - What this version of the app can restore
+ * @param {number} options.schemaVersion - Current schema version; newer archives are rejected
+ * @param {Array} options.collectionNames - Collections the app knows about
+ * @returns {Object} - The archive
+ * @throws {Error} - Describing why the archive can't be restored
+ */
+export const parseBackupArchive = (text, { schemaVersion, collectionNames }) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not a valid backup (it is not JSON)');
+  }
+
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    throw new Error('The file is not a Budget Wise backup');
+  }
+  if (!Number.isInteger(archive.formatVersion) || archive.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error('The backup was made by a newer version of the app. Please update the app to restore it.');
+  }
+  if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 0) {
+    throw new Error('The backup has no valid schema version');
+  }
+  if (archive.schemaVersion > schemaVersion) {
+    throw new Error('The backup was made by a newer version of the app. Please update the app to restore it.');
+  }
+  if (!archive.collections || typeof archive.collections !== 'object' || Array.isArray(archive.collections)) {
+    throw new Error('The backup has no data');
+  }
+
+  Object.keys(archive.collections).forEach(name => {
+    if (!collectionNames.includes(name)) {
+      throw new Error(`The backup contains an unknown collection: ${name}`);
+    }
+
+    const records = archive.collections[name];
+    if (!Array.isArray(records)) {
+      throw new Error(`The ${name} data in the backup is not a list`);
+    }
+
+    const ids = new Set();
+    records.forEach(record => {
+      if (!record || typeof record !== 'object' || typeof record.id !== 'string' || !record.id) {
+        throw new Error(`The backup has a ${name} record without an ID`);
+      }
+      if (ids.has(record.id)) {
+        throw new Error(`The backup has two ${name} records with the ID ${record.id}`);
+      }
+      ids.add(record.id);
+    });
+  });
+
+  if (archive.checksum !== archiveChecksum(archive.schemaVersion, archive.collections)) {
+    throw new Error('The backup is damaged (its checksum does not match)');
+  }
+
+  return archive;
+};
+
+/**
+ * Count the records in each collection, for showing what a restore will replace
+ * @param {Object} collections - Records by collection name
+ * @param {Array} collectionNames - Collections to count
+ * @returns {Object} - Record counts by collection name
+ */
+export const countRecords = (collections, collectionNames) => collectionNames.reduce((counts, name) => {
+  counts[name] = (collections[name] || []).length;
+  return counts;
+}, {});
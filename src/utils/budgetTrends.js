@@ -0,0 +1,172 @@
+// Budget vs actual over time. Each category_budgets record holds a category's
+// month: what was carried in (startingBalance), assigned and left (available).
+// Activity is what the month's transactions did to it - negative when money was
+// spent - worked out from the transactions the way the reports add up spending.
+// These helpers are pure; services/budgetTrends.js loads the records.
+import { divideMoney } from './money';
+import { isPaymentCategory, getSpendingCategories } from './creditCards';
+import { getReportLines } from './reports';
+
+// Category groups, in budget screen order - see sortPaymentCategoriesLast
+export const CATEGORY_GROUPS = [
+  { key: 'spending', name: 'Spending', includes: category => !isPaymentCategory(category) },
+  { key: 'payments', name: 'Credit Card Payments', includes: isPaymentCategory },
+];
+
+const activityKey = (categoryId, month) => `${categoryId}|${month}`;
+
+/**
+ * What transactions did to each category month by month: the spending lines of
+ * getReportLines, negated. Spending on a credit card also moves the amount into the
+ * card's payment category, and paying the card spends it from there.
+ * @param {Array} transactions - Transactions
+ * @param {Object} data - Lookups, as for getReportLines
+ * @returns {Object} - Activity keyed by category and month, see getBudgetActivity
+ */
+export const getCategoryActivity = (transactions, data) => {
+  const categories = data.categories || [];
+  // The reports leave card payments out as spending counted twice. Here they
+  // spend the payment category, so it isn't passed as one.
+  const { spending } = getReportLines(transactions, { ...data, categories: getSpendingCategories(categories) });
+  const expenseIds = new Set(transactions.filter(transaction => transaction.type === 'expense').map(transaction => transaction.id));
+  const activity = {};
+  const add = (categoryId, month, amount) => {
+    const key = activityKey(categoryId, month);
+    activity[key] = (activity[key] || 0) + amount;
+  };
+
+  spending.forEach(line => {
+    if (line.category_id) {
+      add(line.category_id, line.month, -line.amount);
+    }
+    const paymentCategory = expenseIds.has(line.transaction_id) &&
+      categories.find(category => category.credit_account_id === line.account_id);
+    if (paymentCategory) {
+      add(paymentCategory.id, line.month, line.amount);
+    }
+  });
+
+  return activity;
+};
+
+/**
+ * Activity of a category's month
+ * @param {Object} activity - Activity from getCategoryActivity
+ * @param {string} categoryId - Category ID
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {number} - Change the month's transactions made to available, negative when money was spent
+ */
+export const getBudgetActivity = (activity, categoryId, month) => activity[activityKey(categoryId, month)] || 0;
+
+/**
+ * Average of an amount over months
+ * @param {Array} months - Month entries
+ * @param {Function} amountOf - Amount of an entry
+ * @returns {number} - Rounded average, 0 when there are no months
+ */
+const averageOf = (months, amountOf) => (months.length === 0 ? 0 :
+  divideMoney(months.reduce((sum, entry) => sum + amountOf(entry), 0), months.length));
+
+/**
+ * Averages over the months that have a budget
+ * @param {Array} months - Month entries from buildCategoryTrend
+ * @returns {Object} - { assigned, activity, spent } where spent is what was taken out, never negative
+ */
+export const getTrendAverages = (months) => {
+  const budgeted = months.filter(entry => entry.hasBudget);
+  return {
+    assigned: averageOf(budgeted, entry => entry.assigned),
+    activity: averageOf(budgeted, entry => entry.activity),
+    spent: averageOf(budgeted, entry => Math.max(0, -entry.activity)),
+  };
+};
+
+/**
+ * A category's assigned, activity and available month by month
+ * @param {Object} category - Category
+ * @param {Array} budgets - category_budgets records; other categories' are ignored
+ * @param {Array} months - Months in YYYY-MM format, oldest first
+ * @param {Object} activity - Activity from getCategoryActivity
+ * @returns {Object} - { category_id, name, color, months, averages, negativeMonths }. A month without
+ *   a budget record has nothing assigned and keeps what was available the month before.
+ */
+export const buildCategoryTrend = (category, budgets, months, activity = {}) => {
+  const categoryBudgets = budgets
+    .filter(budget => budget.category_id === category.id)
+    .sort((a, b) => a.month.localeCompare(b.month));
+
+  const entries = months.map(month => {
+    const budget = categoryBudgets.find(item => item.month === month);
+    if (!budget) {
+      const previous = categoryBudgets.filter(item => item.month < month).pop();
+      return {
+        month,
+        assigned: 0,
+        activity: getBudgetActivity(activity, category.id, month),
+        available: previous ? previous.available : 0,
+        hasBudget: false,
+      };
+    }
+    return {
+      month,
+      assigned: budget.assigned,
+      activity: getBudgetActivity(activity, category.id, month),
+      available: budget.available,
+      hasBudget: true,
+    };
+  });
+
+  return {
+    category_id: category.id,
+    name: category.name,
+    color: category.color,
+    months: entries,
+    averages: getTrendAverages(entries),
+    negativeMonths: entries.filter(entry => entry.available < 0).length,
+  };
+};
+
+/**
+ * Add up category trends month by month
+ * @param {Object} group - Entry of CATEGORY_GROUPS
+ * @param {Array} categoryTrends - Trends of the group's categories
+ * @param {Array} months - Months in YYYY-MM format, oldest first
+ * @returns {Object} - { key, name, months, averages, negativeMonths, categories }
+ */
+export const buildGroupTrend = (group, categoryTrends, months) => {
+  const entries = months.map((month, index) => categoryTrends.reduce((total, trend) => {
+    const entry = trend.months[index];
+    return {
+      ...total,
+      assigned: total.assigned + entry.assigned,
+      activity: total.activity + entry.activity,
+      available: total.available + entry.available,
+      hasBudget: total.hasBudget || entry.hasBudget,
+    };
+  }, { month, assigned: 0, activity: 0, available: 0, hasBudget: false }));
+
+  return {
+    key: group.key,
+    name: group.name,
+    months: entries,
+    averages: getTrendAverages(entries),
+    negativeMonths: entries.filter(entry => entry.available < 0).length,
+    categories: categoryTrends,
+  };
+};
+
+/**
+ * Build the budget trend report
+ * @param {Array} categories - Categories
+ * @param {Array} budgets - category_budgets records
+ * @param {Array} months - Months in YYYY-MM format, oldest first
+ * @param {Object} activity - Activity from getCategoryActivity
+ * @returns {Array} - Group trends from buildGroupTrend, leaving out groups without categories
+ */
+export const buildBudgetTrends = (categories, budgets, months, activity = {}) => CATEGORY_GROUPS
+  .map(group => buildGroupTrend(
+    group,
+    categories.filter(group.includes).map(category => buildCategoryTrend(category, budgets, months, activity)),
+    months
+  ))
+  .filter(group => group.categories.length > 0);
@@ -1,6 +1,11 @@
 import { database } from '../db/setup';
 import { format, parse, addMonths, isBefore, isSameMonth, parseISO, subMonths } from 'date-fns';
 import { Q } from '../db/query'; // Make sure Q is imported at the top level
+import { roundMinorUnits } from './money';
+import { totalInCurrency } from './currency';
+import { isCreditAccount, isPaymentCategory } from './creditCards';
+import { isOffBudget } from './accounts';
+import { getCurrencySettings } from '../services/currency';
 
 // Constants
 const MONTH_FORMAT = 'yyyy-MM';
@@ -72,6 +77,11 @@ const budgetCache = {
   }
 };
 
+// Cached values may come from a write that was rolled back, or from data a
+// restored backup replaced
+database.onRollback(() => budgetCache.clear());
+database.onReplace(() => budgetCache.clear());
+
 /**
  * Get the current month in YYYY-MM format
  */
@@ -183,13 +193,19 @@ export const getAccessibleMonths = async () => {
  */
 export const calculateReadyToAssign = async (month) => {
   try {
-    // Get total account balance
+    // Get total budget account balance, converted to the home currency budgets are kept in.
+    // Tracking accounts hold money that isn't budgeted.
     const accountsCollection = database.collections.get('accounts');
-    const accounts = await accountsCollection.query().fetch();
-    const totalAccountBalance = accounts.reduce(
-      (sum, account) => sum + account.currentBalance,
-      0
+    const accounts = (await accountsCollection.query().fetch()).filter(account => !isOffBudget(account));
+    const { homeCurrency, exchangeRates } = await getCurrencySettings();
+    const { total: totalAccountBalance, missingCurrencies } = totalInCurrency(
+      accounts,
+      homeCurrency,
+      exchangeRates
     );
+    if (missingCurrencies.length) {
+      console.warn(`No exchange rate from ${missingCurrencies.join(', ')} to ${homeCurrency} - left out of ready to assign`);
+    }
     
     // Get total assigned for current month and earlier
     const budgetsCollection = database.collections.get('category_budgets');
@@ -212,9 +228,10 @@ export const calculateReadyToAssign = async (month) => {
  * Get category budget for a specific month, explicit month-to-month balance tracking
  * @param {string} categoryId - Category ID
  * @param {string} month - Month in YYYY-MM format
+ * @param {Object} db - Database to write through, an action's own when called inside one
  * @returns {Promise<Object>} - Budget object or null
  */
-export const getCategoryBudget = async (categoryId, month) => {
+export const getCategoryBudget = async (categoryId, month, db = database) => {
   try {
     console.log(`Getting budget for ${categoryId} in ${month}`);
     
@@ -224,7 +241,7 @@ export const getCategoryBudget = async (categoryId, month) => {
       console.log(`Using cached budget data for ${categoryId} in ${month}: assigned=${cachedBudgetData.assigned}, available=${cachedBudgetData.available}`);
       
       // Find existing budget in database
-      const budgetsCollection = database.collections.get('category_budgets');
+      const budgetsCollection = db.collections.get('category_budgets');
       const budgets = await budgetsCollection.query().fetch();
       const existingBudget = budgets.find(
         b => b.category_id === categoryId && b.month === month
@@ -236,7 +253,7 @@ export const getCategoryBudget = async (categoryId, month) => {
     }
     
     // Find existing budget for this category and month
-    const budgetsCollection = database.collections.get('category_budgets');
+    const budgetsCollection = db.collections.get('category_budgets');
     const budgets = await budgetsCollection.query().fetch();
     const existingBudget = budgets.find(
       b => b.category_id === categoryId && b.month === month
@@ -271,10 +288,16 @@ export const getCategoryBudget = async (categoryId, month) => {
         b => b.category_id === categoryId && b.month === previousMonth
       );
       
+      // Only build the chain back as far as the category's earliest budget,
+      // otherwise there is nothing to carry over
+      const hasEarlierBudget = budgets.some(
+        b => b.category_id === categoryId && b.month < previousMonth
+      );
+
       // Create it via recursion if needed
-      if (!previousBudget) {
+      if (!previousBudget && hasEarlierBudget) {
         console.log(`CRITICAL: Previous month ${previousMonth} budget missing, creating chain`);
-        previousBudget = await getCategoryBudget(categoryId, previousMonth);
+        previousBudget = await getCategoryBudget(categoryId, previousMonth, db);
         console.log(`Created chain budget with available: ${previousBudget?.available || 0} for ${previousMonth}`);
       }
       
@@ -315,20 +338,21 @@ export const getCategoryBudget = async (categoryId, month) => {
  * Get category budget for a specific month, explicit month-to-month balance tracking
  * IMPORTANT: Renamed from getCategoryBudget (used by some components) to getOrCreateBudget (used by others)
  */
-export const getOrCreateBudget = async (categoryId, month) => {
+export const getOrCreateBudget = async (categoryId, month, db = database) => {
   // Also export with the old name for backward compatibility
-  return getCategoryBudget(categoryId, month);
+  return getCategoryBudget(categoryId, month, db);
 };
 
 /**
  * Assign money to a category budget
  * @param {string} categoryId - Category ID
  * @param {string} month - Month in YYYY-MM format
- * @param {number} amount - Amount to assign
+ * @param {number} amount - Amount to assign in minor units
  * @param {function} dispatch - Redux dispatch function
+ * @param {Object} db - Database to write through, an action's own when called inside one
  * @returns {Promise<Object|false>} - Updated budget or false if failed
  */
-export const assignToBudget = async (categoryId, month, amount, dispatch = null) => {
+export const assignToBudget = async (categoryId, month, amount, dispatch = null, db = database) => {
   try {
     // Ensure month is accessible
     if (!(await isMonthAccessible(month))) {
@@ -336,30 +360,33 @@ export const assignToBudget = async (categoryId, month, amount, dispatch = null)
     }
     
     // Get or create the budget
-    const budget = await getCategoryBudget(categoryId, month);
+    const budget = await getCategoryBudget(categoryId, month, db);
     if (!budget) {
       throw new Error('Failed to get or create budget');
     }
     
+    amount = roundMinorUnits(Number(amount));
+    
     // Calculate difference for readyToAssign
     const previousAssigned = budget.assigned;
     const difference = amount - previousAssigned;
     
-    // Calculate the new available balance
-    const newAvailable = (budget.startingBalance || 0) + amount;
+    // Move available by the change in assigned. available = startingBalance + assigned + activity
+    // (see repairBudgetChain), so this keeps what the month's transactions already did.
+    const newAvailable = budget.available + difference;
     
     // Update the budget
-    const budgetsCollection = database.collections.get('category_budgets');
+    const budgetsCollection = db.collections.get('category_budgets');
     await budgetsCollection.update(budget.id, {
-      assigned: parseFloat(amount),
-      available: parseFloat(newAvailable),
+      assigned: amount,
+      available: newAvailable,
       updatedAt: new Date()
     });
     
     // IMPORTANT: Update cache with new values then invalidate future months
     budgetCache.setBudgetData(categoryId, month, {
-      assigned: parseFloat(amount),
-      available: parseFloat(newAvailable)
+      assigned: amount,
+      available: newAvailable
     });
     budgetCache.invalidateForward(categoryId, format(addMonths(parseISO(`${month}-01`), 1), MONTH_FORMAT));
     
@@ -407,11 +434,26 @@ export const assignToBudget = async (categoryId, month, amount, dispatch = null)
 
 /**
  * Update budget from a transaction
- * @param {Object} transaction - Transaction object
+ * @param {Object} transaction - Transaction object. A split transaction has a splits array
+ *   of { category_id, amount } and each split updates its own category's budget.
  * @param {Object} oldTransaction - Previous transaction object (if updating)
- * @returns {Promise<Object|null>} - Updated budget or null
+ * @param {Object} db - Database to write through, an action's own when called inside one
+ * @returns {Promise<Object|Array|null>} - Updated budget, an array of them for a split transaction, or null
  */
-export const updateBudgetFromTransaction = async (transaction, oldTransaction = null) => {
+export const updateBudgetFromTransaction = async (transaction, oldTransaction = null, db = database) => {
+  if (transaction.type === 'expense' && Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+    const updatedBudgets = [];
+    for (const split of transaction.splits) {
+      updatedBudgets.push(await updateBudgetFromTransaction({
+        ...transaction,
+        category_id: split.category_id,
+        amount: split.amount,
+        splits: null
+      }, null, db));
+    }
+    return updatedBudgets;
+  }
+  
   // Skip if not an expense or no category
   if (transaction.type !== 'expense' || !transaction.category_id) {
     console.log('Skipping budget update: not an expense or no category');
@@ -439,10 +481,10 @@ export const updateBudgetFromTransaction = async (transaction, oldTransaction =
         console.log(`Transaction moved from ${oldTransactionMonth} to ${transactionMonth}`);
         
         // Get old month budget and add back the old amount
-        const oldBudget = await getCategoryBudget(transaction.category_id, oldTransactionMonth);
+        const oldBudget = await getCategoryBudget(transaction.category_id, oldTransactionMonth, db);
         if (oldBudget) {
           const newOldAvailable = oldBudget.available + oldTransaction.amount;
-          const budgetsCollection = database.collections.get('category_budgets');
+          const budgetsCollection = db.collections.get('category_budgets');
           await budgetsCollection.update(oldBudget.id, {
             available: newOldAvailable,
             updatedAt: new Date()
@@ -467,7 +509,7 @@ export const updateBudgetFromTransaction = async (transaction, oldTransaction =
     }
     
     // Get the budget for the transaction month
-    const budget = await getCategoryBudget(transaction.category_id, transactionMonth);
+    const budget = await getCategoryBudget(transaction.category_id, transactionMonth, db);
     
     if (!budget) {
       console.error(`Failed to get budget for transaction: category ${transaction.category_id}, month ${transactionMonth}`);
@@ -480,7 +522,7 @@ export const updateBudgetFromTransaction = async (transaction, oldTransaction =
     console.log(`Updating budget available from ${budget.available} to ${newAvailable}`);
     
     // Update the budget
-    const budgetsCollection = database.collections.get('category_budgets');
+    const budgetsCollection = db.collections.get('category_budgets');
     await budgetsCollection.update(budget.id, {
       available: newAvailable,
       updatedAt: new Date()
@@ -497,7 +539,7 @@ export const updateBudgetFromTransaction = async (transaction, oldTransaction =
     }
     
     // AGGRESSIVELY update future months recursively
-    await updateFutureMonths(transaction.category_id, transactionMonth, newAvailable);
+    await updateFutureMonths(transaction.category_id, transactionMonth, newAvailable, db);
     
     // Reload to confirm update
     const updatedBudget = await budgetsCollection.find(budget.id);
@@ -510,7 +552,7 @@ export const updateBudgetFromTransaction = async (transaction, oldTransaction =
 };
 
 // Helper function to recursively update future months
-const updateFutureMonths = async (categoryId, fromMonth, newStartingBalance) => {
+const updateFutureMonths = async (categoryId, fromMonth, newStartingBalance, db) => {
   const date = parseISO(`${fromMonth}-01`);
   const nextMonth = format(addMonths(date, 1), MONTH_FORMAT);
   
@@ -518,7 +560,7 @@ const updateFutureMonths = async (categoryId, fromMonth, newStartingBalance) =>
   
   try {
     // Check if a budget exists for next month
-    const budgetsCollection = database.collections.get('category_budgets');
+    const budgetsCollection = db.collections.get('category_budgets');
     const nextBudgets = await budgetsCollection.query(
       Q.where('category_id', categoryId),
       Q.where('month', nextMonth)
@@ -528,8 +570,8 @@ const updateFutureMonths = async (categoryId, fromMonth, newStartingBalance) =>
       const budget = nextBudgets[0];
       console.log(`Found future budget for ${nextMonth}: ${JSON.stringify(budget)}`);
       
-      // Calculate new available as: assigned + new starting balance
-      const newNextAvailable = budget.assigned + newStartingBalance;
+      // Move available by the change in starting balance, keeping the month's activity
+      const newNextAvailable = budget.available + newStartingBalance - (budget.startingBalance || 0);
       
       console.log(`Updating future month ${nextMonth}: old available=${budget.available}, new available=${newNextAvailable}`);
       
@@ -550,7 +592,7 @@ const updateFutureMonths = async (categoryId, fromMonth, newStartingBalance) =>
       }
       
       // Recursively update the following month
-      return await updateFutureMonths(categoryId, nextMonth, newNextAvailable);
+      return await updateFutureMonths(categoryId, nextMonth, newNextAvailable, db);
     } else {
       console.log(`No future budget found for ${nextMonth}. Chain update complete.`);
       return;
@@ -709,13 +751,39 @@ export const repairBudgetChain = async (startMonth, endMonth) => {
     
     // Get all transactions for activity calculations
     const transactionsCollection = database.collections.get('transactions');
+    // Transfers only carry a category when they move money in or out of the budget
     const transactions = await transactionsCollection.query(
-      Q.where('type', 'expense')
+      Q.where('type', Q.oneOf(['expense', 'transfer']))
     ).fetch();
     
+    // Split expenses are charged through their split lines, each to its own category
+    const splits = await database.collections.get('transaction_splits').query().fetch();
+    const transactionsById = {};
+    transactions.forEach(tx => {
+      transactionsById[tx.id] = tx;
+    });
+    const splitLines = splits
+      .filter(split => transactionsById[split.transaction_id])
+      .map(split => ({
+        ...transactionsById[split.transaction_id],
+        category_id: split.category_id,
+        amount: split.amount,
+        budget_amount: split.budget_amount
+      }));
+    
+    // Spending on a credit card also moves the money into the card's payment category
+    const accounts = await database.collections.get('accounts').query().fetch();
+    const creditAccountIds = accounts.filter(isCreditAccount).map(account => account.id);
+    const paymentCategoryIds = {};
+    categories.filter(isPaymentCategory).forEach(category => {
+      if (creditAccountIds.includes(category.credit_account_id)) {
+        paymentCategoryIds[category.credit_account_id] = category.id;
+      }
+    });
+    
     // Create a map to calculate transaction activity by category and month
     const activityMap = {};
-    transactions.forEach(tx => {
+    [...transactions, ...splitLines].forEach(tx => {
       if (!tx.category_id) return;
       
       // Handle date correctly whether it's timestamp or ISO string
@@ -735,11 +803,19 @@ export const repairBudgetChain = async (startMonth, endMonth) => {
         activityMap[key] = 0;
       }
       
-      // Add the transaction amount (negative since expenses reduce available)
-      activityMap[key] -= parseFloat(tx.amount);
+      // Add the transaction amount in the home currency (negative since expenses reduce available,
+      // positive for a transfer into the budget)
+      const budgetAmount = Number(tx.budget_amount !== undefined && tx.budget_amount !== null ? tx.budget_amount : tx.amount);
+      activityMap[key] += tx.type === 'transfer' && tx.transfer_direction === 'in' ? budgetAmount : -budgetAmount;
+      
+      const paymentCategoryId = tx.type === 'expense' && paymentCategoryIds[tx.account_id];
+      if (paymentCategoryId) {
+        const paymentKey = `${paymentCategoryId}-${txMonth}`;
+        activityMap[paymentKey] = (activityMap[paymentKey] || 0) + budgetAmount;
+      }
     });
     
-    console.log(`Found ${transactions.length} expense transactions for budget repair`);
+    console.log(`Found ${transactions.length} expense and transfer transactions for budget repair`);
     console.log('Transaction activity by category and month:');
     Object.keys(activityMap).forEach(key => {
       console.log(`${key}: ${activityMap[key]}`);
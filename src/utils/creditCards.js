@@ -0,0 +1,46 @@
+// Credit card helpers. A credit account's balance is what is owed, so it is
+// negative. Each card has a payment category, linked by credit_account_id:
+// spending on the card moves the money from the spending category into it, and
+// paying the card with a transfer spends it, so the payment is already budgeted.
+
+export const PAYMENT_CATEGORY_ICON = 'credit-card';
+export const PAYMENT_CATEGORY_COLOR = '#607D8B';
+
+/**
+ * Whether an account is a credit card
+ * @param {Object} account - Account object
+ * @returns {boolean} - Whether it is a credit account
+ */
+export const isCreditAccount = (account) => !!account && account.accountType === 'credit';
+
+/**
+ * Name of a card's payment category
+ * @param {Object} account - Credit account
+ * @returns {string} - e.g. "Visa Payment"
+ */
+export const paymentCategoryName = (account) => `${account.name} Payment`;
+
+/**
+ * Whether a category is a credit card payment category
+ * @param {Object} category - Category object
+ * @returns {boolean} - Whether it belongs to a credit account
+ */
+export const isPaymentCategory = (category) => !!category && !!category.credit_account_id;
+
+/**
+ * The categories money can be spent from. Payment categories are left out - they
+ * are only spent by paying the card.
+ * @param {Array} categories - Category objects
+ * @returns {Array} - Categories that aren't payment categories
+ */
+export const getSpendingCategories = (categories) => categories.filter(category => !isPaymentCategory(category));
+
+/**
+ * Order categories for the budget: spending categories, then payment categories
+ * @param {Array} categories - Category objects
+ * @returns {Array} - Sorted copy
+ */
+export const sortPaymentCategoriesLast = (categories) => [
+  ...getSpendingCategories(categories),
+  ...categories.filter(isPaymentCategory),
+];
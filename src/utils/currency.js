@@ -0,0 +1,134 @@
+// Exchange-rate lookup and conversion between currencies. A rate record says
+// one unit of base_currency buys `rate` units of quote_currency, and can be
+// used in either direction. These helpers are pure - the rate table itself is
+// stored in the exchange_rates collection (see services/currency.js).
+import { getCurrency, isCurrencyCode, roundMinorUnits } from './money';
+
+/**
+ * Find the rate that converts one unit of `from` into `to`
+ * @param {string} from - Currency code to convert from
+ * @param {string} to - Currency code to convert to
+ * @param {Array} rates - Exchange rate records
+ * @returns {number|null} - The rate, or null if the table can't connect the currencies
+ */
+export const findExchangeRate = (from, to, rates = []) => {
+  if (from === to) return 1;
+
+  // Direct or inverse pair, preferring the most recently dated rate
+  const directRate = (a, b) => {
+    let best = null;
+    rates.forEach(rate => {
+      let value = null;
+      if (rate.base_currency === a && rate.quote_currency === b) {
+        value = rate.rate;
+      } else if (rate.base_currency === b && rate.quote_currency === a && rate.rate) {
+        value = 1 / rate.rate;
+      }
+      if (value && (!best || (rate.date || 0) > (best.date || 0))) {
+        best = { value, date: rate.date };
+      }
+    });
+    return best ? best.value : null;
+  };
+
+  const direct = directRate(from, to);
+  if (direct) return direct;
+
+  // Cross rate through a currency both sides have a rate for, e.g. EUR -> USD -> JPY
+  const linked = new Set();
+  rates.forEach(rate => {
+    linked.add(rate.base_currency);
+    linked.add(rate.quote_currency);
+  });
+  for (const via of linked) {
+    if (via === from || via === to) continue;
+    const first = directRate(from, via);
+    const second = first && directRate(via, to);
+    if (second) return first * second;
+  }
+
+  return null;
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Integer minor units of `from`
+ * @param {string} from - Currency code of the amount
+ * @param {string} to - Currency code to convert to
+ * @param {Array} rates - Exchange rate records
+ * @returns {number|null} - Integer minor units of `to`, or null if there is no rate
+ */
+export const convertMoney = (amount, from, to, rates = []) => {
+  if (from === to) return amount;
+
+  const rate = findExchangeRate(from, to, rates);
+  if (!rate) return null;
+
+  // Currencies can have different numbers of decimal places (JPY 0, JOD 3)
+  const scale = 10 ** (getCurrency(to).decimals - getCurrency(from).decimals);
+  return roundMinorUnits(amount * rate * scale);
+};
+
+/**
+ * Total the balances of accounts held in different currencies
+ * @param {Array} accounts - Accounts with currentBalance and currency
+ * @param {string} homeCurrency - Currency to total in
+ * @param {Array} rates - Exchange rate records
+ * @returns {Object} - { total, missingCurrencies } where missingCurrencies lists the
+ *   currencies left out of the total because there is no rate for them
+ */
+export const totalInCurrency = (accounts, homeCurrency, rates = []) => {
+  const missing = new Set();
+
+  const total = accounts.reduce((sum, account) => {
+    const currency = account.currency || homeCurrency;
+    const converted = convertMoney(account.currentBalance || 0, currency, homeCurrency, rates);
+    if (converted === null) {
+      missing.add(currency);
+      return sum;
+    }
+    return sum + converted;
+  }, 0);
+
+  return { total, missingCurrencies: [...missing] };
+};
+
+/**
+ * Parse exchange rates pasted or imported as text, one per line:
+ * "EUR,USD,1.08" or "EUR,USD,1.08,2024-01-31". A header line and blank lines are skipped.
+ * @param {string} text - Rates as text
+ * @returns {Object} - { rates, errors } where errors are { line, message }
+ */
+export const parseExchangeRates = (text) => {
+  const rates = [];
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const [base, quote, rateText, dateText] = line.split(/[,;\t]/).map(part => part.trim());
+    const base_currency = (base || '').toUpperCase();
+    const quote_currency = (quote || '').toUpperCase();
+
+    // Header row, e.g. "base,quote,rate,date"
+    if (index === 0 && isNaN(parseFloat(rateText))) return;
+
+    const rate = Number(rateText);
+    const date = dateText ? new Date(dateText).getTime() : Date.now();
+
+    if (!isCurrencyCode(base_currency) || !isCurrencyCode(quote_currency)) {
+      errors.push({ line: index + 1, message: 'Currencies must be three-letter codes' });
+    } else if (base_currency === quote_currency) {
+      errors.push({ line: index + 1, message: 'Currencies must be different' });
+    } else if (!Number.isFinite(rate) || rate <= 0) {
+      errors.push({ line: index + 1, message: 'Rate must be a positive number' });
+    } else if (isNaN(date)) {
+      errors.push({ line: index + 1, message: 'Date is invalid' });
+    } else {
+      rates.push({ base_currency, quote_currency, rate, date });
+    }
+  });
+
+  return { rates, errors };
+};
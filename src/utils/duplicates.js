@@ -0,0 +1,152 @@
+// Duplicate matching. Two transactions are likely duplicates when they are in the
+// same account with the same type and amount, are dated within a few days of each
+// other and have similar payees. Payees are compared loosely because a bank
+// statement and a person rarely write a name the same way ("AMAZON MKTP US*2K4"
+// against "Amazon").
+
+import { differenceInCalendarDays } from 'date-fns';
+
+export const DUPLICATE_DATE_WINDOW_DAYS = 3;
+export const PAYEE_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Reduce a payee to lower-case words, dropping punctuation and reference numbers
+ * @param {string} payee - Payee name
+ * @returns {string} - Normalised payee
+ */
+export const normalizePayee = (payee) => String(payee || '')
+  .toLowerCase()
+  .replace(/[.,'"`*#&_/\\()[\]{}:;!?@+=~|<>-]+/g, ' ')
+  .replace(/\S*\d\S*/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Pairs of adjacent characters, counted, for the Dice coefficient
+const bigrams = (text) => {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Score how alike two payees are
+ * @param {string} a - Payee name
+ * @param {string} b - Payee name
+ * @returns {number} - From 0 (nothing in common) to 1 (the same, or one contains the other)
+ */
+export const payeeSimilarity = (a, b) => {
+  const left = normalizePayee(a).replace(/ /g, '');
+  const right = normalizePayee(b).replace(/ /g, '');
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  if (shorter.length >= 3 && longer.includes(shorter)) return 1;
+  if (shorter.length < 2) return 0;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let shared = 0;
+  leftPairs.forEach((count, pair) => {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+  });
+
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+};
+
+/**
+ * Check whether two transactions look like the same one entered twice.
+ * Transfers are never matched; their legs are already linked to each other.
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @param {Object} options - Matching options
+ * @param {number} options.dateWindowDays - Most days apart the two can be
+ * @param {number} options.minPayeeSimilarity - Lowest payeeSimilarity that counts as a match
+ * @returns {boolean} - Whether b is likely a duplicate of a
+ */
+export const isLikelyDuplicate = (a, b, {
+  dateWindowDays = DUPLICATE_DATE_WINDOW_DAYS,
+  minPayeeSimilarity = PAYEE_SIMILARITY_THRESHOLD,
+} = {}) => {
+  if (a.id && a.id === b.id) return false;
+  if (a.type === 'transfer' || b.type === 'transfer') return false;
+  if (a.account_id !== b.account_id) return false;
+
+  // The same bank transaction imported twice, whatever its details
+  if (a.import_id && b.import_id) {
+    if (a.import_id === b.import_id) return true;
+    // Different bank IDs are different transactions, even for identical purchases
+    return false;
+  }
+
+  if (a.type !== b.type || a.amount !== b.amount) return false;
+  if (Math.abs(differenceInCalendarDays(new Date(a.date), new Date(b.date))) > dateWindowDays) return false;
+
+  return payeeSimilarity(a.payee, b.payee) >= minPayeeSimilarity;
+};
+
+/**
+ * Find the transactions a transaction likely duplicates
+ * @param {Object} transaction - Transaction to check
+ * @param {Array} candidates - Transactions to check it against
+ * @param {Object} options - Matching options (see isLikelyDuplicate)
+ * @returns {Array} - Matching candidates, closest in date first
+ */
+export const findDuplicateMatches = (transaction, candidates, options) => {
+  const date = new Date(transaction.date).getTime();
+  return candidates
+    .filter(candidate => isLikelyDuplicate(transaction, candidate, options))
+    .sort((a, b) => Math.abs(new Date(a.date).getTime() - date) - Math.abs(new Date(b.date).getTime() - date));
+};
+
+/**
+ * Find every pair of likely duplicates in a set of transactions
+ * @param {Array} transactions - Transactions to search
+ * @param {Object} options - Matching options (see isLikelyDuplicate)
+ * @returns {Array} - Pairs as [older, newer], most recent pair first
+ */
+export const findDuplicatePairs = (transactions, options = {}) => {
+  const dateWindowDays = options.dateWindowDays ?? DUPLICATE_DATE_WINDOW_DAYS;
+
+  // Only transactions with the same amount, or the same bank ID, can match,
+  // so compare within those groups rather than every pair
+  const groups = {};
+  const addToGroup = (key, transaction) => {
+    (groups[key] = groups[key] || []).push(transaction);
+  };
+  transactions.forEach(transaction => {
+    if (transaction.type === 'transfer') return;
+    addToGroup(`${transaction.account_id}|${transaction.type}|${transaction.amount}`, transaction);
+    if (transaction.import_id) {
+      addToGroup(`${transaction.account_id}|import|${transaction.import_id}`, transaction);
+    }
+  });
+
+  const pairs = [];
+  const seen = new Set();
+  Object.keys(groups).forEach(key => {
+    const isImportGroup = key.includes('|import|');
+    const sorted = [...groups[key]].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    sorted.forEach((transaction, index) => {
+      for (let i = index + 1; i < sorted.length; i++) {
+        const other = sorted[i];
+        if (!isImportGroup &&
+            differenceInCalendarDays(new Date(other.date), new Date(transaction.date)) > dateWindowDays) {
+          break;
+        }
+
+        const pairKey = [transaction.id, other.id].sort().join('|');
+        if (!seen.has(pairKey) && isLikelyDuplicate(transaction, other, options)) {
+          seen.add(pairKey);
+          pairs.push([transaction, other]);
+        }
+      }
+    });
+  });
+
+  return pairs.sort((a, b) => new Date(b[1].date) - new Date(a[1].date));
+};
@@ -0,0 +1,140 @@
+// CSV builders for data export. Pure functions over plain records, so the
+// spreadsheet layout can be checked without a database. Amounts are written
+// as plain decimals in their own currency, dates as yyyy-MM-dd.
+
+import { format } from 'date-fns';
+import { formatMoneyInput } from './money';
+import { isOffBudget } from './accounts';
+
+const escapeCsvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Join a header row and data rows into CSV text
+ * @param {Array} headers - Column names
+ * @param {Array} rows - Rows as arrays of cell values
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export const toCsv = (headers, rows) =>
+  [headers, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+
+const formatDate = (value) => (value ? format(new Date(value), 'yyyy-MM-dd') : '');
+
+const byId = (records) => records.reduce((lookup, record) => {
+  lookup[record.id] = record;
+  return lookup;
+}, {});
+
+// Money leaving the account (expenses and outgoing transfers) is negative
+const isOutflow = (transaction) =>
+  transaction.type === 'expense' || (transaction.type === 'transfer' && transaction.transfer_direction !== 'in');
+
+/**
+ * Build the transactions CSV. A split transaction is written as one row per split,
+ * sharing the transaction's ID, so category totals add up in a spreadsheet.
+ * @param {Array} transactions - Transaction records
+ * @param {Object} lookups - Related records
+ * @param {Array} lookups.accounts - Account records
+ * @param {Array} lookups.categories - Category records
+ * @param {Array} lookups.splits - Split records of the split transactions
+ * @returns {string} - CSV text
+ */
+export const buildTransactionsCsv = (transactions, { accounts = [], categories = [], splits = [] }) => {
+  const accountsById = byId(accounts);
+  const categoriesById = byId(categories);
+  const splitsByTransaction = splits.reduce((grouped, split) => {
+    (grouped[split.transaction_id] = grouped[split.transaction_id] || []).push(split);
+    return grouped;
+  }, {});
+
+  const rows = [];
+  [...transactions]
+    .sort((a, b) => a.date - b.date)
+    .forEach(transaction => {
+      const account = accountsById[transaction.account_id];
+      const currency = account?.currency;
+      const sign = isOutflow(transaction) ? -1 : 1;
+      const row = (categoryId, amount, notes) => [
+        formatDate(transaction.date),
+        account?.name || '',
+        transaction.payee,
+        transaction.type,
+        categoriesById[categoryId]?.name || '',
+        formatMoneyInput(sign * amount, currency),
+        currency || '',
+        notes || '',
+        accountsById[transaction.transfer_account_id]?.name || '',
+        transaction.id,
+      ];
+
+      const transactionSplits = transaction.is_split ? splitsByTransaction[transaction.id] : null;
+      if (transactionSplits && transactionSplits.length > 0) {
+        transactionSplits.forEach(split => {
+          rows.push(row(split.category_id, split.amount, split.memo || transaction.notes));
+        });
+      } else {
+        rows.push(row(transaction.category_id, transaction.amount, transaction.notes));
+      }
+    });
+
+  return toCsv(
+    ['Date', 'Account', 'Payee', 'Type', 'Category', 'Amount', 'Currency', 'Notes', 'Transfer Account', 'Transaction ID'],
+    rows
+  );
+};
+
+/**
+ * Build the accounts CSV
+ * @param {Array} accounts - Account records
+ * @returns {string} - CSV text
+ */
+export const buildAccountsCsv = (accounts) => toCsv(
+  ['Name', 'Type', 'Budget', 'Currency', 'Initial Balance', 'Current Balance', 'Account ID'],
+  accounts.map(account => [
+    account.name,
+    account.accountType,
+    isOffBudget(account) ? 'Tracking' : 'On Budget',
+    account.currency,
+    formatMoneyInput(account.initialBalance, account.currency),
+    formatMoneyInput(account.currentBalance, account.currency),
+    account.id,
+  ])
+);
+
+/**
+ * Build the categories CSV
+ * @param {Array} categories - Category records
+ * @returns {string} - CSV text
+ */
+export const buildCategoriesCsv = (categories) => toCsv(
+  ['Name', 'Icon', 'Color', 'Category ID'],
+  categories.map(category => [category.name, category.icon, category.color, category.id])
+);
+
+/**
+ * Build the monthly category budgets CSV, oldest month first
+ * @param {Array} budgets - Category budget records
+ * @param {Array} categories - Category records
+ * @param {string} homeCurrency - Currency budgets are kept in
+ * @returns {string} - CSV text
+ */
+export const buildCategoryBudgetsCsv = (budgets, categories, homeCurrency) => {
+  const categoriesById = byId(categories);
+  const categoryName = (budget) => categoriesById[budget.category_id]?.name || '';
+
+  return toCsv(
+    ['Month', 'Category', 'Starting Balance', 'Assigned', 'Available', 'Currency'],
+    [...budgets]
+      .sort((a, b) => a.month.localeCompare(b.month) || categoryName(a).localeCompare(categoryName(b)))
+      .map(budget => [
+        budget.month,
+        categoryName(budget),
+        formatMoneyInput(budget.startingBalance, homeCurrency),
+        formatMoneyInput(budget.assigned, homeCurrency),
+        formatMoneyInput(budget.available, homeCurrency),
+        homeCurrency,
+      ])
+  );
+};
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCsvStatement, detectDelimiter, getCsvColumns, DEFAULT_CSV_MAPPING } from '../csv';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Statement dates are local midnight
+const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+describe('parseCsvStatement', () => {
+  describe('single signed amount column', () => {
+    const mapping = { ...DEFAULT_CSV_MAPPING, memoColumn: 3 };
+    const { rows, errors } = parseCsvStatement(readFixture('checking.csv'), mapping, 'USD');
+
+    it('reads dates, amounts in minor units and payees', () => {
+      expect(rows.map(({ date, amount, payee }) => ({ date, amount, payee }))).toEqual([
+        { date: day(2024, 1, 31), amount: 123456, payee: 'Salary' },
+        { date: day(2024, 2, 1), amount: -1234, payee: 'Corner Shop, Main St' },
+        { date: day(2024, 2, 2), amount: -500, payee: 'Joe\'s "Best" Coffee' },
+        { date: day(2024, 2, 3), amount: -750, payee: 'Refund' },
+        { date: day(2024, 2, 5), amount: 300, payee: 'Line\nbreak' },
+      ]);
+    });
+
+    it('keeps the memo column and the line each row starts on', () => {
+      expect(rows[0].memo).toBe('January pay');
+      expect(rows[1].memo).toBe('');
+      expect(rows.map(row => row.line)).toEqual([2, 3, 4, 5, 9]);
+    });
+
+    it('reports rows with an impossible date or a non-numeric amount', () => {
+      expect(errors).toEqual([
+        { line: 7, message: 'Date doesn\'t match yyyy-MM-dd' },
+        { line: 8, message: 'Amount is not a number' },
+      ]);
+    });
+  });
+
+  it('reads debit and credit columns with decimal commas', () => {
+    const text = readFixture('european.csv');
+    const { rows, errors } = parseCsvStatement(text, {
+      ...DEFAULT_CSV_MAPPING,
+      delimiter: detectDelimiter(text),
+      dateFormat: 'dd.MM.yyyy',
+      amountMode: 'debitCredit',
+      debitColumn: 2,
+      creditColumn: 3,
+      decimalSeparator: ',',
+    }, 'EUR');
+
+    expect(errors).toEqual([]);
+    expect(rows.map(({ date, amount, payee }) => ({ date, amount, payee }))).toEqual([
+      { date: day(2024, 1, 31), amount: -123456, payee: 'Miete' },
+      { date: day(2024, 2, 1), amount: 250000, payee: 'Gehalt' },
+      { date: day(2024, 2, 2), amount: -320, payee: 'Bäckerei' },
+    ]);
+  });
+
+  it('flips the sign of card exports where payments are positive', () => {
+    const { rows } = parseCsvStatement(readFixture('card.csv'), {
+      ...DEFAULT_CSV_MAPPING,
+      hasHeader: false,
+      dateFormat: 'MM/dd/yyyy',
+      amountSign: 'outflowPositive',
+    }, 'USD');
+
+    expect(rows.map(({ date, amount, payee }) => ({ date, amount, payee }))).toEqual([
+      { date: day(2024, 1, 31), amount: -2599, payee: 'AMAZON MKTPLACE' },
+      { date: day(2024, 2, 1), amount: 50000, payee: 'PAYMENT THANK YOU' },
+    ]);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('ignores delimiters inside quotes', () => {
+    expect(detectDelimiter('"a;b;c",d,e\n')).toBe(',');
+    expect(detectDelimiter(readFixture('european.csv'))).toBe(';');
+  });
+});
+
+describe('getCsvColumns', () => {
+  it('names columns from the header, skipping a byte order mark', () => {
+    expect(getCsvColumns(readFixture('checking.csv'))).toEqual(['Date', 'Description', 'Amount', 'Notes']);
+  });
+
+  it('numbers the columns of a file without a header', () => {
+    expect(getCsvColumns(readFixture('card.csv'), { hasHeader: false })).toEqual(['Column 1', 'Column 2', 'Column 3']);
+  });
+});
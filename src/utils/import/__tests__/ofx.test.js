@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { parseOfxStatement, parseOfxDate, getOfxCurrency } from '../ofx';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Statement dates are local midnight
+const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+describe('parseOfxStatement', () => {
+  it('reads an OFX 1.x (SGML) statement without closing tags', () => {
+    const text = readFixture('sgml.ofx');
+    const { rows, errors } = parseOfxStatement(text, getOfxCurrency(text));
+
+    expect(rows.map(({ date, amount, payee, memo, reference }) => ({ date, amount, payee, memo, reference }))).toEqual([
+      { date: day(2024, 1, 31), amount: -4567, payee: 'Smith & Sons', memo: 'Hardware', reference: '2024013101' },
+      { date: day(2024, 2, 1), amount: 150000, payee: 'PAYROLL', memo: '', reference: '2024020101' },
+    ]);
+    expect(errors).toEqual([{ line: 23, message: 'Transaction has no valid DTPOSTED date' }]);
+  });
+
+  it('reads an OFX 2.x (XML) QFX file with decimal commas', () => {
+    const text = readFixture('xml.qfx');
+    const { rows, errors } = parseOfxStatement(text, getOfxCurrency(text));
+
+    expect(rows.map(({ date, amount, payee, reference }) => ({ date, amount, payee, reference }))).toEqual([
+      { date: day(2024, 3, 15), amount: -1234, payee: 'Café Nord', reference: '1001' },
+    ]);
+    expect(errors).toEqual([{ line: 14, message: 'Transaction has no valid TRNAMT amount' }]);
+  });
+
+  it('uses the account currency\'s minor units', () => {
+    const text = '<STMTTRN><DTPOSTED>20240105<TRNAMT>-1500<NAME>Ramen';
+    expect(parseOfxStatement(text, 'JPY').rows[0].amount).toBe(-1500);
+    expect(parseOfxStatement(text, 'KWD').rows[0].amount).toBe(-1500000);
+  });
+});
+
+describe('parseOfxDate', () => {
+  it('keeps only the calendar day, whatever the time zone', () => {
+    expect(parseOfxDate('20240131')).toBe(day(2024, 1, 31));
+    expect(parseOfxDate('20240131235959.000[+14:LINT]')).toBe(day(2024, 1, 31));
+  });
+
+  it('rejects dates that don\'t exist', () => {
+    expect(parseOfxDate('20240230')).toBeNaN();
+    expect(parseOfxDate('2024-01-31')).toBeNaN();
+  });
+});
+
+describe('getOfxCurrency', () => {
+  it('reads <CURDEF> in either case', () => {
+    expect(getOfxCurrency(readFixture('sgml.ofx'))).toBe('USD');
+    expect(getOfxCurrency(readFixture('xml.qfx'))).toBe('EUR');
+    expect(getOfxCurrency('<OFX></OFX>')).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { parseQifStatement, parseQifDate } from '../qif';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Statement dates are local midnight
+const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+describe('parseQifStatement', () => {
+  const { rows, errors } = parseQifStatement(readFixture('checking.qif'), 'USD');
+
+  it('reads dates, amounts in minor units and payees', () => {
+    expect(rows.map(({ date, amount, payee }) => ({ date, amount, payee }))).toEqual([
+      { date: day(2024, 1, 31), amount: -123456, payee: 'Landlord' },
+      { date: day(2024, 2, 5), amount: 25000, payee: 'Deposit' },
+      { date: day(2024, 2, 10), amount: -6000, payee: 'Supermarket' },
+      { date: day(1999, 3, 1), amount: -999, payee: 'No closing caret' },
+    ]);
+  });
+
+  it('keeps the memo and check number', () => {
+    expect(rows[0]).toMatchObject({ memo: 'Rent', reference: '101', line: 2 });
+    expect(rows[1]).toMatchObject({ memo: '', reference: null });
+  });
+
+  it('imports split transactions with their total', () => {
+    expect(rows[2]).toMatchObject({ amount: -6000, memo: '', line: 14 });
+  });
+
+  it('reports records with an impossible date', () => {
+    expect(errors).toEqual([{ line: 23, message: 'Transaction has no valid date' }]);
+  });
+
+  it('reads day-first dates and bracketed amounts', () => {
+    const result = parseQifStatement(readFixture('dmy.qif'), 'USD', 'dmy');
+    expect(result.errors).toEqual([]);
+    expect(result.rows.map(({ date, amount, payee }) => ({ date, amount, payee }))).toEqual([
+      { date: day(2024, 1, 31), amount: -1999, payee: 'Streaming' },
+      { date: day(2024, 2, 1), amount: -500, payee: 'Fee' },
+    ]);
+  });
+});
+
+describe('parseQifDate', () => {
+  it('reads Quicken\'s apostrophe years as 2000 onwards', () => {
+    expect(parseQifDate("12/31'99")).toBe(day(2099, 12, 31));
+    expect(parseQifDate('12/31/99')).toBe(day(1999, 12, 31));
+    expect(parseQifDate('1/2/05')).toBe(day(2005, 1, 2));
+  });
+
+  it('follows the date order', () => {
+    expect(parseQifDate('03/04/2024', 'mdy')).toBe(day(2024, 3, 4));
+    expect(parseQifDate('03/04/2024', 'dmy')).toBe(day(2024, 4, 3));
+    expect(parseQifDate('31/01/2024', 'mdy')).toBeNaN();
+  });
+});
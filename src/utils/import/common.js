@@ -0,0 +1,77 @@
+// Shared helpers for the bank statement parsers. Every parser is pure and returns
+// { rows, errors }: rows are { date, amount, payee, memo, reference, line } with the
+// date as a timestamp and the amount in signed minor units (positive = money into
+// the account); errors are { line, message } for rows that were skipped.
+
+import { parse, isValid } from 'date-fns';
+import { parseMoney } from '../money';
+
+// Date formats offered when mapping a CSV date column (date-fns tokens)
+export const DATE_FORMATS = [
+  'yyyy-MM-dd',
+  'MM/dd/yyyy',
+  'dd/MM/yyyy',
+  'dd.MM.yyyy',
+  'M/d/yy',
+  'd/M/yy',
+  'yyyyMMdd',
+];
+
+/**
+ * Parse an amount as printed on a statement into signed minor units.
+ * Handles "-12.34", "12.34-", "(12.34)", "1.234,56" and stray currency symbols.
+ * @param {string} text - Amount text
+ * @param {string} currency - Currency code of the account
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number} - Integer minor units, or NaN if the text isn't an amount
+ */
+export const parseStatementAmount = (text, currency, decimalSeparator = '.') => {
+  let value = String(text === undefined || text === null ? '' : text).trim();
+  let negative = false;
+
+  if (/^\(.*\)$/.test(value)) {
+    negative = true;
+    value = value.slice(1, -1);
+  }
+  if (/-$/.test(value)) {
+    negative = true;
+    value = value.slice(0, -1);
+  }
+
+  value = value.replace(/[^\d.,+-]/g, '');
+  value = decimalSeparator === ','
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+
+  const amount = parseMoney(value, currency);
+  if (isNaN(amount)) return NaN;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Parse a statement date with a date-fns format, e.g. "dd/MM/yyyy"
+ * @param {string} text - Date text
+ * @param {string} dateFormat - date-fns format string
+ * @returns {number} - Timestamp at local midnight, or NaN if the text doesn't match
+ */
+export const parseStatementDate = (text, dateFormat) => {
+  const value = String(text || '').trim();
+  if (!value) return NaN;
+
+  const date = parse(value, dateFormat, new Date());
+  return isValid(date) ? date.getTime() : NaN;
+};
+
+/**
+ * Build a parsed row, trimming the text fields
+ * @param {Object} fields - date, amount, payee, memo, reference and line
+ * @returns {Object} - Statement row
+ */
+export const createStatementRow = ({ date, amount, payee, memo, reference, line }) => ({
+  date,
+  amount,
+  payee: (payee || '').trim(),
+  memo: (memo || '').trim(),
+  reference: reference ? String(reference).trim() : null,
+  line,
+});
@@ -0,0 +1,179 @@
+// CSV statement parser. Banks lay out their exports differently, so columns are
+// picked by a mapping the user sets up once per bank:
+//   hasHeader        - first row holds column names
+//   delimiter        - ',', ';' or '\t'; null to detect from the first line
+//   dateColumn       - index of the date column
+//   dateFormat       - date-fns format of the dates, see DATE_FORMATS
+//   payeeColumn      - index of the payee/description column
+//   memoColumn       - index of an extra notes column, or null
+//   amountMode       - 'single' for one signed amount column, 'debitCredit' for two
+//   amountColumn     - index of the amount column in 'single' mode
+//   amountSign       - 'inflowPositive' if deposits are positive, 'outflowPositive' if
+//                      payments are (as on many credit card exports)
+//   debitColumn      - index of the money-out column in 'debitCredit' mode
+//   creditColumn     - index of the money-in column in 'debitCredit' mode
+//   decimalSeparator - '.' or ','
+
+import { parseStatementAmount, parseStatementDate, createStatementRow } from './common';
+
+export const DEFAULT_CSV_MAPPING = {
+  hasHeader: true,
+  delimiter: null,
+  dateColumn: 0,
+  dateFormat: 'yyyy-MM-dd',
+  payeeColumn: 1,
+  memoColumn: null,
+  amountMode: 'single',
+  amountColumn: 2,
+  amountSign: 'inflowPositive',
+  debitColumn: null,
+  creditColumn: null,
+  decimalSeparator: '.',
+};
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter of a CSV file from its first line
+ * @param {string} text - CSV text
+ * @returns {string} - ',', ';' or '\t'
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = String(text || '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  return DELIMITERS.reduce((best, delimiter) =>
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  , DELIMITERS[0]);
+};
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may contain delimiters,
+ * line breaks and doubled quotes. Blank lines are dropped.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array} - Rows as { cells, line } with the 1-based line each row starts on
+ */
+export const readCsvRows = (text, delimiter = ',') => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      rows.push({ cells, line: rowLine });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else if (char === '\r' && source[i + 1] === '\n') {
+        // A quoted line break in a CRLF file reads as "\n", like the rows around it
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Read the column names of a CSV file for the mapping screen
+ * @param {string} text - CSV text
+ * @param {Object} mapping - Column mapping, only hasHeader and delimiter are used
+ * @returns {Array} - Column names, or "Column 1", "Column 2"... without a header
+ */
+export const getCsvColumns = (text, mapping = DEFAULT_CSV_MAPPING) => {
+  const [first] = readCsvRows(text, mapping.delimiter || detectDelimiter(text));
+  if (!first) return [];
+
+  return first.cells.map((cell, index) =>
+    (mapping.hasHeader && cell.trim()) ? cell.trim() : `Column ${index + 1}`
+  );
+};
+
+const cellAt = (cells, index) => (index === null || index === undefined ? '' : (cells[index] || '').trim());
+
+// Signed amount of a row from either one amount column or a debit/credit pair
+const readAmount = (cells, mapping, currency) => {
+  const decimalSeparator = mapping.decimalSeparator || '.';
+
+  if (mapping.amountMode === 'debitCredit') {
+    const debitText = cellAt(cells, mapping.debitColumn);
+    const creditText = cellAt(cells, mapping.creditColumn);
+    const debit = debitText ? parseStatementAmount(debitText, currency, decimalSeparator) : 0;
+    const credit = creditText ? parseStatementAmount(creditText, currency, decimalSeparator) : 0;
+    if (isNaN(debit) || isNaN(credit)) return NaN;
+    return Math.abs(credit) - Math.abs(debit);
+  }
+
+  const amount = parseStatementAmount(cellAt(cells, mapping.amountColumn), currency, decimalSeparator);
+  return mapping.amountSign === 'outflowPositive' ? -amount : amount;
+};
+
+/**
+ * Parse a CSV statement with a column mapping
+ * @param {string} text - CSV text
+ * @param {Object} mapping - Column mapping (see DEFAULT_CSV_MAPPING)
+ * @param {string} currency - Currency code of the account
+ * @returns {Object} - { rows, errors } where errors are { line, message }
+ */
+export const parseCsvStatement = (text, mapping = DEFAULT_CSV_MAPPING, currency) => {
+  const options = { ...DEFAULT_CSV_MAPPING, ...mapping };
+  const rows = [];
+  const errors = [];
+
+  const csvRows = readCsvRows(text, options.delimiter || detectDelimiter(text));
+  const dataRows = options.hasHeader ? csvRows.slice(1) : csvRows;
+
+  dataRows.forEach(({ cells, line }) => {
+    const date = parseStatementDate(cellAt(cells, options.dateColumn), options.dateFormat);
+    const amount = readAmount(cells, options, currency);
+
+    if (isNaN(date)) {
+      errors.push({ line, message: `Date doesn't match ${options.dateFormat}` });
+    } else if (isNaN(amount)) {
+      errors.push({ line, message: 'Amount is not a number' });
+    } else {
+      rows.push(createStatementRow({
+        date,
+        amount,
+        payee: cellAt(cells, options.payeeColumn),
+        memo: cellAt(cells, options.memoColumn),
+        line,
+      }));
+    }
+  });
+
+  return { rows, errors };
+};
@@ -0,0 +1,77 @@
+// OFX/QFX statement parser. OFX 1.x is SGML where closing tags are optional and
+// OFX 2.x is XML; both are read by tag name, one <STMTTRN> block per transaction.
+// Quicken's QFX is OFX with a few extra tags, so it needs nothing special.
+
+import { parseStatementAmount, createStatementRow } from './common';
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ' };
+
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, entity => ENTITIES[entity]);
+
+// Value of the first <TAG> in a block, up to the next tag or line break
+const readTag = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+/**
+ * Parse an OFX date such as "20240131", "20240131120000" or "20240131120000.000[-5:EST]".
+ * Only the calendar day is kept, so a statement reads the same in every time zone.
+ * @param {string} text - OFX date
+ * @returns {number} - Timestamp at local midnight, or NaN if the date is invalid
+ */
+export const parseOfxDate = (text) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(text || '').trim());
+  if (!match) return NaN;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date.getTime() : NaN;
+};
+
+/**
+ * Read the currency a statement is in, from its <CURDEF> tag
+ * @param {string} text - OFX text
+ * @returns {string|null} - Currency code, or null if the file doesn't say
+ */
+export const getOfxCurrency = (text) => readTag(String(text || ''), 'CURDEF').toUpperCase() || null;
+
+/**
+ * Parse an OFX or QFX statement
+ * @param {string} text - OFX text
+ * @param {string} currency - Currency code of the account
+ * @returns {Object} - { rows, errors } where errors are { line, message }
+ */
+export const parseOfxStatement = (text, currency) => {
+  const source = String(text || '');
+  const rows = [];
+  const errors = [];
+  const blockPattern = /<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi;
+  let match;
+
+  while ((match = blockPattern.exec(source)) !== null) {
+    const block = match[1];
+    const line = source.slice(0, match.index).split('\n').length;
+    const date = parseOfxDate(readTag(block, 'DTPOSTED'));
+    // Amounts always use '.' unless the file is from a locale that writes '12,34'
+    const amountText = readTag(block, 'TRNAMT');
+    const amount = parseStatementAmount(amountText, currency, /,\d+$/.test(amountText) ? ',' : '.');
+
+    if (isNaN(date)) {
+      errors.push({ line, message: 'Transaction has no valid DTPOSTED date' });
+    } else if (isNaN(amount)) {
+      errors.push({ line, message: 'Transaction has no valid TRNAMT amount' });
+    } else {
+      rows.push(createStatementRow({
+        date,
+        amount,
+        payee: readTag(block, 'NAME') || readTag(block, 'PAYEE'),
+        memo: readTag(block, 'MEMO'),
+        reference: readTag(block, 'FITID') || readTag(block, 'CHECKNUM') || null,
+        line,
+      }));
+    }
+  }
+
+  return { rows, errors };
+};
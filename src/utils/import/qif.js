@@ -0,0 +1,97 @@
+// QIF statement parser. A QIF file is a list of records separated by "^" lines;
+// each line in a record starts with a one-letter field code:
+//   D date, T/U amount, P payee, M memo, N check number, L category
+// Lines starting with "!" are headers such as "!Type:Bank". Split lines (S, E, $)
+// are ignored; the transaction is imported with its total.
+
+import { parseStatementAmount, createStatementRow } from './common';
+
+// Orders QIF dates can be written in, as offered on the import screen
+export const QIF_DATE_ORDERS = {
+  mdy: 'Month/Day/Year',
+  dmy: 'Day/Month/Year',
+};
+
+/**
+ * Parse a QIF date such as "1/31/2024", "1/31'24", " 1/31/24" or "31.01.2024".
+ * Quicken writes two-digit years after an apostrophe for 2000 onwards.
+ * @param {string} text - QIF date
+ * @param {string} order - 'mdy' or 'dmy'
+ * @returns {number} - Timestamp at local midnight, or NaN if the date is invalid
+ */
+export const parseQifDate = (text, order = 'mdy') => {
+  const value = String(text || '').replace(/\s/g, '');
+  const parts = value.split(/[/'.-]/);
+  if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) return NaN;
+
+  const [first, second, yearText] = parts.map(Number);
+  const [month, day] = order === 'dmy' ? [second, first] : [first, second];
+  let year = yearText;
+  if (parts[2].length <= 2) {
+    year += value.includes("'") || yearText < 70 ? 2000 : 1900;
+  }
+
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date.getTime() : NaN;
+};
+
+/**
+ * Parse a QIF statement
+ * @param {string} text - QIF text
+ * @param {string} currency - Currency code of the account
+ * @param {string} dateOrder - 'mdy' or 'dmy'
+ * @returns {Object} - { rows, errors } where errors are { line, message }
+ */
+export const parseQifStatement = (text, currency, dateOrder = 'mdy') => {
+  const rows = [];
+  const errors = [];
+  let record = {};
+  let recordLine = null;
+
+  const endRecord = () => {
+    if (recordLine === null) return;
+
+    const date = parseQifDate(record.D, dateOrder);
+    const amount = parseStatementAmount(record.T || record.U, currency);
+
+    if (isNaN(date)) {
+      errors.push({ line: recordLine, message: 'Transaction has no valid date' });
+    } else if (isNaN(amount)) {
+      errors.push({ line: recordLine, message: 'Transaction has no valid amount' });
+    } else {
+      rows.push(createStatementRow({
+        date,
+        amount,
+        payee: record.P,
+        memo: record.M,
+        reference: record.N,
+        line: recordLine,
+      }));
+    }
+
+    record = {};
+    recordLine = null;
+  };
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) return;
+
+    if (line.startsWith('^')) {
+      endRecord();
+      return;
+    }
+
+    const code = line[0];
+    if (recordLine === null) recordLine = index + 1;
+    // Keep the first of each field; split lines repeat codes we don't use
+    if (record[code] === undefined) {
+      record[code] = line.slice(1);
+    }
+  });
+
+  // Some exports leave off the final "^"
+  endRecord();
+
+  return { rows, errors };
+};
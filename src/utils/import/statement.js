@@ -0,0 +1,57 @@
+// Entry point for parsing a bank statement file of any supported format
+
+import { parseCsvStatement, DEFAULT_CSV_MAPPING } from './csv';
+import { parseOfxStatement } from './ofx';
+import { parseQifStatement } from './qif';
+
+export const STATEMENT_FORMATS = {
+  csv: 'CSV',
+  ofx: 'OFX / QFX',
+  qif: 'QIF',
+};
+
+/**
+ * Work out the format of a statement file from its name, then its contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, if known
+ * @returns {string} - 'csv', 'ofx' or 'qif'
+ */
+export const detectStatementFormat = (text, fileName = '') => {
+  const extension = (String(fileName).split('.').pop() || '').toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+  if (extension === 'csv') return 'csv';
+
+  const start = String(text || '').trimStart().slice(0, 500);
+  if (/OFXHEADER|<OFX>/i.test(start)) return 'ofx';
+  if (/^!(Type|Account|Option)/i.test(start)) return 'qif';
+  return 'csv';
+};
+
+/**
+ * Parse a statement file into rows
+ * @param {string} text - File contents
+ * @param {Object} options - Parse options
+ * @param {string} options.format - 'csv', 'ofx' or 'qif'
+ * @param {string} options.currency - Currency code of the account
+ * @param {Object} options.csvMapping - Column mapping for CSV files
+ * @param {string} options.qifDateOrder - 'mdy' or 'dmy' for QIF files
+ * @returns {Object} - { rows, errors } sorted oldest first
+ */
+export const parseStatement = (text, { format, currency, csvMapping = DEFAULT_CSV_MAPPING, qifDateOrder = 'mdy' }) => {
+  let result;
+  if (format === 'ofx') {
+    result = parseOfxStatement(text, currency);
+  } else if (format === 'qif') {
+    result = parseQifStatement(text, currency, qifDateOrder);
+  } else if (format === 'csv') {
+    result = parseCsvStatement(text, csvMapping, currency);
+  } else {
+    throw new Error(`Unsupported statement format: ${format}`);
+  }
+
+  return {
+    rows: [...result.rows].sort((a, b) => a.date - b.date || a.line - b.line),
+    errors: result.errors,
+  };
+};
@@ -0,0 +1,172 @@
+// Money helpers. Amounts are stored and calculated as integers in minor units
+// (cents) so repeated edits never drift; convert only at the edges, when
+// parsing user input and when formatting for display. Each amount is in the
+// currency of the account it belongs to; budget amounts are in the home currency.
+
+export const MINOR_UNIT_DECIMALS = 2;
+export const DEFAULT_CURRENCY = 'USD';
+
+// Currencies offered in pickers. Any other ISO 4217 code still works, shown
+// with its code as the symbol and two decimal places.
+export const CURRENCIES = {
+  USD: { name: 'US Dollar', symbol: '$', decimals: 2 },
+  EUR: { name: 'Euro', symbol: '€', decimals: 2 },
+  GBP: { name: 'British Pound', symbol: '£', decimals: 2 },
+  JPY: { name: 'Japanese Yen', symbol: '¥', decimals: 0 },
+  CAD: { name: 'Canadian Dollar', symbol: 'CA$', decimals: 2 },
+  AUD: { name: 'Australian Dollar', symbol: 'A$', decimals: 2 },
+  CHF: { name: 'Swiss Franc', symbol: 'CHF ', decimals: 2 },
+  INR: { name: 'Indian Rupee', symbol: '₹', decimals: 2 },
+  AED: { name: 'UAE Dirham', symbol: 'AED ', decimals: 2 },
+  SAR: { name: 'Saudi Riyal', symbol: 'SAR ', decimals: 2 },
+  JOD: { name: 'Jordanian Dinar', symbol: 'JOD ', decimals: 3 },
+  KWD: { name: 'Kuwaiti Dinar', symbol: 'KWD ', decimals: 3 },
+};
+
+/**
+ * Check that a value looks like an ISO 4217 currency code, e.g. "EUR"
+ * @param {*} code - Value to check
+ * @returns {boolean} - Whether the value is a three-letter upper-case code
+ */
+export const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Get display details for a currency
+ * @param {string} code - Currency code, defaults to DEFAULT_CURRENCY
+ * @returns {Object} - { code, name, symbol, decimals }
+ */
+export const getCurrency = (code = DEFAULT_CURRENCY) => {
+  const currencyCode = code || DEFAULT_CURRENCY;
+  const known = CURRENCIES[currencyCode];
+  if (known) {
+    return { code: currencyCode, ...known };
+  }
+  return { code: currencyCode, name: currencyCode, symbol: `${currencyCode} `, decimals: MINOR_UNIT_DECIMALS };
+};
+
+// Minor units per major unit, e.g. 100 for USD and 1 for JPY
+const unitsPerMajor = (currency) => 10 ** getCurrency(currency).decimals;
+
+/**
+ * Round to a whole number of minor units, halves away from zero
+ * @param {number} value - Amount in (possibly fractional) minor units
+ * @returns {number} - Integer minor units
+ */
+export const roundMinorUnits = (value) => {
+  const rounded = Math.round(Math.abs(value));
+  if (rounded === 0) return 0;
+  return value < 0 ? -rounded : rounded;
+};
+
+/**
+ * Convert a major-unit amount (e.g. 12.34 dollars) to minor units (1234 cents)
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code, defaults to DEFAULT_CURRENCY
+ * @returns {number} - Integer minor units
+ */
+export const toMinorUnits = (amount, currency) => {
+  // toPrecision drops float noise such as 1.005 * 100 = 100.49999999999999
+  return roundMinorUnits(Number((Number(amount) * unitsPerMajor(currency)).toPrecision(15)));
+};
+
+/**
+ * Convert minor units back to a major-unit number, e.g. for charts
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - Currency code, defaults to DEFAULT_CURRENCY
+ * @returns {number} - Amount in major units
+ */
+export const fromMinorUnits = (minor, currency) => minor / unitsPerMajor(currency);
+
+/**
+ * Parse user input such as "1,234.56", "$12" or "-5.5" into minor units
+ * @param {string|number} input - Text from an input, or a major-unit number
+ * @param {string} currency - Currency code, defaults to DEFAULT_CURRENCY
+ * @returns {number} - Integer minor units, or NaN if the input isn't an amount
+ */
+export const parseMoney = (input, currency) => {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? toMinorUnits(input, currency) : NaN;
+  }
+
+  const { symbol, decimals } = getCurrency(currency);
+  const text = String(input === undefined || input === null ? '' : input)
+    .split(symbol.trim()).join('')
+    .replace(/[\s,$]/g, '');
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) return NaN;
+
+  const [, sign, whole = '', fraction = ''] = match;
+  let minor = parseInt(whole || '0', 10) * 10 ** decimals +
+    (decimals ? parseInt(fraction.padEnd(decimals, '0').slice(0, decimals), 10) : 0);
+
+  // Extra decimal places round half away from zero
+  if (fraction.length > decimals && fraction[decimals] >= '5') {
+    minor += 1;
+  }
+
+  return sign === '-' && minor !== 0 ? -minor : minor;
+};
+
+// Split minor units into whole and fraction digits for a currency
+const splitMinorUnits = (absolute, decimals) => {
+  const perMajor = 10 ** decimals;
+  return {
+    whole: Math.floor(absolute / perMajor).toString(),
+    fraction: decimals ? String(absolute % perMajor).padStart(decimals, '0') : '',
+  };
+};
+
+/**
+ * Format minor units for display, e.g. 123456 -> "$1,234.56", -500 -> "-$5.00"
+ * @param {number} minor - Integer minor units
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.showPlus - Prefix positive amounts with "+"
+ * @param {string} options.currency - Currency code, defaults to DEFAULT_CURRENCY
+ * @param {string} options.symbol - Symbol to use instead of the currency's, '' for none
+ * @returns {string} - Formatted amount
+ */
+export const formatMoney = (minor, { showPlus = false, currency, symbol } = {}) => {
+  const details = getCurrency(currency);
+  const value = roundMinorUnits(Number(minor) || 0);
+  const { whole, fraction } = splitMinorUnits(Math.abs(value), details.decimals);
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const sign = value < 0 ? '-' : (showPlus && value > 0 ? '+' : '');
+
+  return `${sign}${symbol !== undefined ? symbol : details.symbol}${grouped}${fraction ? `.${fraction}` : ''}`;
+};
+
+/**
+ * Format minor units as plain text for an editable input, e.g. 123456 -> "1234.56"
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - Currency code, defaults to DEFAULT_CURRENCY
+ * @returns {string} - Amount without symbol or grouping
+ */
+export const formatMoneyInput = (minor, currency) => {
+  const value = roundMinorUnits(Number(minor) || 0);
+  const { whole, fraction } = splitMinorUnits(Math.abs(value), getCurrency(currency).decimals);
+
+  return `${value < 0 ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+/**
+ * Multiply an amount by a factor (a rate, a share) and round to minor units
+ * @param {number} minor - Integer minor units
+ * @param {number} factor - Multiplier
+ * @returns {number} - Integer minor units
+ */
+export const multiplyMoney = (minor, factor) => roundMinorUnits(minor * factor);
+
+/**
+ * Divide an amount (e.g. for an average) and round to minor units
+ * @param {number} minor - Integer minor units
+ * @param {number} divisor - Divisor
+ * @returns {number} - Integer minor units
+ */
+export const divideMoney = (minor, divisor) => roundMinorUnits(minor / divisor);
+
+/**
+ * Check that a value is a valid stored amount
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is an integer number of minor units
+ */
+export const isMinorUnits = (value) => Number.isInteger(value);
@@ -0,0 +1,155 @@
+// Net worth helpers. An account's balance at the end of a month is its current
+// balance less every transaction dated after that month; net worth is the total
+// of the accounts holding money (assets) less those owing it (liabilities), in
+// the home currency. These helpers are pure - snapshots of closed months are
+// stored by services/netWorth.js.
+import { format, parseISO, endOfMonth, subMonths } from 'date-fns';
+import { convertMoney } from './currency';
+import { getAccountAmount } from './reconciliation';
+
+const MONTH_FORMAT = 'yyyy-MM';
+
+/**
+ * List the months up to and including a month
+ * @param {string} endMonth - Last month in YYYY-MM format
+ * @param {number} count - Number of months
+ * @returns {Array} - Months in YYYY-MM format, oldest first
+ */
+export const getMonthsEnding = (endMonth, count) => {
+  const end = parseISO(`${endMonth}-01`);
+  const months = [];
+  for (let i = count - 1; i >= 0; i--) {
+    months.push(format(subMonths(end, i), MONTH_FORMAT));
+  }
+  return months;
+};
+
+/**
+ * Last moment of a month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {number} - Timestamp
+ */
+export const getMonthEnd = (month) => endOfMonth(parseISO(`${month}-01`)).getTime();
+
+/**
+ * When an account starts counting towards net worth: when it was created, or at
+ * its first transaction if that is earlier, since transactions can be entered
+ * with dates before the account was added
+ * @param {Object} account - Account with createdAt
+ * @param {Array} transactions - The account's transactions
+ * @returns {number|null} - Timestamp, or null if the account has neither
+ */
+export const getAccountStart = (account, transactions) => {
+  const created = account.createdAt ? new Date(account.createdAt).getTime() : NaN;
+  return transactions.reduce((start, transaction) => (
+    isNaN(transaction.date) || (start !== null && start <= transaction.date) ? start : transaction.date
+  ), isNaN(created) ? null : created);
+};
+
+/**
+ * Work out an account's balance at the end of each month from its transactions
+ * @param {Object} account - Account with currentBalance and createdAt
+ * @param {Array} transactions - The account's transactions
+ * @param {Array} months - Months in YYYY-MM format
+ * @returns {Object} - Balance in the account's currency by month, null for months before the
+ *   account started (see getAccountStart)
+ */
+export const getMonthEndBalances = (account, transactions, months) => {
+  const start = getAccountStart(account, transactions);
+  // Walk back from the current balance, newest transactions first
+  const newestFirst = [...transactions].sort((a, b) => b.date - a.date);
+  const balances = {};
+  let balance = account.currentBalance || 0;
+  let index = 0;
+  [...months].sort().reverse().forEach(month => {
+    const monthEnd = getMonthEnd(month);
+    while (index < newestFirst.length && newestFirst[index].date > monthEnd) {
+      balance -= getAccountAmount(newestFirst[index]);
+      index++;
+    }
+    balances[month] = start === null || start <= monthEnd ? balance : null;
+  });
+  return balances;
+};
+
+/**
+ * Total account balances into net worth
+ * @param {Array} balances - { account_id, name, accountType, balance, currency } with balances in
+ *   the account's currency
+ * @param {Object} settings - Currency settings
+ * @param {string} settings.homeCurrency - Currency to total in
+ * @param {Array} settings.exchangeRates - Exchange rate records
+ * @returns {Object} - { assets, liabilities, netWorth, accounts, missingCurrencies } in the home
+ *   currency; liabilities are a positive amount owed. Accounts in a currency without an exchange
+ *   rate are left out and their currencies listed in missingCurrencies.
+ */
+export const summarizeNetWorth = (balances, { homeCurrency, exchangeRates = [] }) => {
+  const missing = new Set();
+  const accounts = [];
+  balances.forEach(({ currency, ...entry }) => {
+    const balance = convertMoney(entry.balance, currency || homeCurrency, homeCurrency, exchangeRates);
+    if (balance === null) {
+      missing.add(currency);
+      return;
+    }
+    accounts.push({ ...entry, balance });
+  });
+
+  const assets = accounts.reduce((sum, account) => (account.balance > 0 ? sum + account.balance : sum), 0);
+  const liabilities = accounts.reduce((sum, account) => (account.balance < 0 ? sum - account.balance : sum), 0);
+  return { assets, liabilities, netWorth: assets - liabilities, accounts, missingCurrencies: [...missing] };
+};
+
+/**
+ * Rebuild net worth at the end of each month from the accounts and their transactions
+ * @param {Array} accounts - Account objects
+ * @param {Array} transactions - Transactions of those accounts
+ * @param {Array} months - Months in YYYY-MM format
+ * @param {Object} settings - { homeCurrency, exchangeRates }
+ * @returns {Array} - { month, assets, liabilities, netWorth, accounts, missingCurrencies } per month
+ */
+export const buildNetWorthHistory = (accounts, transactions, months, settings) => {
+  const byAccount = {};
+  transactions.forEach(transaction => {
+    (byAccount[transaction.account_id] = byAccount[transaction.account_id] || []).push(transaction);
+  });
+  const monthEndBalances = accounts.map(account => getMonthEndBalances(account, byAccount[account.id] || [], months));
+
+  return months.map(month => ({
+    month,
+    ...summarizeNetWorth(
+      accounts
+        .map((account, index) => ({
+          account_id: account.id,
+          name: account.name,
+          accountType: account.accountType,
+          balance: monthEndBalances[index][month],
+          currency: account.currency,
+        }))
+        .filter(entry => entry.balance !== null),
+      settings
+    ),
+  }));
+};
+
+/**
+ * Add the change since the month before to each month and each of its accounts
+ * @param {Array} history - Months from buildNetWorthHistory, oldest first
+ * @returns {Array} - The same months with change set on each month and account; the first
+ *   month has no month before it, so its changes are null
+ */
+export const addMonthlyChanges = (history) => history.map((entry, index) => {
+  const previous = index > 0 ? history[index - 1] : null;
+  const previousBalance = (accountId) => {
+    const account = previous && previous.accounts.find(item => item.account_id === accountId);
+    return account ? account.balance : 0;
+  };
+  return {
+    ...entry,
+    change: previous ? entry.netWorth - previous.netWorth : null,
+    accounts: entry.accounts.map(account => ({
+      ...account,
+      change: previous ? account.balance - previousBalance(account.account_id) : null,
+    })),
+  };
+});
@@ -0,0 +1,124 @@
+// Payee helpers. Transactions keep the payee as text; the payees collection holds
+// one record per distinct name (compared ignoring case and extra spaces) with the
+// category last used for it, and payee rules rename the text banks put on
+// statements ("AMZN MKTP US*2K4") to a payee ("Amazon").
+
+export const PAYEE_RULE_TYPES = {
+  contains: 'Contains',
+  regex: 'Regular expression',
+};
+
+/**
+ * Tidy a payee name as typed: trimmed, with runs of spaces collapsed
+ * @param {string} name - Payee name
+ * @returns {string} - Cleaned name
+ */
+export const cleanPayeeName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Key two payee names are compared by, so "Amazon" and "amazon " are the same payee
+ * @param {string} name - Payee name
+ * @returns {string} - Comparison key
+ */
+export const payeeKey = (name) => cleanPayeeName(name).toLowerCase();
+
+/**
+ * Whether a transaction's payee belongs in the payees collection. Transfer legs
+ * are named after the other account, so they are left out.
+ * @param {Object} transaction - Transaction object
+ * @returns {boolean} - Whether it has a payee to remember
+ */
+export const hasPayee = (transaction) => transaction.type !== 'transfer' && !!payeeKey(transaction.payee);
+
+/**
+ * Check a payee rule's pattern before saving it
+ * @param {string} matchType - 'contains' or 'regex'
+ * @param {string} pattern - Text or regular expression to match
+ * @returns {string|null} - What is wrong with the pattern, or null if it is valid
+ */
+export const validatePayeeRulePattern = (matchType, pattern) => {
+  if (!PAYEE_RULE_TYPES[matchType]) {
+    return `Unknown match type: ${matchType}`;
+  }
+  if (!String(pattern || '').trim()) {
+    return 'Enter the text to match';
+  }
+  if (matchType === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether a payee rule matches a payee string. Matching ignores case; a rule with
+ * an invalid regular expression matches nothing.
+ * @param {Object} rule - Payee rule { match_type, pattern }
+ * @param {string} text - Payee text, e.g. from a bank statement
+ * @returns {boolean} - Whether the rule matches
+ */
+export const payeeRuleMatches = (rule, text) => {
+  const value = String(text || '');
+  if (rule.match_type === 'regex') {
+    try {
+      return new RegExp(rule.pattern, 'i').test(value);
+    } catch (error) {
+      return false;
+    }
+  }
+  const pattern = payeeKey(rule.pattern);
+  return !!pattern && payeeKey(value).includes(pattern);
+};
+
+/**
+ * Rename a payee string with the first matching rule. Rules are tried oldest first.
+ * @param {string} text - Payee text
+ * @param {Array} rules - Payee rules { payee_id, match_type, pattern }
+ * @param {Array} payees - Payee records the rules point at
+ * @returns {string} - The matching rule's payee name, or the text unchanged
+ */
+export const applyPayeeRules = (text, rules, payees) => {
+  const payeesById = payees.reduce((lookup, payee) => {
+    lookup[payee.id] = payee;
+    return lookup;
+  }, {});
+
+  const rule = rules.find(candidate => payeesById[candidate.payee_id] && payeeRuleMatches(candidate, text));
+  return rule ? payeesById[rule.payee_id].name : text;
+};
+
+/**
+ * Find the payee with a given name
+ * @param {Array} payees - Payee records
+ * @param {string} name - Payee name
+ * @returns {Object|null} - The payee, or null if there is none by that name
+ */
+export const findPayeeByName = (payees, name) => {
+  const key = payeeKey(name);
+  return (key && payees.find(payee => payeeKey(payee.name) === key)) || null;
+};
+
+/**
+ * Payees to suggest while a name is being typed: names starting with the text
+ * come first, then names containing it, each alphabetically
+ * @param {Array} payees - Payee records
+ * @param {string} text - Text typed so far
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array} - Matching payees, leaving out an exact match
+ */
+export const suggestPayees = (payees, text, limit = 5) => {
+  const key = payeeKey(text);
+  if (!key) {
+    return [];
+  }
+
+  const ranked = payees
+    .map(payee => ({ payee, index: payeeKey(payee.name).indexOf(key), exact: payeeKey(payee.name) === key }))
+    .filter(match => match.index >= 0 && !match.exact)
+    .sort((a, b) => (a.index === 0 ? 0 : 1) - (b.index === 0 ? 0 : 1) || a.payee.name.localeCompare(b.payee.name));
+
+  return ranked.slice(0, limit).map(match => match.payee);
+};
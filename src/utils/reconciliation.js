@@ -0,0 +1,70 @@
+// Reconciliation helpers. Each transaction is uncleared until the bank shows it,
+// cleared once it does, and reconciled once it has been matched to a statement.
+// The cleared balance is what the bank should show: the current balance without
+// the transactions that haven't cleared yet.
+
+export const CLEARED_STATUSES = {
+  uncleared: 'Uncleared',
+  cleared: 'Cleared',
+  reconciled: 'Reconciled',
+};
+
+/**
+ * Get a transaction's cleared status
+ * @param {Object} transaction - Transaction object
+ * @returns {string} - 'uncleared', 'cleared' or 'reconciled'
+ */
+export const getClearedStatus = (transaction) =>
+  (CLEARED_STATUSES[transaction.cleared_status] ? transaction.cleared_status : 'uncleared');
+
+/**
+ * Whether the bank has seen a transaction, i.e. it is cleared or reconciled
+ * @param {Object} transaction - Transaction object
+ * @returns {boolean} - Whether it counts towards the cleared balance
+ */
+export const isCleared = (transaction) => getClearedStatus(transaction) !== 'uncleared';
+
+/**
+ * Get the change a transaction makes to its account's balance
+ * @param {Object} transaction - Transaction object
+ * @returns {number} - Signed amount in minor units, positive for money coming in
+ */
+export const getAccountAmount = (transaction) => {
+  const isInflow = transaction.type === 'income' ||
+    (transaction.type === 'transfer' && transaction.transfer_direction === 'in');
+  return isInflow ? transaction.amount : -transaction.amount;
+};
+
+/**
+ * Work out an account's cleared and uncleared balances
+ * @param {number} currentBalance - Account's current balance in minor units
+ * @param {Array} transactions - The account's transactions (at least every uncleared one)
+ * @returns {Object} - { cleared, uncleared } in minor units, adding up to the current balance
+ */
+export const getClearedBalances = (currentBalance, transactions) => {
+  const uncleared = transactions
+    .filter(transaction => !isCleared(transaction))
+    .reduce((sum, transaction) => sum + getAccountAmount(transaction), 0);
+  return { cleared: currentBalance - uncleared, uncleared };
+};
+
+/**
+ * Compare the balance of the transactions ticked off so far with the statement
+ * @param {Object} params - Reconciliation state
+ * @param {number} params.currentBalance - Account's current balance in minor units
+ * @param {Array} params.transactions - The account's transactions that are not reconciled yet
+ * @param {Array} params.clearedIds - IDs of the transactions ticked off against the statement
+ * @param {number} params.statementBalance - Balance on the statement in minor units
+ * @returns {Object} - { clearedBalance, difference } where difference is what the statement shows
+ *   on top of the cleared balance; reconciling needs it to be 0
+ */
+export const summarizeReconciliation = ({ currentBalance, transactions, clearedIds, statementBalance }) => {
+  const clearedBalance = getClearedBalances(
+    currentBalance,
+    transactions.map(transaction => ({
+      ...transaction,
+      cleared_status: clearedIds.includes(transaction.id) ? 'cleared' : 'uncleared',
+    }))
+  ).cleared;
+  return { clearedBalance, difference: statementBalance - clearedBalance };
+};
@@ -0,0 +1,140 @@
+// Recurrence rules for scheduled transactions. A rule repeats from start_date
+// every `interval` days, weeks, months or years, optionally on the nth weekday
+// of the month, until end_date or max_occurrences. Occurrences are numbered
+// from 0 and always worked out from the start date, so a schedule on the 31st
+// falls on the last day of shorter months without drifting to the 28th.
+import { addDays, addWeeks, addMonths, addYears, endOfDay, format, getDaysInMonth } from 'date-fns';
+
+export const FREQUENCIES = {
+  daily: { label: 'Daily', unit: 'day' },
+  weekly: { label: 'Weekly', unit: 'week' },
+  biweekly: { label: 'Every 2 weeks', unit: 'week' },
+  monthly: { label: 'Monthly', unit: 'month' },
+  yearly: { label: 'Yearly', unit: 'year' },
+};
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+/**
+ * Get which weekday of its month a date falls on
+ * @param {Date|number} date - Date
+ * @returns {Object} - { nth, isLast } where nth is 1-5 and isLast says no later same weekday exists in the month
+ */
+export const getNthWeekday = (date) => {
+  const day = new Date(date);
+  return {
+    nth: Math.ceil(day.getDate() / 7),
+    isLast: day.getDate() + 7 > getDaysInMonth(day),
+  };
+};
+
+// The nth (or last, for -1) given weekday in the month of `month`, at the time of day of `time`
+const nthWeekdayOfMonth = (month, weekday, nth, time) => {
+  const year = month.getFullYear();
+  const monthIndex = month.getMonth();
+  const daysInMonth = getDaysInMonth(month);
+
+  const firstWeekday = new Date(year, monthIndex, 1).getDay();
+  const firstMatch = 1 + ((weekday - firstWeekday + 7) % 7);
+  let day = firstMatch + (Math.max(nth, 1) - 1) * 7;
+  // Last, or a 5th weekday the month doesn't have
+  if (nth === -1 || day > daysInMonth) {
+    day = firstMatch + Math.floor((daysInMonth - firstMatch) / 7) * 7;
+  }
+
+  return new Date(year, monthIndex, day, time.getHours(), time.getMinutes(), time.getSeconds());
+};
+
+/**
+ * Get the date of an occurrence of a rule
+ * @param {Object} rule - Recurrence rule (frequency, interval, nth_weekday, start_date)
+ * @param {number} index - Occurrence number, 0 for the start date
+ * @returns {Date} - Date of the occurrence
+ */
+export const getOccurrenceDate = (rule, index) => {
+  const start = new Date(rule.start_date);
+  const steps = index * (rule.interval || 1);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(start, steps);
+    case 'weekly':
+      return addWeeks(start, steps);
+    case 'biweekly':
+      return addWeeks(start, steps * 2);
+    case 'monthly': {
+      const month = addMonths(start, steps);
+      return rule.nth_weekday ? nthWeekdayOfMonth(month, start.getDay(), rule.nth_weekday, start) : month;
+    }
+    case 'yearly':
+      return addYears(start, steps);
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Get the date of an occurrence, or null if the rule has ended before it
+ * @param {Object} rule - Recurrence rule (see getOccurrenceDate, plus end_date and max_occurrences)
+ * @param {number} index - Occurrence number
+ * @returns {Date|null} - Date of the occurrence
+ */
+export const getNextOccurrence = (rule, index) => {
+  if (rule.max_occurrences && index >= rule.max_occurrences) {
+    return null;
+  }
+
+  const date = getOccurrenceDate(rule, index);
+  // The end date includes the whole of its day
+  if (rule.end_date && date.getTime() > endOfDay(new Date(rule.end_date)).getTime()) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * List upcoming occurrences of a rule
+ * @param {Object} rule - Recurrence rule
+ * @param {number} fromIndex - First occurrence number to list
+ * @param {number} count - Maximum number of dates to return
+ * @returns {Array} - Dates of the occurrences
+ */
+export const getUpcomingOccurrences = (rule, fromIndex, count) => {
+  const dates = [];
+  for (let index = fromIndex; dates.length < count; index++) {
+    const date = getNextOccurrence(rule, index);
+    if (!date) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Describe a rule for display, e.g. "Monthly on the 2nd Tuesday, 12 times"
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} - Description
+ */
+export const describeRecurrence = (rule) => {
+  const frequency = FREQUENCIES[rule.frequency];
+  if (!frequency) return 'Does not repeat';
+
+  const interval = rule.interval || 1;
+  let description = interval === 1 ? frequency.label : `Every ${interval} ${frequency.unit}s`;
+  if (rule.frequency === 'biweekly' && interval > 1) {
+    description = `Every ${interval * 2} weeks`;
+  }
+
+  if (rule.frequency === 'monthly' && rule.nth_weekday && rule.start_date) {
+    const weekday = format(new Date(rule.start_date), 'EEEE');
+    const ordinal = rule.nth_weekday === -1 ? 'last' : ORDINALS[rule.nth_weekday - 1];
+    description += ` on the ${ordinal} ${weekday}`;
+  }
+
+  if (rule.max_occurrences) {
+    description += `, ${rule.max_occurrences} time${rule.max_occurrences === 1 ? '' : 's'}`;
+  } else if (rule.end_date) {
+    description += `, until ${format(new Date(rule.end_date), 'MMM d, yyyy')}`;
+  }
+
+  return description;
+};
@@ -0,0 +1,241 @@
+// Spending and income reports. Pure aggregation over transactions, their split
+// lines and category_budgets, so the numbers can be checked without a database
+// (services/reports.js loads the records). Amounts are in the home currency:
+// what was charged to the budget where there is one, otherwise converted with
+// the exchange rates.
+//
+// Spending is expenses plus transfers charged to a category (money leaving the
+// budget for a tracking account). Paying a credit card isn't spending again - it
+// was counted when the card was used. Income is income transactions other than
+// opening balances. Other transfers only move money around and are left out.
+import { format, startOfDay, endOfDay, startOfMonth, endOfMonth, startOfYear, subMonths, eachMonthOfInterval } from 'date-fns';
+import { convertMoney } from './currency';
+import { isPaymentCategory } from './creditCards';
+
+const MONTH_FORMAT = 'yyyy-MM';
+const OPENING_BALANCE_PAYEE = 'Initial Balance';
+
+export const UNCATEGORIZED = { id: null, name: 'Uncategorized', color: '#9E9E9E' };
+
+// Date ranges offered by the reports screen, ending with the current month
+export const REPORT_RANGES = {
+  thisMonth: { label: 'This Month', months: 1 },
+  last3Months: { label: 'Last 3 Months', months: 3 },
+  last12Months: { label: 'Last 12 Months', months: 12 },
+  thisYear: { label: 'This Year', months: null },
+  custom: { label: 'Custom', months: null },
+};
+
+/**
+ * Work out the dates of a report range
+ * @param {string} range - Key of REPORT_RANGES; 'custom' keeps the dates given
+ * @param {Object} custom - { startDate, endDate } for a custom range
+ * @param {Date|number} now - Current time
+ * @returns {Object} - { startDate, endDate } covering whole days
+ */
+export const getReportRange = (range, custom = {}, now = Date.now()) => {
+  const today = new Date(now);
+  if (range === 'custom') {
+    return { startDate: startOfDay(new Date(custom.startDate)), endDate: endOfDay(new Date(custom.endDate)) };
+  }
+  if (range === 'thisYear') {
+    return { startDate: startOfYear(today), endDate: endOfMonth(today) };
+  }
+  const { months } = REPORT_RANGES[range];
+  return { startDate: startOfMonth(subMonths(today, months - 1)), endDate: endOfMonth(today) };
+};
+
+/**
+ * List the months a date range touches
+ * @param {Date|number} startDate - Start of the range
+ * @param {Date|number} endDate - End of the range
+ * @returns {Array} - Months in YYYY-MM format, oldest first; empty if the range ends before it starts
+ */
+export const getMonthsInRange = (startDate, endDate) => {
+  if (new Date(endDate).getTime() < new Date(startDate).getTime()) return [];
+  return eachMonthOfInterval({ start: new Date(startDate), end: new Date(endDate) })
+    .map(month => format(month, MONTH_FORMAT));
+};
+
+/**
+ * Keep the transactions in a date range and set of accounts
+ * @param {Array} transactions - Transactions
+ * @param {Object} filter - Report filter
+ * @param {Date|number} filter.startDate - Start of the range, or null for no start
+ * @param {Date|number} filter.endDate - End of the range, or null for no end
+ * @param {Array} filter.accountIds - Accounts to include, or null for every account
+ * @returns {Array} - Matching transactions
+ */
+export const filterTransactions = (transactions, { startDate = null, endDate = null, accountIds = null } = {}) => {
+  const start = startDate === null ? -Infinity : new Date(startDate).getTime();
+  const end = endDate === null ? Infinity : new Date(endDate).getTime();
+  return transactions.filter(transaction =>
+    transaction.date >= start && transaction.date <= end &&
+    (!accountIds || accountIds.includes(transaction.account_id)));
+};
+
+/**
+ * Break transactions down into the spending and income lines reports add up. A split
+ * expense gives one spending line per split.
+ * @param {Array} transactions - Transactions, already filtered
+ * @param {Object} data - Lookups
+ * @param {Array} data.splits - Split lines of the split transactions
+ * @param {Array} data.accounts - Accounts, for their currencies
+ * @param {Array} data.categories - Categories, to leave out credit card payments
+ * @param {string} data.homeCurrency - Currency to report in
+ * @param {Array} data.exchangeRates - Exchange rate records
+ * @returns {Object} - { spending, income, missingCurrencies } where lines are { transaction_id, date,
+ *   month, payee, account_id, category_id, amount }. A transfer back into the budget is negative spending.
+ */
+export const getReportLines = (transactions, { splits = [], accounts = [], categories = [], homeCurrency, exchangeRates = [] }) => {
+  const missing = new Set();
+  const currencyOf = (accountId) => (accounts.find(account => account.id === accountId) || {}).currency || homeCurrency;
+  const paymentCategoryIds = categories.filter(isPaymentCategory).map(category => category.id);
+  const toHome = (line, transaction) => {
+    if (line.budget_amount !== undefined && line.budget_amount !== null) return line.budget_amount;
+    const currency = currencyOf(transaction.account_id);
+    const converted = convertMoney(line.amount, currency, homeCurrency, exchangeRates);
+    if (converted === null) missing.add(currency);
+    return converted;
+  };
+  const lineOf = (transaction, line, sign = 1) => {
+    const amount = toHome(line, transaction);
+    return amount === null ? null : {
+      transaction_id: transaction.id,
+      date: transaction.date,
+      month: format(new Date(transaction.date), MONTH_FORMAT),
+      payee: transaction.payee || '',
+      account_id: transaction.account_id,
+      category_id: line.category_id || null,
+      amount: sign * amount,
+    };
+  };
+
+  const spending = [];
+  const income = [];
+  transactions.forEach(transaction => {
+    if (transaction.type === 'expense') {
+      const lines = transaction.is_split ?
+        splits.filter(split => split.transaction_id === transaction.id) :
+        [transaction];
+      lines.forEach(line => spending.push(lineOf(transaction, line)));
+    } else if (transaction.type === 'transfer') {
+      if (transaction.category_id && !paymentCategoryIds.includes(transaction.category_id)) {
+        spending.push(lineOf(transaction, transaction, transaction.transfer_direction === 'in' ? -1 : 1));
+      }
+    } else if (transaction.type === 'income' && transaction.payee !== OPENING_BALANCE_PAYEE) {
+      income.push(lineOf(transaction, transaction));
+    }
+  });
+
+  return {
+    spending: spending.filter(Boolean),
+    income: income.filter(Boolean),
+    missingCurrencies: [...missing],
+  };
+};
+
+/**
+ * Total spending by category
+ * @param {Array} spending - Spending lines from getReportLines
+ * @param {Array} categories - Categories
+ * @param {Array} budgets - category_budgets records of the months reported on, for what was assigned
+ * @returns {Array} - { category_id, name, color, amount, share, assigned } sorted by amount, largest
+ *   first; share is the fraction of all spending
+ */
+export const spendingByCategory = (spending, categories, budgets = []) => {
+  const totals = {};
+  spending.forEach(line => {
+    const key = line.category_id || '';
+    totals[key] = (totals[key] || 0) + line.amount;
+  });
+  const total = Object.values(totals).reduce((sum, amount) => sum + amount, 0);
+
+  return Object.keys(totals)
+    .map(key => {
+      const category = categories.find(item => item.id === key) || UNCATEGORIZED;
+      return {
+        category_id: key || null,
+        name: category.name,
+        color: category.color || UNCATEGORIZED.color,
+        amount: totals[key],
+        share: total > 0 ? totals[key] / total : 0,
+        assigned: key ? budgets
+          .filter(budget => budget.category_id === key)
+          .reduce((sum, budget) => sum + (budget.assigned || 0), 0) : null,
+      };
+    })
+    .filter(row => row.amount !== 0)
+    .sort((a, b) => b.amount - a.amount);
+};
+
+/**
+ * Total spending by payee. Payees are grouped ignoring case and surrounding spaces.
+ * @param {Array} spending - Spending lines from getReportLines
+ * @returns {Array} - { payee, amount, count, share } sorted by amount, largest first
+ */
+export const spendingByPayee = (spending) => {
+  const groups = {};
+  spending.forEach(line => {
+    const name = line.payee.trim() || 'No payee';
+    const key = name.toLowerCase();
+    const group = groups[key] || (groups[key] = { payee: name, amount: 0, count: 0, transactions: new Set() });
+    group.amount += line.amount;
+    group.transactions.add(line.transaction_id);
+  });
+  const total = Object.values(groups).reduce((sum, group) => sum + group.amount, 0);
+
+  return Object.values(groups)
+    .map(({ transactions, ...group }) => ({
+      ...group,
+      count: transactions.size,
+      share: total > 0 ? group.amount / total : 0,
+    }))
+    .filter(row => row.amount !== 0)
+    .sort((a, b) => b.amount - a.amount);
+};
+
+/**
+ * Total income and spending by month
+ * @param {Object} lines - { spending, income } from getReportLines
+ * @param {Array} months - Months to report on in YYYY-MM format, oldest first
+ * @returns {Array} - { month, income, expense, net } per month
+ */
+export const incomeVsExpenseByMonth = ({ spending, income }, months) => months.map(month => {
+  const totalOf = (lines) => lines
+    .filter(line => line.month === month)
+    .reduce((sum, line) => sum + line.amount, 0);
+  const monthIncome = totalOf(income);
+  const monthExpense = totalOf(spending);
+  return { month, income: monthIncome, expense: monthExpense, net: monthIncome - monthExpense };
+});
+
+/**
+ * Build every report for a date range and set of accounts
+ * @param {Object} data - Records and settings
+ * @param {Array} data.transactions - Every transaction
+ * @param {Array} data.splits - Every split line
+ * @param {Array} data.categories - Categories
+ * @param {Array} data.budgets - category_budgets records
+ * @param {Array} data.accounts - Accounts
+ * @param {string} data.homeCurrency - Currency to report in
+ * @param {Array} data.exchangeRates - Exchange rate records
+ * @param {Object} filter - { startDate, endDate, accountIds }, see filterTransactions
+ * @returns {Object} - { byCategory, byPayee, byMonth, totals: { income, expense, net }, missingCurrencies }
+ */
+export const buildReports = (data, filter) => {
+  const months = getMonthsInRange(filter.startDate, filter.endDate);
+  const transactions = filterTransactions(data.transactions, filter);
+  const lines = getReportLines(transactions, data);
+  const budgets = (data.budgets || []).filter(budget => months.includes(budget.month));
+  const income = lines.income.reduce((sum, line) => sum + line.amount, 0);
+  const expense = lines.spending.reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    byCategory: spendingByCategory(lines.spending, data.categories, budgets),
+    byPayee: spendingByPayee(lines.spending),
+    byMonth: incomeVsExpenseByMonth(lines, months),
+    totals: { income, expense, net: income - expense },
+    missingCurrencies: lines.missingCurrencies,
+  };
+};
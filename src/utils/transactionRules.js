@@ -0,0 +1,339 @@
+// Transaction rules engine. A rule has conditions, which must all hold, and
+// actions applied to the transactions that match. Rules run in priority order
+// (lowest first) and each one sees the changes made by the rules before it.
+// Pure functions over plain objects, so a rule can be tried without a database.
+//
+// Conditions are { field, operator, value }:
+//   payee    contains | is | startsWith | regex   text, ignoring case
+//   type     is        'expense' or 'income'
+//   amount   between   [min, max] in minor units, either end null for no limit
+//   account  oneOf     account IDs
+//   notes    contains  text, ignoring case
+//   weekday  oneOf     days of the week, 0 (Sunday) to 6
+// Actions are { type, value }:
+//   setCategory   category ID      setPayee       payee name
+//   addTag        tag name         markTransfer   ID of the account on the other side
+
+import { cleanPayeeName } from './payees';
+import { formatMoney } from './money';
+
+export const RULE_CONDITION_FIELDS = {
+  payee: { label: 'Payee', operators: ['contains', 'is', 'startsWith', 'regex'] },
+  type: { label: 'Type', operators: ['is'] },
+  amount: { label: 'Amount', operators: ['between'] },
+  account: { label: 'Account', operators: ['oneOf'] },
+  notes: { label: 'Notes', operators: ['contains'] },
+  weekday: { label: 'Day of week', operators: ['oneOf'] },
+};
+
+export const PAYEE_OPERATORS = {
+  contains: 'Contains',
+  is: 'Is',
+  startsWith: 'Starts with',
+  regex: 'Regex',
+};
+
+export const RULE_ACTION_TYPES = {
+  setCategory: 'Set category',
+  setPayee: 'Set payee',
+  addTag: 'Add tag',
+  markTransfer: 'Mark as transfer',
+};
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Fields rules can change, compared when previewing a run
+export const RULE_CHANGE_FIELDS = ['payee', 'category_id', 'tags', 'type', 'transfer_account_id'];
+
+const lower = (text) => String(text || '').toLowerCase();
+
+/**
+ * Split stored tags into a list
+ * @param {string} tags - Comma-separated tag names, as stored on a transaction
+ * @returns {Array} - Tag names
+ */
+export const parseTags = (tags) => String(tags || '')
+  .split(',')
+  .map(tag => tag.trim())
+  .filter(Boolean);
+
+/**
+ * Join tag names for storing, dropping repeats (ignoring case)
+ * @param {Array} tags - Tag names
+ * @returns {string|null} - Comma-separated tags, or null for none
+ */
+export const formatTags = (tags) => {
+  const unique = [];
+  tags.map(tag => String(tag).replace(/,/g, ' ').trim()).filter(Boolean).forEach(tag => {
+    if (!unique.some(existing => lower(existing) === lower(tag))) {
+      unique.push(tag);
+    }
+  });
+  return unique.length > 0 ? unique.join(',') : null;
+};
+
+/**
+ * Read a stored rule record, parsing its conditions and actions
+ * @param {Object} record - transaction_rules record
+ * @returns {Object} - Rule with conditions and actions as arrays
+ */
+export const parseRule = (record) => {
+  const parseList = (json) => {
+    try {
+      const list = typeof json === 'string' ? JSON.parse(json) : json;
+      return Array.isArray(list) ? list : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  return {
+    ...record,
+    enabled: record.enabled !== false,
+    conditions: parseList(record.conditions),
+    actions: parseList(record.actions),
+  };
+};
+
+/**
+ * Check a rule before saving it
+ * @param {Object} rule - Rule with conditions and actions as arrays
+ * @returns {string|null} - What is wrong with the rule, or null if it is valid
+ */
+export const validateRule = (rule) => {
+  if (!String(rule.name || '').trim()) {
+    return 'Give the rule a name';
+  }
+  if (rule.conditions.length === 0) {
+    return 'Add at least one condition';
+  }
+  if (rule.actions.length === 0) {
+    return 'Add at least one action';
+  }
+
+  for (const condition of rule.conditions) {
+    const field = RULE_CONDITION_FIELDS[condition.field];
+    if (!field || !field.operators.includes(condition.operator)) {
+      return `Unknown condition: ${condition.field} ${condition.operator}`;
+    }
+    if (condition.field === 'payee' || condition.field === 'notes') {
+      if (!String(condition.value || '').trim()) {
+        return `Enter the ${field.label.toLowerCase()} text to match`;
+      }
+      if (condition.operator === 'regex') {
+        try {
+          new RegExp(condition.value, 'i');
+        } catch (error) {
+          return error.message;
+        }
+      }
+    }
+    if (condition.field === 'amount') {
+      const [min, max] = condition.value || [];
+      if ((min === null || min === undefined) && (max === null || max === undefined)) {
+        return 'Enter a lowest or highest amount';
+      }
+      if (min !== null && min !== undefined && max !== null && max !== undefined && min > max) {
+        return 'The lowest amount must not be more than the highest';
+      }
+    }
+    if ((condition.field === 'account' || condition.field === 'weekday') &&
+        (!Array.isArray(condition.value) || condition.value.length === 0)) {
+      return `Choose at least one ${condition.field === 'account' ? 'account' : 'day'}`;
+    }
+  }
+
+  for (const action of rule.actions) {
+    if (!RULE_ACTION_TYPES[action.type]) {
+      return `Unknown action: ${action.type}`;
+    }
+    if (!String(action.value || '').trim()) {
+      return `Choose a value for "${RULE_ACTION_TYPES[action.type]}"`;
+    }
+  }
+
+  return null;
+};
+
+const conditionMatches = (condition, transaction) => {
+  const { operator, value } = condition;
+
+  switch (condition.field) {
+    case 'payee': {
+      const payee = lower(transaction.payee);
+      const text = lower(value);
+      if (operator === 'is') return cleanPayeeName(payee) === cleanPayeeName(text);
+      if (operator === 'startsWith') return payee.startsWith(text);
+      if (operator === 'regex') {
+        try {
+          return new RegExp(value, 'i').test(transaction.payee || '');
+        } catch (error) {
+          return false;
+        }
+      }
+      return !!text && payee.includes(text);
+    }
+    case 'type':
+      return transaction.type === value;
+    case 'amount': {
+      const [min, max] = value || [];
+      const amount = Number(transaction.amount);
+      return (min === null || min === undefined || amount >= min) &&
+        (max === null || max === undefined || amount <= max);
+    }
+    case 'account':
+      return Array.isArray(value) && value.includes(transaction.account_id);
+    case 'notes':
+      return !!value && lower(transaction.notes).includes(lower(value));
+    case 'weekday':
+      return Array.isArray(value) && value.includes(new Date(transaction.date).getDay());
+    default:
+      return false;
+  }
+};
+
+/**
+ * Whether every condition of a rule holds for a transaction. Transfers are never
+ * matched, and neither is a rule without conditions.
+ * @param {Object} rule - Rule with conditions as an array
+ * @param {Object} transaction - Transaction fields
+ * @returns {boolean} - Whether the rule matches
+ */
+export const ruleMatches = (rule, transaction) => {
+  if (transaction.type === 'transfer' || rule.conditions.length === 0) {
+    return false;
+  }
+  return rule.conditions.every(condition => conditionMatches(condition, transaction));
+};
+
+const applyAction = (transaction, action, lockedFields) => {
+  const isLocked = (field) => lockedFields.includes(field);
+
+  switch (action.type) {
+    case 'setCategory':
+      // Only single-category expenses carry a category
+      if (transaction.type !== 'expense' || transaction.is_split || transaction.splits || isLocked('category_id')) {
+        return transaction;
+      }
+      return { ...transaction, category_id: action.value };
+    case 'setPayee':
+      return isLocked('payee') ? transaction : { ...transaction, payee: cleanPayeeName(action.value) };
+    case 'addTag':
+      return { ...transaction, tags: formatTags([...parseTags(transaction.tags), action.value]) };
+    case 'markTransfer':
+      if (transaction.type === 'transfer' || action.value === transaction.account_id || isLocked('type')) {
+        return transaction;
+      }
+      return {
+        ...transaction,
+        type: 'transfer',
+        transfer_account_id: action.value,
+        transfer_direction: transaction.type === 'income' ? 'in' : 'out',
+        category_id: null,
+        splits: null,
+        is_split: false,
+      };
+    default:
+      return transaction;
+  }
+};
+
+/**
+ * Run rules on a transaction
+ * @param {Object} transaction - Transaction fields
+ * @param {Array} rules - Rules from parseRule; disabled ones are skipped
+ * @param {Object} options - Run options
+ * @param {Array} options.lockedFields - Fields rules must leave alone, e.g. a category picked by hand
+ * @returns {Object} - { transaction, matched } with the changed transaction and the rules that matched
+ */
+export const runRules = (transaction, rules, { lockedFields = [] } = {}) => {
+  const ordered = rules
+    .filter(rule => rule.enabled)
+    .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  const matched = [];
+  let result = transaction;
+  ordered.forEach(rule => {
+    if (!ruleMatches(rule, result)) return;
+
+    matched.push(rule);
+    result = rule.actions.reduce((current, action) => applyAction(current, action, lockedFields), result);
+  });
+
+  return { transaction: result, matched };
+};
+
+/**
+ * List what rules changed on a transaction
+ * @param {Object} before - Transaction before the rules ran
+ * @param {Object} after - Transaction after the rules ran
+ * @returns {Array} - Changes as { field, from, to }
+ */
+export const diffRuleChanges = (before, after) => RULE_CHANGE_FIELDS
+  .filter(field => (before[field] || null) !== (after[field] || null))
+  .map(field => ({ field, from: before[field] || null, to: after[field] || null }));
+
+const nameOf = (records, id, fallback) => records.find(record => record.id === id)?.name || fallback;
+
+/**
+ * Describe a condition in words, e.g. "payee contains AMZN"
+ * @param {Object} condition - Rule condition
+ * @param {Object} lookups - { accounts, currency } for account names and amounts
+ * @returns {string} - Description
+ */
+export const describeCondition = (condition, { accounts = [], currency } = {}) => {
+  const { operator, value } = condition;
+  switch (condition.field) {
+    case 'payee':
+      return `payee ${PAYEE_OPERATORS[operator].toLowerCase()} "${value}"`;
+    case 'type':
+      return value === 'income' ? 'is income' : 'is an expense';
+    case 'amount': {
+      const [min, max] = value || [];
+      const format = (amount) => formatMoney(amount, { currency });
+      if (min !== null && min !== undefined && max !== null && max !== undefined) {
+        return `amount ${format(min)} to ${format(max)}`;
+      }
+      return min !== null && min !== undefined ? `amount at least ${format(min)}` : `amount at most ${format(max)}`;
+    }
+    case 'account':
+      return `account ${value.map(id => nameOf(accounts, id, 'Unknown account')).join(' or ')}`;
+    case 'notes':
+      return `notes contain "${value}"`;
+    case 'weekday':
+      return `on ${value.map(day => WEEKDAYS[day]).join(', ')}`;
+    default:
+      return condition.field;
+  }
+};
+
+/**
+ * Describe an action in words, e.g. "set category to Groceries"
+ * @param {Object} action - Rule action
+ * @param {Object} lookups - { categories, accounts } for names
+ * @returns {string} - Description
+ */
+export const describeAction = (action, { categories = [], accounts = [] } = {}) => {
+  switch (action.type) {
+    case 'setCategory':
+      return `set category to ${nameOf(categories, action.value, 'a deleted category')}`;
+    case 'setPayee':
+      return `set payee to "${action.value}"`;
+    case 'addTag':
+      return `tag "${action.value}"`;
+    case 'markTransfer':
+      return `transfer with ${nameOf(accounts, action.value, 'a deleted account')}`;
+    default:
+      return action.type;
+  }
+};
+
+/**
+ * Describe a rule in one sentence, for lists
+ * @param {Object} rule - Rule with conditions and actions as arrays
+ * @param {Object} lookups - { categories, accounts, currency }
+ * @returns {string} - e.g. "If payee contains "AMZN": set category to Shopping"
+ */
+export const describeRule = (rule, lookups = {}) =>
+  `If ${rule.conditions.map(condition => describeCondition(condition, lookups)).join(' and ')}: ` +
+  rule.actions.map(action => describeAction(action, lookups)).join(', ');